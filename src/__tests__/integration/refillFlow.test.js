@@ -10,7 +10,12 @@ jest.mock('../../middleware/authentication', () => ({
       req.verifiedData = req.body;
     }
     next();
-  }
+  },
+  authenticateRefillAction: (req, res, next) => {
+    req.verifiedData = req.body;
+    next();
+  },
+  authenticateAdmin: (req, res, next) => next()
 }));
 
 // Mock config for database
@@ -33,9 +33,17 @@ global.createMockProvider = (providerName = 'fireblocks') => {
     },
     init: jest.fn().mockResolvedValue({ success: true }),
     getTokenBalance: jest.fn(),
+    // Same as the AbstractProvider default: the balance of getTokenBalance as available
+    getTokenBalanceBreakdown: jest.fn(function (token) {
+      return Promise.resolve(this.getTokenBalance(token)).then(available => ({ available, pending: '0', locked: '0' }));
+    }),
     createTransferRequest: jest.fn(),
     validateCredentials: jest.fn().mockResolvedValue({ success: true }),
-    getTransactionById: jest.fn() // Fireblocks specific
+    getTransactionById: jest.fn(), // Fireblocks specific
+    // Same as the AbstractProvider default: look the provider transaction up by its ID
+    fetchTransactionStatus: jest.fn(function (transaction) {
+      return this.getTransactionById(transaction.providerTxId);
+    })
   };
 };
 
@@ -0,0 +1,27 @@
+const schema = require('../../../config/schema');
+const liminalSchema = require('../../../providers/liminal/schema');
+const fireblocksSchema = require('../../../providers/fireblocks/schema');
+const bitgoSchema = require('../../../providers/bitgo/schema');
+const simulatorSchema = require('../../../providers/simulator/schema');
+
+describe('Config schema', () => {
+  it('should take the provider config schemas from the provider modules', () => {
+    expect(schema.config.properties.providers.properties).toEqual({
+      liminal: liminalSchema.config,
+      fireblocks: fireblocksSchema.config,
+      bitgo: bitgoSchema.config,
+      simulator: simulatorSchema.config
+    });
+    expect(schema.config.properties.providers.required.sort()).toEqual(['fireblocks', 'liminal']);
+  });
+
+  it('should take the provider secret schemas from the provider modules', () => {
+    expect(schema.secret.properties.liminal).toBe(liminalSchema.secret);
+    expect(schema.secret.properties.fireblocks).toBe(fireblocksSchema.secret);
+    expect(schema.secret.properties.bitgo).toBe(bitgoSchema.secret);
+    expect(schema.secret.properties.simulator).toBe(simulatorSchema.secret);
+    expect(schema.secret.required).toEqual(expect.arrayContaining(['chainDb', 'liminal', 'fireblocks', 'callbackPrivateKey']));
+    expect(schema.secret.required).not.toContain('bitgo');
+    expect(schema.secret.required).not.toContain('simulator');
+  });
+});
@@ -203,5 +203,49 @@ describe('Config Validator', () => {
       expect(result.errors).toContain('server.port: Required property missing');
     });
   });
-});
 
+  describe('Additional properties validation', () => {
+    const schema = {
+      type: 'object',
+      properties: {
+        clients: {
+          type: 'object',
+          additionalProperties: {
+            type: 'object',
+            properties: {
+              url: { type: 'string' }
+            },
+            required: ['url']
+          }
+        }
+      }
+    };
+
+    it('should keep and validate keys not listed in properties', () => {
+      const result = validate({
+        clients: {
+          mythyaverse: { url: 'https://example.com/callback' }
+        }
+      }, schema);
+
+      expect(result.status).toBe(true);
+      expect(result.parsed.clients.mythyaverse.url).toBe('https://example.com/callback');
+    });
+
+    it('should report invalid additional properties', () => {
+      const result = validate({ clients: { mythyaverse: {} } }, schema);
+
+      expect(result.status).toBe(false);
+      expect(result.errors).toContain('clients.mythyaverse.url: Required property missing');
+    });
+
+    it('should drop unknown keys when additionalProperties is not set', () => {
+      const result = validate({ server: { extra: true } }, {
+        type: 'object',
+        properties: { server: { type: 'object', properties: {} } }
+      });
+
+      expect(result.parsed.server).toEqual({});
+    });
+  });
+});
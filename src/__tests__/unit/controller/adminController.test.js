@@ -0,0 +1,129 @@
+// Mock config before any imports to prevent database config errors
+jest.mock('../../../config', () => ({
+  get: jest.fn(),
+  getSecret: jest.fn((key) => {
+    if (key === 'chainDb') {
+      return {
+        host: 'localhost',
+        port: 5432,
+        user: 'test',
+        password: 'test',
+        name: 'testdb'
+      };
+    }
+    return null;
+  }),
+  getAllConfig: jest.fn()
+}));
+
+const adminController = require('../../../controller/adminController');
+const adminService = require('../../../service/adminService');
+const config = require('../../../config');
+const signingUtil = require('../../../service/utils/signingUtil');
+
+jest.mock('../../../service/adminService');
+jest.mock('../../../middleware/logger');
+jest.mock('../../../service/utils/signingUtil');
+
+describe('AdminController', () => {
+  let mockReq;
+  let mockRes;
+  let mockNext;
+
+  beforeEach(() => {
+    mockReq = { body: {}, params: {} };
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn(),
+      send: jest.fn(),
+      sendStatus: jest.fn()
+    };
+    mockNext = jest.fn();
+    jest.clearAllMocks();
+    // Default: auth disabled
+    config.get.mockReturnValue(false);
+  });
+
+  it('should return 200 with the blockchain list', async () => {
+    const result = { success: true, error: null, code: null, data: { blockchains: [] } };
+    adminService.listBlockchains.mockResolvedValue(result);
+
+    await adminController.listBlockchainsController(mockReq, mockRes, mockNext);
+
+    expect(mockRes.status).toHaveBeenCalledWith(200);
+    expect(mockRes.json).toHaveBeenCalledWith(result);
+  });
+
+  it('should return 201 and pass verified data when creating an asset', async () => {
+    mockReq.verifiedData = { symbol: 'ETH' };
+    adminService.createAsset.mockResolvedValue({ success: true, data: { asset: { id: 1 } } });
+
+    await adminController.createAssetController(mockReq, mockRes, mockNext);
+
+    expect(adminService.createAsset).toHaveBeenCalledWith({ symbol: 'ETH' });
+    expect(mockRes.status).toHaveBeenCalledWith(201);
+  });
+
+  it('should pass route id and verified data when updating a wallet', async () => {
+    mockReq.params.id = '4';
+    mockReq.verifiedData = { name: 'Hot wallet' };
+    adminService.updateWallet.mockResolvedValue({ success: true, data: { wallet: { id: 4 } } });
+
+    await adminController.updateWalletController(mockReq, mockRes, mockNext);
+
+    expect(adminService.updateWallet).toHaveBeenCalledWith('4', { name: 'Hot wallet' });
+    expect(mockRes.status).toHaveBeenCalledWith(200);
+  });
+
+  it.each([
+    ['ASSET_NOT_FOUND', 404],
+    ['WALLET_ALREADY_EXISTS', 409],
+    ['BLOCKCHAIN_IN_USE', 409],
+    ['INVALID_FIELDS', 400],
+    ['ADMIN_OPERATION_ERROR', 500],
+    ['PROVIDER_INIT_FAILED', 502]
+  ])('should map %s to HTTP %d', async (code, status) => {
+    mockReq.params.id = '1';
+    adminService.deleteAsset.mockResolvedValue({ success: false, error: 'error', code, data: null });
+
+    await adminController.deleteAssetController(mockReq, mockRes, mockNext);
+
+    expect(mockRes.status).toHaveBeenCalledWith(status);
+  });
+
+  it('should reinitialize the provider named in the route', async () => {
+    mockReq.params.name = 'liminal';
+    const result = { success: true, data: { provider: 'liminal', reinitializedAt: '2026-10-18T12:00:00.000Z' } };
+    adminService.reinitializeProvider.mockResolvedValue(result);
+
+    await adminController.reinitializeProviderController(mockReq, mockRes, mockNext);
+
+    expect(adminService.reinitializeProvider).toHaveBeenCalledWith('liminal');
+    expect(mockRes.status).toHaveBeenCalledWith(200);
+    expect(mockRes.json).toHaveBeenCalledWith(result);
+  });
+
+  it('should sign responses when auth is enabled', async () => {
+    config.get.mockReturnValue(true);
+    mockReq.params.id = '1';
+    const result = { success: true, data: { blockchain: { id: 1 } } };
+    adminService.getBlockchain.mockResolvedValue(result);
+    signingUtil.signResponse.mockReturnValue('signed-jwt');
+
+    await adminController.getBlockchainController(mockReq, mockRes, mockNext);
+
+    expect(signingUtil.signResponse).toHaveBeenCalledWith(result);
+    expect(mockRes.send).toHaveBeenCalledWith('signed-jwt');
+  });
+
+  it('should return 500 when the service throws', async () => {
+    adminService.listWallets.mockRejectedValue(new Error('Unexpected'));
+
+    await adminController.listWalletsController(mockReq, mockRes, mockNext);
+
+    expect(mockRes.status).toHaveBeenCalledWith(500);
+    expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({
+      code: 'INTERNAL_ERROR'
+    }));
+  });
+});
@@ -16,14 +16,24 @@ jest.mock('../../../config', () => ({
   getAllConfig: jest.fn()
 }));
 
-const { processRefillRequestController, checkTransactionStatusController } = require('../../../controller/refillController');
+const {
+  processRefillRequestController,
+  previewRefillRequestController,
+  checkTransactionStatusController,
+  listRefillTransactionsController,
+  getRefillCallbacksController,
+  cancelRefillTransactionController,
+  retryRefillRequestController
+} = require('../../../controller/refillController');
 const refillService = require('../../../service/refillService');
 const refillTransactionService = require('../../../service/refillTransactionService');
+const callbackService = require('../../../service/callbackService');
 const config = require('../../../config');
 const signingUtil = require('../../../service/utils/signingUtil');
 
 jest.mock('../../../service/refillService');
 jest.mock('../../../service/refillTransactionService');
+jest.mock('../../../service/callbackService');
 jest.mock('../../../middleware/logger');
 jest.mock('../../../service/utils/signingUtil');
 
@@ -165,6 +175,31 @@ describe('RefillController', () => {
       expect(mockRes.json).toHaveBeenCalledWith(mockResult);
     });
 
+    it('should return 503 when the provider is unavailable', async () => {
+      mockReq.verifiedData = {
+        wallet_address: '0x123',
+        asset_symbol: 'BTC'
+      };
+
+      const mockResult = {
+        success: false,
+        error: 'fireblocks provider is unavailable after 5 consecutive failures',
+        code: 'PROVIDER_UNAVAILABLE',
+        data: {
+          provider: 'fireblocks',
+          reason: 'CIRCUIT_OPEN',
+          retryAt: '2026-10-18T12:01:00.000Z'
+        }
+      };
+
+      refillService.processRefillRequestService.mockResolvedValue(mockResult);
+
+      await processRefillRequestController(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(503);
+      expect(mockRes.json).toHaveBeenCalledWith(mockResult);
+    });
+
     describe('Response Signing (authEnabled = true)', () => {
       beforeEach(() => {
         config.get.mockImplementation((key) => {
@@ -301,6 +336,55 @@ describe('RefillController', () => {
     });
   });
 
+  describe('previewRefillRequestController', () => {
+    it('should return 200 with the preview', async () => {
+      mockReq.verifiedData = { wallet_address: '0x123', asset_symbol: 'BTC' };
+      const mockResult = { success: true, data: { dryRun: true, refillAmountAtomic: '100000000' } };
+      refillService.previewRefillRequestService.mockResolvedValue(mockResult);
+
+      await previewRefillRequestController(mockReq, mockRes, mockNext);
+
+      expect(refillService.previewRefillRequestService).toHaveBeenCalledWith(mockReq.verifiedData);
+      expect(refillService.processRefillRequestService).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith(mockResult);
+    });
+
+    it.each([
+      ['REFILL_IN_PROGRESS', 409],
+      ['WILL_OVERFILL_TARGET', 400],
+      ['MISSING_FIELDS', 400]
+    ])('should map %s to HTTP %d', async (code, status) => {
+      mockReq.verifiedData = {};
+      refillService.previewRefillRequestService.mockResolvedValue({ success: false, code });
+
+      await previewRefillRequestController(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(status);
+    });
+
+    it('should sign the response when auth is enabled', async () => {
+      config.get.mockReturnValue(true);
+      signingUtil.signResponse.mockReturnValue('signed-jwt');
+      mockReq.verifiedData = {};
+      refillService.previewRefillRequestService.mockResolvedValue({ success: true, data: { dryRun: true } });
+
+      await previewRefillRequestController(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.send).toHaveBeenCalledWith('signed-jwt');
+    });
+
+    it('should return 500 when the service throws', async () => {
+      mockReq.verifiedData = {};
+      refillService.previewRefillRequestService.mockRejectedValue(new Error('Unexpected'));
+
+      await previewRefillRequestController(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+    });
+  });
+
   describe('checkTransactionStatusController', () => {
     it('should return 200 when transaction found', async () => {
       mockReq.verifiedData = { refill_request_id: 'REQ001' };
@@ -567,5 +651,218 @@ describe('RefillController', () => {
       });
     });
   });
-});
 
+  describe('listRefillTransactionsController', () => {
+    it('should pass verified data to the service and return 200', async () => {
+      mockReq.verifiedData = { status: 'FAILED', limit: '10' };
+      const mockResult = {
+        success: true,
+        data: { transactions: [], pagination: { limit: 10, hasMore: false, nextCursor: null } }
+      };
+      refillTransactionService.listRefillTransactions.mockResolvedValue(mockResult);
+
+      await listRefillTransactionsController(mockReq, mockRes, mockNext);
+
+      expect(refillTransactionService.listRefillTransactions).toHaveBeenCalledWith({ status: 'FAILED', limit: '10' });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith(mockResult);
+    });
+
+    it('should return 400 for invalid queries', async () => {
+      mockReq.verifiedData = { limit: '0' };
+      refillTransactionService.listRefillTransactions.mockResolvedValue({ success: false, code: 'INVALID_QUERY' });
+
+      await listRefillTransactionsController(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+    });
+
+    it('should return 500 when listing fails', async () => {
+      mockReq.verifiedData = {};
+      refillTransactionService.listRefillTransactions.mockResolvedValue({ success: false, code: 'TRANSACTION_LIST_ERROR' });
+
+      await listRefillTransactionsController(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+    });
+
+    it('should sign the response when auth is enabled', async () => {
+      config.get.mockReturnValue(true);
+      mockReq.verifiedData = { provider: 'fireblocks' };
+      const mockResult = { success: true, data: { transactions: [] } };
+      refillTransactionService.listRefillTransactions.mockResolvedValue(mockResult);
+      signingUtil.signResponse.mockReturnValue('signed-jwt');
+
+      await listRefillTransactionsController(mockReq, mockRes, mockNext);
+
+      expect(signingUtil.signResponse).toHaveBeenCalledWith(mockResult);
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.send).toHaveBeenCalledWith('signed-jwt');
+    });
+  });
+
+  describe('getRefillCallbacksController', () => {
+    it('should return 200 with the callback delivery log', async () => {
+      mockReq.verifiedData = { refill_request_id: 'REQ001' };
+      mockReq.params = { refill_request_id: 'REQ001' };
+      const mockResult = { success: true, data: { refillRequestId: 'REQ001', callbacks: [] } };
+      callbackService.getRefillCallbacks.mockResolvedValue(mockResult);
+
+      await getRefillCallbacksController(mockReq, mockRes, mockNext);
+
+      expect(callbackService.getRefillCallbacks).toHaveBeenCalledWith('REQ001');
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith(mockResult);
+    });
+
+    it('should return 404 when the refill does not exist', async () => {
+      mockReq.verifiedData = { refill_request_id: 'NOTFOUND' };
+      callbackService.getRefillCallbacks.mockResolvedValue({ success: false, code: 'TRANSACTION_NOT_FOUND' });
+
+      await getRefillCallbacksController(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(404);
+    });
+
+    it('should return 400 when refill_request_id is missing', async () => {
+      mockReq.verifiedData = {};
+
+      await getRefillCallbacksController(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(callbackService.getRefillCallbacks).not.toHaveBeenCalled();
+    });
+
+    it('should reject JWT and URL refill ID mismatch when auth is enabled', async () => {
+      config.get.mockReturnValue(true);
+      signingUtil.signResponse.mockReturnValue('signed-jwt');
+      mockReq.verifiedData = { refill_request_id: 'REQ001' };
+      mockReq.params = { refill_request_id: 'REQ002' };
+
+      await getRefillCallbacksController(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(signingUtil.signResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'REFILL_REQUEST_ID_MISMATCH' }));
+      expect(callbackService.getRefillCallbacks).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('cancelRefillTransactionController', () => {
+    it('should return 200 and pass the cancel options', async () => {
+      mockReq.verifiedData = { force: true, reason: 'stuck at provider' };
+      mockReq.params = { refill_request_id: 'REQ001' };
+      const mockResult = { success: true, data: { transaction: { refillRequestId: 'REQ001', status: 'CANCELLED' } } };
+      refillTransactionService.cancelRefillTransaction.mockResolvedValue(mockResult);
+
+      await cancelRefillTransactionController(mockReq, mockRes, mockNext);
+
+      expect(refillTransactionService.cancelRefillTransaction).toHaveBeenCalledWith('REQ001', { force: true, reason: 'stuck at provider' });
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith(mockResult);
+    });
+
+    it('should return 202 while the provider has yet to confirm the cancellation', async () => {
+      mockReq.verifiedData = {};
+      mockReq.params = { refill_request_id: 'REQ001' };
+      refillTransactionService.cancelRefillTransaction.mockResolvedValue({
+        success: true,
+        data: { transaction: { refillRequestId: 'REQ001', status: 'PROCESSING' }, cancelRequested: true }
+      });
+
+      await cancelRefillTransactionController(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(202);
+    });
+
+    it.each([
+      ['TRANSACTION_NOT_FOUND', 404],
+      ['TRANSACTION_NOT_CANCELLABLE', 409],
+      ['CANCEL_REJECTED', 409],
+      ['CANCEL_NOT_SUPPORTED', 409],
+      ['TRANSACTION_CANCEL_ERROR', 500]
+    ])('should map %s to HTTP %d', async (code, status) => {
+      mockReq.verifiedData = {};
+      mockReq.params = { refill_request_id: 'REQ001' };
+      refillTransactionService.cancelRefillTransaction.mockResolvedValue({ success: false, code });
+
+      await cancelRefillTransactionController(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(status);
+    });
+
+    it('should reject JWT and URL refill ID mismatch when auth is enabled', async () => {
+      config.get.mockReturnValue(true);
+      signingUtil.signResponse.mockReturnValue('signed-jwt');
+      mockReq.verifiedData = { refill_request_id: 'REQ001' };
+      mockReq.params = { refill_request_id: 'REQ002' };
+
+      await cancelRefillTransactionController(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(signingUtil.signResponse).toHaveBeenCalledWith(expect.objectContaining({ code: 'REFILL_REQUEST_ID_MISMATCH' }));
+      expect(refillTransactionService.cancelRefillTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should return 400 when refill_request_id is missing in JWT', async () => {
+      config.get.mockReturnValue(true);
+      signingUtil.signResponse.mockReturnValue('signed-jwt');
+      mockReq.verifiedData = {};
+      mockReq.params = { refill_request_id: 'REQ001' };
+
+      await cancelRefillTransactionController(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(refillTransactionService.cancelRefillTransaction).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('retryRefillRequestController', () => {
+    it('should return 200 with the new attempt', async () => {
+      mockReq.verifiedData = { refill_request_id: 'REQ001' };
+      mockReq.params = { refill_request_id: 'REQ001' };
+      const mockResult = { success: true, data: { refillRequestId: 'REQ001', attempt: 2, status: 'PROCESSING' } };
+      refillService.retryRefillRequestService.mockResolvedValue(mockResult);
+
+      await retryRefillRequestController(mockReq, mockRes, mockNext);
+
+      expect(refillService.retryRefillRequestService).toHaveBeenCalledWith('REQ001');
+      expect(mockRes.status).toHaveBeenCalledWith(200);
+      expect(mockRes.json).toHaveBeenCalledWith(mockResult);
+    });
+
+    it.each([
+      ['TRANSACTION_NOT_FOUND', 404],
+      ['TRANSACTION_NOT_RETRYABLE', 409],
+      ['REFILL_IN_PROGRESS', 409],
+      ['INSUFFICIENT_COLD_WALLET_BALANCE', 400]
+    ])('should map %s to HTTP %d', async (code, status) => {
+      mockReq.params = { refill_request_id: 'REQ001' };
+      refillService.retryRefillRequestService.mockResolvedValue({ success: false, code });
+
+      await retryRefillRequestController(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(status);
+    });
+
+    it('should reject JWT and URL refill ID mismatch when auth is enabled', async () => {
+      config.get.mockReturnValue(true);
+      signingUtil.signResponse.mockReturnValue('signed-jwt');
+      mockReq.verifiedData = { refill_request_id: 'REQ001' };
+      mockReq.params = { refill_request_id: 'REQ002' };
+
+      await retryRefillRequestController(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(400);
+      expect(refillService.retryRefillRequestService).not.toHaveBeenCalled();
+    });
+
+    it('should return 500 when the service throws', async () => {
+      mockReq.params = { refill_request_id: 'REQ001' };
+      refillService.retryRefillRequestService.mockRejectedValue(new Error('Unexpected'));
+
+      await retryRefillRequestController(mockReq, mockRes, mockNext);
+
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+    });
+  });
+});
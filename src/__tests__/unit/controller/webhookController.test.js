@@ -0,0 +1,77 @@
+// Mock config before any imports to prevent database config errors
+jest.mock('../../../config', () => ({
+  get: jest.fn(),
+  getSecret: jest.fn((key) => {
+    if (key === 'chainDb') {
+      return {
+        host: 'localhost',
+        port: 5432,
+        user: 'test',
+        password: 'test',
+        name: 'testdb'
+      };
+    }
+    return null;
+  }),
+  getAllConfig: jest.fn()
+}));
+
+const { fireblocksWebhookController } = require('../../../controller/webhookController');
+const webhookService = require('../../../service/webhookService');
+
+jest.mock('../../../service/webhookService');
+jest.mock('../../../middleware/logger');
+
+describe('WebhookController', () => {
+  let mockReq;
+  let mockRes;
+  let mockNext;
+
+  beforeEach(() => {
+    mockReq = {
+      headers: { 'fireblocks-signature': 'c2lnbmF0dXJl' },
+      rawBody: '{"type":"TRANSACTION_STATUS_UPDATED"}',
+      body: { type: 'TRANSACTION_STATUS_UPDATED' }
+    };
+    mockRes = {
+      status: jest.fn().mockReturnThis(),
+      json: jest.fn()
+    };
+    mockNext = jest.fn();
+    jest.clearAllMocks();
+  });
+
+  it('should pass the raw body and signature header to the service', async () => {
+    const mockResult = { success: true, data: { processed: true } };
+    webhookService.handleFireblocksWebhook.mockResolvedValue(mockResult);
+
+    await fireblocksWebhookController(mockReq, mockRes, mockNext);
+
+    expect(webhookService.handleFireblocksWebhook).toHaveBeenCalledWith('{"type":"TRANSACTION_STATUS_UPDATED"}', 'c2lnbmF0dXJl');
+    expect(mockRes.status).toHaveBeenCalledWith(200);
+    expect(mockRes.json).toHaveBeenCalledWith(mockResult);
+  });
+
+  it.each([
+    ['INVALID_SIGNATURE', 401],
+    ['INVALID_PAYLOAD', 400],
+    ['WEBHOOK_DISABLED', 404],
+    ['WEBHOOK_CONFIG_ERROR', 500],
+    ['WEBHOOK_PROCESSING_ERROR', 500]
+  ])('should map %s to HTTP %d', async (code, status) => {
+    webhookService.handleFireblocksWebhook.mockResolvedValue({ success: false, code });
+
+    await fireblocksWebhookController(mockReq, mockRes, mockNext);
+
+    expect(mockRes.status).toHaveBeenCalledWith(status);
+  });
+
+  it('should return 500 when the service throws', async () => {
+    webhookService.handleFireblocksWebhook.mockRejectedValue(new Error('Unexpected'));
+
+    await fireblocksWebhookController(mockReq, mockRes, mockNext);
+
+    expect(mockRes.status).toHaveBeenCalledWith(500);
+    expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INTERNAL_ERROR' }));
+  });
+});
@@ -78,5 +78,71 @@ describe('Asset Helper', () => {
       expect(callArgs.where.blockchainId).toBe(5);
     });
   });
-});
 
+  describe('getBalanceMonitoredAssets', () => {
+    it('should fetch active assets with balance monitoring enabled', async () => {
+      const mockAssets = [{ id: 1, symbol: 'BTC', monitorBalance: true }];
+      db.Asset.findAll = jest.fn().mockResolvedValue(mockAssets);
+
+      const result = await assetHelper.getBalanceMonitoredAssets();
+
+      expect(db.Asset.findAll).toHaveBeenCalledWith({
+        where: {
+          monitorBalance: true,
+          isActive: true
+        },
+        include: [
+          { model: db.Blockchain, as: 'Blockchain' },
+          { model: db.Wallet, as: 'Wallet' }
+        ],
+        order: [['id', 'ASC']]
+      });
+      expect(result).toEqual(mockAssets);
+    });
+  });
+
+  describe('listAssets', () => {
+    it('should fetch all assets ordered by id', async () => {
+      db.Asset.findAll = jest.fn().mockResolvedValue([{ id: 1 }, { id: 2 }]);
+
+      const result = await assetHelper.listAssets();
+
+      expect(db.Asset.findAll).toHaveBeenCalledWith({ order: [['id', 'ASC']] });
+      expect(result).toHaveLength(2);
+    });
+  });
+
+  describe('createAsset', () => {
+    it('should create asset with the given data', async () => {
+      const data = { symbol: 'ETH', name: 'Ether', decimals: 18, assetType: 'native', walletId: 1, blockchainId: 1 };
+      db.Asset.create = jest.fn().mockResolvedValue({ id: 1, ...data });
+
+      const result = await assetHelper.createAsset(data);
+
+      expect(db.Asset.create).toHaveBeenCalledWith(data);
+      expect(result.id).toBe(1);
+    });
+  });
+
+  describe('updateAsset', () => {
+    it('should update asset by id', async () => {
+      db.Asset.update = jest.fn().mockResolvedValue([1]);
+
+      const result = await assetHelper.updateAsset(1, { isActive: false });
+
+      expect(db.Asset.update).toHaveBeenCalledWith({ isActive: false }, { where: { id: 1 } });
+      expect(result).toEqual([1]);
+    });
+  });
+
+  describe('deleteAsset', () => {
+    it('should delete asset by id and return deleted row count', async () => {
+      db.Asset.destroy = jest.fn().mockResolvedValue(1);
+
+      const result = await assetHelper.deleteAsset(1);
+
+      expect(db.Asset.destroy).toHaveBeenCalledWith({ where: { id: 1 } });
+      expect(result).toBe(1);
+    });
+  });
+});
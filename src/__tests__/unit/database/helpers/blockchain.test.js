@@ -61,5 +61,60 @@ describe('Blockchain Helper', () => {
       );
     });
   });
-});
 
+  describe('getBlockchainById', () => {
+    it('should fetch blockchain by primary key', async () => {
+      db.Blockchain.findByPk = jest.fn().mockResolvedValue({ id: 1 });
+
+      const result = await blockchainHelper.getBlockchainById(1);
+
+      expect(db.Blockchain.findByPk).toHaveBeenCalledWith(1);
+      expect(result).toEqual({ id: 1 });
+    });
+  });
+
+  describe('listBlockchains', () => {
+    it('should fetch all blockchains ordered by id', async () => {
+      db.Blockchain.findAll = jest.fn().mockResolvedValue([{ id: 1 }, { id: 2 }]);
+
+      const result = await blockchainHelper.listBlockchains();
+
+      expect(db.Blockchain.findAll).toHaveBeenCalledWith({ order: [['id', 'ASC']] });
+      expect(result).toHaveLength(2);
+    });
+  });
+
+  describe('createBlockchain', () => {
+    it('should create blockchain with the given data', async () => {
+      const data = { name: 'Ethereum', symbol: 'ETH' };
+      db.Blockchain.create = jest.fn().mockResolvedValue({ id: 1, ...data });
+
+      const result = await blockchainHelper.createBlockchain(data);
+
+      expect(db.Blockchain.create).toHaveBeenCalledWith(data);
+      expect(result.id).toBe(1);
+    });
+  });
+
+  describe('updateBlockchain', () => {
+    it('should update blockchain by id', async () => {
+      db.Blockchain.update = jest.fn().mockResolvedValue([1]);
+
+      const result = await blockchainHelper.updateBlockchain(1, { isActive: false });
+
+      expect(db.Blockchain.update).toHaveBeenCalledWith({ isActive: false }, { where: { id: 1 } });
+      expect(result).toEqual([1]);
+    });
+  });
+
+  describe('deleteBlockchain', () => {
+    it('should delete blockchain by id and return deleted row count', async () => {
+      db.Blockchain.destroy = jest.fn().mockResolvedValue(1);
+
+      const result = await blockchainHelper.deleteBlockchain(1);
+
+      expect(db.Blockchain.destroy).toHaveBeenCalledWith({ where: { id: 1 } });
+      expect(result).toBe(1);
+    });
+  });
+});
@@ -0,0 +1,36 @@
+const refillAttemptHelper = require('../../../../database/helpers/refillAttempt');
+const db = require('../../../../database/models');
+
+jest.mock('../../../../database/models');
+
+describe('RefillAttempt Helper', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createRefillAttempt', () => {
+    it('should create attempt with the given data', async () => {
+      const attemptData = { refillRequestId: 'REQ001', attempt: 1, provider: 'fireblocks', status: 'FAILED' };
+      db.RefillAttempt.create = jest.fn().mockResolvedValue({ id: 1, ...attemptData });
+
+      const result = await refillAttemptHelper.createRefillAttempt(attemptData);
+
+      expect(db.RefillAttempt.create).toHaveBeenCalledWith(attemptData);
+      expect(result.id).toBe(1);
+    });
+  });
+
+  describe('getRefillAttemptsByRequestId', () => {
+    it('should return attempts of the refill oldest first', async () => {
+      db.RefillAttempt.findAll = jest.fn().mockResolvedValue([{ attempt: 1 }, { attempt: 2 }]);
+
+      const result = await refillAttemptHelper.getRefillAttemptsByRequestId('REQ001');
+
+      expect(db.RefillAttempt.findAll).toHaveBeenCalledWith({
+        where: { refillRequestId: 'REQ001' },
+        order: [['attempt', 'ASC']]
+      });
+      expect(result).toHaveLength(2);
+    });
+  });
+});
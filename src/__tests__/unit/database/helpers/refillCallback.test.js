@@ -0,0 +1,123 @@
+const refillCallbackHelper = require('../../../../database/helpers/refillCallback');
+const db = require('../../../../database/models');
+
+jest.mock('../../../../database/models');
+
+describe('RefillCallback Helper', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createRefillCallback', () => {
+    it('should create callback with the given data', async () => {
+      const callbackData = { refillRequestId: 'REQ001', clientId: 'mythyaverse', status: 'COMPLETED' };
+      db.RefillCallback.create = jest.fn().mockResolvedValue({ id: 1, ...callbackData });
+
+      const result = await refillCallbackHelper.createRefillCallback(callbackData);
+
+      expect(db.RefillCallback.create).toHaveBeenCalledWith(callbackData, { transaction: undefined });
+      expect(result.id).toBe(1);
+    });
+
+    it('should create the callback in the given database transaction', async () => {
+      const dbTransaction = { id: 'db-transaction' };
+      db.RefillCallback.create = jest.fn().mockResolvedValue({ id: 1 });
+
+      await refillCallbackHelper.createRefillCallback({ refillRequestId: 'REQ001' }, dbTransaction);
+
+      expect(db.RefillCallback.create).toHaveBeenCalledWith({ refillRequestId: 'REQ001' }, { transaction: dbTransaction });
+    });
+  });
+
+  describe('updateRefillCallback', () => {
+    it('should update callback by id', async () => {
+      db.RefillCallback.update = jest.fn().mockResolvedValue([1]);
+
+      await refillCallbackHelper.updateRefillCallback(1, { attempts: 2 });
+
+      expect(db.RefillCallback.update).toHaveBeenCalledWith({ attempts: 2 }, { where: { id: 1 } });
+    });
+  });
+
+  describe('claimDueRefillCallbacks', () => {
+    const now = new Date('2026-01-01T00:00:00Z');
+    const claimedUntil = new Date('2026-01-01T00:03:30Z');
+    let dbTransaction;
+
+    beforeEach(() => {
+      dbTransaction = { LOCK: { UPDATE: 'UPDATE' } };
+      db.sequelize = {
+        transaction: jest.fn(work => work(dbTransaction)),
+        literal: jest.fn(sql => ({ literal: sql }))
+      };
+      db.RefillCallback.update = jest.fn().mockResolvedValue([2]);
+    });
+
+    it('should lock pending callbacks due before now with SKIP LOCKED, oldest first', async () => {
+      db.RefillCallback.findAll = jest.fn().mockResolvedValue([]);
+
+      await refillCallbackHelper.claimDueRefillCallbacks(now, 20, claimedUntil);
+
+      expect(db.RefillCallback.findAll).toHaveBeenCalledWith({
+        where: {
+          deliveryStatus: 'PENDING',
+          nextAttemptAt: { [db.Sequelize.Op.lte]: now },
+          [db.Sequelize.Op.and]: expect.anything()
+        },
+        order: [['nextAttemptAt', 'ASC'], ['id', 'ASC']],
+        limit: 20,
+        lock: 'UPDATE',
+        skipLocked: true,
+        transaction: dbTransaction
+      });
+      expect(db.RefillCallback.update).not.toHaveBeenCalled();
+    });
+
+    it('should hold back callbacks while an earlier callback of the refill is pending', async () => {
+      db.RefillCallback.findAll = jest.fn().mockResolvedValue([]);
+
+      await refillCallbackHelper.claimDueRefillCallbacks(now, 20, claimedUntil);
+
+      const sql = db.sequelize.literal.mock.calls[0][0];
+      expect(sql).toContain('NOT EXISTS');
+      expect(sql).toContain('earlier.delivery_status = \'PENDING\'');
+      expect(sql).toContain('earlier.id < "RefillCallback".id');
+    });
+
+    it('should push the claimed callbacks to claimedUntil in the same transaction', async () => {
+      const callbacks = [{ id: 1 }, { id: 2 }];
+      db.RefillCallback.findAll = jest.fn().mockResolvedValue(callbacks);
+
+      const result = await refillCallbackHelper.claimDueRefillCallbacks(now, 20, claimedUntil);
+
+      expect(db.RefillCallback.update).toHaveBeenCalledWith({ nextAttemptAt: claimedUntil }, {
+        where: { id: { [db.Sequelize.Op.in]: [1, 2] } },
+        transaction: dbTransaction
+      });
+      expect(result).toBe(callbacks);
+    });
+  });
+
+  describe('createRefillCallbackDelivery', () => {
+    it('should record a delivery attempt', async () => {
+      const deliveryData = { callbackId: 1, attempt: 1, success: true, httpStatus: 200 };
+      db.RefillCallbackDelivery.create = jest.fn().mockResolvedValue(deliveryData);
+
+      await refillCallbackHelper.createRefillCallbackDelivery(deliveryData);
+
+      expect(db.RefillCallbackDelivery.create).toHaveBeenCalledWith(deliveryData);
+    });
+  });
+
+  describe('getRefillCallbacksByRequestId', () => {
+    it('should fetch callbacks with their deliveries', async () => {
+      db.RefillCallback.findAll = jest.fn().mockResolvedValue([]);
+
+      await refillCallbackHelper.getRefillCallbacksByRequestId('REQ001');
+
+      const callArgs = db.RefillCallback.findAll.mock.calls[0][0];
+      expect(callArgs.where).toEqual({ refillRequestId: 'REQ001' });
+      expect(callArgs.include).toEqual([{ model: db.RefillCallbackDelivery, as: 'Deliveries' }]);
+    });
+  });
+});
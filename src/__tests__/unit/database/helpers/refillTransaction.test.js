@@ -70,6 +70,20 @@ describe('RefillTransaction Helper', () => {
     });
   });
 
+  describe('claimFailedRefillTransaction', () => {
+    it('should only update the refill while it is FAILED on the expected attempt', async () => {
+      db.RefillTransaction.update = jest.fn().mockResolvedValue([1]);
+      const updateData = { status: 'PENDING', attemptCount: 2 };
+
+      const result = await refillTransactionHelper.claimFailedRefillTransaction('REQ001', 1, updateData);
+
+      expect(db.RefillTransaction.update).toHaveBeenCalledWith(updateData, {
+        where: { refillRequestId: 'REQ001', status: 'FAILED', attemptCount: 1 }
+      });
+      expect(result).toEqual([1]);
+    });
+  });
+
   describe('updateRefillTransaction', () => {
     it('should update transaction by refillRequestId', async () => {
       const updateData = {
@@ -88,6 +102,33 @@ describe('RefillTransaction Helper', () => {
       expect(result).toEqual([1]);
     });
 
+    it('should run the update in the given database transaction', async () => {
+      const dbTransaction = { id: 'db-transaction' };
+      db.RefillTransaction.update = jest.fn().mockResolvedValue([1]);
+
+      await refillTransactionHelper.updateRefillTransaction('REQ001', { status: 'FAILED' }, dbTransaction);
+
+      expect(db.RefillTransaction.update).toHaveBeenCalledWith({ status: 'FAILED' }, {
+        where: { refillRequestId: 'REQ001' },
+        transaction: dbTransaction
+      });
+    });
+
+    it('should only update the refill while it still has the expected state', async () => {
+      db.RefillTransaction.update = jest.fn().mockResolvedValue([0]);
+
+      const result = await refillTransactionHelper.updateRefillTransaction('REQ001', { status: 'FAILED' }, undefined, {
+        status: 'PENDING',
+        providerTxId: null
+      });
+
+      expect(db.RefillTransaction.update).toHaveBeenCalledWith({ status: 'FAILED' }, {
+        where: { status: 'PENDING', providerTxId: null, refillRequestId: 'REQ001' },
+        transaction: undefined
+      });
+      expect(result).toEqual([0]);
+    });
+
     it('should return 0 when no rows updated', async () => {
       db.RefillTransaction.update = jest.fn().mockResolvedValue([0]);
 
@@ -251,6 +292,22 @@ describe('RefillTransaction Helper', () => {
     });
   });
 
+  describe('getOrphanedRefillTransactions', () => {
+    it('should fetch PENDING transactions without provider transaction ID last written before the cutoff', async () => {
+      const cutoff = new Date('2025-11-06T08:00:00Z');
+      db.RefillTransaction.findAll = jest.fn().mockResolvedValue([]);
+
+      await refillTransactionHelper.getOrphanedRefillTransactions(cutoff);
+
+      const callArgs = db.RefillTransaction.findAll.mock.calls[0][0];
+      expect(callArgs.where.status).toBe('PENDING');
+      expect(callArgs.where.providerTxId).toBeNull();
+      expect(callArgs.where.updatedAt[db.Sequelize.Op.lt]).toBe(cutoff);
+      expect(callArgs.order).toEqual([['updatedAt', 'ASC']]);
+      expect(callArgs.include[0].as).toBe('Asset');
+    });
+  });
+
   describe('getLastSuccessfulRefillByAssetId', () => {
     it('should fetch last successful refill for asset', async () => {
       const mockTransaction = {
@@ -300,5 +357,147 @@ describe('RefillTransaction Helper', () => {
       expect(callArgs.where.status).toBe('COMPLETED');
     });
   });
-});
 
+  describe('getLatestRefillByAssetId', () => {
+    it('should fetch the most recently created refill of the asset in any status', async () => {
+      const mockTransaction = { refillRequestId: 'REQ002', assetId: 1, status: 'FAILED' };
+      db.RefillTransaction.findOne = jest.fn().mockResolvedValue(mockTransaction);
+
+      const result = await refillTransactionHelper.getLatestRefillByAssetId(1);
+
+      expect(db.RefillTransaction.findOne).toHaveBeenCalledWith({
+        where: { assetId: 1 },
+        order: [['createdAt', 'DESC']]
+      });
+      expect(result).toEqual(mockTransaction);
+    });
+  });
+
+  describe('getRefillVolumeByAssetId', () => {
+    const Op = db.Sequelize.Op;
+
+    it('should aggregate count and amount of non-failed refills since the window start', async () => {
+      db.Sequelize.fn = jest.fn((name, ...args) => ({ fn: name, args }));
+      db.Sequelize.col = jest.fn((name) => ({ col: name }));
+      db.RefillTransaction.findOne = jest.fn().mockResolvedValue({ refillCount: '2', totalAmountAtomic: '300000000' });
+      const since = new Date('2026-01-01T00:00:00Z');
+
+      const result = await refillTransactionHelper.getRefillVolumeByAssetId(1, since);
+
+      const callArgs = db.RefillTransaction.findOne.mock.calls[0][0];
+      expect(callArgs.where).toEqual({
+        assetId: 1,
+        status: { [Op.in]: ['PENDING', 'PROCESSING', 'COMPLETED'] },
+        createdAt: { [Op.gte]: since }
+      });
+      expect(callArgs.attributes.map(attribute => attribute[1])).toEqual(['refillCount', 'totalAmountAtomic']);
+      expect(callArgs.raw).toBe(true);
+      expect(result).toEqual({ refillCount: '2', totalAmountAtomic: '300000000' });
+    });
+  });
+
+  describe('listRefillTransactions', () => {
+    const Op = db.Sequelize.Op;
+
+    it('should build filters and order with tie breaker', async () => {
+      db.RefillTransaction.findAll = jest.fn().mockResolvedValue([]);
+      const createdFrom = new Date('2026-01-01T00:00:00Z');
+
+      await refillTransactionHelper.listRefillTransactions({
+        filters: { status: ['FAILED'], provider: 'fireblocks', tokenSymbol: 'btc', assetId: 3, createdFrom },
+        sortBy: 'createdAt',
+        sortOrder: 'DESC',
+        limit: 51
+      });
+
+      expect(db.RefillTransaction.findAll).toHaveBeenCalledWith({
+        where: {
+          [Op.and]: [
+            { status: { [Op.in]: ['FAILED'] } },
+            { provider: 'fireblocks' },
+            { tokenSymbol: { [Op.iLike]: 'btc' } },
+            { assetId: 3 },
+            { createdAt: { [Op.gte]: createdFrom } }
+          ]
+        },
+        order: [['createdAt', 'DESC'], ['refillRequestId', 'DESC']],
+        limit: 51
+      });
+    });
+
+    it('should escape LIKE wildcards in the chain and token filters', async () => {
+      db.RefillTransaction.findAll = jest.fn().mockResolvedValue([]);
+
+      await refillTransactionHelper.listRefillTransactions({
+        filters: { chainName: 'eth%', tokenSymbol: 'US_T\\' },
+        sortBy: 'createdAt',
+        sortOrder: 'DESC',
+        limit: 10
+      });
+
+      const callArgs = db.RefillTransaction.findAll.mock.calls[0][0];
+      expect(callArgs.where[Op.and]).toEqual([
+        { chainName: { [Op.iLike]: 'eth\\%' } },
+        { tokenSymbol: { [Op.iLike]: 'US\\_T\\\\' } }
+      ]);
+    });
+
+    it('should continue after the cursor in descending order', async () => {
+      db.RefillTransaction.findAll = jest.fn().mockResolvedValue([]);
+      const cursor = { value: '2026-01-02T00:00:00.000Z', refillRequestId: 'REQ010' };
+
+      await refillTransactionHelper.listRefillTransactions({ sortBy: 'createdAt', sortOrder: 'DESC', cursor, limit: 10 });
+
+      const callArgs = db.RefillTransaction.findAll.mock.calls[0][0];
+      expect(callArgs.where[Op.and]).toEqual([{
+        [Op.or]: [
+          { createdAt: { [Op.lt]: cursor.value } },
+          { createdAt: cursor.value, refillRequestId: { [Op.lt]: 'REQ010' } }
+        ]
+      }]);
+    });
+
+    it('should continue after the cursor in ascending order', async () => {
+      db.RefillTransaction.findAll = jest.fn().mockResolvedValue([]);
+      const cursor = { value: '2026-01-02T00:00:00.000Z', refillRequestId: 'REQ010' };
+
+      await refillTransactionHelper.listRefillTransactions({ sortBy: 'updatedAt', sortOrder: 'ASC', cursor, limit: 10 });
+
+      const callArgs = db.RefillTransaction.findAll.mock.calls[0][0];
+      expect(callArgs.where[Op.and][0][Op.or][0]).toEqual({ updatedAt: { [Op.gt]: cursor.value } });
+      expect(callArgs.order).toEqual([['updatedAt', 'ASC'], ['refillRequestId', 'ASC']]);
+    });
+  });
+
+  describe('getRefillTransactionByProviderReference', () => {
+    it('should match provider transaction ID or external transaction ID', async () => {
+      db.RefillTransaction.findOne = jest.fn().mockResolvedValue({ refillRequestId: 'REQ001' });
+
+      const result = await refillTransactionHelper.getRefillTransactionByProviderReference('fireblocks', 'fb-123', 'REQ001_refill');
+
+      expect(db.RefillTransaction.findOne).toHaveBeenCalledWith({
+        where: {
+          provider: 'fireblocks',
+          [db.Sequelize.Op.or]: [
+            { providerTxId: 'fb-123' },
+            { externalTxId: 'REQ001_refill' }
+          ]
+        },
+        include: [{
+          model: db.Asset,
+          as: 'Asset'
+        }]
+      });
+      expect(result.refillRequestId).toBe('REQ001');
+    });
+
+    it('should only match provider transaction ID when no external ID is given', async () => {
+      db.RefillTransaction.findOne = jest.fn().mockResolvedValue(null);
+
+      await refillTransactionHelper.getRefillTransactionByProviderReference('fireblocks', 'fb-123');
+
+      const callArgs = db.RefillTransaction.findOne.mock.calls[0][0];
+      expect(callArgs.where[db.Sequelize.Op.or]).toEqual([{ providerTxId: 'fb-123' }]);
+    });
+  });
+});
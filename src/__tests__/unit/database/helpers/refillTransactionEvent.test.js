@@ -0,0 +1,36 @@
+const refillTransactionEventHelper = require('../../../../database/helpers/refillTransactionEvent');
+const db = require('../../../../database/models');
+
+jest.mock('../../../../database/models');
+
+describe('RefillTransactionEvent Helper', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('createRefillTransactionEvent', () => {
+    it('should create event with the given data', async () => {
+      const eventData = { refillRequestId: 'REQ001', eventType: 'UPDATED', providerStatus: 'BROADCASTING', changedFields: ['providerStatus'] };
+      db.RefillTransactionEvent.create = jest.fn().mockResolvedValue({ id: 1, ...eventData });
+
+      const result = await refillTransactionEventHelper.createRefillTransactionEvent(eventData);
+
+      expect(db.RefillTransactionEvent.create).toHaveBeenCalledWith(eventData);
+      expect(result.id).toBe(1);
+    });
+  });
+
+  describe('getRefillTransactionEventsByRequestId', () => {
+    it('should return events of the refill oldest first', async () => {
+      db.RefillTransactionEvent.findAll = jest.fn().mockResolvedValue([{ id: 1 }, { id: 2 }]);
+
+      const result = await refillTransactionEventHelper.getRefillTransactionEventsByRequestId('REQ001');
+
+      expect(db.RefillTransactionEvent.findAll).toHaveBeenCalledWith({
+        where: { refillRequestId: 'REQ001' },
+        order: [['createdAt', 'ASC'], ['id', 'ASC']]
+      });
+      expect(result).toHaveLength(2);
+    });
+  });
+});
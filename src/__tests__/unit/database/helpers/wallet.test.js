@@ -49,5 +49,65 @@ describe('Wallet Helper', () => {
       expect(db.Wallet.findOne).toHaveBeenCalledTimes(2);
     });
   });
-});
 
+  describe('getWalletById', () => {
+    it('should fetch wallet by primary key', async () => {
+      db.Wallet.findByPk = jest.fn().mockResolvedValue({ id: 1 });
+
+      const result = await walletHelper.getWalletById(1);
+
+      expect(db.Wallet.findByPk).toHaveBeenCalledWith(1, {
+        include: [{
+          model: db.Blockchain,
+          as: 'Blockchain'
+        }]
+      });
+      expect(result).toEqual({ id: 1 });
+    });
+  });
+
+  describe('listWallets', () => {
+    it('should fetch all wallets ordered by id', async () => {
+      db.Wallet.findAll = jest.fn().mockResolvedValue([{ id: 1 }, { id: 2 }]);
+
+      const result = await walletHelper.listWallets();
+
+      expect(db.Wallet.findAll).toHaveBeenCalledWith({ order: [['id', 'ASC']] });
+      expect(result).toHaveLength(2);
+    });
+  });
+
+  describe('createWallet', () => {
+    it('should create wallet with the given data', async () => {
+      const data = { address: '0xabc', walletType: 'hot', monitorStatus: 'active', blockchainId: 1 };
+      db.Wallet.create = jest.fn().mockResolvedValue({ id: 1, ...data });
+
+      const result = await walletHelper.createWallet(data);
+
+      expect(db.Wallet.create).toHaveBeenCalledWith(data);
+      expect(result.id).toBe(1);
+    });
+  });
+
+  describe('updateWallet', () => {
+    it('should update wallet by id', async () => {
+      db.Wallet.update = jest.fn().mockResolvedValue([1]);
+
+      const result = await walletHelper.updateWallet(1, { isActive: false });
+
+      expect(db.Wallet.update).toHaveBeenCalledWith({ isActive: false }, { where: { id: 1 } });
+      expect(result).toEqual([1]);
+    });
+  });
+
+  describe('deleteWallet', () => {
+    it('should delete wallet by id and return deleted row count', async () => {
+      db.Wallet.destroy = jest.fn().mockResolvedValue(1);
+
+      const result = await walletHelper.deleteWallet(1);
+
+      expect(db.Wallet.destroy).toHaveBeenCalledWith({ where: { id: 1 } });
+      expect(result).toBe(1);
+    });
+  });
+});
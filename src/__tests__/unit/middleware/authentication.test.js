@@ -1,5 +1,5 @@
 const jwt = require('jsonwebtoken');
-const { authenticate } = require('../../../middleware/authentication');
+const { authenticate, authenticateRefillAction, authenticateAdmin } = require('../../../middleware/authentication');
 const config = require('../../../config');
 
 jest.mock('../../../config');
@@ -475,8 +475,62 @@ describe('Authentication Middleware', () => {
       );
     });
 
-    it('should reject DELETE request (method not allowed)', () => {
+    it('should authenticate PUT request with JWT as request body', () => {
+      mockReq.method = 'PUT';
+      const payload = { name: 'Ethereum', symbol: 'ETH' };
+
+      const token = jwt.sign(payload, privateKey, { algorithm: 'RS256', expiresIn: '5m' });
+      mockReq.body = token;
+
+      config.get.mockReturnValueOnce(true); // authEnabled
+      config.get.mockReturnValueOnce(publicKey); // authPublicKey
+      config.get.mockReturnValueOnce(300); // jwtMaxLifetimeInSeconds
+
+      authenticate(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockReq.verifiedData).toEqual(expect.objectContaining(payload));
+      expect(mockRes.status).not.toHaveBeenCalled();
+    });
+
+    it('should authenticate DELETE request with valid JWT token in Authorization header', () => {
       mockReq.method = 'DELETE';
+      delete mockReq.body;
+      const payload = { action: 'delete_asset' };
+
+      const token = jwt.sign(payload, privateKey, { algorithm: 'RS256', expiresIn: '5m' });
+      mockReq.headers.authorization = `Bearer ${token}`;
+
+      config.get.mockReturnValueOnce(true); // authEnabled
+      config.get.mockReturnValueOnce(publicKey); // authPublicKey
+      config.get.mockReturnValueOnce(300); // jwtMaxLifetimeInSeconds
+
+      authenticate(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockReq.verifiedData.action).toBe('delete_asset');
+      expect(mockRes.status).not.toHaveBeenCalled();
+    });
+
+    it('should reject DELETE request without Authorization header', () => {
+      mockReq.method = 'DELETE';
+
+      config.get.mockReturnValueOnce(true); // authEnabled
+      config.get.mockReturnValueOnce(publicKey); // authPublicKey
+
+      authenticate(mockReq, mockRes, mockNext);
+
+      expect(mockNext).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith(
+        expect.objectContaining({
+          code: 'MISSING_AUTHORIZATION_HEADER'
+        })
+      );
+    });
+
+    it('should reject PATCH request (method not allowed)', () => {
+      mockReq.method = 'PATCH';
       const payload = { refill_request_id: 'REQ008' };
 
       const token = jwt.sign(payload, privateKey, { algorithm: 'RS256' });
@@ -492,7 +546,7 @@ describe('Authentication Middleware', () => {
       expect(mockRes.json).toHaveBeenCalledWith(
         expect.objectContaining({
           success: false,
-          error: 'Method not allowed. Only POST and GET are supported.',
+          error: 'Method not allowed. Only GET, POST, PUT and DELETE are supported.',
           code: 'METHOD_NOT_ALLOWED'
         })
       );
@@ -513,5 +567,200 @@ describe('Authentication Middleware', () => {
       expect(mockRes.status).not.toHaveBeenCalled();
     });
   });
-});
 
+  describe('authenticateRefillAction', () => {
+    let authConfig;
+
+    beforeEach(() => {
+      authConfig = {
+        authEnabled: true,
+        authPublicKey: publicKey,
+        jwtMaxLifetimeInSeconds: 300
+      };
+      config.get.mockImplementation(key => authConfig[key]);
+
+      mockReq.method = 'POST';
+      mockReq.originalUrl = '/v1/wallet/refill/REQ001/cancel';
+    });
+
+    const signToken = (payload) => jwt.sign(payload, privateKey, { algorithm: 'RS256', expiresIn: '5m' });
+
+    it('should authenticate a JWT issued for cancelling the refill', () => {
+      mockReq.rawBody = signToken({ refill_request_id: 'REQ001', method: 'POST', path: '/v1/wallet/refill/REQ001/cancel' });
+
+      authenticateRefillAction(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockReq.verifiedData.refill_request_id).toBe('REQ001');
+    });
+
+    it('should reject the refill request JWT of the refill on cancel', () => {
+      mockReq.rawBody = signToken({
+        refill_request_id: 'REQ001',
+        wallet_address: '0x123',
+        asset_symbol: 'BTC',
+        refill_amount: '1.0'
+      });
+
+      authenticateRefillAction(mockReq, mockRes, mockNext);
+
+      expect(mockNext).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'REQUEST_BINDING_MISMATCH' }));
+    });
+
+    it('should reject a JWT issued for the status of the refill on cancel', () => {
+      mockReq.rawBody = signToken({ refill_request_id: 'REQ001', method: 'GET', path: '/v1/wallet/refill/status/REQ001' });
+
+      authenticateRefillAction(mockReq, mockRes, mockNext);
+
+      expect(mockNext).not.toHaveBeenCalled();
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'REQUEST_BINDING_MISMATCH' }));
+    });
+
+    it('should authenticate a JWT issued for retrying the refill', () => {
+      mockReq.originalUrl = '/v1/wallet/refill/REQ001/retry';
+      mockReq.rawBody = signToken({ refill_request_id: 'REQ001', method: 'POST', path: '/v1/wallet/refill/REQ001/retry' });
+
+      authenticateRefillAction(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should reject the refill request JWT of the refill on retry', () => {
+      mockReq.originalUrl = '/v1/wallet/refill/REQ001/retry';
+      mockReq.rawBody = signToken({
+        refill_request_id: 'REQ001',
+        wallet_address: '0x123',
+        asset_symbol: 'BTC',
+        refill_amount: '1.0'
+      });
+
+      authenticateRefillAction(mockReq, mockRes, mockNext);
+
+      expect(mockNext).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'REQUEST_BINDING_MISMATCH' }));
+    });
+
+    it('should reject JWTs issued for the status or cancel of the refill on retry', () => {
+      mockReq.originalUrl = '/v1/wallet/refill/REQ001/retry';
+      const tokens = [
+        signToken({ refill_request_id: 'REQ001', method: 'GET', path: '/v1/wallet/refill/status/REQ001' }),
+        signToken({ refill_request_id: 'REQ001', method: 'POST', path: '/v1/wallet/refill/REQ001/cancel' })
+      ];
+
+      for (const token of tokens) {
+        mockReq.rawBody = token;
+        authenticateRefillAction(mockReq, mockRes, mockNext);
+      }
+
+      expect(mockNext).not.toHaveBeenCalled();
+      expect(mockRes.json).toHaveBeenCalledTimes(2);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'REQUEST_BINDING_MISMATCH' }));
+    });
+
+    it('should skip authentication when authEnabled is false', () => {
+      authConfig.authEnabled = false;
+      mockReq.params = { refill_request_id: 'REQ001' };
+
+      authenticateRefillAction(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+  });
+
+  describe('authenticateAdmin', () => {
+    let adminPublicKey;
+    let adminPrivateKey;
+    let authConfig;
+
+    beforeEach(() => {
+      const crypto = require('crypto');
+      const keyPair = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        publicKeyEncoding: { type: 'spki', format: 'pem' },
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+      });
+      adminPublicKey = keyPair.publicKey;
+      adminPrivateKey = keyPair.privateKey;
+
+      authConfig = {
+        authEnabled: true,
+        authPublicKey: publicKey,
+        adminAuthPublicKey: adminPublicKey,
+        jwtMaxLifetimeInSeconds: 300
+      };
+      config.get.mockImplementation(key => authConfig[key]);
+
+      mockReq.method = 'DELETE';
+      mockReq.originalUrl = '/v1/admin/assets/5';
+    });
+
+    const signAdminToken = (payload, key = adminPrivateKey) => jwt.sign(payload, key, { algorithm: 'RS256', expiresIn: '5m' });
+
+    it('should authenticate an admin JWT issued for the request method and path', () => {
+      mockReq.headers.authorization = `Bearer ${signAdminToken({ method: 'DELETE', path: '/v1/admin/assets/5' })}`;
+
+      authenticateAdmin(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+      expect(mockRes.status).not.toHaveBeenCalled();
+    });
+
+    it('should reject JWTs signed with the refill API key', () => {
+      mockReq.headers.authorization = `Bearer ${signAdminToken({ method: 'DELETE', path: '/v1/admin/assets/5' }, privateKey)}`;
+
+      authenticateAdmin(mockReq, mockRes, mockNext);
+
+      expect(mockNext).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_TOKEN' }));
+    });
+
+    it('should reject admin JWTs issued for another method or path', () => {
+      mockReq.headers.authorization = `Bearer ${signAdminToken({ method: 'GET', path: '/v1/admin/assets/5' })}`;
+      authenticateAdmin(mockReq, mockRes, mockNext);
+
+      mockReq.headers.authorization = `Bearer ${signAdminToken({ method: 'DELETE', path: '/v1/admin/assets/6' })}`;
+      authenticateAdmin(mockReq, mockRes, mockNext);
+
+      mockReq.headers.authorization = `Bearer ${signAdminToken({})}`;
+      authenticateAdmin(mockReq, mockRes, mockNext);
+
+      expect(mockNext).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledTimes(3);
+      expect(mockRes.status).toHaveBeenCalledWith(401);
+      expect(mockRes.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'REQUEST_BINDING_MISMATCH' }));
+    });
+
+    it('should ignore the query string when matching the path', () => {
+      mockReq.method = 'GET';
+      mockReq.originalUrl = '/v1/admin/assets?limit=10';
+      mockReq.headers.authorization = `Bearer ${signAdminToken({ method: 'get', path: '/v1/admin/assets' })}`;
+
+      authenticateAdmin(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+
+    it('should return 500 when the admin public key is not configured', () => {
+      authConfig.adminAuthPublicKey = null;
+      mockReq.headers.authorization = `Bearer ${signAdminToken({ method: 'DELETE', path: '/v1/admin/assets/5' })}`;
+
+      authenticateAdmin(mockReq, mockRes, mockNext);
+
+      expect(mockNext).not.toHaveBeenCalled();
+      expect(mockRes.status).toHaveBeenCalledWith(500);
+    });
+
+    it('should skip authentication when authEnabled is false', () => {
+      authConfig.authEnabled = false;
+      mockReq.params = { id: '5' };
+
+      authenticateAdmin(mockReq, mockRes, mockNext);
+
+      expect(mockNext).toHaveBeenCalled();
+    });
+  });
+});
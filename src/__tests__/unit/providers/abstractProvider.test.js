@@ -59,6 +59,19 @@ describe('AbstractProvider', () => {
     });
   });
 
+  describe('getTokenBalanceBreakdown', () => {
+    it('should count the balance of getTokenBalance as available by default', async () => {
+      jest.spyOn(provider, 'getTokenBalance').mockResolvedValue('1000');
+
+      await expect(provider.getTokenBalanceBreakdown({ symbol: 'BTC' })).resolves.toEqual({
+        available: '1000',
+        pending: '0',
+        locked: '0'
+      });
+      expect(provider.getTokenBalance).toHaveBeenCalledWith({ symbol: 'BTC' });
+    });
+  });
+
   describe('createTransferRequest', () => {
     it('should throw error if not implemented by child class', async () => {
       await expect(provider.createTransferRequest({})).rejects.toThrow(
@@ -67,6 +80,22 @@ describe('AbstractProvider', () => {
     });
   });
 
+  describe('cancelTransaction', () => {
+    it('should throw error if not implemented by child class', async () => {
+      await expect(provider.cancelTransaction('txn-123')).rejects.toThrow(
+        'cancelTransaction() method must be implemented by provider'
+      );
+    });
+  });
+
+  describe('findTransactionByExternalTxId', () => {
+    it('should throw error if not implemented by child class', async () => {
+      await expect(provider.findTransactionByExternalTxId('REQ001_refill', {})).rejects.toThrow(
+        'findTransactionByExternalTxId() method must be implemented by provider'
+      );
+    });
+  });
+
   describe('getProviderName', () => {
     it('should throw error if not implemented by child class', () => {
       expect(() => AbstractProvider.getProviderName()).toThrow(
@@ -74,5 +103,62 @@ describe('AbstractProvider', () => {
       );
     });
   });
+
+  describe('default provider hooks', () => {
+    class CustomProvider extends AbstractProvider {
+      static getProviderName() {
+        return 'custom';
+      }
+    }
+
+    it('should fetch the transaction status by provider transaction ID', async () => {
+      provider.getTransactionById = jest.fn().mockResolvedValue({ status: 'DONE' });
+
+      const result = await provider.fetchTransactionStatus({ providerTxId: 'tx-1' });
+
+      expect(result).toEqual({ status: 'DONE' });
+      expect(provider.getTransactionById).toHaveBeenCalledWith('tx-1');
+    });
+
+    it('should only be configured when its config section is present', () => {
+      expect(CustomProvider.isConfigured(null, {})).toBe(false);
+      expect(CustomProvider.isConfigured({}, {})).toBe(true);
+    });
+
+    it('should read the secret named after the provider', () => {
+      const getSecret = jest.fn((key) => key === 'custom' ? { apiKey: 'key' } : null);
+
+      expect(CustomProvider.getProviderSecret(getSecret)).toEqual({ apiKey: 'key' });
+      expect(CustomProvider.getProviderSecret(() => null)).toEqual({});
+    });
+
+    it('should read wallet IDs from the provider section of the wallet config', () => {
+      expect(CustomProvider.getColdWalletId({ custom: { walletId: 'cold-1' } })).toBe('cold-1');
+      expect(CustomProvider.getHotWalletId({ custom: { vaultId: 'hot-1' } }, {})).toBe('hot-1');
+    });
+
+    it('should map unknown statuses to PROCESSING', () => {
+      expect(CustomProvider.mapStatus('ANYTHING')).toBe('PROCESSING');
+      expect(CustomProvider.mapStatus(null)).toBe('PROCESSING');
+    });
+
+    it('should require wallet config validation to be implemented', () => {
+      expect(() => CustomProvider.validateWalletConfig({})).toThrow(
+        'validateWalletConfig() method must be implemented by provider'
+      );
+    });
+
+    it('should validate hot wallet configs like cold wallet configs by default', () => {
+      class ValidatingProvider extends AbstractProvider {
+        static validateWalletConfig(walletConfig) {
+          return { success: true, error: null, code: null, data: { walletConfig } };
+        }
+      }
+
+      expect(ValidatingProvider.validateHotWalletConfig({ custom: { walletId: 'hot-1' } }).data).toEqual({
+        walletConfig: { custom: { walletId: 'hot-1' } }
+      });
+    });
+  });
 });
 
@@ -0,0 +1,341 @@
+const http = require('http');
+const BitGoProvider = require('../../../../providers/bitgo');
+
+jest.mock('../../../../middleware/logger');
+
+/**
+ * Local HTTP stand-in of the BitGo (Express) API
+ * Each test sets the route handlers it needs; every request is recorded
+ */
+const startBitGoStandIn = () => new Promise((resolve) => {
+  const standIn = { routes: {}, requests: [] };
+
+  standIn.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const request = {
+        method: req.method,
+        path: decodeURIComponent(req.url),
+        headers: req.headers,
+        body: body ? JSON.parse(body) : null
+      };
+      standIn.requests.push(request);
+
+      const handler = standIn.routes[`${request.method} ${request.path}`];
+      const [status, payload] = handler ? handler(request) : [404, { error: 'not found', name: 'NotFound' }];
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(payload));
+    });
+  });
+
+  standIn.server.listen(0, '127.0.0.1', () => {
+    standIn.url = `http://127.0.0.1:${standIn.server.address().port}`;
+    resolve(standIn);
+  });
+});
+
+describe('BitGoProvider', () => {
+  let standIn;
+  let provider;
+
+  const walletConfig = { bitgo: { walletId: 'wallet-cold', coin: 'tbtc' } };
+
+  const transferData = {
+    coldWalletId: 'wallet-cold',
+    hotWalletId: 'tb1qhotwallet',
+    hotWalletAddress: 'tb1qhotwallet',
+    amount: '0.5',
+    amountAtomic: '50000000',
+    asset: 'BTC',
+    blockchain: 'BTC',
+    externalTxId: 'REQ001_refill',
+    coldWalletConfig: { provider: 'bitgo', ...walletConfig }
+  };
+
+  const refill = {
+    refillRequestId: 'REQ001',
+    providerTxId: 'approval-1',
+    externalTxId: 'REQ001_refill',
+    Asset: { sweepWalletConfig: { provider: 'bitgo', ...walletConfig } }
+  };
+
+  beforeAll(async () => {
+    standIn = await startBitGoStandIn();
+  });
+
+  afterAll((done) => {
+    standIn.server.close(done);
+  });
+
+  beforeEach(async () => {
+    standIn.routes = {};
+    standIn.requests = [];
+
+    const config = BitGoProvider.getProviderConfig({ apiBaseUrl: standIn.url, requestTimeoutInMs: 2000 });
+    provider = new BitGoProvider(config, { accessToken: 'v2x-token', walletPassphrase: 'passphrase' });
+    await provider.init();
+  });
+
+  describe('static hooks', () => {
+    it('should have correct provider name', () => {
+      expect(BitGoProvider.getProviderName()).toBe('bitgo');
+    });
+
+    it('should only be configured with its config section and credentials', () => {
+      expect(BitGoProvider.isConfigured(null, { accessToken: 'token', walletPassphrase: 'pass' })).toBe(false);
+      expect(BitGoProvider.isConfigured({ apiBaseUrl: 'http://localhost:3080' }, { accessToken: 'token' })).toBe(false);
+      expect(BitGoProvider.isConfigured({ apiBaseUrl: 'http://localhost:3080' }, { accessToken: 'token', walletPassphrase: 'pass' })).toBe(true);
+    });
+
+    it('should apply config defaults', () => {
+      expect(BitGoProvider.getProviderConfig({ apiBaseUrl: 'http://localhost:3080' })).toEqual({
+        apiBaseUrl: 'http://localhost:3080',
+        requestTimeoutInMs: 30000
+      });
+    });
+
+    it('should validate the BitGo wallet config', () => {
+      expect(BitGoProvider.validateWalletConfig({ provider: 'bitgo', bitgo: { walletId: 'w1', coin: 'btc', extra: 1 } }).data).toEqual({
+        walletConfig: { bitgo: { walletId: 'w1', coin: 'btc' } }
+      });
+      expect(BitGoProvider.validateWalletConfig({ provider: 'bitgo', bitgo: { walletId: 'w1' } }).code).toBe('INVALID_BITGO_COLD_WALLET_CONFIGURATION');
+    });
+
+    it('should send from the cold wallet ID to the hot wallet address', () => {
+      expect(BitGoProvider.getColdWalletId(walletConfig)).toBe('wallet-cold');
+      expect(BitGoProvider.getHotWalletId({ bitgo: { walletId: 'wallet-hot' } }, { address: 'tb1qhotwallet' })).toBe('tb1qhotwallet');
+    });
+
+    it('should map BitGo transfer and approval states', () => {
+      expect(BitGoProvider.mapStatus('pendingApproval')).toBe('PROCESSING');
+      expect(BitGoProvider.mapStatus('pending')).toBe('PROCESSING');
+      expect(BitGoProvider.mapStatus('signed')).toBe('PROCESSING');
+      expect(BitGoProvider.mapStatus('unconfirmed')).toBe('PROCESSING');
+      expect(BitGoProvider.mapStatus('confirmed')).toBe('COMPLETED');
+      expect(BitGoProvider.mapStatus('rejected')).toBe('FAILED');
+      expect(BitGoProvider.mapStatus('removed')).toBe('FAILED');
+      expect(BitGoProvider.mapStatus('failed')).toBe('FAILED');
+    });
+
+    it('should extract transaction details from a transfer', () => {
+      const transfer = { id: 'transfer-1', txid: 'abc123', state: 'confirmed', comment: 'refill' };
+
+      expect(BitGoProvider.extractTransactionDetails(transfer)).toEqual({
+        providerTxId: 'transfer-1',
+        txHash: 'abc123',
+        status: 'confirmed',
+        message: 'refill',
+        providerData: transfer
+      });
+    });
+  });
+
+  describe('init', () => {
+    it('should throw error when credentials are missing', async () => {
+      const invalidProvider = new BitGoProvider({ apiBaseUrl: standIn.url }, { accessToken: 'token' });
+
+      await expect(invalidProvider.init()).rejects.toThrow('BitGo API credentials not configured properly');
+    });
+
+    it('should throw error when the API URL is missing', async () => {
+      const invalidProvider = new BitGoProvider({}, { accessToken: 'token', walletPassphrase: 'pass' });
+
+      await expect(invalidProvider.init()).rejects.toThrow('BitGo API URL not configured');
+    });
+  });
+
+  describe('getTokenBalance', () => {
+    it('should return the spendable wallet balance in base units', async () => {
+      standIn.routes['GET /api/v2/tbtc/wallet/wallet-cold'] = () => [200, {
+        id: 'wallet-cold',
+        balanceString: '250000000',
+        spendableBalanceString: '200000000'
+      }];
+
+      const balance = await provider.getTokenBalance({ symbol: 'BTC', decimalPlaces: 8, walletConfig });
+
+      expect(balance).toBe('200000000');
+      expect(standIn.requests[0].headers.authorization).toBe('Bearer v2x-token');
+    });
+
+    it('should support token coins', async () => {
+      standIn.routes['GET /api/v2/teth:usdc/wallet/wallet-eth'] = () => [200, { spendableBalanceString: '1500000' }];
+
+      const balance = await provider.getTokenBalance({ symbol: 'USDC', decimalPlaces: 6, walletConfig: { bitgo: { walletId: 'wallet-eth', coin: 'teth:usdc' } } });
+
+      expect(balance).toBe('1500000');
+    });
+
+    it('should surface BitGo API errors', async () => {
+      standIn.routes['GET /api/v2/tbtc/wallet/wallet-cold'] = () => [401, { error: 'unauthorized', name: 'Unauthorized' }];
+
+      await expect(provider.getTokenBalance({ symbol: 'BTC', decimalPlaces: 8, walletConfig }))
+        .rejects.toThrow('BitGo API error (HTTP 401): unauthorized');
+    });
+  });
+
+  describe('getTokenBalanceBreakdown', () => {
+    it('should split the wallet balance into spendable, unconfirmed and locked amounts', async () => {
+      standIn.routes['GET /api/v2/tbtc/wallet/wallet-cold'] = () => [200, {
+        id: 'wallet-cold',
+        balanceString: '300000000',
+        confirmedBalanceString: '250000000',
+        spendableBalanceString: '200000000'
+      }];
+
+      const breakdown = await provider.getTokenBalanceBreakdown({ symbol: 'BTC', decimalPlaces: 8, walletConfig });
+
+      expect(breakdown).toEqual({ available: '200000000', pending: '50000000', locked: '50000000' });
+    });
+
+    it('should not report negative components while an outgoing transfer is unconfirmed', async () => {
+      standIn.routes['GET /api/v2/tbtc/wallet/wallet-cold'] = () => [200, {
+        balanceString: '150000000',
+        confirmedBalanceString: '250000000',
+        spendableBalanceString: '150000000'
+      }];
+
+      const breakdown = await provider.getTokenBalanceBreakdown({ symbol: 'BTC', decimalPlaces: 8, walletConfig });
+
+      expect(breakdown).toEqual({ available: '150000000', pending: '0', locked: '100000000' });
+    });
+  });
+
+  describe('createTransferRequest', () => {
+    it('should send coins with the external transaction ID as sequenceId', async () => {
+      standIn.routes['POST /api/v2/tbtc/wallet/wallet-cold/sendcoins'] = () => [200, {
+        transfer: { id: 'transfer-1', state: 'signed', sequenceId: 'REQ001_refill' },
+        txid: 'abc123',
+        status: 'signed'
+      }];
+
+      const result = await provider.createTransferRequest(transferData);
+
+      expect(standIn.requests[0].body).toEqual({
+        address: 'tb1qhotwallet',
+        amount: '50000000',
+        walletPassphrase: 'passphrase',
+        sequenceId: 'REQ001_refill',
+        comment: 'Cold to hot wallet refill - BTC transfer'
+      });
+      expect(result).toEqual(expect.objectContaining({
+        status: 'signed',
+        message: 'Transfer request submitted to BitGo',
+        externalTxId: 'REQ001_refill',
+        transactionId: 'transfer-1'
+      }));
+    });
+
+    it('should return the pending approval when the send needs approval', async () => {
+      standIn.routes['POST /api/v2/tbtc/wallet/wallet-cold/sendcoins'] = () => [200, {
+        pendingApproval: { id: 'approval-1', state: 'pending' }
+      }];
+
+      const result = await provider.createTransferRequest(transferData);
+
+      expect(result.transactionId).toBe('approval-1');
+      expect(result.status).toBe('pending');
+      expect(result.message).toBe('Transfer request submitted to BitGo, pending approval');
+    });
+
+    it('should throw when BitGo rejects the send', async () => {
+      standIn.routes['POST /api/v2/tbtc/wallet/wallet-cold/sendcoins'] = () => [400, {
+        error: 'sequenceId is already used',
+        name: 'DuplicateSequenceIdError'
+      }];
+
+      await expect(provider.createTransferRequest(transferData)).rejects.toThrow('BitGo API error (HTTP 400): sequenceId is already used');
+    });
+  });
+
+  describe('getTransactionById', () => {
+    it('should get the transfer from the wallet', async () => {
+      standIn.routes['GET /api/v2/tbtc/wallet/wallet-cold/transfer/transfer-1'] = () => [200, { id: 'transfer-1', state: 'confirmed', txid: 'abc123' }];
+
+      const transfer = await provider.getTransactionById('transfer-1', walletConfig);
+
+      expect(transfer.state).toBe('confirmed');
+    });
+
+    it('should require the wallet config', async () => {
+      await expect(provider.getTransactionById('transfer-1')).rejects.toThrow('Wallet configuration is required for BitGo getTransactionById');
+    });
+  });
+
+  describe('fetchTransactionStatus', () => {
+    it('should look the transfer up by sequenceId', async () => {
+      standIn.routes['GET /api/v2/tbtc/wallet/wallet-cold/transfer/sequenceId/REQ001_refill'] = () => [200, {
+        id: 'transfer-1',
+        state: 'confirmed',
+        txid: 'abc123'
+      }];
+
+      const transfer = await provider.fetchTransactionStatus(refill);
+
+      expect(transfer.id).toBe('transfer-1');
+      expect(standIn.requests).toHaveLength(1);
+    });
+
+    it('should return the pending approval until the transfer exists', async () => {
+      standIn.routes['GET /api/v2/pendingapprovals/approval-1'] = () => [200, { id: 'approval-1', state: 'rejected' }];
+
+      const approval = await provider.fetchTransactionStatus(refill);
+
+      expect(approval.state).toBe('rejected');
+      expect(BitGoProvider.mapStatus(BitGoProvider.extractTransactionDetails(approval).status)).toBe('FAILED');
+    });
+
+    it('should throw when the asset wallet config is not available', async () => {
+      await expect(provider.fetchTransactionStatus({ ...refill, Asset: null }))
+        .rejects.toThrow('BitGo wallet config not available for status check of refill REQ001');
+    });
+  });
+
+  describe('findTransactionByExternalTxId', () => {
+    const orphanedRefill = { ...refill, providerTxId: null, externalTxId: null };
+
+    it('should find the transfer by sequenceId', async () => {
+      standIn.routes['GET /api/v2/tbtc/wallet/wallet-cold/transfer/sequenceId/REQ001_refill'] = () => [200, { id: 'transfer-1', state: 'signed' }];
+
+      const found = await provider.findTransactionByExternalTxId('REQ001_refill', orphanedRefill);
+
+      expect(found).toEqual({ externalTxId: 'REQ001_refill', transaction: { id: 'transfer-1', state: 'signed' } });
+    });
+
+    it('should find the pending approval of a send awaiting approval', async () => {
+      standIn.routes['GET /api/v2/pendingapprovals?walletId=wallet-cold'] = () => [200, {
+        pendingApprovals: [
+          { id: 'approval-0', state: 'pending', info: { transactionRequest: { buildParams: { sequenceId: 'OTHER_refill' } } } },
+          { id: 'approval-1', state: 'pending', info: { transactionRequest: { buildParams: { sequenceId: 'REQ001_refill' } } } }
+        ]
+      }];
+
+      const found = await provider.findTransactionByExternalTxId('REQ001_refill', orphanedRefill);
+
+      expect(found.transaction.id).toBe('approval-1');
+    });
+
+    it('should return null when BitGo has no send for the sequenceId', async () => {
+      standIn.routes['GET /api/v2/pendingapprovals?walletId=wallet-cold'] = () => [200, { pendingApprovals: [] }];
+
+      await expect(provider.findTransactionByExternalTxId('REQ001_refill', orphanedRefill)).resolves.toBeNull();
+    });
+  });
+
+  describe('cancelTransaction', () => {
+    it('should reject a pending approval', async () => {
+      standIn.routes['PUT /api/v2/pendingapprovals/approval-1'] = (request) => [200, { id: 'approval-1', state: request.body.state }];
+
+      const result = await provider.cancelTransaction('approval-1');
+
+      expect(result).toEqual({ cancelled: true, supported: true, message: 'BitGo pending approval rejected' });
+    });
+
+    it('should not cancel transfers that are not awaiting approval', async () => {
+      const result = await provider.cancelTransaction('transfer-1');
+
+      expect(result).toEqual({ cancelled: false, supported: true, message: 'Only BitGo transfers awaiting approval can be cancelled' });
+    });
+  });
+});
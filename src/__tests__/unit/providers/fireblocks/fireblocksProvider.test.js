@@ -22,12 +22,17 @@ describe('FireblocksProvider', () => {
     mockWalletFactory = {
       init: jest.fn().mockResolvedValue(true),
       getTokenBalance: jest.fn(),
+      getInternalWalletBalance: jest.fn(),
+      getTokenBalanceBreakdown: jest.fn(),
+      getInternalWalletBalanceBreakdown: jest.fn(),
       fireblocks: mockFireblocksSDK
     };
 
     mockTransaction = {
       createTransaction: jest.fn(),
-      getTransactionById: jest.fn()
+      getTransactionById: jest.fn(),
+      getTransactionByExternalTxId: jest.fn(),
+      cancelTransactionById: jest.fn()
     };
 
     WalletFactory.mockImplementation(() => mockWalletFactory);
@@ -46,6 +51,140 @@ describe('FireblocksProvider', () => {
     });
   });
 
+  describe('static provider hooks', () => {
+    it('should default the API URL', () => {
+      expect(FireblocksProvider.getProviderConfig({ apiBaseUrl: 'https://custom.fireblocks.io' })).toEqual({ apiBaseUrl: 'https://custom.fireblocks.io' });
+      expect(FireblocksProvider.getProviderConfig({})).toEqual({ apiBaseUrl: 'https://api.fireblocks.io' });
+      expect(FireblocksProvider.getProviderConfig(null)).toEqual({ apiBaseUrl: 'https://api.fireblocks.io' });
+    });
+
+    it('should require the Fireblocks credentials', () => {
+      expect(FireblocksProvider.isConfigured({ apiBaseUrl: 'url' }, { apiKey: 'key', privateKey: 'pk' })).toBe(true);
+      expect(FireblocksProvider.isConfigured({ apiBaseUrl: 'url' }, { apiKey: 'key' })).toBe(false);
+    });
+
+    it('should validate the Fireblocks wallet config', () => {
+      const valid = FireblocksProvider.validateWalletConfig({ provider: 'fireblocks', fireblocks: { vaultId: '1', assetId: 'BTC' } });
+      expect(valid.data.walletConfig).toEqual({ fireblocks: { vaultId: '1', assetId: 'BTC' } });
+
+      const invalid = FireblocksProvider.validateWalletConfig({ fireblocks: { vaultId: '1' } });
+      expect(invalid.code).toBe('INVALID_FIREBLOCKS_COLD_WALLET_CONFIGURATION');
+    });
+
+    it('should validate the Fireblocks fee policy', () => {
+      const valid = FireblocksProvider.validateWalletConfig({
+        fireblocks: { vaultId: '1', assetId: 'ETH', feeLevel: 'LOW', maxFee: '0.01', priorityFee: '2' }
+      });
+      expect(valid.success).toBe(true);
+
+      const invalidLevel = FireblocksProvider.validateWalletConfig({ fireblocks: { vaultId: '1', assetId: 'ETH', feeLevel: 'FAST' } });
+      expect(invalidLevel.code).toBe('INVALID_FIREBLOCKS_COLD_WALLET_CONFIGURATION');
+      expect(invalidLevel.error).toContain('feeLevel must be one of LOW, MEDIUM, HIGH');
+
+      const invalidFee = FireblocksProvider.validateWalletConfig({ fireblocks: { vaultId: '1', assetId: 'ETH', gasPrice: 'cheap' } });
+      expect(invalidFee.error).toContain('gasPrice must be a positive number');
+    });
+
+    it('should build the fee parameters from the fee policy and urgency', () => {
+      expect(FireblocksProvider.getFeeParams(undefined)).toEqual({ feeLevel: 'MEDIUM' });
+      expect(FireblocksProvider.getFeeParams({ feeLevel: 'LOW' })).toEqual({ feeLevel: 'LOW' });
+      expect(FireblocksProvider.getFeeParams({ feeLevel: 'LOW', maxFee: 0.01, gasPrice: '30', priorityFee: '2' })).toEqual({
+        feeLevel: 'LOW',
+        maxFee: '0.01',
+        gasPrice: '30',
+        priorityFee: '2'
+      });
+    });
+
+    it('should upgrade urgent refills to the HIGH fee level and keep the fee cap', () => {
+      expect(FireblocksProvider.getFeeParams({ feeLevel: 'LOW' }, 'HIGH')).toEqual({ feeLevel: 'HIGH' });
+      expect(FireblocksProvider.getFeeParams({ maxFee: '0.01', gasPrice: '30', priorityFee: '2' }, 'HIGH')).toEqual({
+        feeLevel: 'HIGH',
+        maxFee: '0.01'
+      });
+      expect(FireblocksProvider.getFeeParams({ feeLevel: 'LOW' }, 'NORMAL')).toEqual({ feeLevel: 'LOW' });
+    });
+
+    it('should resolve cold and hot vault IDs', () => {
+      expect(FireblocksProvider.getColdWalletId({ fireblocks: { vaultId: '0' } })).toBe('0');
+      expect(FireblocksProvider.getHotWalletId({ fireblocks: { vaultId: '1' } }, { address: '0xhot' })).toBe('1');
+    });
+
+    it('should validate whitelisted wallet and one-time address destinations', () => {
+      const external = FireblocksProvider.validateHotWalletConfig({ fireblocks: { destinationType: 'EXTERNAL_WALLET', walletId: 'wl-1', assetId: 'ETH' } });
+      expect(external.data.walletConfig).toEqual({ fireblocks: { destinationType: 'EXTERNAL_WALLET', walletId: 'wl-1', assetId: 'ETH' } });
+
+      const oneTime = FireblocksProvider.validateHotWalletConfig({ fireblocks: { destinationType: 'ONE_TIME_ADDRESS', assetId: 'XRP', tag: '12345' } });
+      expect(oneTime.data.walletConfig).toEqual({ fireblocks: { destinationType: 'ONE_TIME_ADDRESS', address: null, tag: '12345', assetId: 'XRP' } });
+
+      const vault = FireblocksProvider.validateHotWalletConfig({ fireblocks: { vaultId: '1', assetId: 'ETH' } });
+      expect(vault.data.walletConfig).toEqual({ fireblocks: { vaultId: '1', assetId: 'ETH' } });
+
+      const missingWalletId = FireblocksProvider.validateHotWalletConfig({ fireblocks: { destinationType: 'INTERNAL_WALLET', assetId: 'ETH' } });
+      expect(missingWalletId.code).toBe('INVALID_FIREBLOCKS_HOT_WALLET_CONFIGURATION');
+
+      const missingVaultId = FireblocksProvider.validateHotWalletConfig({ fireblocks: { assetId: 'ETH' } });
+      expect(missingVaultId.code).toBe('INVALID_FIREBLOCKS_HOT_WALLET_CONFIGURATION');
+
+      const unknownType = FireblocksProvider.validateHotWalletConfig({ fireblocks: { destinationType: 'EXCHANGE_ACCOUNT', assetId: 'ETH' } });
+      expect(unknownType.error).toContain('destinationType must be one of VAULT_ACCOUNT, EXTERNAL_WALLET, INTERNAL_WALLET, ONE_TIME_ADDRESS');
+    });
+
+    it('should require a vault account in the cold wallet config', () => {
+      const oneTime = FireblocksProvider.validateWalletConfig({ fireblocks: { destinationType: 'ONE_TIME_ADDRESS', assetId: 'XRP' } });
+      expect(oneTime.code).toBe('INVALID_FIREBLOCKS_COLD_WALLET_CONFIGURATION');
+
+      const whitelisted = FireblocksProvider.validateWalletConfig({ fireblocks: { destinationType: 'EXTERNAL_WALLET', walletId: 'wl-1', vaultId: '0', assetId: 'ETH' } });
+      expect(whitelisted.code).toBe('INVALID_FIREBLOCKS_COLD_WALLET_CONFIGURATION');
+      expect(whitelisted.error).toContain('destinationType only applies to the hot wallet config');
+
+      const vault = FireblocksProvider.validateWalletConfig({ fireblocks: { destinationType: 'VAULT_ACCOUNT', vaultId: '0', assetId: 'ETH' } });
+      expect(vault.data.walletConfig).toEqual({ fireblocks: { vaultId: '0', assetId: 'ETH' } });
+    });
+
+    it('should resolve whitelisted wallet and one-time address destination IDs', () => {
+      expect(FireblocksProvider.getHotWalletId({ fireblocks: { destinationType: 'EXTERNAL_WALLET', walletId: 'wl-1' } }, { address: '0xhot' })).toBe('wl-1');
+      expect(FireblocksProvider.getHotWalletId({ fireblocks: { destinationType: 'ONE_TIME_ADDRESS' } }, { address: '0xhot' })).toBe('0xhot');
+      expect(FireblocksProvider.getHotWalletId({ fireblocks: { destinationType: 'ONE_TIME_ADDRESS', address: 'rDest' } }, { address: '0xhot' })).toBe('rDest');
+    });
+
+    it('should build the transfer destination', () => {
+      expect(FireblocksProvider.getDestination(undefined, '1')).toEqual({ type: 'VAULT_ACCOUNT', id: '1' });
+      expect(FireblocksProvider.getDestination({ fireblocks: { destinationType: 'INTERNAL_WALLET', walletId: 'iw-1' } }, 'iw-1')).toEqual({
+        type: 'INTERNAL_WALLET',
+        id: 'iw-1'
+      });
+      expect(FireblocksProvider.getDestination({ fireblocks: { destinationType: 'ONE_TIME_ADDRESS', tag: 12345 } }, 'rDest')).toEqual({
+        type: 'ONE_TIME_ADDRESS',
+        oneTimeAddress: { address: 'rDest', tag: '12345' }
+      });
+    });
+
+    it('should extract the transaction details', () => {
+      const response = { id: 'fb-1', txHash: '0xabc', status: 'CONFIRMING', note: 'refill' };
+
+      expect(FireblocksProvider.extractTransactionDetails(response)).toEqual({
+        providerTxId: 'fb-1',
+        txHash: '0xabc',
+        status: 'CONFIRMING',
+        message: 'refill',
+        providerData: response
+      });
+    });
+  });
+
+  describe('fetchTransactionStatus', () => {
+    it('should look the transaction up by its Fireblocks ID', async () => {
+      provider.transaction = mockTransaction;
+      mockTransaction.getTransactionById.mockResolvedValue({ id: 'fb-1', status: 'COMPLETED' });
+
+      const result = await provider.fetchTransactionStatus({ refillRequestId: 'REQ001', providerTxId: 'fb-1' });
+
+      expect(result.status).toBe('COMPLETED');
+      expect(mockTransaction.getTransactionById).toHaveBeenCalledWith('fb-1');
+    });
+  });
+
   describe('init', () => {
     it('should initialize wallet factory and transaction handler', async () => {
       const result = await provider.init();
@@ -125,6 +264,118 @@ describe('FireblocksProvider', () => {
     });
   });
 
+  describe('cancelTransaction', () => {
+    beforeEach(async () => {
+      await provider.init();
+    });
+
+    it('should report an accepted cancellation', async () => {
+      mockTransaction.cancelTransactionById.mockResolvedValue({ success: true });
+
+      const result = await provider.cancelTransaction('fb-123');
+
+      expect(mockTransaction.cancelTransactionById).toHaveBeenCalledWith('fb-123');
+      expect(result).toEqual(expect.objectContaining({ cancelled: true, supported: true }));
+    });
+
+    it('should report a cancellation that Fireblocks did not accept', async () => {
+      mockTransaction.cancelTransactionById.mockResolvedValue({ success: false });
+
+      const result = await provider.cancelTransaction('fb-123');
+
+      expect(result).toEqual(expect.objectContaining({ cancelled: false, supported: true }));
+    });
+
+    it('should throw error when the API call fails', async () => {
+      mockTransaction.cancelTransactionById.mockRejectedValue(new Error('Transaction already signed'));
+
+      await expect(provider.cancelTransaction('fb-123')).rejects.toThrow('Transaction already signed');
+    });
+  });
+
+  describe('findTransactionByExternalTxId', () => {
+    beforeEach(async () => {
+      await provider.init();
+    });
+
+    const refill = {
+      refillRequestId: 'REQ001',
+      tokenSymbol: 'USDC',
+      Asset: { sweepWalletConfig: { provider: 'fireblocks', fireblocks: { vaultId: '0', assetId: 'USDC_ETH' } } }
+    };
+
+    it('should look the transaction up with the asset ID suffix', async () => {
+      mockTransaction.getTransactionByExternalTxId.mockResolvedValue({ id: 'fb-1', status: 'BROADCASTING' });
+
+      const found = await provider.findTransactionByExternalTxId('REQ001_refill', refill);
+
+      expect(mockTransaction.getTransactionByExternalTxId).toHaveBeenCalledWith('REQ001_refill_USDC_ETH');
+      expect(found).toEqual({ externalTxId: 'REQ001_refill_USDC_ETH', transaction: { id: 'fb-1', status: 'BROADCASTING' } });
+    });
+
+    it('should fall back to the token symbol without a Fireblocks asset ID', async () => {
+      mockTransaction.getTransactionByExternalTxId.mockResolvedValue({ id: 'fb-1', status: 'SUBMITTED' });
+
+      await provider.findTransactionByExternalTxId('REQ001_refill_2', { ...refill, Asset: null });
+
+      expect(mockTransaction.getTransactionByExternalTxId).toHaveBeenCalledWith('REQ001_refill_2_USDC');
+    });
+
+    it('should return null when Fireblocks has no such transaction', async () => {
+      const notFound = new Error('Request failed with status code 404');
+      notFound.response = { status: 404 };
+      mockTransaction.getTransactionByExternalTxId.mockRejectedValue(notFound);
+
+      await expect(provider.findTransactionByExternalTxId('REQ001_refill', refill)).resolves.toBeNull();
+    });
+
+    it('should throw other API errors', async () => {
+      mockTransaction.getTransactionByExternalTxId.mockRejectedValue(new Error('Timeout'));
+
+      await expect(provider.findTransactionByExternalTxId('REQ001_refill', refill)).rejects.toThrow('Timeout');
+    });
+  });
+
+  describe('getTokenBalanceBreakdown', () => {
+    beforeEach(async () => {
+      await provider.init();
+    });
+
+    it('should return the vault balance components in atomic units', async () => {
+      mockWalletFactory.getTokenBalanceBreakdown.mockResolvedValue({ available: '1.5', pending: '0.25', locked: '0.1' });
+
+      const result = await provider.getTokenBalanceBreakdown({
+        symbol: 'BTC',
+        decimalPlaces: 8,
+        walletConfig: { fireblocks: { vaultId: 'vault1', assetId: 'BTC' } }
+      });
+
+      expect(mockWalletFactory.getTokenBalanceBreakdown).toHaveBeenCalledWith('vault1', 'BTC');
+      expect(result).toEqual({ available: '150000000', pending: '25000000', locked: '10000000' });
+    });
+
+    it('should read internal wallet balance components', async () => {
+      mockWalletFactory.getInternalWalletBalanceBreakdown.mockResolvedValue({ available: '2', pending: '0', locked: '0' });
+
+      const result = await provider.getTokenBalanceBreakdown({
+        symbol: 'USDC',
+        decimalPlaces: 6,
+        walletConfig: { fireblocks: { destinationType: 'INTERNAL_WALLET', walletId: 'wallet-1', assetId: 'USDC' } }
+      });
+
+      expect(mockWalletFactory.getInternalWalletBalanceBreakdown).toHaveBeenCalledWith('wallet-1', 'USDC');
+      expect(result).toEqual({ available: '2000000', pending: '0', locked: '0' });
+    });
+
+    it('should throw for one-time address destinations', async () => {
+      await expect(provider.getTokenBalanceBreakdown({
+        symbol: 'USDC',
+        decimalPlaces: 6,
+        walletConfig: { fireblocks: { destinationType: 'ONE_TIME_ADDRESS', address: '0xabc', assetId: 'USDC' } }
+      })).rejects.toThrow('Fireblocks cannot read the balance of ONE_TIME_ADDRESS destinations');
+    });
+  });
+
   describe('getTokenBalance', () => {
     beforeEach(async () => {
       await provider.init();
@@ -182,6 +433,32 @@ describe('FireblocksProvider', () => {
       expect(result).toBe('1000000000000'); // 1M * 10^6
     });
 
+    it('should read the balance of an internal wallet destination', async () => {
+      mockWalletFactory.getInternalWalletBalance.mockResolvedValue('2.5');
+
+      const result = await provider.getTokenBalance({
+        symbol: 'ETH',
+        decimalPlaces: 18,
+        walletConfig: {
+          fireblocks: { destinationType: 'INTERNAL_WALLET', walletId: 'iw-1', assetId: 'ETH' }
+        }
+      });
+
+      expect(mockWalletFactory.getInternalWalletBalance).toHaveBeenCalledWith('iw-1', 'ETH');
+      expect(result).toBe('2500000000000000000');
+    });
+
+    it('should not read balances of external wallets', async () => {
+      await expect(provider.getTokenBalance({
+        symbol: 'ETH',
+        decimalPlaces: 18,
+        walletConfig: {
+          fireblocks: { destinationType: 'EXTERNAL_WALLET', walletId: 'wl-1', assetId: 'ETH' }
+        }
+      })).rejects.toThrow('Fireblocks cannot read the balance of EXTERNAL_WALLET destinations');
+      expect(mockWalletFactory.getTokenBalance).not.toHaveBeenCalled();
+    });
+
     it('should throw error on API failure', async () => {
       const token = {
         symbol: 'BTC',
@@ -231,6 +508,101 @@ describe('FireblocksProvider', () => {
       expect(result.message).toContain('Transfer request submitted to Fireblocks');
     });
 
+    it('should send and return the fee parameters of the asset fee policy', async () => {
+      const transferData = {
+        coldWalletId: 'vault0',
+        hotWalletId: 'vault1',
+        amount: '2',
+        asset: 'ETH',
+        blockchain: 'Ethereum',
+        externalTxId: 'refill-fee',
+        coldWalletConfig: { fireblocks: { vaultId: 'vault0', assetId: 'ETH', feeLevel: 'LOW', maxFee: '0.005' } },
+        urgency: 'HIGH'
+      };
+
+      mockTransaction.createTransaction.mockResolvedValue({ id: 'fb-tx-fee', status: 'SUBMITTED' });
+
+      const result = await provider.createTransferRequest(transferData);
+
+      expect(mockTransaction.createTransaction).toHaveBeenCalledWith(expect.objectContaining({
+        feeLevel: 'HIGH',
+        maxFee: '0.005'
+      }));
+      expect(result.feeParams).toEqual({ feeLevel: 'HIGH', maxFee: '0.005', urgency: 'HIGH' });
+    });
+
+    it('should default to the MEDIUM fee level without a fee policy', async () => {
+      mockTransaction.createTransaction.mockResolvedValue({ id: 'fb-tx', status: 'SUBMITTED' });
+
+      const result = await provider.createTransferRequest({
+        coldWalletId: 'vault0',
+        hotWalletId: 'vault1',
+        amount: '1.0',
+        asset: 'BTC',
+        blockchain: 'Bitcoin',
+        externalTxId: 'refill-default-fee',
+        coldWalletConfig: { fireblocks: { assetId: 'BTC' } }
+      });
+
+      const transactionData = mockTransaction.createTransaction.mock.calls[0][0];
+      expect(transactionData.feeLevel).toBe('MEDIUM');
+      expect(transactionData).not.toHaveProperty('maxFee');
+      expect(result.feeParams).toEqual({ feeLevel: 'MEDIUM', urgency: 'NORMAL' });
+    });
+
+    it('should send refills to a whitelisted external wallet', async () => {
+      mockTransaction.createTransaction.mockResolvedValue({ id: 'fb-tx', status: 'SUBMITTED' });
+
+      await provider.createTransferRequest({
+        coldWalletId: 'vault0',
+        hotWalletId: 'wl-1',
+        amount: '1.0',
+        asset: 'ETH',
+        blockchain: 'Ethereum',
+        externalTxId: 'refill-external',
+        coldWalletConfig: { fireblocks: { vaultId: 'vault0', assetId: 'ETH' } },
+        hotWalletConfig: { provider: 'liminal', liminal: { walletId: 7 }, fireblocks: { destinationType: 'EXTERNAL_WALLET', walletId: 'wl-1', assetId: 'ETH' } }
+      });
+
+      expect(mockTransaction.createTransaction).toHaveBeenCalledWith(expect.objectContaining({
+        source: { type: 'VAULT_ACCOUNT', id: 'vault0' },
+        destination: { type: 'EXTERNAL_WALLET', id: 'wl-1' }
+      }));
+    });
+
+    it('should send refills to a one-time address with its tag', async () => {
+      mockTransaction.createTransaction.mockResolvedValue({ id: 'fb-tx', status: 'SUBMITTED' });
+
+      await provider.createTransferRequest({
+        coldWalletId: 'vault0',
+        hotWalletId: 'rHotWallet',
+        amount: '100',
+        asset: 'XRP',
+        blockchain: 'XRP',
+        externalTxId: 'refill-ota',
+        coldWalletConfig: { fireblocks: { vaultId: 'vault0', assetId: 'XRP' } },
+        hotWalletConfig: { provider: 'fireblocks', fireblocks: { destinationType: 'ONE_TIME_ADDRESS', assetId: 'XRP', tag: '98765' } }
+      });
+
+      expect(mockTransaction.createTransaction).toHaveBeenCalledWith(expect.objectContaining({
+        destination: { type: 'ONE_TIME_ADDRESS', oneTimeAddress: { address: 'rHotWallet', tag: '98765' } }
+      }));
+    });
+
+    it('should reject an invalid Fireblocks destination', async () => {
+      await expect(provider.createTransferRequest({
+        coldWalletId: 'vault0',
+        hotWalletId: undefined,
+        amount: '1.0',
+        asset: 'ETH',
+        blockchain: 'Ethereum',
+        externalTxId: 'refill-invalid',
+        coldWalletConfig: { fireblocks: { vaultId: 'vault0', assetId: 'ETH' } },
+        hotWalletConfig: { provider: 'fireblocks', fireblocks: { destinationType: 'EXTERNAL_WALLET', assetId: 'ETH' } }
+      })).rejects.toThrow('Invalid Fireblocks destination in hot wallet config');
+      expect(mockTransaction.createTransaction).not.toHaveBeenCalled();
+    });
+
     it('should default assetId to asset symbol when not provided', async () => {
       const transferData = {
         coldWalletId: 'vault0',
@@ -11,7 +11,8 @@ describe('Fireblocks Transaction', () => {
     mockFireblocksSDK = {
       createTransaction: jest.fn(),
       getTransactionById: jest.fn(),
-      getTransactionByExternalTxId: jest.fn()
+      getTransactionByExternalTxId: jest.fn(),
+      cancelTransactionById: jest.fn()
     };
     
     transaction = new Transaction(mockFireblocksSDK);
@@ -51,6 +52,30 @@ describe('Fireblocks Transaction', () => {
       expect(result).toEqual(mockResponse);
     });
 
+    it('should pass explicit fee parameters', async () => {
+      mockFireblocksSDK.createTransaction.mockResolvedValue({ id: '123' });
+
+      await transaction.createTransaction({
+        externalTxId: 'ext-fee',
+        assetId: 'ETH',
+        amount: '0.1',
+        source: { type: 'VAULT_ACCOUNT', id: '0' },
+        destination: { type: 'VAULT_ACCOUNT', id: '1' },
+        note: 'Test',
+        feeLevel: FeeLevel.LOW,
+        maxFee: '0.01',
+        gasPrice: '30',
+        priorityFee: '2'
+      });
+
+      expect(mockFireblocksSDK.createTransaction).toHaveBeenCalledWith(expect.objectContaining({
+        feeLevel: FeeLevel.LOW,
+        maxFee: '0.01',
+        gasPrice: '30',
+        priorityFee: '2'
+      }));
+    });
+
     it('should use MEDIUM fee level as default', async () => {
       const transactionData = {
         externalTxId: 'ext-123',
@@ -170,5 +195,26 @@ describe('Fireblocks Transaction', () => {
       ).rejects.toThrow('External transaction ID not found');
     });
   });
+
+  describe('cancelTransactionById', () => {
+    it('should cancel transaction by ID', async () => {
+      mockFireblocksSDK.cancelTransactionById.mockResolvedValue({ success: true });
+
+      const result = await transaction.cancelTransactionById('fb-tx-789');
+
+      expect(mockFireblocksSDK.cancelTransactionById).toHaveBeenCalledWith('fb-tx-789');
+      expect(result).toEqual({ success: true });
+    });
+
+    it('should throw error when cancellation fails', async () => {
+      mockFireblocksSDK.cancelTransactionById.mockRejectedValue(
+        new Error('Transaction cannot be cancelled')
+      );
+
+      await expect(
+        transaction.cancelTransactionById('fb-tx-789')
+      ).rejects.toThrow('Transaction cannot be cancelled');
+    });
+  });
 });
 
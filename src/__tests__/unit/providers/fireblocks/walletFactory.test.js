@@ -11,7 +11,8 @@ describe('Fireblocks WalletFactory', () => {
   beforeEach(() => {
     mockFireblocksSDK = {
       getVaultAccountAsset: jest.fn(),
-      getVaultAccounts: jest.fn()
+      getVaultAccounts: jest.fn(),
+      getInternalWalletAsset: jest.fn()
     };
     
     FireblocksSDK.mockImplementation(() => mockFireblocksSDK);
@@ -57,6 +58,45 @@ describe('Fireblocks WalletFactory', () => {
     });
   });
 
+  describe('getTokenBalanceBreakdown', () => {
+    beforeEach(async () => {
+      await walletFactory.init('pk', 'ak', 'url');
+    });
+
+    it('should return available, pending and locked vault balances', async () => {
+      mockFireblocksSDK.getVaultAccountAsset.mockResolvedValue({
+        id: 'BTC',
+        total: '3.5',
+        available: '2.0',
+        pending: '0.5',
+        frozen: '0.25',
+        lockedAmount: '0.75'
+      });
+
+      const breakdown = await walletFactory.getTokenBalanceBreakdown('vault1', 'BTC');
+
+      expect(breakdown).toEqual({ available: '2.0', pending: '0.5', locked: '1' });
+      expect(mockFireblocksSDK.getVaultAccountAsset).toHaveBeenCalledWith('vault1', 'BTC');
+    });
+
+    it('should default missing components to zero', async () => {
+      mockFireblocksSDK.getVaultAccountAsset.mockResolvedValue({ available: '1.0' });
+
+      const breakdown = await walletFactory.getTokenBalanceBreakdown('vault1', 'BTC');
+
+      expect(breakdown).toEqual({ available: '1.0', pending: '0', locked: '0' });
+    });
+
+    it('should return the internal wallet balance and locked amount', async () => {
+      mockFireblocksSDK.getInternalWalletAsset.mockResolvedValue({ id: 'ETH', balance: '3.0', lockedAmount: '0.5' });
+
+      const breakdown = await walletFactory.getInternalWalletBalanceBreakdown('wallet-1', 'ETH');
+
+      expect(breakdown).toEqual({ available: '3.0', pending: '0', locked: '0.5' });
+      expect(mockFireblocksSDK.getInternalWalletAsset).toHaveBeenCalledWith('wallet-1', 'ETH');
+    });
+  });
+
   describe('getTokenBalance', () => {
     beforeEach(async () => {
       await walletFactory.init('pk', 'ak', 'url');
@@ -107,5 +147,24 @@ describe('Fireblocks WalletFactory', () => {
     });
   });
 
-});
+  describe('getInternalWalletBalance', () => {
+    beforeEach(async () => {
+      await walletFactory.init('pk', 'ak', 'url');
+    });
+
+    it('should return the balance of the internal wallet asset', async () => {
+      mockFireblocksSDK.getInternalWalletAsset.mockResolvedValue({
+        id: 'ETH',
+        status: 'APPROVED',
+        address: '0xhot',
+        balance: '1.25'
+      });
+
+      const balance = await walletFactory.getInternalWalletBalance('wallet-1', 'ETH');
 
+      expect(balance).toBe('1.25');
+      expect(mockFireblocksSDK.getInternalWalletAsset).toHaveBeenCalledWith('wallet-1', 'ETH');
+    });
+  });
+
+});
@@ -14,13 +14,17 @@ describe('LiminalProvider', () => {
   beforeEach(() => {
     mockWalletFactory = {
       init: jest.fn().mockResolvedValue(true),
+      reauthenticate: jest.fn().mockResolvedValue(),
       getTokenBalance: jest.fn(),
-      getWallet: jest.fn()
+      getWallet: jest.fn(),
+      isMpcWallet: jest.fn().mockReturnValue(false)
     };
 
     mockTransaction = {
       createTransferRequest: jest.fn(),
-      getTransactionById: jest.fn()
+      signTransferRequest: jest.fn(),
+      getTransactionById: jest.fn(),
+      getTransactionBySequenceId: jest.fn()
     };
 
     WalletFactory.mockImplementation(() => mockWalletFactory);
@@ -43,6 +47,68 @@ describe('LiminalProvider', () => {
     });
   });
 
+  describe('static provider hooks', () => {
+    it('should default the environment to dev', () => {
+      expect(LiminalProvider.getProviderConfig({ env: 'prod' })).toEqual({ env: 'prod' });
+      expect(LiminalProvider.getProviderConfig({})).toEqual({ env: 'dev' });
+      expect(LiminalProvider.getProviderConfig(null)).toEqual({ env: 'dev' });
+    });
+
+    it('should add the TSM credentials to the Liminal secret', () => {
+      const secrets = {
+        liminal: { clientId: 'id', clientSecret: 'secret', AuthAudience: 'aud' },
+        liminalTsmCredentials: { userID: 'tsm-user', url: 'https://tsm.example.com', password: 'pw', publicKey: 'pk' }
+      };
+
+      expect(LiminalProvider.getProviderSecret((key) => secrets[key] || null)).toEqual({
+        ...secrets.liminal,
+        tsmCredentials: secrets.liminalTsmCredentials
+      });
+      expect(LiminalProvider.getProviderSecret((key) => key === 'liminal' ? secrets.liminal : null).tsmCredentials).toBeNull();
+    });
+
+    it('should require the Liminal credentials', () => {
+      expect(LiminalProvider.isConfigured({ env: 'dev' }, { clientId: 'id', clientSecret: 'secret', AuthAudience: 'aud' })).toBe(true);
+      expect(LiminalProvider.isConfigured({ env: 'dev' }, { clientId: 'id' })).toBe(false);
+      expect(LiminalProvider.isConfigured({ env: 'dev' }, null)).toBe(false);
+    });
+
+    it('should validate the Liminal wallet config', () => {
+      const valid = LiminalProvider.validateWalletConfig({
+        provider: 'liminal',
+        liminal: { walletId: 'w1', tokenSymbol: 'USDT', version: '2', extra: true }
+      });
+      expect(valid.data.walletConfig).toEqual({ liminal: { walletId: 'w1', version: '2', tokenSymbol: 'USDT' } });
+
+      const invalid = LiminalProvider.validateWalletConfig({ liminal: { walletId: 'w1' } });
+      expect(invalid.code).toBe('INVALID_LIMINAL_COLD_WALLET_CONFIGURATION');
+    });
+
+    it('should resolve the cold wallet ID and send to the hot wallet address', () => {
+      expect(LiminalProvider.getColdWalletId({ liminal: { walletId: 'w1' } })).toBe('w1');
+      expect(LiminalProvider.getHotWalletId({}, { address: '0xhot' })).toBe('0xhot');
+    });
+
+    it('should map Liminal statuses', () => {
+      expect(LiminalProvider.mapStatus('2')).toBe('PROCESSING');
+      expect(LiminalProvider.mapStatus('4')).toBe('COMPLETED');
+      expect(LiminalProvider.mapStatus('5')).toBe('FAILED');
+      expect(LiminalProvider.mapStatus('99')).toBe('PROCESSING');
+    });
+
+    it('should extract the transaction details', () => {
+      const response = { identifier: '0xtx', status: '4', comment: 'done' };
+
+      expect(LiminalProvider.extractTransactionDetails(response)).toEqual({
+        providerTxId: '0xtx',
+        txHash: '0xtx',
+        status: '4',
+        message: 'done',
+        providerData: response
+      });
+    });
+  });
+
   describe('init', () => {
     it('should initialize wallet factory and transaction handler', async () => {
       const result = await provider.init();
@@ -51,11 +117,20 @@ describe('LiminalProvider', () => {
         clientId: 'test-client-id',
         clientSecret: 'test-client-secret',
         AuthAudience: 'test-audience'
-      });
+      }, null);
       expect(Transaction).toHaveBeenCalledWith(mockWalletFactory);
       expect(result.success).toBe(true);
     });
 
+    it('should pass the TSM credentials to the wallet factory', async () => {
+      const tsmCredentials = { userID: 'tsm-user', url: 'https://tsm.example.com', password: 'pw', publicKey: 'pk' };
+      provider.secret.tsmCredentials = tsmCredentials;
+
+      await provider.init();
+
+      expect(mockWalletFactory.init).toHaveBeenCalledWith(expect.objectContaining({ clientId: 'test-client-id' }), tsmCredentials);
+    });
+
     it('should throw error when clientId missing', async () => {
       provider.secret.clientId = null;
 
@@ -87,6 +162,49 @@ describe('LiminalProvider', () => {
     });
   });
 
+  describe('withReauthentication', () => {
+    beforeEach(async () => {
+      await provider.init();
+    });
+
+    it('should re-authenticate and retry once when the session was rejected', async () => {
+      const token = { symbol: 'BTC', walletConfig: { liminal: { walletId: 'wallet-123' } } };
+      const authError = new Error('Request failed with status code 401');
+      authError.response = { status: 401 };
+      mockWalletFactory.getTokenBalance.mockRejectedValueOnce(authError).mockResolvedValueOnce('150000000');
+
+      const result = await provider.getTokenBalance(token);
+
+      expect(result).toBe('150000000');
+      expect(mockWalletFactory.reauthenticate).toHaveBeenCalledTimes(1);
+      expect(mockWalletFactory.getTokenBalance).toHaveBeenCalledTimes(2);
+    });
+
+    it('should recognize expired token messages', async () => {
+      mockTransaction.createTransferRequest
+        .mockRejectedValueOnce(new Error('jwt expired'))
+        .mockResolvedValueOnce({ id: 'transfer-123' });
+
+      await expect(provider.createTransferRequest({ externalTxId: 'REQ001_refill' })).resolves.toEqual({ id: 'transfer-123' });
+      expect(mockWalletFactory.reauthenticate).toHaveBeenCalledTimes(1);
+    });
+
+    it('should not re-authenticate on other errors', async () => {
+      mockWalletFactory.getTokenBalance.mockRejectedValue(new Error('Wallet not found'));
+
+      await expect(provider.getTokenBalance({ symbol: 'BTC' })).rejects.toThrow('Wallet not found');
+      expect(mockWalletFactory.reauthenticate).not.toHaveBeenCalled();
+    });
+
+    it('should fail if the call is still rejected after re-authenticating', async () => {
+      mockWalletFactory.getTokenBalance.mockRejectedValue(new Error('Unauthorized'));
+
+      await expect(provider.getTokenBalance({ symbol: 'BTC' })).rejects.toThrow('Unauthorized');
+      expect(mockWalletFactory.reauthenticate).toHaveBeenCalledTimes(1);
+      expect(mockWalletFactory.getTokenBalance).toHaveBeenCalledTimes(2);
+    });
+  });
+
   describe('getTokenBalance', () => {
     beforeEach(async () => {
       await provider.init();
@@ -212,6 +330,60 @@ describe('LiminalProvider', () => {
         provider.createTransferRequest(transferData)
       ).rejects.toThrow('Transfer failed');
     });
+
+    describe('from MPC wallets', () => {
+      const transferData = {
+        amount: '2.0',
+        asset: 'ETH',
+        blockchain: 'ethereum',
+        externalTxId: 'refill-mpc',
+        coldWalletConfig: { liminal: { walletId: 'wallet-mpc', tokenSymbol: 'ETH', version: '2' } }
+      };
+      const createdRequest = {
+        status: 1,
+        externalTxId: 'refill-mpc_ETH',
+        transactionId: '777',
+        result: { txnReqId: 777 }
+      };
+
+      beforeEach(() => {
+        mockWalletFactory.isMpcWallet.mockReturnValue(true);
+        mockTransaction.createTransferRequest.mockResolvedValue(createdRequest);
+      });
+
+      it('should co-sign the created transfer request', async () => {
+        mockTransaction.signTransferRequest.mockResolvedValue({ status: 2 });
+
+        const result = await provider.createTransferRequest(transferData);
+
+        expect(mockTransaction.signTransferRequest).toHaveBeenCalledWith(transferData, '777');
+        expect(result.status).toBe(2);
+        expect(result.result).toEqual({ txnReqId: 777, signing: { status: 2 } });
+        expect(result.signingError).toBeUndefined();
+      });
+
+      it('should retry only the signing step when the session was rejected while signing', async () => {
+        mockTransaction.signTransferRequest
+          .mockRejectedValueOnce(new Error('jwt expired'))
+          .mockResolvedValueOnce({ status: 2 });
+
+        const result = await provider.createTransferRequest(transferData);
+
+        expect(mockWalletFactory.reauthenticate).toHaveBeenCalledTimes(1);
+        expect(mockTransaction.createTransferRequest).toHaveBeenCalledTimes(1);
+        expect(mockTransaction.signTransferRequest).toHaveBeenCalledTimes(2);
+        expect(result.status).toBe(2);
+      });
+
+      it('should return the created request with the signing error when co-signing fails', async () => {
+        mockTransaction.signTransferRequest.mockRejectedValue(new Error('TSM node unreachable'));
+
+        const result = await provider.createTransferRequest(transferData);
+
+        expect(result).toEqual({ ...createdRequest, signingError: 'TSM node unreachable' });
+        expect(mockTransaction.createTransferRequest).toHaveBeenCalledTimes(1);
+      });
+    });
   });
 
   describe('getTransactionById', () => {
@@ -270,5 +442,79 @@ describe('LiminalProvider', () => {
       ).rejects.toThrow('Transaction not found');
     });
   });
+
+  describe('fetchTransactionStatus', () => {
+    it('should look the transfer up through the asset cold wallet', async () => {
+      provider.transaction = mockTransaction;
+      mockTransaction.getTransactionById.mockResolvedValue({ identifier: '0xtx', status: '2' });
+      const sweepWalletConfig = { provider: 'liminal', liminal: { walletId: 'w1', tokenSymbol: 'USDT', version: '2' } };
+
+      const result = await provider.fetchTransactionStatus({
+        refillRequestId: 'REQ001',
+        providerTxId: 'lim-1',
+        externalTxId: 'REQ001',
+        tokenSymbol: 'USDT',
+        Asset: {
+          symbol: 'USDT',
+          contractAddress: '0xusdt',
+          decimals: 6,
+          sweepWalletConfig,
+          Blockchain: { symbol: 'ETH' }
+        }
+      });
+
+      expect(result.status).toBe('2');
+      expect(mockTransaction.getTransactionById).toHaveBeenCalledWith('lim-1', 'REQ001', {
+        symbol: 'USDT',
+        blockchainSymbol: 'ETH',
+        contractAddress: '0xusdt',
+        decimalPlaces: 6,
+        walletConfig: sweepWalletConfig
+      });
+    });
+
+    it('should throw when the asset is not loaded with the transaction', async () => {
+      await expect(provider.fetchTransactionStatus({ refillRequestId: 'REQ001', providerTxId: 'lim-1' }))
+        .rejects.toThrow('Asset data not available');
+    });
+  });
+
+  describe('findTransactionByExternalTxId', () => {
+    const sweepWalletConfig = { provider: 'liminal', liminal: { walletId: 'w1', tokenSymbol: 'USDT', version: '1' } };
+    const refill = {
+      refillRequestId: 'REQ001',
+      providerTxId: null,
+      tokenSymbol: 'USDT',
+      Asset: { symbol: 'USDT', contractAddress: '0xusdt', decimals: 6, sweepWalletConfig, Blockchain: { symbol: 'ETH' } }
+    };
+
+    it('should look the transaction up by sequenceId with the token symbol suffix', async () => {
+      provider.transaction = mockTransaction;
+      mockTransaction.getTransactionBySequenceId.mockResolvedValue({ identifier: 'lim-1', status: '1' });
+
+      const found = await provider.findTransactionByExternalTxId('REQ001_refill', refill);
+
+      expect(mockTransaction.getTransactionBySequenceId).toHaveBeenCalledWith('REQ001_refill_USDT', expect.objectContaining({
+        symbol: 'USDT',
+        walletConfig: sweepWalletConfig
+      }));
+      expect(found).toEqual({ externalTxId: 'REQ001_refill_USDT', transaction: { identifier: 'lim-1', status: '1' } });
+    });
+
+    it('should return null when Liminal has no such transaction', async () => {
+      provider.transaction = mockTransaction;
+      mockTransaction.getTransactionBySequenceId.mockResolvedValue(null);
+
+      await expect(provider.findTransactionByExternalTxId('REQ001_refill', refill)).resolves.toBeNull();
+    });
+  });
+
+  describe('cancelTransaction', () => {
+    it('should report cancellation as unsupported', async () => {
+      const result = await provider.cancelTransaction('txn-123');
+
+      expect(result).toEqual(expect.objectContaining({ cancelled: false, supported: false }));
+    });
+  });
 });
 
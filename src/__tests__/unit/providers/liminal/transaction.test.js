@@ -13,7 +13,8 @@ describe('Liminal Transaction', () => {
   beforeEach(() => {
     // Mock WalletV2
     mockWalletV2 = {
-      CreateSendManyTransactionRequestAsync: jest.fn()
+      CreateSendManyTransactionRequestAsync: jest.fn(),
+      SignTransactionRequestWithTSMAsync: jest.fn()
     };
 
     // Mock Wallet
@@ -26,7 +27,9 @@ describe('Liminal Transaction', () => {
 
     // Mock WalletFactory
     mockWalletFactory = {
-      getWallet: jest.fn().mockResolvedValue(mockWallet)
+      getWallet: jest.fn().mockResolvedValue(mockWallet),
+      isMpcWallet: jest.fn().mockReturnValue(false),
+      getTsmCredentials: jest.fn()
     };
 
     transaction = new Transaction(mockWalletFactory);
@@ -292,6 +295,129 @@ describe('Liminal Transaction', () => {
     });
   });
 
+  describe('createTransferRequest from MPC wallets', () => {
+    const tsmCredentials = {
+      userID: 'tsm-user',
+      url: 'https://tsm.example.com',
+      password: 'tsm-password',
+      publicKey: 'tsm-public-key'
+    };
+
+    const transferData = {
+      coldWalletId: 'wallet-mpc',
+      hotWalletAddress: '0xhot123',
+      amount: '2',
+      asset: 'ETH',
+      blockchain: 'ethereum',
+      externalTxId: 'refill-mpc',
+      coldWalletConfig: {
+        liminal: {
+          walletId: 'wallet-mpc',
+          tokenSymbol: 'ETH',
+          version: '2'
+        }
+      }
+    };
+
+    beforeEach(() => {
+      mockWalletFactory.isMpcWallet.mockReturnValue(true);
+      mockWalletFactory.getTsmCredentials.mockReturnValue(tsmCredentials);
+      mockWalletV2.CreateSendManyTransactionRequestAsync.mockResolvedValue({
+        isErr: () => false,
+        value: { success: true, data: { txnReqId: 777, sequenceId: 'refill-mpc_ETH', status: 1 } }
+      });
+    });
+
+    it('should create the transfer request without co-signing it', async () => {
+      const result = await transaction.createTransferRequest(transferData);
+
+      expect(mockWalletFactory.isMpcWallet).toHaveBeenCalledWith(transferData.coldWalletConfig);
+      expect(mockWalletV2.SignTransactionRequestWithTSMAsync).not.toHaveBeenCalled();
+      expect(result.transactionId).toBe('777');
+      expect(result.status).toBe(1);
+    });
+
+    it('should not create a transfer request without TSM credentials', async () => {
+      mockWalletFactory.getTsmCredentials.mockImplementation(() => {
+        throw new Error('Liminal TSM credentials (liminalTsmCredentials) are required to sign transfers from MPC wallets');
+      });
+
+      await expect(transaction.createTransferRequest(transferData)).rejects.toThrow('Liminal TSM credentials');
+      expect(mockWalletV2.CreateSendManyTransactionRequestAsync).not.toHaveBeenCalled();
+    });
+
+    it('should not check TSM credentials for multisig wallets', async () => {
+      mockWalletFactory.isMpcWallet.mockReturnValue(false);
+
+      await transaction.createTransferRequest(transferData);
+
+      expect(mockWalletFactory.getTsmCredentials).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('signTransferRequest', () => {
+    const tsmCredentials = {
+      userID: 'tsm-user',
+      url: 'https://tsm.example.com',
+      password: 'tsm-password',
+      publicKey: 'tsm-public-key'
+    };
+
+    const transferData = {
+      asset: 'ETH',
+      blockchain: 'ethereum',
+      coldWalletConfig: {
+        liminal: {
+          walletId: 'wallet-mpc',
+          tokenSymbol: 'ETH',
+          version: '2'
+        }
+      }
+    };
+
+    beforeEach(() => {
+      mockWalletFactory.getTsmCredentials.mockReturnValue(tsmCredentials);
+    });
+
+    it('should co-sign the transfer request with the TSM through the cold wallet', async () => {
+      mockWalletV2.SignTransactionRequestWithTSMAsync.mockResolvedValue({
+        isErr: () => false,
+        value: { success: true, data: { status: 2 } }
+      });
+
+      const result = await transaction.signTransferRequest(transferData, '777');
+
+      expect(mockWalletFactory.getWallet).toHaveBeenCalledWith(expect.objectContaining({
+        symbol: 'ETH',
+        blockchainSymbol: 'ethereum',
+        walletConfig: transferData.coldWalletConfig
+      }));
+      expect(mockWalletV2.SignTransactionRequestWithTSMAsync).toHaveBeenCalledWith({
+        txnReqId: '777',
+        tsmCredentials: tsmCredentials
+      });
+      expect(result).toEqual({ status: 2 });
+    });
+
+    it('should throw when TSM co-signing fails', async () => {
+      mockWalletV2.SignTransactionRequestWithTSMAsync.mockResolvedValue({
+        isErr: () => true,
+        error: { message: 'TSM node unreachable' }
+      });
+
+      await expect(transaction.signTransferRequest(transferData, '777')).rejects.toThrow('TSM node unreachable');
+    });
+
+    it('should throw when the TSM rejects the signing', async () => {
+      mockWalletV2.SignTransactionRequestWithTSMAsync.mockResolvedValue({
+        isErr: () => false,
+        value: { success: false, message: 'Signing session expired' }
+      });
+
+      await expect(transaction.signTransferRequest(transferData, '777')).rejects.toThrow('Signing session expired');
+    });
+  });
+
   describe('getTransactionById', () => {
     it('should get transaction by sequenceId successfully', async () => {
       const token = {
@@ -444,5 +570,46 @@ describe('Liminal Transaction', () => {
       ).rejects.toThrow('error:');
     });
   });
-});
 
+  describe('getTransactionBySequenceId', () => {
+    const token = {
+      symbol: 'USDT',
+      blockchainSymbol: 'ETH',
+      walletConfig: { liminal: { walletId: 'wallet-123' } }
+    };
+
+    it('should return the pending transfer request', async () => {
+      mockWallet.GetPendingTransaction.mockResolvedValue({ success: true, data: { transaction: { identifier: 'lim-1', status: 1 } } });
+
+      const result = await transaction.getTransactionBySequenceId('REQ001_refill_USDT', token);
+
+      expect(mockWallet.GetPendingTransaction).toHaveBeenCalledWith({ sequenceId: 'REQ001_refill_USDT' });
+      expect(mockWallet.GetTransfer).not.toHaveBeenCalled();
+      expect(result).toEqual({ identifier: 'lim-1', status: 1 });
+    });
+
+    it('should fall back to the transfer once the request is no longer pending', async () => {
+      mockWallet.GetPendingTransaction.mockResolvedValue({ success: false, message: 'Pending transaction is not found' });
+      mockWallet.GetTransfer.mockResolvedValue({ success: true, data: { transaction: { identifier: '0xtx', status: 4 } } });
+
+      const result = await transaction.getTransactionBySequenceId('REQ001_refill_USDT', token);
+
+      expect(mockWallet.GetTransfer).toHaveBeenCalledWith({ sequenceId: 'REQ001_refill_USDT' });
+      expect(result).toEqual({ identifier: '0xtx', status: 4 });
+    });
+
+    it('should return null when Liminal has no transaction with the sequenceId', async () => {
+      mockWallet.GetPendingTransaction.mockResolvedValue({ success: false, message: 'Pending transaction is not found' });
+      mockWallet.GetTransfer.mockResolvedValue({ success: false, message: 'Transaction not found' });
+
+      await expect(transaction.getTransactionBySequenceId('REQ001_refill_USDT', token)).resolves.toBeNull();
+    });
+
+    it('should throw when the lookup fails for another reason', async () => {
+      mockWallet.GetPendingTransaction.mockResolvedValue({ success: false, message: 'API error occurred' });
+
+      await expect(transaction.getTransactionBySequenceId('REQ001_refill_USDT', token)).rejects.toThrow('error: API error occurred');
+      expect(mockWallet.GetTransfer).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -108,6 +108,14 @@ describe('Liminal WalletFactory', () => {
       expect(result).toBe(true);
     });
 
+    it('should keep the TSM credentials for MPC wallets', async () => {
+      const tsmCredentials = { userID: 'tsm-user', url: 'https://tsm.example.com', password: 'pw', publicKey: 'pk' };
+
+      await walletFactory.init({ clientId: 'id', clientSecret: 'secret', AuthAudience: 'aud' }, tsmCredentials);
+
+      expect(walletFactory.getTsmCredentials()).toBe(tsmCredentials);
+    });
+
     it('should throw error on initialization failure', async () => {
       mockAuthenticate.AuthenticateWithAccessToken.mockRejectedValue(
         new Error('Invalid credentials')
@@ -119,6 +127,51 @@ describe('Liminal WalletFactory', () => {
     });
   });
 
+  describe('reauthenticate', () => {
+    it('should authenticate again with the credentials of init', async () => {
+      const auth = { clientId: 'id', clientSecret: 'secret', AuthAudience: 'aud' };
+      await walletFactory.init(auth);
+      jest.clearAllMocks();
+
+      await walletFactory.reauthenticate();
+
+      expect(mockLiminalJs.Authenticate).toHaveBeenCalledWith(auth);
+      expect(mockAuthenticate.AuthenticateWithAccessToken).toHaveBeenCalledTimes(1);
+    });
+
+    it('should share one authentication request between concurrent calls', async () => {
+      await walletFactory.init({ clientId: 'id', clientSecret: 'secret', AuthAudience: 'aud' });
+      jest.clearAllMocks();
+
+      await Promise.all([walletFactory.reauthenticate(), walletFactory.reauthenticate()]);
+
+      expect(mockAuthenticate.AuthenticateWithAccessToken).toHaveBeenCalledTimes(1);
+    });
+
+    it('should throw if the wallet factory was never initialized', async () => {
+      await expect(walletFactory.reauthenticate()).rejects.toThrow('Liminal wallet factory is not initialized');
+    });
+  });
+
+  describe('isMpcWallet', () => {
+    it('should select the wallet type from the Liminal wallet version', () => {
+      expect(walletFactory.isMpcWallet({ liminal: { walletId: 'w1', version: '2' } })).toBe(true);
+      expect(walletFactory.isMpcWallet({ liminal: { walletId: 'w1', version: 'V2' } })).toBe(true);
+      expect(walletFactory.isMpcWallet({ liminal: { walletId: 'w1', version: 2 } })).toBe(true);
+      expect(walletFactory.isMpcWallet({ liminal: { walletId: 'w1', version: 'v1' } })).toBe(false);
+      expect(walletFactory.isMpcWallet({ liminal: { walletId: 'w1' } })).toBe(false);
+      expect(walletFactory.isMpcWallet(null)).toBe(false);
+    });
+  });
+
+  describe('getTsmCredentials', () => {
+    it('should throw when no TSM credentials are configured', async () => {
+      await walletFactory.init({ clientId: 'id', clientSecret: 'secret', AuthAudience: 'aud' });
+
+      expect(() => walletFactory.getTsmCredentials()).toThrow('Liminal TSM credentials (liminalTsmCredentials) are required to sign transfers from MPC wallets');
+    });
+  });
+
   describe('getWallet', () => {
     beforeEach(async () => {
       await walletFactory.init({
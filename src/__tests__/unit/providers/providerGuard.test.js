@@ -0,0 +1,266 @@
+const { ProviderGuard, ProviderUnavailableError, CIRCUIT_STATES } = require('../../../providers/providerGuard');
+const BitGoWalletFactory = require('../../../providers/bitgo/walletFactory');
+
+jest.mock('../../../middleware/logger');
+
+describe('ProviderGuard', () => {
+  let provider;
+
+  const buildGuard = (overrides = {}) => new ProviderGuard('fireblocks', {
+    requestsPerSecond: 1000,
+    burstSize: 1000,
+    maxQueueWaitInMs: 1000,
+    requestTimeoutInMs: 1000,
+    failureThreshold: 3,
+    openDurationInMs: 60000,
+    ...overrides
+  });
+
+  const httpError = (status, message = 'Service unavailable') => Object.assign(new Error(message), { response: { status } });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    provider = createMockProvider('fireblocks');
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  describe('wrap', () => {
+    it('should pass calls and properties through to the provider', async () => {
+      provider.getTokenBalance.mockResolvedValue('1000');
+      const guarded = buildGuard().wrap(provider);
+
+      await expect(guarded.getTokenBalance({ symbol: 'BTC' })).resolves.toBe('1000');
+      expect(provider.getTokenBalance).toHaveBeenCalledWith({ symbol: 'BTC' });
+      expect(guarded.constructor).toBe(provider.constructor);
+      expect(guarded.config).toBe(provider.config);
+    });
+
+    it('should guard provider calls made from other provider methods only once', async () => {
+      const guard = buildGuard();
+      const executeSpy = jest.spyOn(guard, 'execute');
+      provider.getTransactionById.mockResolvedValue({ id: 'tx-1' });
+      const guarded = guard.wrap(provider);
+
+      await guarded.fetchTransactionStatus({ providerTxId: 'tx-1' });
+
+      expect(executeSpy).toHaveBeenCalledTimes(1);
+      expect(executeSpy).toHaveBeenCalledWith('fetchTransactionStatus', expect.any(Function));
+    });
+  });
+
+  describe('circuit breaker', () => {
+    it('should open after the failure threshold and fail fast with PROVIDER_UNAVAILABLE', async () => {
+      const guard = buildGuard();
+      provider.getTokenBalance.mockRejectedValue(httpError(503));
+      const guarded = guard.wrap(provider);
+
+      for (let i = 0; i < 3; i++) {
+        await expect(guarded.getTokenBalance({})).rejects.toThrow('Service unavailable');
+      }
+
+      const error = await guarded.getTokenBalance({}).catch(e => e);
+
+      expect(error).toBeInstanceOf(ProviderUnavailableError);
+      expect(error.code).toBe('PROVIDER_UNAVAILABLE');
+      expect(error.details).toEqual(expect.objectContaining({ provider: 'fireblocks', reason: 'CIRCUIT_OPEN' }));
+      expect(provider.getTokenBalance).toHaveBeenCalledTimes(3);
+      expect(guard.getState()).toEqual(expect.objectContaining({
+        state: CIRCUIT_STATES.OPEN,
+        consecutiveFailures: 3
+      }));
+      expect(guard.getState()).not.toHaveProperty('lastError');
+    });
+
+    it('should count network errors and 429 responses as failures', async () => {
+      const guard = buildGuard();
+      provider.getTokenBalance
+        .mockRejectedValueOnce(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }))
+        .mockRejectedValueOnce(httpError(429, 'Too many requests'))
+        .mockRejectedValueOnce(Object.assign(new TypeError('fetch failed'), { cause: { code: 'ECONNREFUSED' } }));
+      const guarded = guard.wrap(provider);
+
+      for (let i = 0; i < 3; i++) {
+        await guarded.getTokenBalance({}).catch(() => {});
+      }
+
+      expect(guard.getState().state).toBe(CIRCUIT_STATES.OPEN);
+    });
+
+    it('should count BitGo network errors as failures', async () => {
+      const bitgoWalletFactory = new BitGoWalletFactory();
+      await bitgoWalletFactory.init('test-token', 'http://localhost:3080', 1000);
+      const toBitGoError = bitgoWalletFactory.client.interceptors.response.handlers[0].rejected;
+
+      const guard = buildGuard();
+      provider.getTokenBalance
+        .mockImplementationOnce(() => toBitGoError(Object.assign(new Error('connect ECONNREFUSED'), { code: 'ECONNREFUSED' })))
+        .mockImplementationOnce(() => toBitGoError(Object.assign(new Error('timeout of 1000ms exceeded'), { code: 'ECONNABORTED' })))
+        .mockImplementationOnce(() => toBitGoError(Object.assign(new Error('getaddrinfo ENOTFOUND'), { code: 'ENOTFOUND' })));
+      const guarded = guard.wrap(provider);
+
+      await expect(guarded.getTokenBalance({})).rejects.toThrow('BitGo API error: connect ECONNREFUSED');
+      await guarded.getTokenBalance({}).catch(() => {});
+      await guarded.getTokenBalance({}).catch(() => {});
+
+      expect(guard.getState().state).toBe(CIRCUIT_STATES.OPEN);
+    });
+
+    it('should not count rejected requests and other errors as failures', async () => {
+      const guard = buildGuard({ failureThreshold: 1 });
+      provider.getTokenBalance
+        .mockRejectedValueOnce(httpError(400, 'Invalid asset'))
+        .mockRejectedValueOnce(Object.assign(new Error('Not found'), { status: 404 }))
+        .mockRejectedValueOnce(new Error('Wallet not configured'));
+      const guarded = guard.wrap(provider);
+
+      for (let i = 0; i < 3; i++) {
+        await guarded.getTokenBalance({}).catch(() => {});
+      }
+
+      expect(provider.getTokenBalance).toHaveBeenCalledTimes(3);
+      expect(guard.getState()).toEqual(expect.objectContaining({
+        state: CIRCUIT_STATES.CLOSED,
+        consecutiveFailures: 0
+      }));
+    });
+
+    it('should close when the trial call is rejected by the provider', async () => {
+      const guard = buildGuard({ failureThreshold: 1 });
+      provider.getTokenBalance.mockRejectedValueOnce(httpError(503)).mockRejectedValueOnce(httpError(400, 'Invalid asset'));
+      const guarded = guard.wrap(provider);
+
+      await guarded.getTokenBalance({}).catch(() => {});
+      guard.openedAt = Date.now() - 61000;
+
+      await expect(guarded.getTokenBalance({})).rejects.toThrow('Invalid asset');
+      expect(guard.getState().state).toBe(CIRCUIT_STATES.CLOSED);
+    });
+
+    it('should reset the failure count after a successful call', async () => {
+      const guard = buildGuard();
+      provider.getTokenBalance
+        .mockRejectedValueOnce(httpError(503))
+        .mockRejectedValueOnce(httpError(503))
+        .mockResolvedValue('1000');
+      const guarded = guard.wrap(provider);
+
+      await guarded.getTokenBalance({}).catch(() => {});
+      await guarded.getTokenBalance({}).catch(() => {});
+      await guarded.getTokenBalance({});
+
+      expect(guard.getState().state).toBe(CIRCUIT_STATES.CLOSED);
+      expect(guard.getState().consecutiveFailures).toBe(0);
+    });
+
+    it('should let one trial call through after the open duration and close on success', async () => {
+      const guard = buildGuard({ failureThreshold: 1 });
+      provider.getTokenBalance.mockRejectedValueOnce(httpError(503)).mockResolvedValue('1000');
+      const guarded = guard.wrap(provider);
+
+      await guarded.getTokenBalance({}).catch(() => {});
+      guard.openedAt = Date.now() - 61000;
+
+      await expect(guarded.getTokenBalance({})).resolves.toBe('1000');
+      expect(guard.getState().state).toBe(CIRCUIT_STATES.CLOSED);
+    });
+
+    it('should reject other calls while the trial call is in flight', async () => {
+      const guard = buildGuard({ failureThreshold: 1 });
+      let resolveTrial;
+      provider.getTokenBalance
+        .mockRejectedValueOnce(httpError(503))
+        .mockImplementationOnce(() => new Promise(resolve => { resolveTrial = resolve; }));
+      const guarded = guard.wrap(provider);
+
+      await guarded.getTokenBalance({}).catch(() => {});
+      guard.openedAt = Date.now() - 61000;
+
+      const trial = guarded.getTokenBalance({});
+      const error = await guarded.getTokenBalance({}).catch(e => e);
+      expect(error.details.reason).toBe('CIRCUIT_HALF_OPEN');
+
+      await new Promise(resolve => setImmediate(resolve));
+      resolveTrial('1000');
+      await expect(trial).resolves.toBe('1000');
+      expect(guard.getState().state).toBe(CIRCUIT_STATES.CLOSED);
+    });
+
+    it('should reopen when the trial call fails', async () => {
+      const guard = buildGuard({ failureThreshold: 1 });
+      provider.getTokenBalance.mockRejectedValue(httpError(503));
+      const guarded = guard.wrap(provider);
+
+      await guarded.getTokenBalance({}).catch(() => {});
+      guard.openedAt = Date.now() - 61000;
+      await guarded.getTokenBalance({}).catch(() => {});
+
+      expect(guard.getState().state).toBe(CIRCUIT_STATES.OPEN);
+      expect(guard.getState().retryAt).not.toBeNull();
+      expect(provider.getTokenBalance).toHaveBeenCalledTimes(2);
+    });
+  });
+
+  describe('timeouts', () => {
+    it('should time out slow provider calls and count them as failures', async () => {
+      jest.useFakeTimers();
+      const guard = buildGuard();
+      provider.getTransactionById.mockImplementation(() => new Promise(() => {}));
+      const guarded = guard.wrap(provider);
+
+      const pending = guarded.getTransactionById('tx-1').catch(e => e);
+      await jest.advanceTimersByTimeAsync(1000);
+      const error = await pending;
+
+      expect(error.code).toBe('PROVIDER_UNAVAILABLE');
+      expect(error.details.reason).toBe('TIMEOUT');
+      expect(guard.getState().consecutiveFailures).toBe(1);
+    });
+
+    it('should not time out transfer requests', async () => {
+      jest.useFakeTimers();
+      let resolveTransfer;
+      provider.createTransferRequest.mockImplementation(() => new Promise(resolve => { resolveTransfer = resolve; }));
+      const guarded = buildGuard().wrap(provider);
+
+      const pending = guarded.createTransferRequest({});
+      await jest.advanceTimersByTimeAsync(5000);
+      resolveTransfer({ id: 'tx-1' });
+
+      await expect(pending).resolves.toEqual({ id: 'tx-1' });
+    });
+  });
+
+  describe('rate limit', () => {
+    it('should queue calls once the burst is used up', async () => {
+      jest.useFakeTimers();
+      provider.getTokenBalance.mockResolvedValue('1000');
+      const guarded = buildGuard({ requestsPerSecond: 1, burstSize: 1, maxQueueWaitInMs: 5000 }).wrap(provider);
+
+      await guarded.getTokenBalance({});
+      const queued = guarded.getTokenBalance({});
+      await Promise.resolve();
+      expect(provider.getTokenBalance).toHaveBeenCalledTimes(1);
+
+      await jest.advanceTimersByTimeAsync(1000);
+      await expect(queued).resolves.toBe('1000');
+      expect(provider.getTokenBalance).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject calls that would wait longer than the max queue wait without opening the circuit', async () => {
+      const guard = buildGuard({ requestsPerSecond: 1, burstSize: 1, maxQueueWaitInMs: 500, failureThreshold: 1 });
+      provider.getTokenBalance.mockResolvedValue('1000');
+      const guarded = guard.wrap(provider);
+
+      await guarded.getTokenBalance({});
+      const error = await guarded.getTokenBalance({}).catch(e => e);
+
+      expect(error.code).toBe('PROVIDER_UNAVAILABLE');
+      expect(error.details.reason).toBe('RATE_LIMITED');
+      expect(provider.getTokenBalance).toHaveBeenCalledTimes(1);
+      expect(guard.getState().state).toBe(CIRCUIT_STATES.CLOSED);
+    });
+  });
+});
@@ -0,0 +1,44 @@
+const providerRegistry = require('../../../providers/registry');
+const AbstractProvider = require('../../../providers/abstractProvider');
+const LiminalProvider = require('../../../providers/liminal');
+const FireblocksProvider = require('../../../providers/fireblocks');
+
+jest.mock('../../../middleware/logger');
+
+describe('ProviderRegistry', () => {
+  class CustomProvider extends AbstractProvider {
+    static getProviderName() {
+      return 'custom';
+    }
+  }
+
+  it('should register the built-in providers', () => {
+    expect(providerRegistry.getProviderNames()).toEqual(['liminal', 'fireblocks', 'bitgo', 'simulator']);
+    expect(providerRegistry.get('liminal')).toBe(LiminalProvider);
+    expect(providerRegistry.get('fireblocks')).toBe(FireblocksProvider);
+  });
+
+  it('should look providers up case-insensitively', () => {
+    expect(providerRegistry.get('Fireblocks')).toBe(FireblocksProvider);
+    expect(providerRegistry.has('LIMINAL')).toBe(true);
+  });
+
+  it('should return null for unknown providers', () => {
+    expect(providerRegistry.get('unknown')).toBeNull();
+    expect(providerRegistry.get(undefined)).toBeNull();
+    expect(providerRegistry.has('unknown')).toBe(false);
+  });
+
+  it('should register a provider class under its provider name', () => {
+    const registry = new providerRegistry.constructor();
+
+    registry.register(CustomProvider);
+
+    expect(registry.get('custom')).toBe(CustomProvider);
+    expect(registry.getProviderClasses()).toEqual([CustomProvider]);
+  });
+
+  it('should reject registering the same provider name twice', () => {
+    expect(() => providerRegistry.register(FireblocksProvider)).toThrow('Provider fireblocks is already registered');
+  });
+});
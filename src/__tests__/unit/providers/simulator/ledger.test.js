@@ -0,0 +1,141 @@
+const Ledger = require('../../../../providers/simulator/ledger');
+
+jest.mock('../../../../middleware/logger');
+
+describe('Simulator Ledger', () => {
+  let now;
+  let ledger;
+
+  const options = {
+    balances: {
+      'cold-1': { BTC: '10' },
+      'hot-1': { BTC: '1' }
+    },
+    defaultBalance: '0',
+    statusSequence: ['SUBMITTED', 'BROADCASTING', 'COMPLETED'],
+    stepDelayInMs: 1000,
+    transferFailureRate: 0,
+    transferRequestFailureRate: 0
+  };
+
+  const transfer = (overrides = {}) => ({
+    sourceWalletId: 'cold-1',
+    destinationWalletId: 'hot-1',
+    symbol: 'BTC',
+    amount: '2.5',
+    externalTxId: 'REQ001_refill',
+    ...overrides
+  });
+
+  beforeEach(() => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+    ledger = new Ledger(options, () => 0.5);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('should return configured and default opening balances', () => {
+    expect(ledger.getBalance('cold-1', 'btc').toFixed()).toBe('10');
+    expect(ledger.getBalance('cold-2', 'BTC').toFixed()).toBe('0');
+    expect(new Ledger({ ...options, defaultBalance: '5' }).getBalance('cold-2', 'ETH').toFixed()).toBe('5');
+  });
+
+  it('should debit the source wallet when a transfer is created', () => {
+    const result = ledger.createTransfer(transfer());
+
+    expect(result.status).toBe('SUBMITTED');
+    expect(result.id).toMatch(/^sim_/);
+    expect(result.txHash).toBeNull();
+    expect(ledger.getBalance('cold-1', 'BTC').toFixed()).toBe('7.5');
+    expect(ledger.getBalance('hot-1', 'BTC').toFixed()).toBe('1');
+  });
+
+  it('should walk the transfer through the status sequence and credit the destination once', () => {
+    const { id } = ledger.createTransfer(transfer());
+
+    now += 1000;
+    expect(ledger.getTransfer(id).status).toBe('BROADCASTING');
+    expect(ledger.getBalance('hot-1', 'BTC').toFixed()).toBe('1');
+
+    now += 1000;
+    const completed = ledger.getTransfer(id);
+    expect(completed.status).toBe('COMPLETED');
+    expect(completed.txHash).toMatch(/^0x[0-9a-f]{64}$/);
+    expect(ledger.getBalance('hot-1', 'BTC').toFixed()).toBe('3.5');
+
+    now += 5000;
+    expect(ledger.getTransfer(id).status).toBe('COMPLETED');
+    expect(ledger.getBalance('hot-1', 'BTC').toFixed()).toBe('3.5');
+    expect(ledger.getBalance('cold-1', 'BTC').toFixed()).toBe('7.5');
+  });
+
+  it('should report unsettled transfers to a wallet as pending incoming', () => {
+    const { id } = ledger.createTransfer(transfer());
+    ledger.createTransfer(transfer({ destinationWalletId: 'hot-2', externalTxId: 'REQ002_refill' }));
+
+    expect(ledger.getPendingIncoming('hot-1', 'btc').toFixed()).toBe('2.5');
+    expect(ledger.getPendingIncoming('cold-1', 'BTC').toFixed()).toBe('0');
+
+    ledger.cancelTransfer(id);
+    expect(ledger.getPendingIncoming('hot-1', 'BTC').toFixed()).toBe('0');
+  });
+
+  it('should fail injected transfers and refund the source wallet', () => {
+    ledger = new Ledger({ ...options, transferFailureRate: 0.6 }, () => 0.5);
+    const { id } = ledger.createTransfer(transfer());
+
+    now += 2000;
+    const failed = ledger.getTransfer(id);
+
+    expect(failed.status).toBe('FAILED');
+    expect(failed.note).toBe('Simulated transfer failure');
+    expect(ledger.getBalance('cold-1', 'BTC').toFixed()).toBe('10');
+    expect(ledger.getBalance('hot-1', 'BTC').toFixed()).toBe('1');
+  });
+
+  it('should reject injected transfer request failures', () => {
+    ledger = new Ledger({ ...options, transferRequestFailureRate: 1 }, () => 0.5);
+
+    expect(() => ledger.createTransfer(transfer())).toThrow('Simulated transfer request failure');
+    expect(ledger.getBalance('cold-1', 'BTC').toFixed()).toBe('10');
+  });
+
+  it('should reject transfers above the source balance', () => {
+    expect(() => ledger.createTransfer(transfer({ amount: '10.1' }))).toThrow('Insufficient balance in simulator wallet cold-1');
+  });
+
+  it('should reject invalid amounts', () => {
+    expect(() => ledger.createTransfer(transfer({ amount: '0' }))).toThrow('Invalid transfer amount: 0');
+    expect(() => ledger.createTransfer(transfer({ amount: 'abc' }))).toThrow('Invalid transfer amount: abc');
+  });
+
+  it('should reject reused external transaction IDs', () => {
+    ledger.createTransfer(transfer());
+
+    expect(() => ledger.createTransfer(transfer())).toThrow('Transfer with external transaction ID REQ001_refill already exists');
+  });
+
+  it('should cancel transfers that are not final and refund the source wallet', () => {
+    const { id } = ledger.createTransfer(transfer());
+
+    expect(ledger.cancelTransfer(id)).toBe(true);
+    expect(ledger.getTransfer(id).status).toBe('CANCELLED');
+    expect(ledger.getBalance('cold-1', 'BTC').toFixed()).toBe('10');
+
+    now += 5000;
+    expect(ledger.getTransfer(id).status).toBe('CANCELLED');
+    expect(ledger.getBalance('hot-1', 'BTC').toFixed()).toBe('1');
+  });
+
+  it('should not cancel final or unknown transfers', () => {
+    const { id } = ledger.createTransfer(transfer());
+    now += 2000;
+
+    expect(ledger.cancelTransfer(id)).toBe(false);
+    expect(ledger.cancelTransfer('sim_unknown')).toBe(false);
+    expect(ledger.getTransfer('sim_unknown')).toBeNull();
+  });
+});
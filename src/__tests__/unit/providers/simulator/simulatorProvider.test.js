@@ -0,0 +1,185 @@
+const SimulatorProvider = require('../../../../providers/simulator');
+
+jest.mock('../../../../middleware/logger');
+
+describe('SimulatorProvider', () => {
+  let now;
+  let provider;
+
+  const tokenInfo = (walletId) => ({
+    symbol: 'USDC',
+    blockchainSymbol: 'ETH',
+    contractAddress: '0xusdc',
+    decimalPlaces: 6,
+    walletConfig: { simulator: { walletId } }
+  });
+
+  const transferData = {
+    coldWalletId: 'cold-1',
+    hotWalletId: 'hot-1',
+    amount: '250.5',
+    asset: 'USDC',
+    blockchain: 'ETH',
+    externalTxId: 'REQ001_refill'
+  };
+
+  beforeEach(async () => {
+    now = 1000000;
+    jest.spyOn(Date, 'now').mockImplementation(() => now);
+
+    const config = SimulatorProvider.getProviderConfig({
+      balances: { 'cold-1': { USDC: '1000' } },
+      stepDelayInMs: 1000
+    });
+    provider = new SimulatorProvider(config, {});
+    await provider.init();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('static hooks', () => {
+    it('should have correct provider name', () => {
+      expect(SimulatorProvider.getProviderName()).toBe('simulator');
+    });
+
+    it('should be optional and need no credentials', () => {
+      expect(SimulatorProvider.isConfigured(null, {})).toBe(false);
+      expect(SimulatorProvider.isConfigured({}, {})).toBe(true);
+    });
+
+    it('should apply config defaults', () => {
+      expect(SimulatorProvider.getProviderConfig({})).toEqual({
+        balances: {},
+        defaultBalance: '0',
+        statusSequence: ['SUBMITTED', 'PENDING_SIGNATURE', 'BROADCASTING', 'CONFIRMING', 'COMPLETED'],
+        stepDelayInMs: 5000,
+        transferFailureRate: 0,
+        transferRequestFailureRate: 0
+      });
+      expect(SimulatorProvider.getProviderConfig({ statusSequence: ['COMPLETED'], stepDelayInMs: 0 })).toEqual(expect.objectContaining({
+        statusSequence: ['COMPLETED'],
+        stepDelayInMs: 0
+      }));
+    });
+
+    it('should validate the simulator wallet config', () => {
+      expect(SimulatorProvider.validateWalletConfig({ provider: 'simulator', simulator: { walletId: 'cold-1', extra: true } }).data).toEqual({
+        walletConfig: { simulator: { walletId: 'cold-1' } }
+      });
+      expect(SimulatorProvider.validateWalletConfig({ provider: 'simulator' }).code).toBe('INVALID_SIMULATOR_COLD_WALLET_CONFIGURATION');
+    });
+
+    it('should resolve wallet IDs from the simulator section', () => {
+      expect(SimulatorProvider.getColdWalletId({ simulator: { walletId: 'cold-1' } })).toBe('cold-1');
+      expect(SimulatorProvider.getHotWalletId({ simulator: { walletId: 'hot-1' } }, { address: '0xhot' })).toBe('hot-1');
+    });
+
+    it('should map simulator statuses', () => {
+      expect(SimulatorProvider.mapStatus('BROADCASTING')).toBe('PROCESSING');
+      expect(SimulatorProvider.mapStatus('COMPLETED')).toBe('COMPLETED');
+      expect(SimulatorProvider.mapStatus('FAILED')).toBe('FAILED');
+      expect(SimulatorProvider.mapStatus('CANCELLED')).toBe('FAILED');
+    });
+  });
+
+  describe('getTokenBalance', () => {
+    it('should return the balance in atomic units', async () => {
+      expect(await provider.getTokenBalance(tokenInfo('cold-1'))).toBe('1000000000');
+      expect(await provider.getTokenBalance(tokenInfo('hot-1'))).toBe('0');
+    });
+  });
+
+  describe('getTokenBalanceBreakdown', () => {
+    it('should report transfers on their way to the wallet as pending', async () => {
+      await provider.createTransferRequest(transferData);
+
+      expect(await provider.getTokenBalanceBreakdown(tokenInfo('hot-1'))).toEqual({
+        available: '0',
+        pending: '250500000',
+        locked: '0'
+      });
+
+      now += 4000;
+      expect(await provider.getTokenBalanceBreakdown(tokenInfo('hot-1'))).toEqual({
+        available: '250500000',
+        pending: '0',
+        locked: '0'
+      });
+    });
+  });
+
+  describe('createTransferRequest', () => {
+    it('should create a transfer and debit the cold wallet', async () => {
+      const result = await provider.createTransferRequest(transferData);
+
+      expect(result).toEqual(expect.objectContaining({
+        status: 'SUBMITTED',
+        message: 'Transfer request submitted to simulator',
+        externalTxId: 'REQ001_refill',
+        transactionId: expect.stringMatching(/^sim_/)
+      }));
+      expect(await provider.getTokenBalance(tokenInfo('cold-1'))).toBe('749500000');
+    });
+
+    it('should throw when the cold wallet balance is insufficient', async () => {
+      await expect(provider.createTransferRequest({ ...transferData, amount: '1000.000001' }))
+        .rejects.toThrow('Insufficient balance in simulator wallet cold-1');
+    });
+  });
+
+  describe('getTransactionById', () => {
+    it('should return the transaction with its current status', async () => {
+      const { transactionId } = await provider.createTransferRequest(transferData);
+
+      now += 4000;
+      const transaction = await provider.getTransactionById(transactionId);
+      const details = SimulatorProvider.extractTransactionDetails(transaction);
+
+      expect(details.providerTxId).toBe(transactionId);
+      expect(details.status).toBe('COMPLETED');
+      expect(details.txHash).toMatch(/^0x/);
+      expect(await provider.getTokenBalance(tokenInfo('hot-1'))).toBe('250500000');
+    });
+
+    it('should throw for unknown transactions', async () => {
+      await expect(provider.getTransactionById('sim_unknown')).rejects.toThrow('Simulated transaction sim_unknown not found');
+    });
+  });
+
+  describe('findTransactionByExternalTxId', () => {
+    it('should find the transaction created for the external transaction ID', async () => {
+      const { transactionId } = await provider.createTransferRequest(transferData);
+
+      const found = await provider.findTransactionByExternalTxId('REQ001_refill');
+
+      expect(found.externalTxId).toBe('REQ001_refill');
+      expect(found.transaction.id).toBe(transactionId);
+    });
+
+    it('should return null for unknown external transaction IDs', async () => {
+      await expect(provider.findTransactionByExternalTxId('REQ404_refill')).resolves.toBeNull();
+    });
+  });
+
+  describe('cancelTransaction', () => {
+    it('should cancel an in-flight transaction', async () => {
+      const { transactionId } = await provider.createTransferRequest(transferData);
+
+      const result = await provider.cancelTransaction(transactionId);
+
+      expect(result).toEqual({ cancelled: true, supported: true, message: 'Simulated transaction cancelled' });
+      expect((await provider.getTransactionById(transactionId)).status).toBe('CANCELLED');
+    });
+
+    it('should not cancel a completed transaction', async () => {
+      const { transactionId } = await provider.createTransferRequest(transferData);
+      now += 4000;
+
+      const result = await provider.cancelTransaction(transactionId);
+
+      expect(result.cancelled).toBe(false);
+    });
+  });
+});
@@ -0,0 +1,320 @@
+const adminService = require('../../../service/adminService');
+const databaseService = require('../../../service/chainDb');
+const providerService = require('../../../service/providerService');
+
+jest.mock('../../../service/chainDb');
+jest.mock('../../../service/providerService');
+jest.mock('../../../config', () => ({
+  get: jest.fn(),
+  getSecret: jest.fn((key) => {
+    if (key === 'chainDb') {
+      return {
+        host: 'localhost',
+        port: 5432,
+        user: 'test',
+        password: 'test',
+        name: 'testdb'
+      };
+    }
+    return null;
+  }),
+  getAllConfig: jest.fn()
+}));
+jest.mock('../../../middleware/logger');
+
+describe('AdminService', () => {
+  const assetPayload = {
+    symbol: 'ETH',
+    name: 'Ether',
+    decimals: 18,
+    asset_type: 'native',
+    contract_address: 'native',
+    wallet_id: 2,
+    blockchain_id: 1,
+    refill_trigger_threshold_atomic: '500000000000000000',
+    refill_target_balance_atomic: '1000000000000000000',
+    sweep_wallet_config: { provider: 'fireblocks', fireblocks: { vaultId: '1', assetId: 'ETH' } },
+    hot_wallet_config: { provider: 'fireblocks', fireblocks: { vaultId: '2', assetId: 'ETH' } }
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    databaseService.getBlockchainById.mockResolvedValue(createMockBlockchain({ id: 1 }));
+    databaseService.getWalletById.mockResolvedValue(createMockWallet({ id: 2, blockchainId: 1 }));
+  });
+
+  describe('blockchains', () => {
+    it('should list blockchains', async () => {
+      databaseService.listBlockchains.mockResolvedValue([{ id: 1 }]);
+
+      const result = await adminService.listBlockchains();
+
+      expect(result).toEqual({ success: true, error: null, code: null, data: { blockchains: [{ id: 1 }] } });
+    });
+
+    it('should create a blockchain from snake_case payload', async () => {
+      databaseService.createBlockchain.mockResolvedValue({ id: 3, name: 'Ethereum' });
+
+      const result = await adminService.createBlockchain({
+        name: 'Ethereum',
+        symbol: 'ETH',
+        native_asset_symbol: 'ETH',
+        unknown_field: 'ignored'
+      });
+
+      expect(result.success).toBe(true);
+      expect(databaseService.createBlockchain).toHaveBeenCalledWith({
+        name: 'Ethereum',
+        symbol: 'ETH',
+        nativeAssetSymbol: 'ETH'
+      });
+      expect(result.data.blockchain).toEqual({ id: 3, name: 'Ethereum' });
+    });
+
+    it('should reject blockchain without required fields', async () => {
+      const result = await adminService.createBlockchain({ name: 'Ethereum' });
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('MISSING_FIELDS');
+      expect(result.data.missingFields).toEqual(['symbol']);
+      expect(databaseService.createBlockchain).not.toHaveBeenCalled();
+    });
+
+    it('should return BLOCKCHAIN_ALREADY_EXISTS on unique constraint violation', async () => {
+      const error = new Error('Validation error');
+      error.name = 'SequelizeUniqueConstraintError';
+      databaseService.createBlockchain.mockRejectedValue(error);
+
+      const result = await adminService.createBlockchain({ name: 'Bitcoin', symbol: 'BTC' });
+
+      expect(result.code).toBe('BLOCKCHAIN_ALREADY_EXISTS');
+    });
+
+    it('should update a blockchain and return the updated record', async () => {
+      databaseService.getBlockchainById
+        .mockResolvedValueOnce({ id: 1, isActive: true })
+        .mockResolvedValueOnce({ id: 1, isActive: false });
+
+      const result = await adminService.updateBlockchain('1', { is_active: false });
+
+      expect(databaseService.updateBlockchain).toHaveBeenCalledWith(1, { isActive: false });
+      expect(result.data.blockchain).toEqual({ id: 1, isActive: false });
+    });
+
+    it('should reject update without writable fields', async () => {
+      const result = await adminService.updateBlockchain(1, { id: 5 });
+
+      expect(result.code).toBe('NO_FIELDS_PROVIDED');
+      expect(databaseService.updateBlockchain).not.toHaveBeenCalled();
+    });
+
+    it('should return BLOCKCHAIN_NOT_FOUND when updating a missing blockchain', async () => {
+      databaseService.getBlockchainById.mockResolvedValue(null);
+
+      const result = await adminService.updateBlockchain(99, { name: 'Renamed' });
+
+      expect(result.code).toBe('BLOCKCHAIN_NOT_FOUND');
+    });
+
+    it('should reject invalid IDs', async () => {
+      const result = await adminService.getBlockchain('abc');
+
+      expect(result.code).toBe('INVALID_ID');
+      expect(databaseService.getBlockchainById).not.toHaveBeenCalled();
+    });
+
+    it('should return BLOCKCHAIN_IN_USE when deleting a referenced blockchain', async () => {
+      const error = new Error('violates foreign key constraint');
+      error.name = 'SequelizeForeignKeyConstraintError';
+      databaseService.deleteBlockchain.mockRejectedValue(error);
+
+      const result = await adminService.deleteBlockchain(1);
+
+      expect(result.code).toBe('BLOCKCHAIN_IN_USE');
+    });
+
+    it('should return BLOCKCHAIN_NOT_FOUND when nothing was deleted', async () => {
+      databaseService.deleteBlockchain.mockResolvedValue(0);
+
+      const result = await adminService.deleteBlockchain(1);
+
+      expect(result.code).toBe('BLOCKCHAIN_NOT_FOUND');
+    });
+  });
+
+  describe('wallets', () => {
+    it('should create a wallet on an existing blockchain', async () => {
+      databaseService.createWallet.mockResolvedValue({ id: 5, address: '0xabc' });
+
+      const result = await adminService.createWallet({
+        address: '0xabc',
+        wallet_type: 'hot',
+        monitor_status: 'active',
+        blockchain_id: '1'
+      });
+
+      expect(result.success).toBe(true);
+      expect(databaseService.createWallet).toHaveBeenCalledWith({
+        address: '0xabc',
+        walletType: 'hot',
+        monitorStatus: 'active',
+        blockchainId: 1
+      });
+    });
+
+    it('should reject wallet on unknown blockchain', async () => {
+      databaseService.getBlockchainById.mockResolvedValue(null);
+
+      const result = await adminService.createWallet({
+        address: '0xabc',
+        wallet_type: 'hot',
+        monitor_status: 'active',
+        blockchain_id: 42
+      });
+
+      expect(result.code).toBe('BLOCKCHAIN_NOT_FOUND');
+      expect(databaseService.createWallet).not.toHaveBeenCalled();
+    });
+
+    it('should return WALLET_NOT_FOUND for missing wallet', async () => {
+      databaseService.getWalletById.mockResolvedValue(null);
+
+      const result = await adminService.getWallet(7);
+
+      expect(result.code).toBe('WALLET_NOT_FOUND');
+    });
+  });
+
+  describe('assets', () => {
+    it('should create an asset with defaults for monitoring flags', async () => {
+      databaseService.createAsset.mockResolvedValue({ id: 10, symbol: 'ETH' });
+
+      const result = await adminService.createAsset(assetPayload);
+
+      expect(result.success).toBe(true);
+      expect(databaseService.createAsset).toHaveBeenCalledWith(expect.objectContaining({
+        symbol: 'ETH',
+        assetType: 'native',
+        walletId: 2,
+        blockchainId: 1,
+        monitorBalance: false,
+        monitorTransactions: false,
+        isActive: true,
+        refillTargetBalanceAtomic: '1000000000000000000',
+        sweepWalletConfig: assetPayload.sweep_wallet_config
+      }));
+    });
+
+    it('should reject non-integer atomic amounts', async () => {
+      const result = await adminService.createAsset({ ...assetPayload, refill_target_balance_atomic: '1.5' });
+
+      expect(result.code).toBe('INVALID_FIELDS');
+      expect(result.data.invalidFields).toEqual(['refill_target_balance_atomic']);
+    });
+
+    it('should reject wallet from a different blockchain', async () => {
+      databaseService.getWalletById.mockResolvedValue(createMockWallet({ id: 2, blockchainId: 9 }));
+
+      const result = await adminService.createAsset(assetPayload);
+
+      expect(result.code).toBe('WALLET_BLOCKCHAIN_MISMATCH');
+      expect(databaseService.createAsset).not.toHaveBeenCalled();
+    });
+
+    it('should reject sweep wallet config without provider', async () => {
+      const result = await adminService.createAsset({
+        ...assetPayload,
+        sweep_wallet_config: { fireblocks: { vaultId: '1', assetId: 'ETH' } }
+      });
+
+      expect(result.code).toBe('MISSING_WALLET_CONFIG_PROVIDER');
+    });
+
+    it('should reject incomplete provider wallet config', async () => {
+      const result = await adminService.createAsset({
+        ...assetPayload,
+        hot_wallet_config: { provider: 'fireblocks', fireblocks: { vaultId: '2' } }
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('INVALID_FIREBLOCKS_HOT_WALLET_CONFIGURATION');
+      expect(result.data.field).toBe('hot_wallet_config');
+    });
+
+    it('should accept a whitelisted wallet destination only in the hot wallet config', async () => {
+      const destination = { provider: 'fireblocks', fireblocks: { destinationType: 'EXTERNAL_WALLET', walletId: 'wl-1', assetId: 'ETH' } };
+
+      const coldResult = await adminService.createAsset({ ...assetPayload, sweep_wallet_config: destination });
+
+      expect(coldResult.code).toBe('INVALID_FIREBLOCKS_COLD_WALLET_CONFIGURATION');
+      expect(coldResult.data.field).toBe('sweep_wallet_config');
+      expect(adminService.validateWalletConfig('hot_wallet_config', destination).success).toBe(true);
+    });
+
+    it('should reject trigger threshold above target balance', async () => {
+      const result = await adminService.createAsset({
+        ...assetPayload,
+        refill_trigger_threshold_atomic: '2000000000000000000'
+      });
+
+      expect(result.code).toBe('INVALID_REFILL_THRESHOLDS');
+    });
+
+    it('should validate partial updates against the stored asset', async () => {
+      databaseService.getAssetDetails.mockResolvedValue(createMockAsset({ id: 10 }));
+
+      // Stored target is 100000000, so a trigger above it must be rejected
+      const result = await adminService.updateAsset(10, { refill_trigger_threshold_atomic: '200000000' });
+
+      expect(result.code).toBe('INVALID_REFILL_THRESHOLDS');
+      expect(databaseService.updateAsset).not.toHaveBeenCalled();
+    });
+
+    it('should update an asset without re-checking unchanged relations', async () => {
+      databaseService.getAssetDetails.mockResolvedValue(createMockAsset({ id: 10 }));
+
+      const result = await adminService.updateAsset(10, { monitor_balance: true });
+
+      expect(result.success).toBe(true);
+      expect(databaseService.getWalletById).not.toHaveBeenCalled();
+      expect(databaseService.updateAsset).toHaveBeenCalledWith(10, { monitorBalance: true });
+    });
+
+    it('should allow clearing optional fields', async () => {
+      databaseService.getAssetDetails.mockResolvedValue(createMockAsset({ id: 10 }));
+
+      const result = await adminService.updateAsset(10, { high_withdrawal_threshold_atomic: null });
+
+      expect(result.success).toBe(true);
+      expect(databaseService.updateAsset).toHaveBeenCalledWith(10, { highWithdrawalThresholdAtomic: null });
+    });
+
+    it('should return ADMIN_OPERATION_ERROR on unexpected database errors', async () => {
+      databaseService.listAssets.mockRejectedValue(new Error('Connection lost'));
+
+      const result = await adminService.listAssets();
+
+      expect(result.code).toBe('ADMIN_OPERATION_ERROR');
+      expect(result.data.details).toBe('Connection lost');
+    });
+  });
+
+  describe('providers', () => {
+    it('should reinitialize the provider', async () => {
+      const result = { success: true, error: null, code: null, data: { provider: 'liminal' } };
+      providerService.reinitializeProvider.mockResolvedValue(result);
+
+      await expect(adminService.reinitializeProvider('liminal')).resolves.toBe(result);
+      expect(providerService.reinitializeProvider).toHaveBeenCalledWith('liminal');
+    });
+
+    it('should map unexpected errors', async () => {
+      providerService.reinitializeProvider.mockRejectedValue(new Error('Unexpected'));
+
+      const result = await adminService.reinitializeProvider('liminal');
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('ADMIN_OPERATION_ERROR');
+    });
+  });
+});
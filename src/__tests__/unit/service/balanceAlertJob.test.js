@@ -0,0 +1,117 @@
+const BalanceAlertJob = require('../../../service/balanceAlertJob');
+const databaseService = require('../../../service/chainDb');
+const { sendSlackAlert } = require('../../../utils/slackAlerts');
+const config = require('../../../config');
+
+jest.mock('../../../service/chainDb');
+jest.mock('../../../utils/slackAlerts');
+jest.mock('../../../config', () => ({
+  get: jest.fn(),
+  getSecret: jest.fn((key) => {
+    if (key === 'chainDb') {
+      return {
+        host: 'localhost',
+        port: 5432,
+        user: 'test',
+        password: 'test',
+        name: 'testdb'
+      };
+    }
+    return null;
+  }),
+  getAllConfig: jest.fn()
+}));
+jest.mock('../../../middleware/logger');
+
+describe('BalanceAlertJob', () => {
+  let job;
+  let logger;
+
+  const asset = { id: 1, symbol: 'BTC' };
+  const buildCheck = (overrides = {}) => ({
+    breached: true,
+    recovered: false,
+    okReason: 'OK',
+    buildAlert: jest.fn().mockResolvedValue({ message: 'Alert', state: { balance: '10' } }),
+    buildRecovery: jest.fn().mockReturnValue('Recovered'),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    logger = { info: jest.fn(), debug: jest.fn(), error: jest.fn() };
+    job = new BalanceAlertJob('test', logger);
+    config.get.mockImplementation((key) => (key === 'slackWebhookUrl' ? 'https://hooks.slack.test/alerts' : undefined));
+    sendSlackAlert.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    job.stop();
+  });
+
+  describe('updateAlert', () => {
+    it('should alert once while the asset stays breached', async () => {
+      const check = buildCheck();
+
+      const first = await job.updateAlert(asset, check);
+      const repeated = await job.updateAlert(asset, check);
+
+      expect(first).toEqual({ alertSent: true, reason: null });
+      expect(repeated).toEqual({ alertSent: false, reason: 'ALREADY_ALERTED' });
+      expect(sendSlackAlert).toHaveBeenCalledTimes(1);
+      expect(sendSlackAlert).toHaveBeenCalledWith('Alert', 'https://hooks.slack.test/alerts');
+      expect(job.activeAlerts.get(1)).toEqual({ alertedAt: expect.any(Date), balance: '10' });
+    });
+
+    it('should keep the alert until the asset has recovered', async () => {
+      await job.updateAlert(asset, buildCheck());
+
+      const pending = await job.updateAlert(asset, buildCheck({ breached: false, recovered: false }));
+      expect(pending.reason).toBe('OK');
+      expect(job.activeAlerts.has(1)).toBe(true);
+
+      const recovered = await job.updateAlert(asset, buildCheck({ breached: false, recovered: true }));
+      expect(recovered).toEqual({ alertSent: false, reason: 'RECOVERED' });
+      expect(sendSlackAlert).toHaveBeenLastCalledWith('Recovered', 'https://hooks.slack.test/alerts');
+      expect(job.activeAlerts.has(1)).toBe(false);
+    });
+
+    it('should not send a recovery message without an active alert', async () => {
+      const result = await job.updateAlert(asset, buildCheck({ breached: false, recovered: true }));
+
+      expect(result).toEqual({ alertSent: false, reason: 'OK' });
+      expect(sendSlackAlert).not.toHaveBeenCalled();
+    });
+
+    it('should not alert when the alert is skipped for this cycle', async () => {
+      const result = await job.updateAlert(asset, buildCheck({
+        buildAlert: jest.fn().mockResolvedValue({ skipReason: 'REFILL_IN_PROGRESS' })
+      }));
+
+      expect(result).toEqual({ alertSent: false, reason: 'REFILL_IN_PROGRESS' });
+      expect(sendSlackAlert).not.toHaveBeenCalled();
+      expect(job.activeAlerts.has(1)).toBe(false);
+    });
+  });
+
+  describe('checkAssets', () => {
+    it('should check every monitored asset', async () => {
+      databaseService.getBalanceMonitoredAssets.mockResolvedValue([{ id: 1 }, { id: 2 }]);
+      job.checkAsset = jest.fn().mockResolvedValue({ alertSent: true, reason: null });
+
+      await job.checkAssets();
+
+      expect(job.checkAsset).toHaveBeenCalledTimes(2);
+      expect(logger.info).toHaveBeenCalledWith('Finished test check: 2 checked, 2 alerts sent');
+    });
+
+    it('should log errors of the check cycle', async () => {
+      databaseService.getBalanceMonitoredAssets.mockResolvedValue([{ id: 1 }]);
+
+      await job.checkAssets();
+
+      expect(logger.error).toHaveBeenCalledWith('Error in test check cycle: checkAsset() method must be implemented by alert job');
+      expect(job.isChecking).toBe(false);
+    });
+  });
+});
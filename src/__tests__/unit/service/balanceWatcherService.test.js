@@ -0,0 +1,261 @@
+const balanceWatcher = require('../../../service/balanceWatcherService');
+const databaseService = require('../../../service/chainDb');
+const providerService = require('../../../service/providerService');
+const refillService = require('../../../service/refillService');
+
+jest.mock('../../../service/chainDb');
+jest.mock('../../../service/providerService');
+jest.mock('../../../service/refillService');
+jest.mock('../../../config', () => ({
+  get: jest.fn(),
+  getSecret: jest.fn((key) => {
+    if (key === 'chainDb') {
+      return {
+        host: 'localhost',
+        port: 5432,
+        user: 'test',
+        password: 'test',
+        name: 'testdb'
+      };
+    }
+    return null;
+  }),
+  getAllConfig: jest.fn()
+}));
+jest.mock('../../../middleware/logger');
+
+describe('BalanceWatcherService', () => {
+  let mockProvider;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    balanceWatcher.stop();
+    balanceWatcher.isChecking = false;
+
+    mockProvider = createMockProvider('fireblocks');
+    providerService.initialize = jest.fn().mockResolvedValue();
+    providerService.getProviders = jest.fn().mockReturnValue(
+      new Map([['fireblocks', mockProvider]])
+    );
+    databaseService.getPendingTransactionByAssetId.mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    balanceWatcher.stop();
+  });
+
+  describe('start', () => {
+    it('should start watching with specified interval', () => {
+      jest.useFakeTimers();
+      databaseService.getBalanceMonitoredAssets.mockResolvedValue([]);
+
+      balanceWatcher.start(5000);
+
+      expect(balanceWatcher.isRunning).toBe(true);
+      expect(balanceWatcher.intervalId).toBeDefined();
+
+      jest.clearAllTimers();
+      balanceWatcher.stop();
+      jest.useRealTimers();
+    });
+
+    it('should not start if already running', () => {
+      jest.useFakeTimers();
+      databaseService.getBalanceMonitoredAssets.mockResolvedValue([]);
+
+      balanceWatcher.start(5000);
+      const firstIntervalId = balanceWatcher.intervalId;
+      balanceWatcher.start(5000);
+
+      expect(balanceWatcher.intervalId).toBe(firstIntervalId);
+
+      jest.clearAllTimers();
+      balanceWatcher.stop();
+      jest.useRealTimers();
+    });
+  });
+
+  describe('stop', () => {
+    it('should stop the watcher', () => {
+      jest.useFakeTimers();
+      databaseService.getBalanceMonitoredAssets.mockResolvedValue([]);
+
+      balanceWatcher.start(5000);
+      balanceWatcher.stop();
+
+      expect(balanceWatcher.isRunning).toBe(false);
+      expect(balanceWatcher.intervalId).toBeNull();
+
+      jest.useRealTimers();
+    });
+
+    it('should handle stop when not running', () => {
+      expect(() => balanceWatcher.stop()).not.toThrow();
+    });
+  });
+
+  describe('checkBalances', () => {
+    it('should do nothing when no assets are monitored', async () => {
+      databaseService.getBalanceMonitoredAssets.mockResolvedValue([]);
+
+      await balanceWatcher.checkBalances();
+
+      expect(refillService.processRefillRequestService).not.toHaveBeenCalled();
+    });
+
+    it('should check every monitored asset', async () => {
+      const assets = [createMockAsset({ id: 1 }), createMockAsset({ id: 2, symbol: 'ETH' })];
+      databaseService.getBalanceMonitoredAssets.mockResolvedValue(assets);
+      const checkSpy = jest.spyOn(balanceWatcher, 'checkAssetBalance').mockResolvedValue({ refillInitiated: false });
+
+      await balanceWatcher.checkBalances();
+
+      expect(checkSpy).toHaveBeenCalledTimes(2);
+      expect(checkSpy).toHaveBeenCalledWith(assets[0]);
+      expect(checkSpy).toHaveBeenCalledWith(assets[1]);
+    });
+
+    it('should skip the cycle if the previous one is still running', async () => {
+      balanceWatcher.isChecking = true;
+
+      await balanceWatcher.checkBalances();
+
+      expect(databaseService.getBalanceMonitoredAssets).not.toHaveBeenCalled();
+    });
+
+    it('should handle database errors gracefully', async () => {
+      databaseService.getBalanceMonitoredAssets.mockRejectedValue(new Error('DB error'));
+
+      await expect(balanceWatcher.checkBalances()).resolves.not.toThrow();
+      expect(balanceWatcher.isChecking).toBe(false);
+    });
+  });
+
+  describe('checkAssetBalance', () => {
+    it('should initiate a refill for target minus current balance when below trigger threshold', async () => {
+      const asset = createMockAsset();
+      mockProvider.getTokenBalance.mockResolvedValue('20000000'); // 0.2 BTC, threshold 0.5, target 1
+      refillService.processRefillRequestService.mockResolvedValue({
+        success: true,
+        data: { status: 'PROCESSING' }
+      });
+
+      const result = await balanceWatcher.checkAssetBalance(asset);
+
+      expect(result.refillInitiated).toBe(true);
+      expect(refillService.processRefillRequestService).toHaveBeenCalledWith(
+        expect.objectContaining({
+          refill_request_id: expect.stringMatching(/^auto_btc_\d+$/),
+          wallet_address: '0xhot',
+          asset_symbol: 'BTC',
+          asset_address: 'native',
+          chain_name: 'Bitcoin',
+          refill_amount: '0.8',
+          refill_sweep_wallet: '0xcold'
+        }),
+        { initiatedBy: 'BALANCE_WATCHER' }
+      );
+    });
+
+    it('should read the balance using the hot wallet configuration', async () => {
+      const asset = createMockAsset();
+      mockProvider.getTokenBalance.mockResolvedValue('90000000');
+
+      await balanceWatcher.checkAssetBalance(asset);
+
+      expect(mockProvider.getTokenBalance).toHaveBeenCalledWith({
+        symbol: 'BTC',
+        blockchainSymbol: 'BTC',
+        contractAddress: null,
+        decimalPlaces: 8,
+        walletConfig: { fireblocks: { vaultId: '2', assetId: 'BTC' } }
+      });
+    });
+
+    it('should count the balance components configured for the hot wallet', async () => {
+      const asset = createMockAsset();
+      asset.hotWalletConfig = { ...asset.hotWalletConfig, balanceComponents: ['available', 'pending'] };
+      mockProvider.getTokenBalanceBreakdown.mockResolvedValue({ available: '20000000', pending: '40000000', locked: '0' });
+
+      await balanceWatcher.checkAssetBalance(asset);
+
+      expect(mockProvider.getTokenBalanceBreakdown).toHaveBeenCalled();
+      expect(refillService.processRefillRequestService).not.toHaveBeenCalled();
+    });
+
+    it('should not initiate a refill when balance is above trigger threshold', async () => {
+      const asset = createMockAsset();
+      mockProvider.getTokenBalance.mockResolvedValue('60000000');
+
+      const result = await balanceWatcher.checkAssetBalance(asset);
+
+      expect(result).toEqual({ refillInitiated: false, reason: 'ABOVE_TRIGGER_THRESHOLD' });
+      expect(refillService.processRefillRequestService).not.toHaveBeenCalled();
+    });
+
+    it('should skip assets without refill thresholds', async () => {
+      const asset = createMockAsset({ refillTriggerThresholdAtomic: null });
+
+      const result = await balanceWatcher.checkAssetBalance(asset);
+
+      expect(result.reason).toBe('THRESHOLDS_NOT_CONFIGURED');
+      expect(mockProvider.getTokenBalance).not.toHaveBeenCalled();
+    });
+
+    it('should skip assets with a refill already in progress', async () => {
+      const asset = createMockAsset();
+      databaseService.getPendingTransactionByAssetId.mockResolvedValue({ refillRequestId: 'REQ001', status: 'PROCESSING' });
+
+      const result = await balanceWatcher.checkAssetBalance(asset);
+
+      expect(result.reason).toBe('REFILL_IN_PROGRESS');
+      expect(mockProvider.getTokenBalance).not.toHaveBeenCalled();
+    });
+
+    it('should return the refill error code when the refill is rejected', async () => {
+      const asset = createMockAsset();
+      mockProvider.getTokenBalance.mockResolvedValue('0');
+      refillService.processRefillRequestService.mockResolvedValue({
+        success: false,
+        error: 'Insufficient cold wallet balance',
+        code: 'INSUFFICIENT_BALANCE'
+      });
+
+      const result = await balanceWatcher.checkAssetBalance(asset);
+
+      expect(result.refillInitiated).toBe(false);
+      expect(result.reason).toBe('INSUFFICIENT_BALANCE');
+    });
+
+    it('should handle provider not being initialized', async () => {
+      const asset = createMockAsset({
+        hotWalletConfig: { provider: 'liminal', liminal: { walletId: 'w1', tokenSymbol: 'BTC', version: '2' } }
+      });
+
+      const result = await balanceWatcher.checkAssetBalance(asset);
+
+      expect(result).toEqual({ refillInitiated: false, reason: 'BALANCE_CHECK_ERROR' });
+      expect(refillService.processRefillRequestService).not.toHaveBeenCalled();
+    });
+
+    it('should handle invalid hot wallet configuration', async () => {
+      const asset = createMockAsset({
+        hotWalletConfig: { provider: 'fireblocks', fireblocks: { vaultId: '2' } }
+      });
+
+      const result = await balanceWatcher.checkAssetBalance(asset);
+
+      expect(result.reason).toBe('BALANCE_CHECK_ERROR');
+      expect(mockProvider.getTokenBalance).not.toHaveBeenCalled();
+    });
+
+    it('should handle provider balance errors', async () => {
+      const asset = createMockAsset();
+      mockProvider.getTokenBalance.mockRejectedValue(new Error('API down'));
+
+      const result = await balanceWatcher.checkAssetBalance(asset);
+
+      expect(result.reason).toBe('BALANCE_CHECK_ERROR');
+    });
+  });
+});
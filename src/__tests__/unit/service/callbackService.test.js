@@ -0,0 +1,314 @@
+const axios = require('axios');
+const callbackService = require('../../../service/callbackService');
+const databaseService = require('../../../service/chainDb');
+const config = require('../../../config');
+const signingUtil = require('../../../service/utils/signingUtil');
+const { sendSlackAlert } = require('../../../utils/slackAlerts');
+
+jest.mock('axios');
+jest.mock('../../../service/chainDb');
+jest.mock('../../../service/utils/signingUtil');
+jest.mock('../../../utils/slackAlerts');
+jest.mock('../../../config', () => ({
+  get: jest.fn(),
+  getSecret: jest.fn((key) => {
+    if (key === 'chainDb') {
+      return {
+        host: 'localhost',
+        port: 5432,
+        user: 'test',
+        password: 'test',
+        name: 'testdb'
+      };
+    }
+    return null;
+  }),
+  getAllConfig: jest.fn()
+}));
+jest.mock('../../../middleware/logger');
+
+describe('CallbackService', () => {
+  const lodash = jest.requireActual('lodash');
+  let callbacksConfig;
+
+  const transaction = {
+    refillRequestId: 'REQ001',
+    provider: 'fireblocks',
+    providerTxId: 'fb-123',
+    providerStatus: 'BROADCASTING',
+    status: 'PROCESSING',
+    amount: '0.5',
+    amountAtomic: '50000000',
+    tokenSymbol: 'BTC',
+    chainName: 'Bitcoin',
+    initiatedBy: 'EXTERNAL',
+    clientId: null
+  };
+
+  const buildCallback = (overrides = {}) => ({
+    id: 7,
+    refillRequestId: 'REQ001',
+    clientId: 'mythyaverse',
+    url: 'https://client.example.com/callback',
+    status: 'COMPLETED',
+    payload: { event: 'REFILL_STATUS_CHANGED', refillRequestId: 'REQ001', status: 'COMPLETED' },
+    attempts: 0,
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    callbackService.stop();
+    callbackService.isDispatching = false;
+
+    callbacksConfig = {
+      callbacks: {
+        enabled: true,
+        defaultClientId: 'mythyaverse',
+        maxAttempts: 3,
+        baseDelayInMs: 1000,
+        maxDelayInMs: 3000,
+        clients: {
+          mythyaverse: { url: 'https://client.example.com/callback' },
+          treasury: { url: 'https://treasury.example.com/hook' }
+        }
+      }
+    };
+    config.get.mockImplementation((key) => lodash.get(callbacksConfig, key, null));
+    signingUtil.signResponse.mockReturnValue('signed-jwt');
+    databaseService.createRefillCallback.mockResolvedValue({ id: 7 });
+  });
+
+  afterEach(() => {
+    callbackService.stop();
+  });
+
+  describe('start/stop', () => {
+    it('should start and stop the dispatcher', () => {
+      jest.useFakeTimers();
+      databaseService.claimDueRefillCallbacks.mockResolvedValue([]);
+
+      callbackService.start(5000);
+      expect(callbackService.isRunning).toBe(true);
+
+      callbackService.stop();
+      expect(callbackService.isRunning).toBe(false);
+      expect(callbackService.intervalId).toBeNull();
+
+      jest.useRealTimers();
+    });
+  });
+
+  describe('enqueueStatusCallback', () => {
+    it('should queue a callback for the default client', async () => {
+      const result = await callbackService.enqueueStatusCallback(transaction, {
+        status: 'COMPLETED',
+        previousStatus: 'PROCESSING',
+        txHash: '0xabc'
+      });
+
+      expect(result.data).toEqual({ queued: true, reason: null, callbackId: 7 });
+      expect(databaseService.createRefillCallback).toHaveBeenCalledWith(expect.objectContaining({
+        refillRequestId: 'REQ001',
+        clientId: 'mythyaverse',
+        url: 'https://client.example.com/callback',
+        status: 'COMPLETED',
+        previousStatus: 'PROCESSING',
+        deliveryStatus: 'PENDING',
+        attempts: 0,
+        nextAttemptAt: expect.any(Date),
+        payload: expect.objectContaining({
+          event: 'REFILL_STATUS_CHANGED',
+          status: 'COMPLETED',
+          previousStatus: 'PROCESSING',
+          txHash: '0xabc',
+          providerStatus: 'BROADCASTING'
+        })
+      }), undefined);
+    });
+
+    it('should queue the callback in the database transaction of the status update', async () => {
+      const dbTransaction = { id: 'db-transaction' };
+
+      await callbackService.enqueueStatusCallback(transaction, { status: 'COMPLETED', previousStatus: 'PROCESSING' }, dbTransaction);
+
+      expect(databaseService.createRefillCallback).toHaveBeenCalledWith(expect.any(Object), dbTransaction);
+    });
+
+    it('should use the client stored on the refill', async () => {
+      await callbackService.enqueueStatusCallback({ ...transaction, clientId: 'treasury' }, { status: 'FAILED', previousStatus: 'PROCESSING' });
+
+      expect(databaseService.createRefillCallback).toHaveBeenCalledWith(expect.objectContaining({
+        clientId: 'treasury',
+        url: 'https://treasury.example.com/hook'
+      }), undefined);
+    });
+
+    it('should not queue when callbacks are disabled', async () => {
+      callbacksConfig.callbacks.enabled = false;
+
+      const result = await callbackService.enqueueStatusCallback(transaction, { status: 'COMPLETED', previousStatus: 'PROCESSING' });
+
+      expect(result.data.reason).toBe('CALLBACKS_DISABLED');
+      expect(databaseService.createRefillCallback).not.toHaveBeenCalled();
+    });
+
+    it('should not queue when the client has no URL configured', async () => {
+      const result = await callbackService.enqueueStatusCallback({ ...transaction, clientId: 'unknown' }, { status: 'COMPLETED', previousStatus: 'PROCESSING' });
+
+      expect(result.data.reason).toBe('CALLBACK_URL_NOT_CONFIGURED');
+      expect(databaseService.createRefillCallback).not.toHaveBeenCalled();
+    });
+
+    it('should return an error result when the outbox write fails', async () => {
+      databaseService.createRefillCallback.mockRejectedValue(new Error('DB error'));
+
+      const result = await callbackService.enqueueStatusCallback(transaction, { status: 'COMPLETED', previousStatus: 'PROCESSING' });
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('CALLBACK_ENQUEUE_ERROR');
+    });
+  });
+
+  describe('deliverCallback', () => {
+    it('should post the signed payload and mark the callback delivered', async () => {
+      axios.post.mockResolvedValue({ status: 200 });
+
+      const delivered = await callbackService.deliverCallback(buildCallback());
+
+      expect(delivered).toBe(true);
+      expect(signingUtil.signResponse).toHaveBeenCalledWith(expect.objectContaining({ refillRequestId: 'REQ001', callbackId: 7 }));
+      expect(axios.post).toHaveBeenCalledWith('https://client.example.com/callback', 'signed-jwt', expect.objectContaining({
+        headers: { 'Content-Type': 'application/jwt' }
+      }));
+      expect(databaseService.createRefillCallbackDelivery).toHaveBeenCalledWith(expect.objectContaining({
+        callbackId: 7,
+        attempt: 1,
+        success: true,
+        httpStatus: 200,
+        error: null
+      }));
+      expect(databaseService.updateRefillCallback).toHaveBeenCalledWith(7, expect.objectContaining({
+        deliveryStatus: 'DELIVERED',
+        attempts: 1,
+        nextAttemptAt: null
+      }));
+    });
+
+    it('should schedule a retry with exponential backoff on non-2xx responses', async () => {
+      axios.post.mockResolvedValue({ status: 503 });
+      const before = Date.now();
+
+      const delivered = await callbackService.deliverCallback(buildCallback({ attempts: 1 }));
+
+      expect(delivered).toBe(false);
+      const update = databaseService.updateRefillCallback.mock.calls[0][1];
+      expect(update.attempts).toBe(2);
+      expect(update.lastError).toBe('Client responded with HTTP 503');
+      expect(update.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + 2000);
+      expect(update).not.toHaveProperty('deliveryStatus');
+    });
+
+    it('should give up and alert after the maximum number of attempts', async () => {
+      axios.post.mockRejectedValue(new Error('connect ECONNREFUSED'));
+
+      const delivered = await callbackService.deliverCallback(buildCallback({ attempts: 2 }));
+
+      expect(delivered).toBe(false);
+      expect(databaseService.createRefillCallbackDelivery).toHaveBeenCalledWith(expect.objectContaining({
+        attempt: 3,
+        success: false,
+        httpStatus: null,
+        error: 'connect ECONNREFUSED'
+      }));
+      expect(databaseService.updateRefillCallback).toHaveBeenCalledWith(7, expect.objectContaining({
+        deliveryStatus: 'FAILED',
+        attempts: 3,
+        nextAttemptAt: null
+      }));
+      expect(sendSlackAlert).toHaveBeenCalledWith(expect.stringContaining('REQ001'));
+    });
+  });
+
+  describe('getRetryDelay', () => {
+    it('should double the delay per attempt up to the maximum', () => {
+      expect(callbackService.getRetryDelay(1)).toBe(1000);
+      expect(callbackService.getRetryDelay(2)).toBe(2000);
+      expect(callbackService.getRetryDelay(3)).toBe(3000);
+      expect(callbackService.getRetryDelay(10)).toBe(3000);
+    });
+  });
+
+  describe('dispatchDueCallbacks', () => {
+    it('should deliver due callbacks in order', async () => {
+      const callbacks = [buildCallback({ id: 1 }), buildCallback({ id: 2 })];
+      databaseService.claimDueRefillCallbacks.mockResolvedValue(callbacks);
+      const deliverSpy = jest.spyOn(callbackService, 'deliverCallback').mockResolvedValue(true);
+
+      await callbackService.dispatchDueCallbacks();
+
+      expect(databaseService.claimDueRefillCallbacks).toHaveBeenCalledWith(expect.any(Date), 20, expect.any(Date));
+      expect(deliverSpy.mock.calls.map(call => call[0].id)).toEqual([1, 2]);
+      deliverSpy.mockRestore();
+    });
+
+    it('should claim the batch for long enough to deliver every callback', async () => {
+      callbacksConfig.callbacks.batchSize = 5;
+      callbacksConfig.callbacks.requestTimeoutInMs = 2000;
+      databaseService.claimDueRefillCallbacks.mockResolvedValue([]);
+      const before = Date.now();
+
+      await callbackService.dispatchDueCallbacks();
+
+      const [, limit, claimedUntil] = databaseService.claimDueRefillCallbacks.mock.calls[0];
+      expect(limit).toBe(5);
+      expect(claimedUntil.getTime()).toBeGreaterThanOrEqual(before + 12000);
+    });
+
+    it('should skip the cycle if the previous one is still running', async () => {
+      callbackService.isDispatching = true;
+
+      await callbackService.dispatchDueCallbacks();
+
+      expect(databaseService.claimDueRefillCallbacks).not.toHaveBeenCalled();
+    });
+
+    it('should handle database errors gracefully', async () => {
+      databaseService.claimDueRefillCallbacks.mockRejectedValue(new Error('DB error'));
+
+      await expect(callbackService.dispatchDueCallbacks()).resolves.not.toThrow();
+      expect(callbackService.isDispatching).toBe(false);
+    });
+  });
+
+  describe('getRefillCallbacks', () => {
+    it('should return callbacks with their delivery log', async () => {
+      databaseService.getRefillTransactionByRequestId.mockResolvedValue(transaction);
+      databaseService.getRefillCallbacksByRequestId.mockResolvedValue([
+        buildCallback({
+          deliveryStatus: 'DELIVERED',
+          attempts: 2,
+          Deliveries: [
+            { attempt: 1, success: false, httpStatus: 500, error: 'Client responded with HTTP 500', durationMs: 30 },
+            { attempt: 2, success: true, httpStatus: 200, error: null, durationMs: 25 }
+          ]
+        })
+      ]);
+
+      const result = await callbackService.getRefillCallbacks('REQ001');
+
+      expect(result.success).toBe(true);
+      expect(result.data.callbacks).toHaveLength(1);
+      expect(result.data.callbacks[0].deliveryStatus).toBe('DELIVERED');
+      expect(result.data.callbacks[0].deliveries.map(d => d.httpStatus)).toEqual([500, 200]);
+    });
+
+    it('should return TRANSACTION_NOT_FOUND for unknown refills', async () => {
+      databaseService.getRefillTransactionByRequestId.mockResolvedValue(null);
+
+      const result = await callbackService.getRefillCallbacks('NOPE');
+
+      expect(result.code).toBe('TRANSACTION_NOT_FOUND');
+    });
+  });
+});
@@ -4,12 +4,18 @@ const blockchainHelper = require('../../../database/helpers/blockchain');
 const walletHelper = require('../../../database/helpers/wallet');
 const assetHelper = require('../../../database/helpers/asset');
 const refillTransactionHelper = require('../../../database/helpers/refillTransaction');
+const refillCallbackHelper = require('../../../database/helpers/refillCallback');
+const refillAttemptHelper = require('../../../database/helpers/refillAttempt');
+const refillTransactionEventHelper = require('../../../database/helpers/refillTransactionEvent');
 
 jest.mock('../../../database/models');
 jest.mock('../../../database/helpers/blockchain');
 jest.mock('../../../database/helpers/wallet');
 jest.mock('../../../database/helpers/asset');
 jest.mock('../../../database/helpers/refillTransaction');
+jest.mock('../../../database/helpers/refillCallback');
+jest.mock('../../../database/helpers/refillAttempt');
+jest.mock('../../../database/helpers/refillTransactionEvent');
 jest.mock('../../../middleware/logger');
 
 // Note: DatabaseService is a singleton, so we test the exported instance
@@ -157,6 +163,80 @@ describe('DatabaseService (chainDb)', () => {
     });
   });
 
+  describe('getBalanceMonitoredAssets', () => {
+    it('should connect and call asset helper', async () => {
+      const mockAssets = [{ id: 1, symbol: 'BTC' }];
+      assetHelper.getBalanceMonitoredAssets.mockResolvedValue(mockAssets);
+
+      const result = await databaseService.getBalanceMonitoredAssets();
+
+      expect(mockSequelize.authenticate).toHaveBeenCalled();
+      expect(assetHelper.getBalanceMonitoredAssets).toHaveBeenCalled();
+      expect(result).toEqual(mockAssets);
+    });
+
+    it('should throw error when helper fails', async () => {
+      assetHelper.getBalanceMonitoredAssets.mockRejectedValue(new Error('DB error'));
+
+      await expect(databaseService.getBalanceMonitoredAssets()).rejects.toThrow('DB error');
+    });
+  });
+
+  describe('helper wrapper methods', () => {
+    it.each([
+      ['getBlockchainById', 'blockchainHelper', [1]],
+      ['listBlockchains', 'blockchainHelper', []],
+      ['createBlockchain', 'blockchainHelper', [{ name: 'Ethereum' }]],
+      ['updateBlockchain', 'blockchainHelper', [1, { isActive: false }]],
+      ['deleteBlockchain', 'blockchainHelper', [1]],
+      ['getWalletById', 'walletHelper', [1]],
+      ['listWallets', 'walletHelper', []],
+      ['createWallet', 'walletHelper', [{ address: '0xabc' }]],
+      ['updateWallet', 'walletHelper', [1, { name: 'Hot' }]],
+      ['deleteWallet', 'walletHelper', [1]],
+      ['listAssets', 'assetHelper', []],
+      ['createAsset', 'assetHelper', [{ symbol: 'ETH' }]],
+      ['updateAsset', 'assetHelper', [1, { monitorBalance: true }]],
+      ['deleteAsset', 'assetHelper', [1]],
+      ['getRefillTransactionByProviderReference', 'refillTransactionHelper', ['fireblocks', 'fb-123', 'REQ001_refill']],
+      ['listRefillTransactions', 'refillTransactionHelper', [{ sortBy: 'createdAt', sortOrder: 'DESC', limit: 51 }]],
+      ['createRefillCallback', 'refillCallbackHelper', [{ refillRequestId: 'REQ001' }, { id: 'db-transaction' }]],
+      ['updateRefillCallback', 'refillCallbackHelper', [1, { attempts: 1 }]],
+      ['claimDueRefillCallbacks', 'refillCallbackHelper', [new Date('2026-01-01T00:00:00Z'), 20, new Date('2026-01-01T00:03:30Z')]],
+      ['createRefillCallbackDelivery', 'refillCallbackHelper', [{ callbackId: 1 }]],
+      ['getRefillCallbacksByRequestId', 'refillCallbackHelper', ['REQ001']],
+      ['claimFailedRefillTransaction', 'refillTransactionHelper', ['REQ001', 1, { status: 'PENDING', attemptCount: 2 }]],
+      ['createRefillAttempt', 'refillAttemptHelper', [{ refillRequestId: 'REQ001', attempt: 1 }]],
+      ['getRefillAttemptsByRequestId', 'refillAttemptHelper', ['REQ001']],
+      ['createRefillTransactionEvent', 'refillTransactionEventHelper', [{ refillRequestId: 'REQ001', eventType: 'UPDATED' }]],
+      ['getRefillTransactionEventsByRequestId', 'refillTransactionEventHelper', ['REQ001']],
+      ['getRefillVolumeByAssetId', 'refillTransactionHelper', [1, new Date('2026-01-01T00:00:00Z')]]
+    ])('%s should connect and call %s', async (method, helperName, args) => {
+      const helper = {
+        blockchainHelper,
+        walletHelper,
+        assetHelper,
+        refillTransactionHelper,
+        refillCallbackHelper,
+        refillAttemptHelper,
+        refillTransactionEventHelper
+      }[helperName];
+      helper[method].mockResolvedValue('result');
+
+      const result = await databaseService[method](...args);
+
+      expect(mockSequelize.authenticate).toHaveBeenCalled();
+      expect(helper[method]).toHaveBeenCalledWith(...args);
+      expect(result).toBe('result');
+    });
+
+    it('should throw error when helper fails', async () => {
+      assetHelper.createAsset.mockRejectedValue(new Error('DB error'));
+
+      await expect(databaseService.createAsset({ symbol: 'ETH' })).rejects.toThrow('DB error');
+    });
+  });
+
   describe('createRefillTransaction', () => {
     it('should connect and call transaction helper', async () => {
       const transactionData = {
@@ -184,9 +264,48 @@ describe('DatabaseService (chainDb)', () => {
       const result = await databaseService.updateRefillTransaction('REQ001', updateData);
 
       expect(mockSequelize.authenticate).toHaveBeenCalled();
-      expect(refillTransactionHelper.updateRefillTransaction).toHaveBeenCalledWith('REQ001', updateData);
+      expect(refillTransactionHelper.updateRefillTransaction).toHaveBeenCalledWith('REQ001', updateData, undefined, undefined);
       expect(result).toEqual([1]);
     });
+
+    it('should pass the database transaction to the helper', async () => {
+      const dbTransaction = { id: 'db-transaction' };
+      refillTransactionHelper.updateRefillTransaction.mockResolvedValue([1]);
+
+      await databaseService.updateRefillTransaction('REQ001', { status: 'FAILED' }, dbTransaction);
+
+      expect(refillTransactionHelper.updateRefillTransaction).toHaveBeenCalledWith('REQ001', { status: 'FAILED' }, dbTransaction, undefined);
+    });
+
+    it('should pass the expected state to the helper', async () => {
+      const expectedState = { status: 'PENDING', providerTxId: null };
+      refillTransactionHelper.updateRefillTransaction.mockResolvedValue([0]);
+
+      await databaseService.updateRefillTransaction('REQ001', { status: 'FAILED' }, undefined, expectedState);
+
+      expect(refillTransactionHelper.updateRefillTransaction).toHaveBeenCalledWith('REQ001', { status: 'FAILED' }, undefined, expectedState);
+    });
+  });
+
+  describe('runInTransaction', () => {
+    it('should connect and run the work in a sequelize transaction', async () => {
+      const dbTransaction = { id: 'db-transaction' };
+      mockSequelize.transaction = jest.fn(work => work(dbTransaction));
+      const work = jest.fn().mockResolvedValue('result');
+
+      const result = await databaseService.runInTransaction(work);
+
+      expect(mockSequelize.authenticate).toHaveBeenCalled();
+      expect(work).toHaveBeenCalledWith(dbTransaction);
+      expect(result).toBe('result');
+    });
+
+    it('should rethrow when the work fails', async () => {
+      mockSequelize.transaction = jest.fn(work => work({}));
+
+      await expect(databaseService.runInTransaction(() => Promise.reject(new Error('Rolled back'))))
+        .rejects.toThrow('Rolled back');
+    });
   });
 
   describe('getRefillTransactionByRequestId', () => {
@@ -239,6 +358,19 @@ describe('DatabaseService (chainDb)', () => {
     });
   });
 
+  describe('getOrphanedRefillTransactions', () => {
+    it('should connect and call transaction helper', async () => {
+      const cutoff = new Date();
+      refillTransactionHelper.getOrphanedRefillTransactions.mockResolvedValue([]);
+
+      const result = await databaseService.getOrphanedRefillTransactions(cutoff);
+
+      expect(mockSequelize.authenticate).toHaveBeenCalled();
+      expect(refillTransactionHelper.getOrphanedRefillTransactions).toHaveBeenCalledWith(cutoff);
+      expect(result).toEqual([]);
+    });
+  });
+
   describe('getLastSuccessfulRefillByAssetId', () => {
     it('should connect and call transaction helper', async () => {
       const mockTransaction = {
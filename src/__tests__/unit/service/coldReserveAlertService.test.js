@@ -0,0 +1,189 @@
+const coldReserveAlert = require('../../../service/coldReserveAlertService');
+const databaseService = require('../../../service/chainDb');
+const providerService = require('../../../service/providerService');
+const { sendSlackAlert } = require('../../../utils/slackAlerts');
+const config = require('../../../config');
+
+jest.mock('../../../service/chainDb');
+jest.mock('../../../service/providerService');
+jest.mock('../../../utils/slackAlerts');
+jest.mock('../../../config', () => ({
+  get: jest.fn(),
+  getSecret: jest.fn((key) => {
+    if (key === 'chainDb') {
+      return {
+        host: 'localhost',
+        port: 5432,
+        user: 'test',
+        password: 'test',
+        name: 'testdb'
+      };
+    }
+    return null;
+  }),
+  getAllConfig: jest.fn()
+}));
+jest.mock('../../../middleware/logger');
+
+describe('ColdReserveAlertService', () => {
+  let alertConfig;
+  let mockProvider;
+
+  // Expected refill: target 1 BTC - trigger 0.5 BTC = 0.5 BTC
+  const buildAsset = (overrides = {}) => createMockAsset({
+    minColdReserveAtomic: '100000000', // 1 BTC
+    ...overrides
+  });
+
+  const mockColdBalance = (balance) => mockProvider.getTokenBalanceBreakdown.mockResolvedValue({ available: balance, pending: '0', locked: '0' });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    coldReserveAlert.stop();
+    coldReserveAlert.isChecking = false;
+    coldReserveAlert.activeAlerts.clear();
+
+    alertConfig = {
+      slackWebhookUrl: 'https://hooks.slack.test/alerts',
+      treasurySlackWebhookUrl: 'https://hooks.slack.test/treasury',
+      coldReserveAlertMinRefills: 3
+    };
+    config.get.mockImplementation((key) => alertConfig[key]);
+
+    mockProvider = createMockProvider('fireblocks');
+    providerService.initialize.mockResolvedValue();
+    providerService.getProviders.mockReturnValue(new Map([['fireblocks', mockProvider]]));
+    sendSlackAlert.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    coldReserveAlert.stop();
+  });
+
+  describe('start/stop', () => {
+    it('should start and stop the cold reserve alert job', () => {
+      jest.useFakeTimers();
+      databaseService.getBalanceMonitoredAssets.mockResolvedValue([]);
+
+      coldReserveAlert.start(5000);
+      expect(coldReserveAlert.isRunning).toBe(true);
+
+      coldReserveAlert.stop();
+      expect(coldReserveAlert.isRunning).toBe(false);
+      expect(coldReserveAlert.intervalId).toBeNull();
+
+      jest.useRealTimers();
+    });
+  });
+
+  describe('checkAsset', () => {
+    it('should alert treasury when the balance above the reserve covers fewer than the minimum refills', async () => {
+      mockColdBalance('200000000'); // 1 BTC above the reserve covers 2 refills
+
+      const result = await coldReserveAlert.checkAsset(buildAsset());
+
+      expect(result).toEqual({ alertSent: true, reason: null });
+      expect(sendSlackAlert).toHaveBeenCalledWith(expect.any(String), 'https://hooks.slack.test/treasury');
+      const message = sendSlackAlert.mock.calls[0][0];
+      expect(message).toContain('Cold Reserve Alert: BTC cold wallet on Bitcoin covers 2 expected refills (minimum: 3)');
+      expect(message).toContain('Balance: 200000000 (minimum reserve: 100000000)');
+      expect(message).toContain('Expected refill: 50000000');
+      expect(message).toContain('Cold wallet: 1 (fireblocks)');
+    });
+
+    it('should fall back to the default Slack webhook', async () => {
+      alertConfig.treasurySlackWebhookUrl = null;
+      mockColdBalance('200000000');
+
+      await coldReserveAlert.checkAsset(buildAsset());
+
+      expect(sendSlackAlert).toHaveBeenCalledWith(expect.any(String), 'https://hooks.slack.test/alerts');
+    });
+
+    it('should not alert when the balance covers the minimum refills', async () => {
+      mockColdBalance('250000000');
+
+      const result = await coldReserveAlert.checkAsset(buildAsset());
+
+      expect(result.reason).toBe('RESERVE_SUFFICIENT');
+      expect(sendSlackAlert).not.toHaveBeenCalled();
+    });
+
+    it('should count the whole balance when no minimum reserve is configured', async () => {
+      mockColdBalance('150000000');
+
+      const result = await coldReserveAlert.checkAsset(buildAsset({ minColdReserveAtomic: null }));
+
+      expect(result.reason).toBe('RESERVE_SUFFICIENT');
+    });
+
+    it('should alert once and send a recovery message when the coverage is restored', async () => {
+      const asset = buildAsset();
+
+      mockColdBalance('120000000');
+      await coldReserveAlert.checkAsset(asset);
+      const repeated = await coldReserveAlert.checkAsset(asset);
+      expect(repeated.reason).toBe('ALREADY_ALERTED');
+      expect(sendSlackAlert).toHaveBeenCalledTimes(1);
+
+      mockColdBalance('300000000');
+      const recovered = await coldReserveAlert.checkAsset(asset);
+      expect(recovered.reason).toBe('RECOVERED');
+      expect(sendSlackAlert).toHaveBeenLastCalledWith(
+        expect.stringContaining('Cold Reserve Recovered: BTC cold wallet on Bitcoin is back at 300000000 (covers 4 expected refills)'),
+        'https://hooks.slack.test/treasury'
+      );
+    });
+
+    it('should skip assets without a refill target', async () => {
+      const result = await coldReserveAlert.checkAsset(buildAsset({ refillTargetBalanceAtomic: null }));
+
+      expect(result.reason).toBe('EXPECTED_REFILL_NOT_CONFIGURED');
+      expect(mockProvider.getTokenBalanceBreakdown).not.toHaveBeenCalled();
+    });
+
+    it('should skip assets without a cold wallet configuration', async () => {
+      const result = await coldReserveAlert.checkAsset(buildAsset({ sweepWalletConfig: null }));
+
+      expect(result.reason).toBe('NO_COLD_WALLET_CONFIGURED');
+      expect(mockProvider.getTokenBalanceBreakdown).not.toHaveBeenCalled();
+    });
+
+    it('should handle balance read errors gracefully', async () => {
+      mockProvider.getTokenBalanceBreakdown.mockRejectedValue(new Error('Provider down'));
+
+      const result = await coldReserveAlert.checkAsset(buildAsset());
+
+      expect(result).toEqual({ alertSent: false, reason: 'BALANCE_CHECK_ERROR' });
+    });
+  });
+
+  describe('checkAssets', () => {
+    it('should check every monitored asset', async () => {
+      databaseService.getBalanceMonitoredAssets.mockResolvedValue([buildAsset({ id: 1 }), buildAsset({ id: 2 })]);
+      mockColdBalance('120000000');
+
+      await coldReserveAlert.checkAssets();
+
+      expect(mockProvider.getTokenBalanceBreakdown).toHaveBeenCalledTimes(2);
+      expect(sendSlackAlert).toHaveBeenCalledTimes(2);
+    });
+
+    it('should skip the cycle when no Slack webhook is configured', async () => {
+      alertConfig.slackWebhookUrl = null;
+      alertConfig.treasurySlackWebhookUrl = null;
+
+      await coldReserveAlert.checkAssets();
+
+      expect(databaseService.getBalanceMonitoredAssets).not.toHaveBeenCalled();
+    });
+
+    it('should skip the cycle if the previous one is still running', async () => {
+      coldReserveAlert.isChecking = true;
+
+      await coldReserveAlert.checkAssets();
+
+      expect(databaseService.getBalanceMonitoredAssets).not.toHaveBeenCalled();
+    });
+  });
+});
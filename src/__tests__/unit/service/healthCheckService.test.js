@@ -1,11 +1,14 @@
 const { doHealthCheckService } = require('../../../service/healthCheckService');
 const databaseService = require('../../../service/chainDb');
+const providerService = require('../../../service/providerService');
 
 jest.mock('../../../service/chainDb');
+jest.mock('../../../service/providerService');
 
 describe('HealthCheckService', () => {
   beforeEach(() => {
     jest.clearAllMocks();
+    providerService.getProviderHealth.mockReturnValue({});
   });
 
   describe('doHealthCheckService', () => {
@@ -53,6 +56,20 @@ describe('HealthCheckService', () => {
       expect(result.services.api).toBe('healthy');
     });
 
+    it('should report the circuit breaker state of each provider', async () => {
+      databaseService.healthCheck.mockResolvedValue({ status: 'healthy' });
+      providerService.getProviderHealth.mockReturnValue({
+        fireblocks: { state: 'CLOSED', consecutiveFailures: 0 },
+        liminal: { state: 'OPEN', consecutiveFailures: 5, retryAt: '2026-10-18T12:01:00.000Z' }
+      });
+
+      const result = await doHealthCheckService();
+
+      expect(result.status).toBe('degraded');
+      expect(result.services.providers.liminal.state).toBe('OPEN');
+      expect(result.services.providers.fireblocks.state).toBe('CLOSED');
+    });
+
     it('should handle database returning unhealthy status', async () => {
       databaseService.healthCheck.mockResolvedValue({
         status: 'unhealthy',
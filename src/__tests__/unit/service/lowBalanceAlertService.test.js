@@ -0,0 +1,194 @@
+const BigNumber = require('bignumber.js');
+const lowBalanceAlert = require('../../../service/lowBalanceAlertService');
+const databaseService = require('../../../service/chainDb');
+const balanceWatcher = require('../../../service/balanceWatcherService');
+const { sendSlackAlert } = require('../../../utils/slackAlerts');
+const config = require('../../../config');
+
+jest.mock('../../../service/chainDb');
+jest.mock('../../../service/balanceWatcherService');
+jest.mock('../../../utils/slackAlerts');
+jest.mock('../../../config', () => ({
+  get: jest.fn(),
+  getSecret: jest.fn((key) => {
+    if (key === 'chainDb') {
+      return {
+        host: 'localhost',
+        port: 5432,
+        user: 'test',
+        password: 'test',
+        name: 'testdb'
+      };
+    }
+    return null;
+  }),
+  getAllConfig: jest.fn()
+}));
+jest.mock('../../../middleware/logger');
+
+describe('LowBalanceAlertService', () => {
+  let alertConfig;
+
+  const buildAsset = (overrides = {}) => createMockAsset({
+    lowBalanceThresholdAtomic: '50000000', // 0.5 BTC
+    Wallet: { address: '0xhot' },
+    ...overrides
+  });
+
+  const mockBalance = (balance) => balanceWatcher.getHotWalletBalance.mockResolvedValue(new BigNumber(balance));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    lowBalanceAlert.stop();
+    lowBalanceAlert.isChecking = false;
+    lowBalanceAlert.activeAlerts.clear();
+
+    alertConfig = {
+      slackWebhookUrl: 'https://hooks.slack.test/alerts',
+      lowBalanceAlertRecoveryPercent: 10
+    };
+    config.get.mockImplementation((key) => alertConfig[key]);
+    databaseService.getLatestRefillByAssetId.mockResolvedValue(null);
+    sendSlackAlert.mockResolvedValue();
+  });
+
+  afterEach(() => {
+    lowBalanceAlert.stop();
+  });
+
+  describe('start/stop', () => {
+    it('should start and stop the low balance alert job', () => {
+      jest.useFakeTimers();
+      databaseService.getBalanceMonitoredAssets.mockResolvedValue([]);
+
+      lowBalanceAlert.start(5000);
+      expect(lowBalanceAlert.isRunning).toBe(true);
+
+      lowBalanceAlert.stop();
+      expect(lowBalanceAlert.isRunning).toBe(false);
+      expect(lowBalanceAlert.intervalId).toBeNull();
+
+      jest.useRealTimers();
+    });
+  });
+
+  describe('checkAsset', () => {
+    it('should alert when the balance is below the threshold and no refill was made', async () => {
+      mockBalance('20000000');
+
+      const result = await lowBalanceAlert.checkAsset(buildAsset());
+
+      expect(result).toEqual({ alertSent: true, reason: null });
+      expect(sendSlackAlert).toHaveBeenCalledTimes(1);
+      const message = sendSlackAlert.mock.calls[0][0];
+      expect(message).toContain('Low Balance Alert: BTC hot wallet on Bitcoin');
+      expect(message).toContain('Balance: 20000000 (threshold: 50000000)');
+      expect(message).toContain('Last refill: none');
+    });
+
+    it('should include the error of a failed last refill', async () => {
+      mockBalance('20000000');
+      databaseService.getLatestRefillByAssetId.mockResolvedValue({
+        refillRequestId: 'REQ001',
+        status: 'FAILED',
+        message: 'Insufficient funds'
+      });
+
+      await lowBalanceAlert.checkAsset(buildAsset());
+
+      expect(sendSlackAlert.mock.calls[0][0]).toContain('Last refill: REQ001 `FAILED` - Insufficient funds');
+    });
+
+    it('should not alert while a refill is in flight', async () => {
+      mockBalance('20000000');
+      databaseService.getLatestRefillByAssetId.mockResolvedValue({ refillRequestId: 'REQ001', status: 'PROCESSING' });
+
+      const result = await lowBalanceAlert.checkAsset(buildAsset());
+
+      expect(result.reason).toBe('REFILL_IN_PROGRESS');
+      expect(sendSlackAlert).not.toHaveBeenCalled();
+    });
+
+    it('should not alert above the threshold', async () => {
+      mockBalance('50000000');
+
+      const result = await lowBalanceAlert.checkAsset(buildAsset());
+
+      expect(result.reason).toBe('ABOVE_THRESHOLD');
+      expect(sendSlackAlert).not.toHaveBeenCalled();
+    });
+
+    it('should skip assets without a low balance threshold', async () => {
+      const result = await lowBalanceAlert.checkAsset(buildAsset({ lowBalanceThresholdAtomic: null }));
+
+      expect(result.reason).toBe('THRESHOLD_NOT_CONFIGURED');
+      expect(balanceWatcher.getHotWalletBalance).not.toHaveBeenCalled();
+    });
+
+    it('should not alert again until the balance recovers past the recovery margin', async () => {
+      const asset = buildAsset();
+
+      mockBalance('20000000');
+      await lowBalanceAlert.checkAsset(asset);
+      const repeated = await lowBalanceAlert.checkAsset(asset);
+      expect(repeated.reason).toBe('ALREADY_ALERTED');
+
+      // Back above the threshold but within the 10% recovery margin
+      mockBalance('52000000');
+      await lowBalanceAlert.checkAsset(asset);
+      mockBalance('40000000');
+      const dipped = await lowBalanceAlert.checkAsset(asset);
+      expect(dipped.reason).toBe('ALREADY_ALERTED');
+      expect(sendSlackAlert).toHaveBeenCalledTimes(1);
+
+      mockBalance('55000000');
+      const recovered = await lowBalanceAlert.checkAsset(asset);
+      expect(recovered.reason).toBe('RECOVERED');
+      expect(sendSlackAlert).toHaveBeenLastCalledWith(
+        expect.stringContaining('Low Balance Recovered: BTC hot wallet on Bitcoin is back at 55000000'),
+        'https://hooks.slack.test/alerts'
+      );
+
+      mockBalance('20000000');
+      const realerted = await lowBalanceAlert.checkAsset(asset);
+      expect(realerted.alertSent).toBe(true);
+      expect(sendSlackAlert).toHaveBeenCalledTimes(3);
+    });
+
+    it('should handle balance read errors gracefully', async () => {
+      balanceWatcher.getHotWalletBalance.mockRejectedValue(new Error('Provider down'));
+
+      const result = await lowBalanceAlert.checkAsset(buildAsset());
+
+      expect(result).toEqual({ alertSent: false, reason: 'BALANCE_CHECK_ERROR' });
+    });
+  });
+
+  describe('checkAssets', () => {
+    it('should check every monitored asset', async () => {
+      databaseService.getBalanceMonitoredAssets.mockResolvedValue([buildAsset({ id: 1 }), buildAsset({ id: 2 })]);
+      mockBalance('20000000');
+
+      await lowBalanceAlert.checkAssets();
+
+      expect(balanceWatcher.getHotWalletBalance).toHaveBeenCalledTimes(2);
+      expect(sendSlackAlert).toHaveBeenCalledTimes(2);
+    });
+
+    it('should skip the cycle when no Slack webhook is configured', async () => {
+      alertConfig.slackWebhookUrl = null;
+
+      await lowBalanceAlert.checkAssets();
+
+      expect(databaseService.getBalanceMonitoredAssets).not.toHaveBeenCalled();
+    });
+
+    it('should skip the cycle if the previous one is still running', async () => {
+      lowBalanceAlert.isChecking = true;
+
+      await lowBalanceAlert.checkAssets();
+
+      expect(databaseService.getBalanceMonitoredAssets).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -8,43 +8,50 @@ jest.mock('../../../config', () => ({
     password: 'test',
     name: 'testdb'
   })),
-  getAllConfig: jest.fn()
+  getAllConfig: jest.fn(),
+  reloadSecrets: jest.fn()
 }));
 
 jest.mock('../../../service/chainDb');
-jest.mock('../../../providers/liminal');
-jest.mock('../../../providers/fireblocks');
 jest.mock('../../../middleware/logger');
 
 const providerService = require('../../../service/providerService');
 const databaseService = require('../../../service/chainDb');
+const providerRegistry = require('../../../providers/registry');
 const LiminalProvider = require('../../../providers/liminal');
 const FireblocksProvider = require('../../../providers/fireblocks');
+const BitGoProvider = require('../../../providers/bitgo');
+const SimulatorProvider = require('../../../providers/simulator');
 const config = require('../../../config');
 
 describe('ProviderService', () => {
-  let mockLiminalProvider;
   let mockFireblocksProvider;
 
   beforeEach(() => {
-    mockLiminalProvider = {
-      init: jest.fn().mockResolvedValue({ success: true })
-    };
-
     mockFireblocksProvider = {
       init: jest.fn().mockResolvedValue({ success: true })
     };
 
-    LiminalProvider.mockImplementation(() => mockLiminalProvider);
-    FireblocksProvider.mockImplementation(() => mockFireblocksProvider);
+    jest.spyOn(LiminalProvider.prototype, 'init').mockResolvedValue({ success: true });
+    jest.spyOn(FireblocksProvider.prototype, 'init').mockResolvedValue({ success: true });
+    jest.spyOn(BitGoProvider.prototype, 'init').mockResolvedValue({ success: true });
     
     // Reset singleton state
     providerService.initialized = false;
     providerService.providers = new Map();
+    providerService.guards = new Map();
+    providerService.initFailures = new Map();
+    providerService.stop();
     
     jest.clearAllMocks();
   });
 
+  afterEach(() => {
+    providerService.stop();
+    jest.useRealTimers();
+    jest.restoreAllMocks();
+  });
+
   describe('initialize', () => {
     it('should initialize providers when credentials are available', async () => {
       config.getSecret.mockImplementation((key) => {
@@ -61,11 +68,42 @@ describe('ProviderService', () => {
 
       await providerService.initialize();
 
-      expect(LiminalProvider).toHaveBeenCalled();
-      expect(FireblocksProvider).toHaveBeenCalled();
+      expect(providerService.providers.get('liminal')).toBeInstanceOf(LiminalProvider);
+      expect(providerService.providers.get('fireblocks')).toBeInstanceOf(FireblocksProvider);
+      expect(providerService.providers.get('liminal').config).toEqual({ env: 'dev' });
+      expect(providerService.providers.get('fireblocks').config).toEqual({ apiBaseUrl: 'https://api.fireblocks.io' });
+      expect(providerService.providers.has('simulator')).toBe(false);
       expect(providerService.initialized).toBe(true);
     });
 
+    it('should initialize every registered provider', async () => {
+      config.getSecret.mockImplementation((key) => {
+        if (key === 'liminal') return { clientId: 'id', clientSecret: 'secret', AuthAudience: 'aud' };
+        if (key === 'fireblocks') return { apiKey: 'key', privateKey: 'pk' };
+        if (key === 'bitgo') return { accessToken: 'token', walletPassphrase: 'pass' };
+        return null;
+      });
+      config.get.mockReturnValue({});
+
+      await providerService.initialize();
+
+      expect(Array.from(providerService.providers.keys())).toEqual(providerRegistry.getProviderNames());
+    });
+
+    it('should only initialize optional providers when their config section is present', async () => {
+      config.getSecret.mockReturnValue(null);
+      config.get.mockImplementation((key) => {
+        if (key === 'providers.simulator') return { stepDelayInMs: 1000 };
+        return null;
+      });
+
+      await providerService.initialize();
+
+      expect(Array.from(providerService.providers.keys())).toEqual(['simulator']);
+      expect(providerService.providers.get('simulator')).toBeInstanceOf(SimulatorProvider);
+      expect(providerService.providers.get('simulator').config.stepDelayInMs).toBe(1000);
+    });
+
     it('should only initialize once', async () => {
       config.getSecret.mockReturnValue({ clientId: 'id', clientSecret: 'secret', AuthAudience: 'aud' });
       config.get.mockReturnValue({ env: 'dev' });
@@ -73,7 +111,7 @@ describe('ProviderService', () => {
       await providerService.initialize();
       await providerService.initialize();
 
-      expect(LiminalProvider).toHaveBeenCalledTimes(1);
+      expect(LiminalProvider.prototype.init).toHaveBeenCalledTimes(1);
     });
 
     it('should skip provider when credentials missing', async () => {
@@ -81,17 +119,189 @@ describe('ProviderService', () => {
 
       await providerService.initialize();
 
-      expect(LiminalProvider).not.toHaveBeenCalled();
-      expect(FireblocksProvider).not.toHaveBeenCalled();
+      expect(providerService.providers.size).toBe(0);
+      expect(LiminalProvider.prototype.init).not.toHaveBeenCalled();
+      expect(FireblocksProvider.prototype.init).not.toHaveBeenCalled();
+    });
+
+    it('should skip provider when credentials are incomplete', async () => {
+      config.getSecret.mockImplementation((key) => {
+        if (key === 'liminal') return { clientId: 'id' };
+        if (key === 'fireblocks') return { apiKey: 'key', privateKey: 'pk' };
+        return null;
+      });
+      config.get.mockReturnValue({});
+
+      await providerService.initialize();
+
+      expect(providerService.providers.has('liminal')).toBe(false);
+      expect(providerService.providers.has('fireblocks')).toBe(true);
+    });
+
+    it('should initialize the other providers and retry a failed provider in the background', async () => {
+      jest.useFakeTimers();
+      config.getSecret.mockImplementation((key) => {
+        if (key === 'liminal') return { clientId: 'id', clientSecret: 'secret', AuthAudience: 'aud' };
+        if (key === 'fireblocks') return { apiKey: 'key', privateKey: 'pk' };
+        return null;
+      });
+      config.get.mockImplementation((key) => {
+        if (key === 'providers.liminal') return { env: 'dev' };
+        if (key === 'providers.fireblocks') return { apiBaseUrl: 'url' };
+        if (key === 'providerInitRetryIntervalInMs') return 1000;
+        return null;
+      });
+      LiminalProvider.prototype.init.mockRejectedValueOnce(new Error('Init failed'));
+
+      await providerService.initialize();
+
+      expect(providerService.initialized).toBe(true);
+      expect(providerService.providers.has('liminal')).toBe(false);
+      expect(providerService.providers.has('fireblocks')).toBe(true);
+      expect(providerService.getProviderHealth().liminal).toEqual(expect.objectContaining({
+        state: 'INIT_FAILED',
+        attempts: 1
+      }));
+      expect(providerService.getProviderHealth().liminal).not.toHaveProperty('error');
+
+      await jest.advanceTimersByTimeAsync(1000);
+
+      expect(LiminalProvider.prototype.init).toHaveBeenCalledTimes(2);
+      expect(FireblocksProvider.prototype.init).toHaveBeenCalledTimes(1);
+      expect(providerService.providers.has('liminal')).toBe(true);
+      expect(providerService.initFailures.size).toBe(0);
+      expect(providerService.initRetryTimer).toBeNull();
     });
 
-    it('should throw error when provider initialization fails', async () => {
+    it('should back off between retries of a provider that keeps failing', async () => {
+      jest.useFakeTimers();
       config.getSecret.mockReturnValue({ apiKey: 'key', privateKey: 'pk' });
-      config.get.mockReturnValue({ apiBaseUrl: 'url' });
-      
-      mockFireblocksProvider.init.mockRejectedValue(new Error('Init failed'));
+      config.get.mockImplementation((key) => {
+        if (key === 'providers.fireblocks') return { apiBaseUrl: 'url' };
+        if (key === 'providerInitRetryIntervalInMs') return 1000;
+        if (key === 'providerInitRetryMaxIntervalInMs') return 3000;
+        return null;
+      });
+      FireblocksProvider.prototype.init.mockRejectedValue(new Error('Init failed'));
+
+      await providerService.initialize();
+      await jest.advanceTimersByTimeAsync(1000);
+      expect(FireblocksProvider.prototype.init).toHaveBeenCalledTimes(2);
+
+      await jest.advanceTimersByTimeAsync(1999);
+      expect(FireblocksProvider.prototype.init).toHaveBeenCalledTimes(2);
+      await jest.advanceTimersByTimeAsync(1);
+      expect(FireblocksProvider.prototype.init).toHaveBeenCalledTimes(3);
+
+      // Capped at the max interval
+      await jest.advanceTimersByTimeAsync(3000);
+      expect(FireblocksProvider.prototype.init).toHaveBeenCalledTimes(4);
+      expect(providerService.initFailures.get('fireblocks').attempts).toBe(4);
+    });
+
+    it('should stop retrying when stopped', async () => {
+      jest.useFakeTimers();
+      config.getSecret.mockReturnValue({ apiKey: 'key', privateKey: 'pk' });
+      config.get.mockImplementation((key) => (key === 'providers.fireblocks' ? { apiBaseUrl: 'url' } : null));
+      FireblocksProvider.prototype.init.mockRejectedValue(new Error('Init failed'));
+
+      await providerService.initialize();
+      providerService.stop();
+      await jest.advanceTimersByTimeAsync(60000);
+
+      expect(FireblocksProvider.prototype.init).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('reinitializeProvider', () => {
+    beforeEach(() => {
+      config.getSecret.mockImplementation((key) => (key === 'fireblocks' ? { apiKey: 'key', privateKey: 'pk' } : null));
+      config.get.mockImplementation((key) => (key === 'providers.fireblocks' ? { apiBaseUrl: 'url' } : null));
+      config.reloadSecrets.mockReturnValue({ success: true, errors: null });
+    });
+
+    it('should reload the secrets and replace the provider instance', async () => {
+      await providerService.initialize();
+      const previousProvider = providerService.providers.get('fireblocks');
+
+      const result = await providerService.reinitializeProvider('fireblocks');
+
+      expect(result.success).toBe(true);
+      expect(result.data.provider).toBe('fireblocks');
+      expect(config.reloadSecrets).toHaveBeenCalled();
+      expect(providerService.providers.get('fireblocks')).not.toBe(previousProvider);
+      expect(providerService.providers.get('fireblocks')).toBeInstanceOf(FireblocksProvider);
+    });
+
+    it('should clear the initialization failure of a provider that failed to start', async () => {
+      jest.useFakeTimers();
+      FireblocksProvider.prototype.init.mockRejectedValueOnce(new Error('Init failed'));
+      await providerService.initialize();
+      expect(providerService.providers.has('fireblocks')).toBe(false);
+
+      const result = await providerService.reinitializeProvider('fireblocks');
+
+      expect(result.success).toBe(true);
+      expect(providerService.providers.has('fireblocks')).toBe(true);
+      expect(providerService.getProviderHealth().fireblocks.state).toBe('CLOSED');
+    });
+
+    it('should keep the running provider when the new instance fails to initialize', async () => {
+      await providerService.initialize();
+      const previousProvider = providerService.providers.get('fireblocks');
+      FireblocksProvider.prototype.init.mockRejectedValueOnce(new Error('Invalid API key'));
+
+      const result = await providerService.reinitializeProvider('fireblocks');
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('PROVIDER_INIT_FAILED');
+      expect(result.data.details).toBe('Invalid API key');
+      expect(providerService.providers.get('fireblocks')).toBe(previousProvider);
+    });
+
+    it('should return PROVIDER_NOT_FOUND for unknown providers', async () => {
+      const result = await providerService.reinitializeProvider('unknown');
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('PROVIDER_NOT_FOUND');
+    });
+
+    it('should return PROVIDER_NOT_CONFIGURED when the provider credentials are missing', async () => {
+      config.getSecret.mockReturnValue(null);
+
+      const result = await providerService.reinitializeProvider('fireblocks');
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('PROVIDER_NOT_CONFIGURED');
+    });
+  });
+
+  describe('guardProvider', () => {
+    it('should wrap initialized providers with a guard per provider', async () => {
+      config.getSecret.mockImplementation((key) => {
+        if (key === 'fireblocks') return { apiKey: 'key', privateKey: 'pk' };
+        return null;
+      });
+      config.get.mockImplementation((key) => {
+        if (key === 'providers.fireblocks') return { apiBaseUrl: 'https://api.fireblocks.io' };
+        if (key === 'providerGuard') return { failureThreshold: 2, overrides: { fireblocks: { failureThreshold: 4 } } };
+        return null;
+      });
+
+      await providerService.initialize();
+
+      expect(providerService.guards.get('fireblocks').config.failureThreshold).toBe(4);
+      expect(providerService.getProviderHealth()).toEqual({
+        fireblocks: expect.objectContaining({ state: 'CLOSED', consecutiveFailures: 0 })
+      });
+    });
+
+    it('should not wrap providers when the guard is disabled', () => {
+      config.get.mockImplementation((key) => (key === 'providerGuard' ? { enabled: false } : null));
+      const provider = createMockProvider('fireblocks');
 
-      await expect(providerService.initialize()).rejects.toThrow('Init failed');
+      expect(providerService.guardProvider('fireblocks', provider)).toBe(provider);
+      expect(providerService.getProviderHealth()).toEqual({});
     });
   });
 
@@ -0,0 +1,210 @@
+const reconciliationService = require('../../../service/reconciliationService');
+const databaseService = require('../../../service/chainDb');
+const providerService = require('../../../service/providerService');
+const refillTransactionService = require('../../../service/refillTransactionService');
+const config = require('../../../config');
+
+jest.mock('../../../service/chainDb');
+jest.mock('../../../service/providerService');
+jest.mock('../../../service/refillTransactionService');
+jest.mock('../../../config', () => ({
+  get: jest.fn(),
+  getSecret: jest.fn((key) => {
+    if (key === 'chainDb') {
+      return {
+        host: 'localhost',
+        port: 5432,
+        user: 'test',
+        password: 'test',
+        name: 'testdb'
+      };
+    }
+    return null;
+  }),
+  getAllConfig: jest.fn()
+}));
+jest.mock('../../../middleware/logger');
+
+describe('ReconciliationService', () => {
+  let mockProvider;
+  let reconciliationConfig;
+
+  const buildTransaction = (overrides = {}) => ({
+    refillRequestId: 'REQ001',
+    provider: 'fireblocks',
+    status: 'PENDING',
+    providerTxId: null,
+    externalTxId: null,
+    attemptCount: 1,
+    updatedAt: new Date(Date.now() - 120 * 1000),
+    Asset: createMockAsset(),
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    reconciliationService.stop();
+    reconciliationService.isReconciling = false;
+
+    reconciliationConfig = {
+      orphanedRefillMinAgeInSeconds: 60,
+      orphanedRefillGracePeriodInSeconds: 900
+    };
+    config.get.mockImplementation((key) => reconciliationConfig[key]);
+
+    mockProvider = createMockProvider('fireblocks');
+    mockProvider.findTransactionByExternalTxId = jest.fn();
+    providerService.initialize.mockResolvedValue();
+    providerService.getProviders.mockReturnValue(new Map([['fireblocks', mockProvider]]));
+
+    refillTransactionService.extractTransactionDetails.mockImplementation((provider, response) => ({
+      providerTxId: response.id,
+      status: response.status
+    }));
+    refillTransactionService.applyProviderUpdate.mockResolvedValue({ success: true, data: { status: 'PROCESSING' } });
+    refillTransactionService.updateRefillTransactionStatus.mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    reconciliationService.stop();
+  });
+
+  describe('start/stop', () => {
+    it('should start and stop the reconciliation job', () => {
+      jest.useFakeTimers();
+      databaseService.getOrphanedRefillTransactions.mockResolvedValue([]);
+
+      reconciliationService.start(5000);
+      expect(reconciliationService.isRunning).toBe(true);
+
+      reconciliationService.stop();
+      expect(reconciliationService.isRunning).toBe(false);
+      expect(reconciliationService.intervalId).toBeNull();
+
+      jest.useRealTimers();
+    });
+  });
+
+  describe('reconcileTransaction', () => {
+    it('should adopt the provider transaction found by external ID', async () => {
+      const providerTransaction = { id: 'fb-123', status: 'SUBMITTED' };
+      mockProvider.findTransactionByExternalTxId.mockResolvedValue({
+        externalTxId: 'REQ001_refill_BTC',
+        transaction: providerTransaction
+      });
+      const transaction = buildTransaction();
+
+      const result = await reconciliationService.reconcileTransaction(transaction);
+
+      expect(mockProvider.findTransactionByExternalTxId).toHaveBeenCalledWith('REQ001_refill', transaction);
+      expect(refillTransactionService.applyProviderUpdate).toHaveBeenCalledWith(transaction, providerTransaction, {
+        providerTxId: 'fb-123',
+        externalTxId: 'REQ001_refill_BTC'
+      });
+      expect(result.data).toEqual({ refillRequestId: 'REQ001', outcome: 'ADOPTED', status: 'PROCESSING' });
+    });
+
+    it('should look retried refills up by the external ID of their attempt', async () => {
+      mockProvider.findTransactionByExternalTxId.mockResolvedValue(null);
+
+      await reconciliationService.reconcileTransaction(buildTransaction({ attemptCount: 3 }));
+
+      expect(mockProvider.findTransactionByExternalTxId).toHaveBeenCalledWith('REQ001_refill_3', expect.any(Object));
+    });
+
+    it('should wait for the provider within the grace period', async () => {
+      mockProvider.findTransactionByExternalTxId.mockResolvedValue(null);
+
+      const result = await reconciliationService.reconcileTransaction(buildTransaction());
+
+      expect(result.data.outcome).toBe('WAITING');
+      expect(refillTransactionService.updateRefillTransactionStatus).not.toHaveBeenCalled();
+    });
+
+    it('should mark the refill FAILED once the grace period has passed', async () => {
+      mockProvider.findTransactionByExternalTxId.mockResolvedValue(null);
+      const transaction = buildTransaction({ updatedAt: new Date(Date.now() - 1000 * 1000) });
+
+      const result = await reconciliationService.reconcileTransaction(transaction);
+
+      expect(result.data).toEqual({ refillRequestId: 'REQ001', outcome: 'FAILED', status: 'FAILED' });
+      expect(refillTransactionService.updateRefillTransactionStatus).toHaveBeenCalledWith(transaction, {
+        status: 'FAILED',
+        message: 'No fireblocks transaction found for external ID REQ001_refill within 900 seconds'
+      }, expect.objectContaining({
+        status: 'FAILED',
+        previousStatus: 'PENDING'
+      }), {
+        status: 'PENDING',
+        providerTxId: null,
+        attemptCount: transaction.attemptCount
+      });
+    });
+
+    it('should skip a refill that changed while it was being reconciled', async () => {
+      mockProvider.findTransactionByExternalTxId.mockResolvedValue(null);
+      refillTransactionService.updateRefillTransactionStatus.mockResolvedValue({
+        success: false,
+        code: 'TRANSACTION_STATE_CHANGED'
+      });
+
+      const result = await reconciliationService.reconcileTransaction(buildTransaction({
+        updatedAt: new Date(Date.now() - 1000 * 1000)
+      }));
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({ refillRequestId: 'REQ001', outcome: 'SKIPPED', status: 'PENDING' });
+    });
+
+    it('should return PROVIDER_NOT_AVAILABLE when the provider is not initialized', async () => {
+      providerService.getProviders.mockReturnValue(new Map());
+
+      const result = await reconciliationService.reconcileTransaction(buildTransaction());
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('PROVIDER_NOT_AVAILABLE');
+    });
+
+    it('should not change the refill when the provider lookup fails', async () => {
+      mockProvider.findTransactionByExternalTxId.mockRejectedValue(new Error('Provider down'));
+
+      await expect(reconciliationService.reconcileTransaction(buildTransaction({
+        updatedAt: new Date(Date.now() - 1000 * 1000)
+      }))).rejects.toThrow('Provider down');
+      expect(refillTransactionService.updateRefillTransactionStatus).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('reconcileOrphanedTransactions', () => {
+    it('should reconcile refills left untouched for the minimum age', async () => {
+      const transactions = [buildTransaction({ refillRequestId: 'REQ001' }), buildTransaction({ refillRequestId: 'REQ002' })];
+      databaseService.getOrphanedRefillTransactions.mockResolvedValue(transactions);
+      const reconcileSpy = jest.spyOn(reconciliationService, 'reconcileTransaction')
+        .mockRejectedValueOnce(new Error('Provider down'))
+        .mockResolvedValueOnce({ success: true });
+      const before = Date.now();
+
+      await reconciliationService.reconcileOrphanedTransactions();
+
+      const cutoff = databaseService.getOrphanedRefillTransactions.mock.calls[0][0];
+      expect(cutoff.getTime()).toBeLessThanOrEqual(before - 60 * 1000 + 1000);
+      expect(reconcileSpy.mock.calls.map(call => call[0].refillRequestId)).toEqual(['REQ001', 'REQ002']);
+      reconcileSpy.mockRestore();
+    });
+
+    it('should skip the cycle if the previous one is still running', async () => {
+      reconciliationService.isReconciling = true;
+
+      await reconciliationService.reconcileOrphanedTransactions();
+
+      expect(databaseService.getOrphanedRefillTransactions).not.toHaveBeenCalled();
+    });
+
+    it('should handle database errors gracefully', async () => {
+      databaseService.getOrphanedRefillTransactions.mockRejectedValue(new Error('DB error'));
+
+      await expect(reconciliationService.reconcileOrphanedTransactions()).resolves.not.toThrow();
+      expect(reconciliationService.isReconciling).toBe(false);
+    });
+  });
+});
@@ -2,11 +2,14 @@ const refillService = require('../../../service/refillService');
 const refillValidationService = require('../../../service/refillValidationService');
 const refillTransactionService = require('../../../service/refillTransactionService');
 const providerService = require('../../../service/providerService');
+const databaseService = require('../../../service/chainDb');
 const BigNumber = require('bignumber.js');
+const { ProviderUnavailableError } = require('../../../providers/providerGuard');
 
 jest.mock('../../../service/refillValidationService');
 jest.mock('../../../service/refillTransactionService');
 jest.mock('../../../service/providerService');
+jest.mock('../../../service/chainDb');
 jest.mock('../../../middleware/logger');
 
 describe('RefillService', () => {
@@ -30,6 +33,14 @@ describe('RefillService', () => {
       code: null,
       data: { missingFields: [] }
     });
+    refillValidationService.getGasTopUpRefillData = jest.fn((gasTopUp, blockchain) => ({
+      wallet_address: gasTopUp.walletAddress,
+      asset_symbol: gasTopUp.assetSymbol,
+      asset_address: gasTopUp.assetAddress,
+      chain_name: blockchain.name,
+      refill_amount: gasTopUp.refillAmount,
+      refill_sweep_wallet: gasTopUp.refillSweepWallet
+    }));
     
     jest.clearAllMocks();
   });
@@ -72,6 +83,7 @@ describe('RefillService', () => {
         wallet: { id: 1, address: '0x123' },
         asset: { id: 1, symbol: 'BTC', decimals: 8, sweepWalletConfig: { fireblocks: { vaultId: '0', assetId: 'BTC' } }, hotWalletConfig: { fireblocks: { vaultId: '1' } } },
         blockchain: { id: 1, symbol: 'BTC', name: 'Bitcoin' },  // Added name
+        refillAmount: '1.0',
         refillAmountAtomic: '100000000'
       };
 
@@ -102,6 +114,10 @@ describe('RefillService', () => {
 
       const result = await refillService.processRefillRequestService(mockRefillData);
 
+      expect(refillTransactionService.updateRefillTransaction).toHaveBeenCalledWith('REQ001', expect.objectContaining({
+        providerTxId: 'fb-tx-123',
+        feeParams: null
+      }), { status: 'PENDING', providerTxId: null, attemptCount: 1 });
       expect(result.success).toBe(true);
       expect(result.data.refillRequestId).toBe('REQ001');
       expect(result.data.provider).toBe('fireblocks');
@@ -117,6 +133,286 @@ describe('RefillService', () => {
       );
     });
 
+    it('should keep a created but unsigned transfer request in flight with the signing error', async () => {
+      refillValidationService.validateRefillRequest.mockResolvedValue({
+        success: true,
+        data: {
+          provider: mockProvider,
+          details: {
+            wallet: { id: 1, address: '0x123' },
+            asset: { id: 1, symbol: 'BTC', decimals: 8, sweepWalletConfig: { fireblocks: { vaultId: '0', assetId: 'BTC' } }, hotWalletConfig: { fireblocks: { vaultId: '1' } } },
+            blockchain: { id: 1, symbol: 'BTC', name: 'Bitcoin' },
+            refillAmount: '1.0',
+            refillAmountAtomic: '100000000'
+          }
+        }
+      });
+      refillTransactionService.createRefillTransaction.mockResolvedValue({
+        success: true,
+        data: { transaction: { refillRequestId: 'REQ001' } }
+      });
+      mockProvider.createTransferRequest.mockResolvedValue({
+        transactionId: '777',
+        status: 1,
+        signingError: 'TSM node unreachable'
+      });
+      refillTransactionService.mapProviderStatusToInternal.mockReturnValue('PROCESSING');
+      refillTransactionService.updateRefillTransaction.mockResolvedValue({ success: true });
+
+      const result = await refillService.processRefillRequestService(mockRefillData);
+
+      expect(result.success).toBe(true);
+      expect(refillTransactionService.updateRefillTransaction).toHaveBeenCalledWith('REQ001', expect.objectContaining({
+        status: 'PROCESSING',
+        providerTxId: '777',
+        message: 'Transfer request created but not signed: TSM node unreachable'
+      }), expect.any(Object));
+    });
+
+    it('should record externally requested refills as EXTERNAL by default', async () => {
+      refillValidationService.validateRefillRequest.mockResolvedValue({
+        success: true,
+        data: {
+          provider: mockProvider,
+          details: {
+            wallet: { id: 1, address: '0x123' },
+            asset: { id: 1, symbol: 'BTC', decimals: 8, sweepWalletConfig: { fireblocks: { vaultId: '0', assetId: 'BTC' } }, hotWalletConfig: { fireblocks: { vaultId: '1' } } },
+            blockchain: { id: 1, symbol: 'BTC', name: 'Bitcoin' },
+            refillAmountAtomic: '100000000'
+          }
+        }
+      });
+      refillTransactionService.createRefillTransaction.mockResolvedValue({ success: true, data: { transaction: {} } });
+      mockProvider.createTransferRequest.mockResolvedValue({ id: 'fb-tx-123', status: 'SUBMITTED' });
+      refillTransactionService.mapProviderStatusToInternal.mockReturnValue('PROCESSING');
+      refillTransactionService.updateRefillTransaction.mockResolvedValue({ success: true });
+
+      const result = await refillService.processRefillRequestService(mockRefillData);
+
+      expect(refillTransactionService.createRefillTransaction).toHaveBeenCalledWith(
+        expect.objectContaining({ initiatedBy: 'EXTERNAL' })
+      );
+      expect(result.data.initiatedBy).toBe('EXTERNAL');
+    });
+
+    it('should record the refill origin passed in options', async () => {
+      refillValidationService.validateRefillRequest.mockResolvedValue({
+        success: true,
+        data: {
+          provider: mockProvider,
+          details: {
+            wallet: { id: 1, address: '0x123' },
+            asset: { id: 1, symbol: 'BTC', decimals: 8, sweepWalletConfig: { fireblocks: { vaultId: '0', assetId: 'BTC' } }, hotWalletConfig: { fireblocks: { vaultId: '1' } } },
+            blockchain: { id: 1, symbol: 'BTC', name: 'Bitcoin' },
+            refillAmountAtomic: '100000000'
+          }
+        }
+      });
+      refillTransactionService.createRefillTransaction.mockResolvedValue({ success: true, data: { transaction: {} } });
+      mockProvider.createTransferRequest.mockResolvedValue({ id: 'fb-tx-123', status: 'SUBMITTED' });
+      refillTransactionService.mapProviderStatusToInternal.mockReturnValue('PROCESSING');
+      refillTransactionService.updateRefillTransaction.mockResolvedValue({ success: true });
+
+      const result = await refillService.processRefillRequestService(mockRefillData, { initiatedBy: 'BALANCE_WATCHER' });
+
+      expect(refillTransactionService.createRefillTransaction).toHaveBeenCalledWith(
+        expect.objectContaining({ initiatedBy: 'BALANCE_WATCHER' })
+      );
+      expect(result.data.initiatedBy).toBe('BALANCE_WATCHER');
+    });
+
+    it('should store the requesting client for status callbacks', async () => {
+      refillValidationService.validateRefillRequest.mockResolvedValue({
+        success: true,
+        data: {
+          provider: mockProvider,
+          details: {
+            wallet: { id: 1, address: '0x123' },
+            asset: { id: 1, symbol: 'BTC', decimals: 8, sweepWalletConfig: { fireblocks: { vaultId: '0', assetId: 'BTC' } }, hotWalletConfig: { fireblocks: { vaultId: '1' } } },
+            blockchain: { id: 1, symbol: 'BTC', name: 'Bitcoin' },
+            refillAmountAtomic: '100000000'
+          }
+        }
+      });
+      refillTransactionService.createRefillTransaction.mockResolvedValue({ success: true, data: { transaction: {} } });
+      mockProvider.createTransferRequest.mockResolvedValue({ id: 'fb-tx-123', status: 'SUBMITTED' });
+      refillTransactionService.mapProviderStatusToInternal.mockReturnValue('PROCESSING');
+      refillTransactionService.updateRefillTransaction.mockResolvedValue({ success: true });
+
+      await refillService.processRefillRequestService({ ...mockRefillData, client_id: 'mythyaverse' });
+
+      expect(refillTransactionService.createRefillTransaction).toHaveBeenCalledWith(
+        expect.objectContaining({ clientId: 'mythyaverse' })
+      );
+    });
+
+    it('should store the request parameters for retries', async () => {
+      refillValidationService.validateRefillRequest.mockResolvedValue({
+        success: true,
+        data: {
+          provider: mockProvider,
+          details: {
+            wallet: { id: 1, address: '0x123' },
+            asset: { id: 1, symbol: 'BTC', decimals: 8 },
+            blockchain: { id: 1, symbol: 'BTC', name: 'Bitcoin' },
+            refillAmountAtomic: '100000000'
+          }
+        }
+      });
+      refillTransactionService.createRefillTransaction.mockResolvedValue({ success: true, data: { transaction: {} } });
+      mockProvider.createTransferRequest.mockResolvedValue({ id: 'fb-tx-123', status: 'SUBMITTED' });
+      refillTransactionService.mapProviderStatusToInternal.mockReturnValue('PROCESSING');
+      refillTransactionService.updateRefillTransaction.mockResolvedValue({ success: true });
+
+      await refillService.processRefillRequestService(mockRefillData);
+
+      const { requestParams } = refillTransactionService.createRefillTransaction.mock.calls[0][0];
+      expect(requestParams).toEqual({
+        wallet_address: '0x123',
+        asset_symbol: 'BTC',
+        chain_name: 'Bitcoin',
+        refill_amount: '1.0',
+        refill_sweep_wallet: '0xcold',
+        asset_address: 'native'
+      });
+    });
+
+    it('should record and return the computed amount of auto refills', async () => {
+      refillValidationService.validateRefillRequest.mockResolvedValue({
+        success: true,
+        data: {
+          provider: mockProvider,
+          details: {
+            wallet: { id: 1, address: '0x123' },
+            asset: { id: 1, symbol: 'BTC', decimals: 8, sweepWalletConfig: { fireblocks: { vaultId: '0', assetId: 'BTC' } }, hotWalletConfig: { fireblocks: { vaultId: '1' } } },
+            blockchain: { id: 1, symbol: 'BTC', name: 'Bitcoin' },
+            refillAmount: '0.7',
+            refillAmountAtomic: '70000000',
+            autoRefillAmount: true
+          }
+        }
+      });
+      refillTransactionService.createRefillTransaction.mockResolvedValue({ success: true, data: { transaction: {} } });
+      mockProvider.createTransferRequest.mockResolvedValue({ id: 'fb-tx-123', status: 'SUBMITTED' });
+      refillTransactionService.mapProviderStatusToInternal.mockReturnValue('PROCESSING');
+      refillTransactionService.updateRefillTransaction.mockResolvedValue({ success: true });
+
+      const result = await refillService.processRefillRequestService({ ...mockRefillData, refill_amount: 'auto' });
+
+      expect(refillTransactionService.createRefillTransaction).toHaveBeenCalledWith(expect.objectContaining({
+        amount: '0.7',
+        amountAtomic: '70000000',
+        requestParams: expect.objectContaining({ refill_amount: 'auto' })
+      }));
+      expect(result.data.refillAmount).toBe('0.7');
+      expect(result.data.autoRefillAmount).toBe(true);
+    });
+
+    it('should chain a gas top-up recorded as a child of the token refill', async () => {
+      const tokenDetails = {
+        wallet: { id: 1, address: '0x123' },
+        asset: { id: 2, symbol: 'USDT', decimals: 6, sweepWalletConfig: { fireblocks: { vaultId: '0', assetId: 'USDT_ERC20' } }, hotWalletConfig: { fireblocks: { vaultId: '1' } } },
+        blockchain: { id: 1, symbol: 'ETH', name: 'Ethereum' },
+        refillAmount: '100',
+        refillAmountAtomic: '100000000',
+        gasTopUp: {
+          assetSymbol: 'ETH',
+          assetAddress: 'native',
+          walletAddress: '0x123',
+          refillSweepWallet: '0xcold',
+          refillAmount: '0.5',
+          refillAmountAtomic: '500000000000000000'
+        }
+      };
+      const nativeDetails = {
+        wallet: { id: 1, address: '0x123' },
+        asset: { id: 1, symbol: 'ETH', decimals: 18, sweepWalletConfig: { fireblocks: { vaultId: '0', assetId: 'ETH' } }, hotWalletConfig: { fireblocks: { vaultId: '1' } } },
+        blockchain: { id: 1, symbol: 'ETH', name: 'Ethereum' },
+        refillAmount: '0.5',
+        refillAmountAtomic: '500000000000000000',
+        gasTopUp: null
+      };
+      refillValidationService.validateRefillRequest
+        .mockResolvedValueOnce({ success: true, data: { provider: mockProvider, details: tokenDetails } })
+        .mockResolvedValueOnce({ success: true, data: { provider: mockProvider, details: nativeDetails } });
+      refillTransactionService.createRefillTransaction.mockResolvedValue({ success: true, data: { transaction: {} } });
+      mockProvider.createTransferRequest.mockResolvedValue({ id: 'fb-tx-123', status: 'SUBMITTED' });
+      refillTransactionService.mapProviderStatusToInternal.mockReturnValue('PROCESSING');
+      refillTransactionService.updateRefillTransaction.mockResolvedValue({ success: true });
+
+      const result = await refillService.processRefillRequestService({
+        ...mockRefillData,
+        asset_symbol: 'USDT',
+        asset_address: '0xusdt',
+        chain_name: 'Ethereum',
+        client_id: 'mythyaverse'
+      });
+
+      expect(refillValidationService.validateRefillRequest).toHaveBeenLastCalledWith({
+        refill_request_id: 'REQ001_gas',
+        wallet_address: '0x123',
+        asset_symbol: 'ETH',
+        asset_address: 'native',
+        chain_name: 'Ethereum',
+        refill_amount: '0.5',
+        refill_sweep_wallet: '0xcold',
+        client_id: 'mythyaverse'
+      }, { gasTopUp: true });
+      expect(refillValidationService.validateRefillRequest).toHaveBeenNthCalledWith(1, expect.objectContaining({
+        refill_request_id: 'REQ001',
+        asset_symbol: 'USDT'
+      }), { gasTopUp: false });
+      expect(refillTransactionService.createRefillTransaction).toHaveBeenLastCalledWith(expect.objectContaining({
+        refillRequestId: 'REQ001_gas',
+        initiatedBy: 'GAS_TOP_UP',
+        parentRefillRequestId: 'REQ001'
+      }));
+      expect(result.data.parentRefillRequestId).toBeNull();
+      expect(result.data.gasTopUp).toEqual({
+        refillRequestId: 'REQ001_gas',
+        success: true,
+        status: 'PROCESSING',
+        code: null,
+        error: null
+      });
+    });
+
+    it('should keep the token refill when the gas top-up is rejected', async () => {
+      refillValidationService.validateRefillRequest
+        .mockResolvedValueOnce({
+          success: true,
+          data: {
+            provider: mockProvider,
+            details: {
+              wallet: { id: 1, address: '0x123' },
+              asset: { id: 2, symbol: 'USDT', decimals: 6, sweepWalletConfig: { fireblocks: { vaultId: '0', assetId: 'USDT_ERC20' } }, hotWalletConfig: { fireblocks: { vaultId: '1' } } },
+              blockchain: { id: 1, symbol: 'ETH', name: 'Ethereum' },
+              refillAmount: '100',
+              refillAmountAtomic: '100000000',
+              gasTopUp: { assetSymbol: 'ETH', assetAddress: 'native', walletAddress: '0x123', refillSweepWallet: '0xcold', refillAmount: '0.5' }
+            }
+          }
+        })
+        .mockResolvedValueOnce({ success: false, error: 'Refill cooldown period active', code: 'COOLDOWN_ACTIVE', data: {} });
+      refillTransactionService.createRefillTransaction.mockResolvedValue({ success: true, data: { transaction: {} } });
+      mockProvider.createTransferRequest.mockResolvedValue({ id: 'fb-tx-123', status: 'SUBMITTED' });
+      refillTransactionService.mapProviderStatusToInternal.mockReturnValue('PROCESSING');
+      refillTransactionService.updateRefillTransaction.mockResolvedValue({ success: true });
+
+      const result = await refillService.processRefillRequestService(mockRefillData);
+
+      expect(result.success).toBe(true);
+      expect(result.data.status).toBe('PROCESSING');
+      expect(result.data.gasTopUp).toEqual({
+        refillRequestId: 'REQ001_gas',
+        success: false,
+        status: null,
+        code: 'COOLDOWN_ACTIVE',
+        error: 'Refill cooldown period active'
+      });
+      expect(refillTransactionService.createRefillTransaction).toHaveBeenCalledTimes(1);
+    });
+
     it('should return error when provider not available', async () => {
       refillValidationService.validateRefillRequest.mockResolvedValue({
         success: false,
@@ -208,8 +504,138 @@ describe('RefillService', () => {
       expect(result.success).toBe(false);
       expect(refillTransactionService.updateRefillTransaction).toHaveBeenCalledWith(
         'REQ001',
-        expect.objectContaining({ status: 'FAILED' })
+        expect.objectContaining({ status: 'FAILED' }),
+        { status: 'PENDING', providerTxId: null, attemptCount: 1 }
+      );
+    });
+
+    it('should not overwrite a refill that reconciliation picked up before the provider responded', async () => {
+      refillValidationService.validateRefillRequest.mockResolvedValue({
+        success: true,
+        data: {
+          provider: mockProvider,
+          details: {
+            wallet: { id: 1, address: '0x123' },
+            asset: { id: 1, symbol: 'BTC', decimals: 8, sweepWalletConfig: { fireblocks: { vaultId: '0', assetId: 'BTC' } }, hotWalletConfig: { fireblocks: { vaultId: '1' } } },
+            blockchain: { id: 1, symbol: 'BTC', name: 'Bitcoin' },
+            refillAmountAtomic: '100000000',
+            refillAmount: '1.0'
+          }
+        }
+      });
+      refillTransactionService.createRefillTransaction.mockResolvedValue({ success: true });
+      mockProvider.createTransferRequest.mockResolvedValue({ id: 'fb-late', transactionId: 'fb-late', status: 'SUBMITTED' });
+      refillTransactionService.mapProviderStatusToInternal.mockReturnValue('PROCESSING');
+      refillTransactionService.updateRefillTransaction.mockResolvedValue({
+        success: false,
+        code: 'TRANSACTION_STATE_CHANGED'
+      });
+
+      const result = await refillService.processRefillRequestService(mockRefillData);
+
+      expect(refillTransactionService.updateRefillTransaction).toHaveBeenCalledTimes(1);
+      expect(refillTransactionService.updateRefillTransaction).toHaveBeenCalledWith(
+        'REQ001',
+        expect.objectContaining({ providerTxId: 'fb-late' }),
+        { status: 'PENDING', providerTxId: null, attemptCount: 1 }
       );
+      expect(result.success).toBe(true);
+    });
+  });
+
+  describe('previewRefillRequestService', () => {
+    const previewData = {
+      wallet_address: '0x123',
+      asset_symbol: 'BTC',
+      chain_name: 'Bitcoin',
+      refill_amount: '1.0',
+      refill_sweep_wallet: '0xcold',
+      asset_address: 'native'
+    };
+
+    const validatedData = {
+      wallet: { id: 1, address: '0x123' },
+      asset: { id: 1, symbol: 'BTC', decimals: 8 },
+      blockchain: { id: 1, symbol: 'BTC', name: 'Bitcoin' },
+      hotWalletBalance: '10000000',
+      refillAmountAtomic: '100000000'
+    };
+
+    it('should return the validated details without recording or submitting a refill', async () => {
+      refillValidationService.validateRefillRequest.mockResolvedValue({
+        success: true,
+        data: { provider: mockProvider, details: validatedData }
+      });
+
+      const result = await refillService.previewRefillRequestService(previewData);
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual(expect.objectContaining({
+        dryRun: true,
+        refillRequestId: null,
+        refillAmountAtomic: '100000000',
+        provider: 'fireblocks',
+        details: validatedData
+      }));
+      expect(refillValidationService.validateRequiredFields).toHaveBeenCalledWith(previewData, { requireRequestId: false });
+      expect(refillTransactionService.createRefillTransaction).not.toHaveBeenCalled();
+      expect(mockProvider.createTransferRequest).not.toHaveBeenCalled();
+    });
+
+    it('should return the validation failure', async () => {
+      refillValidationService.validateRefillRequest.mockResolvedValue({
+        success: false,
+        error: 'Insufficient balance',
+        code: 'INSUFFICIENT_COLD_WALLET_BALANCE',
+        data: { requiredAmount: '100000000' }
+      });
+
+      const result = await refillService.previewRefillRequestService(previewData);
+
+      expect(result).toEqual({
+        success: false,
+        error: 'Insufficient balance',
+        code: 'INSUFFICIENT_COLD_WALLET_BALANCE',
+        data: { requiredAmount: '100000000' }
+      });
+      expect(refillTransactionService.createRefillTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should return missing fields before validating', async () => {
+      refillValidationService.validateRequiredFields.mockReturnValueOnce({
+        success: false,
+        error: 'Missing required fields: chain_name',
+        code: 'MISSING_FIELDS',
+        data: { missingFields: ['chain_name'] }
+      });
+
+      const result = await refillService.previewRefillRequestService({ wallet_address: '0x123' });
+
+      expect(result.code).toBe('MISSING_FIELDS');
+      expect(refillValidationService.validateRefillRequest).not.toHaveBeenCalled();
+    });
+
+    it('should be used by processRefillRequestService when dry_run is set', async () => {
+      refillValidationService.validateRefillRequest.mockResolvedValue({
+        success: true,
+        data: { provider: mockProvider, details: validatedData }
+      });
+
+      const result = await refillService.processRefillRequestService({ ...previewData, refill_request_id: 'REQ001', dry_run: true });
+
+      expect(result.data.dryRun).toBe(true);
+      expect(result.data.refillRequestId).toBe('REQ001');
+      expect(refillTransactionService.createRefillTransaction).not.toHaveBeenCalled();
+      expect(mockProvider.createTransferRequest).not.toHaveBeenCalled();
+    });
+
+    it('should return PROCESSING_ERROR when validation throws', async () => {
+      refillValidationService.validateRefillRequest.mockRejectedValue(new Error('Unexpected'));
+
+      const result = await refillService.previewRefillRequestService(previewData);
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('PROCESSING_ERROR');
     });
   });
 
@@ -255,6 +681,36 @@ describe('RefillService', () => {
       expect(callArgs.coldWalletConfig).toEqual(validatedData.asset.sweepWalletConfig);
     });
 
+    it('should suffix externalTxId with the attempt number on retries', async () => {
+      mockProvider.createTransferRequest.mockResolvedValue({ transactionId: 'fb-1', status: 'SUBMITTED' });
+
+      await refillService.initiateRefill(validatedData, mockProvider, 'REQ999', 3);
+
+      expect(mockProvider.createTransferRequest.mock.calls[0][0].externalTxId).toBe('REQ999_refill_3');
+    });
+
+    it('should pass the refill urgency to the provider', async () => {
+      mockProvider.createTransferRequest.mockResolvedValue({ transactionId: 'fb-1', status: 'SUBMITTED' });
+
+      await refillService.initiateRefill({ ...validatedData, urgency: 'HIGH' }, mockProvider, 'REQ001');
+      await refillService.initiateRefill(validatedData, mockProvider, 'REQ002');
+
+      expect(mockProvider.createTransferRequest.mock.calls[0][0].urgency).toBe('HIGH');
+      expect(mockProvider.createTransferRequest.mock.calls[1][0].urgency).toBe('NORMAL');
+    });
+
+    it('should return the fee parameters chosen by the provider', async () => {
+      mockProvider.createTransferRequest.mockResolvedValue({
+        transactionId: 'fb-1',
+        status: 'SUBMITTED',
+        feeParams: { feeLevel: 'HIGH', urgency: 'HIGH' }
+      });
+
+      const result = await refillService.initiateRefill(validatedData, mockProvider, 'REQ001');
+
+      expect(result.data.feeParams).toEqual({ feeLevel: 'HIGH', urgency: 'HIGH' });
+    });
+
     it('should return success with transfer details', async () => {
       mockProvider.createTransferRequest.mockResolvedValue({
         id: 'fb-tx-123',
@@ -282,6 +738,223 @@ describe('RefillService', () => {
       expect(result.code).toBe('REFILL_INITIATION_ERROR');
       expect(result.data.details).toContain('API timeout');
     });
+
+    it('should return PROVIDER_UNAVAILABLE when the provider circuit is open', async () => {
+      mockProvider.createTransferRequest.mockRejectedValue(
+        new ProviderUnavailableError('fireblocks', 'CIRCUIT_OPEN', 'fireblocks provider is unavailable after 5 consecutive failures')
+      );
+
+      const result = await refillService.initiateRefill(validatedData, mockProvider, 'REQ001');
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('PROVIDER_UNAVAILABLE');
+      expect(result.data.reason).toBe('CIRCUIT_OPEN');
+    });
+  });
+
+  describe('retryRefillRequestService', () => {
+    const requestParams = {
+      wallet_address: '0xhot',
+      asset_symbol: 'BTC',
+      asset_address: 'native',
+      chain_name: 'Bitcoin',
+      refill_amount: '1.0',
+      refill_sweep_wallet: '0xcold'
+    };
+    const failedTransaction = {
+      refillRequestId: 'REQ050',
+      provider: 'fireblocks',
+      providerTxId: 'fb-050',
+      externalTxId: 'REQ050_refill_BTC',
+      providerStatus: 'REJECTED',
+      status: 'FAILED',
+      amountAtomic: '100000000',
+      message: 'Rejected by policy',
+      attemptCount: 1,
+      requestParams: requestParams
+    };
+    const validatedData = {
+      wallet: { id: 1, address: '0xhot' },
+      asset: { id: 1, symbol: 'BTC', decimals: 8, sweepWalletConfig: { fireblocks: { vaultId: '0', assetId: 'BTC' } }, hotWalletConfig: { fireblocks: { vaultId: '1' } } },
+      blockchain: { id: 1, symbol: 'BTC', name: 'Bitcoin' },
+      refillAmountAtomic: '100000000'
+    };
+
+    beforeEach(() => {
+      refillTransactionService.getRefillTransactionByRequestId.mockResolvedValue({
+        success: true,
+        data: { transaction: failedTransaction }
+      });
+      refillValidationService.validateRefillRequest.mockResolvedValue({
+        success: true,
+        data: { provider: mockProvider, details: validatedData }
+      });
+      databaseService.createRefillAttempt.mockResolvedValue({ id: 1 });
+      databaseService.claimFailedRefillTransaction.mockResolvedValue([1]);
+      mockProvider.createTransferRequest.mockResolvedValue({
+        transactionId: 'fb-051',
+        externalTxId: 'REQ050_refill_2_BTC',
+        status: 'SUBMITTED'
+      });
+      refillTransactionService.mapProviderStatusToInternal.mockReturnValue('PROCESSING');
+      refillTransactionService.updateRefillTransaction.mockResolvedValue({ success: true });
+    });
+
+    it('should re-validate the original request and submit a new attempt', async () => {
+      const result = await refillService.retryRefillRequestService('REQ050');
+
+      expect(refillValidationService.validateRefillRequest).toHaveBeenCalledWith({
+        ...requestParams,
+        refill_request_id: 'REQ050'
+      }, { gasTopUp: false });
+      expect(databaseService.createRefillAttempt).toHaveBeenCalledWith(expect.objectContaining({
+        refillRequestId: 'REQ050',
+        attempt: 1,
+        providerTxId: 'fb-050',
+        status: 'FAILED',
+        providerStatus: 'REJECTED'
+      }));
+      expect(databaseService.claimFailedRefillTransaction).toHaveBeenCalledWith('REQ050', 1, expect.objectContaining({
+        status: 'PENDING',
+        attemptCount: 2,
+        providerTxId: null,
+        externalTxId: null
+      }));
+      expect(refillTransactionService.recordTransactionEvent).toHaveBeenCalledWith('REQ050', 'RETRIED', expect.objectContaining({
+        status: 'PENDING',
+        attemptCount: 2
+      }));
+      expect(mockProvider.createTransferRequest.mock.calls[0][0].externalTxId).toBe('REQ050_refill_2');
+      expect(refillTransactionService.updateRefillTransactionStatus).toHaveBeenCalledWith(failedTransaction, {
+        status: 'PROCESSING',
+        providerTxId: 'fb-051',
+        providerStatus: 'SUBMITTED',
+        externalTxId: 'REQ050_refill_2_BTC',
+        feeParams: null
+      }, expect.objectContaining({
+        status: 'PROCESSING',
+        previousStatus: 'FAILED'
+      }), { status: 'PENDING', providerTxId: null, attemptCount: 2 });
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual(expect.objectContaining({ attempt: 2, transactionId: 'fb-051', status: 'PROCESSING' }));
+      expect(result.data.previousAttempt.attempt).toBe(1);
+    });
+
+    it('should store the re-validated amount of the new attempt', async () => {
+      refillValidationService.validateRefillRequest.mockResolvedValue({
+        success: true,
+        data: { provider: mockProvider, details: { ...validatedData, refillAmount: '0.8', refillAmountAtomic: '80000000' } }
+      });
+
+      await refillService.retryRefillRequestService('REQ050');
+
+      expect(databaseService.claimFailedRefillTransaction).toHaveBeenCalledWith('REQ050', 1, expect.objectContaining({
+        amount: '0.8',
+        amountAtomic: '80000000'
+      }));
+      expect(databaseService.createRefillAttempt).toHaveBeenCalledWith(expect.objectContaining({ amountAtomic: '100000000' }));
+      expect(refillTransactionService.updateRefillTransactionStatus).toHaveBeenCalledWith(
+        expect.objectContaining({ refillRequestId: 'REQ050', amount: '0.8', amountAtomic: '80000000' }),
+        expect.any(Object),
+        expect.any(Object),
+        expect.any(Object)
+      );
+    });
+
+    it('should rebuild the request from the asset for refills without stored parameters', async () => {
+      refillTransactionService.getRefillTransactionByRequestId.mockResolvedValue({
+        success: true,
+        data: {
+          transaction: { ...failedTransaction, requestParams: null, assetId: 1, tokenSymbol: 'BTC', chainName: 'Bitcoin', amount: '1.0', clientId: null }
+        }
+      });
+      databaseService.getAssetDetails.mockResolvedValue(createMockAsset());
+
+      await refillService.retryRefillRequestService('REQ050');
+
+      expect(refillValidationService.validateRefillRequest).toHaveBeenCalledWith(expect.objectContaining({
+        refill_request_id: 'REQ050',
+        wallet_address: '0xhot',
+        asset_symbol: 'BTC',
+        chain_name: 'Bitcoin',
+        refill_amount: '1.0',
+        refill_sweep_wallet: '0xcold'
+      }), { gasTopUp: false });
+    });
+
+    it('should retry gas top-ups without the cooldown and trigger threshold of the native asset', async () => {
+      refillTransactionService.getRefillTransactionByRequestId.mockResolvedValue({
+        success: true,
+        data: { transaction: { ...failedTransaction, initiatedBy: 'GAS_TOP_UP', parentRefillRequestId: 'REQ049' } }
+      });
+
+      await refillService.retryRefillRequestService('REQ050');
+
+      expect(refillValidationService.validateRefillRequest).toHaveBeenCalledWith(expect.any(Object), { gasTopUp: true });
+    });
+
+    it('should only retry FAILED refills', async () => {
+      refillTransactionService.getRefillTransactionByRequestId.mockResolvedValue({
+        success: true,
+        data: { transaction: { ...failedTransaction, status: 'PROCESSING' } }
+      });
+
+      const result = await refillService.retryRefillRequestService('REQ050');
+
+      expect(result.code).toBe('TRANSACTION_NOT_RETRYABLE');
+      expect(refillValidationService.validateRefillRequest).not.toHaveBeenCalled();
+    });
+
+    it('should return TRANSACTION_NOT_FOUND for unknown refills', async () => {
+      refillTransactionService.getRefillTransactionByRequestId.mockResolvedValue({
+        success: false,
+        code: 'TRANSACTION_NOT_FOUND'
+      });
+
+      const result = await refillService.retryRefillRequestService('NOPE');
+
+      expect(result.code).toBe('TRANSACTION_NOT_FOUND');
+    });
+
+    it('should return the validation error without touching the refill', async () => {
+      refillValidationService.validateRefillRequest.mockResolvedValue({
+        success: false,
+        error: 'Insufficient balance in cold wallet',
+        code: 'INSUFFICIENT_COLD_WALLET_BALANCE',
+        data: {}
+      });
+
+      const result = await refillService.retryRefillRequestService('REQ050');
+
+      expect(result.code).toBe('INSUFFICIENT_COLD_WALLET_BALANCE');
+      expect(databaseService.createRefillAttempt).not.toHaveBeenCalled();
+      expect(databaseService.claimFailedRefillTransaction).not.toHaveBeenCalled();
+    });
+
+    it('should reject a concurrent retry of the same attempt', async () => {
+      const uniqueError = new Error('Validation error');
+      uniqueError.name = 'SequelizeUniqueConstraintError';
+      databaseService.createRefillAttempt.mockRejectedValue(uniqueError);
+
+      const result = await refillService.retryRefillRequestService('REQ050');
+
+      expect(result.code).toBe('TRANSACTION_NOT_RETRYABLE');
+      expect(mockProvider.createTransferRequest).not.toHaveBeenCalled();
+    });
+
+    it('should mark the refill FAILED again if the new transfer cannot be submitted', async () => {
+      mockProvider.createTransferRequest.mockRejectedValue(new Error('Provider down'));
+
+      const result = await refillService.retryRefillRequestService('REQ050');
+
+      expect(result.code).toBe('REFILL_INITIATION_ERROR');
+      expect(refillTransactionService.updateRefillTransaction).toHaveBeenCalledWith('REQ050', expect.objectContaining({ status: 'FAILED' }), {
+        status: 'PENDING',
+        providerTxId: null,
+        attemptCount: 2
+      });
+      expect(refillTransactionService.updateRefillTransactionStatus).not.toHaveBeenCalled();
+    });
   });
 });
 
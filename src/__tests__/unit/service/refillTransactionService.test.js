@@ -1,9 +1,11 @@
 const refillTransactionService = require('../../../service/refillTransactionService');
 const databaseService = require('../../../service/chainDb');
 const providerService = require('../../../service/providerService');
+const callbackService = require('../../../service/callbackService');
 
 jest.mock('../../../service/chainDb');
 jest.mock('../../../service/providerService');
+jest.mock('../../../service/callbackService');
 jest.mock('../../../middleware/logger');
 
 describe('RefillTransactionService', () => {
@@ -32,6 +34,11 @@ describe('RefillTransactionService', () => {
       expect(result.success).toBe(true);
       expect(result.data.transaction.refillRequestId).toBe('REQ001');
       expect(databaseService.createRefillTransaction).toHaveBeenCalledWith(transactionData);
+      expect(databaseService.createRefillTransactionEvent).toHaveBeenCalledWith(expect.objectContaining({
+        refillRequestId: 'REQ001',
+        eventType: 'CREATED',
+        status: 'PENDING'
+      }));
     });
 
     it('should return error when transaction already exists (idempotency)', async () => {
@@ -100,7 +107,58 @@ describe('RefillTransactionService', () => {
       const result = await refillTransactionService.updateRefillTransaction('REQ001', updateData);
 
       expect(result.success).toBe(true);
-      expect(databaseService.updateRefillTransaction).toHaveBeenCalledWith('REQ001', updateData);
+      expect(databaseService.updateRefillTransaction).toHaveBeenCalledWith('REQ001', updateData, undefined, undefined);
+    });
+
+    it('should return TRANSACTION_STATE_CHANGED when the refill no longer has the expected state', async () => {
+      const expectedState = { status: 'PROCESSING' };
+      databaseService.updateRefillTransaction.mockResolvedValue([0]);
+
+      const result = await refillTransactionService.updateRefillTransaction('REQ001', { providerStatus: 'CONFIRMING' }, expectedState);
+
+      expect(databaseService.updateRefillTransaction).toHaveBeenCalledWith('REQ001', { providerStatus: 'CONFIRMING' }, undefined, expectedState);
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('TRANSACTION_STATE_CHANGED');
+      expect(databaseService.createRefillTransactionEvent).not.toHaveBeenCalled();
+    });
+
+    it('should record the update in the event timeline', async () => {
+      const providerData = { id: 'fb-123', status: 'BROADCASTING' };
+      databaseService.updateRefillTransaction.mockResolvedValue([1]);
+
+      await refillTransactionService.updateRefillTransaction('REQ001', {
+        providerStatus: 'BROADCASTING',
+        providerData: providerData,
+        lastProviderEventAt: new Date()
+      });
+
+      expect(databaseService.createRefillTransactionEvent).toHaveBeenCalledWith({
+        refillRequestId: 'REQ001',
+        eventType: 'UPDATED',
+        status: null,
+        providerStatus: 'BROADCASTING',
+        txHash: null,
+        message: null,
+        changedFields: ['providerStatus', 'providerData'],
+        providerData: providerData
+      });
+    });
+
+    it('should not record bookkeeping-only updates', async () => {
+      databaseService.updateRefillTransaction.mockResolvedValue([1]);
+
+      await refillTransactionService.updateRefillTransaction('REQ001', { lastProviderEventAt: new Date() });
+
+      expect(databaseService.createRefillTransactionEvent).not.toHaveBeenCalled();
+    });
+
+    it('should not fail the update when the event cannot be recorded', async () => {
+      databaseService.updateRefillTransaction.mockResolvedValue([1]);
+      databaseService.createRefillTransactionEvent.mockRejectedValue(new Error('DB error'));
+
+      const result = await refillTransactionService.updateRefillTransaction('REQ001', { status: 'COMPLETED' });
+
+      expect(result.success).toBe(true);
     });
 
     it('should return error when transaction not found', async () => {
@@ -124,6 +182,69 @@ describe('RefillTransactionService', () => {
     });
   });
 
+  describe('updateRefillTransactionStatus', () => {
+    const transaction = { refillRequestId: 'REQ001', status: 'PROCESSING' };
+    const dbTransaction = { id: 'db-transaction' };
+    const callbackUpdate = { status: 'COMPLETED', previousStatus: 'PROCESSING' };
+
+    beforeEach(() => {
+      databaseService.runInTransaction.mockImplementation(work => work(dbTransaction));
+      databaseService.updateRefillTransaction.mockResolvedValue([1]);
+      callbackService.enqueueStatusCallback.mockResolvedValue({ success: true, data: { queued: true } });
+    });
+
+    it('should update the refill and queue its callback in one database transaction', async () => {
+      const result = await refillTransactionService.updateRefillTransactionStatus(transaction, { status: 'COMPLETED' }, callbackUpdate);
+
+      expect(result.success).toBe(true);
+      expect(databaseService.updateRefillTransaction).toHaveBeenCalledWith('REQ001', { status: 'COMPLETED' }, dbTransaction, undefined);
+      expect(callbackService.enqueueStatusCallback).toHaveBeenCalledWith(transaction, callbackUpdate, dbTransaction);
+      expect(databaseService.createRefillTransactionEvent).toHaveBeenCalledWith(expect.objectContaining({
+        refillRequestId: 'REQ001',
+        eventType: 'UPDATED',
+        status: 'COMPLETED'
+      }));
+    });
+
+    it('should roll back the status change when the callback cannot be queued', async () => {
+      callbackService.enqueueStatusCallback.mockResolvedValue({
+        success: false,
+        error: 'Failed to queue refill callback',
+        code: 'CALLBACK_ENQUEUE_ERROR',
+        data: { details: 'DB error' }
+      });
+
+      const result = await refillTransactionService.updateRefillTransactionStatus(transaction, { status: 'COMPLETED' }, callbackUpdate);
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('TRANSACTION_UPDATE_ERROR');
+      expect(result.data.details).toContain('DB error');
+      expect(databaseService.createRefillTransactionEvent).not.toHaveBeenCalled();
+    });
+
+    it('should not queue a callback when the refill does not exist', async () => {
+      databaseService.updateRefillTransaction.mockResolvedValue([0]);
+
+      const result = await refillTransactionService.updateRefillTransactionStatus(transaction, { status: 'COMPLETED' }, callbackUpdate);
+
+      expect(result.code).toBe('TRANSACTION_NOT_FOUND');
+      expect(callbackService.enqueueStatusCallback).not.toHaveBeenCalled();
+    });
+
+    it('should leave a refill that no longer has the expected state unchanged', async () => {
+      const expectedState = { status: 'PROCESSING', providerTxId: null };
+      databaseService.updateRefillTransaction.mockResolvedValue([0]);
+
+      const result = await refillTransactionService.updateRefillTransactionStatus(transaction, { status: 'FAILED' }, callbackUpdate, expectedState);
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('TRANSACTION_STATE_CHANGED');
+      expect(databaseService.updateRefillTransaction).toHaveBeenCalledWith('REQ001', { status: 'FAILED' }, dbTransaction, expectedState);
+      expect(callbackService.enqueueStatusCallback).not.toHaveBeenCalled();
+      expect(databaseService.createRefillTransactionEvent).not.toHaveBeenCalled();
+    });
+  });
+
   describe('mapProviderStatusToInternal', () => {
     describe('Fireblocks status mapping', () => {
       it('should map COMPLETED to COMPLETED', () => {
@@ -199,6 +320,10 @@ describe('RefillTransactionService', () => {
       expect(refillTransactionService.isFinalStatus('FAILED')).toBe(true);
     });
 
+    it('should return true for CANCELLED', () => {
+      expect(refillTransactionService.isFinalStatus('CANCELLED')).toBe(true);
+    });
+
     it('should return true for completed (lowercase)', () => {
       expect(refillTransactionService.isFinalStatus('completed')).toBe(true);
     });
@@ -349,6 +474,59 @@ describe('RefillTransactionService', () => {
       expect(result.data.status).toBe('COMPLETED');
       expect(result.data.txHash).toBe('0xabc');
       expect(result.data.provider).toBe('fireblocks');
+      expect(result.data.previousAttempts).toEqual([]);
+      expect(databaseService.getRefillAttemptsByRequestId).not.toHaveBeenCalled();
+    });
+
+    it('should include the event timeline', async () => {
+      jest.spyOn(refillTransactionService, 'getRefillTransactionByRequestId').mockResolvedValue({
+        success: true,
+        data: { transaction: { refillRequestId: 'REQ003', status: 'PROCESSING', attemptCount: 1 } }
+      });
+      databaseService.getRefillTransactionEventsByRequestId.mockResolvedValue([
+        { eventType: 'CREATED', status: 'PENDING', providerStatus: null, changedFields: ['status'], createdAt: '2025-10-31T10:00:00Z' },
+        { eventType: 'UPDATED', status: null, providerStatus: 'PENDING_AUTHORIZATION', changedFields: ['providerStatus'], providerData: {}, createdAt: '2025-10-31T10:01:00Z' }
+      ]);
+
+      const result = await refillTransactionService.getTransactionStatusFromDB('REQ003');
+
+      expect(databaseService.getRefillTransactionEventsByRequestId).toHaveBeenCalledWith('REQ003');
+      expect(result.data.timeline.map(event => event.providerStatus)).toEqual([null, 'PENDING_AUTHORIZATION']);
+      expect(result.data.timeline[1]).toEqual({
+        eventType: 'UPDATED',
+        status: null,
+        providerStatus: 'PENDING_AUTHORIZATION',
+        txHash: undefined,
+        message: undefined,
+        changedFields: ['providerStatus'],
+        occurredAt: '2025-10-31T10:01:00Z'
+      });
+    });
+
+    it('should include previous attempts of retried refills', async () => {
+      jest.spyOn(refillTransactionService, 'getRefillTransactionByRequestId').mockResolvedValue({
+        success: true,
+        data: { transaction: { refillRequestId: 'REQ002', status: 'PROCESSING', attemptCount: 2 } }
+      });
+      databaseService.getRefillAttemptsByRequestId.mockResolvedValue([{
+        attempt: 1,
+        provider: 'fireblocks',
+        providerTxId: 'fb-001',
+        status: 'FAILED',
+        providerStatus: 'REJECTED',
+        createdAt: '2025-10-31T11:00:00Z'
+      }]);
+
+      const result = await refillTransactionService.getTransactionStatusFromDB('REQ002');
+
+      expect(result.data.attemptCount).toBe(2);
+      expect(result.data.previousAttempts).toEqual([expect.objectContaining({
+        attempt: 1,
+        providerTxId: 'fb-001',
+        status: 'FAILED',
+        providerStatus: 'REJECTED',
+        archivedAt: '2025-10-31T11:00:00Z'
+      })]);
     });
 
     it('should return error when transaction not found', async () => {
@@ -434,6 +612,62 @@ describe('RefillTransactionService', () => {
   });
 
   describe('checkAndUpdateTransactionFromProvider', () => {
+    it('should queue a status callback when the internal status changes', async () => {
+      const transaction = {
+        refillRequestId: 'REQ010',
+        provider: 'fireblocks',
+        status: 'PROCESSING',
+        providerStatus: 'BROADCASTING',
+        providerTxId: 'fb-010'
+      };
+
+      const mockProvider = createMockProvider('fireblocks');
+      providerService.initialize = jest.fn();
+      providerService.getProviders = jest.fn().mockReturnValue(new Map([['fireblocks', mockProvider]]));
+      mockProvider.getTransactionById.mockResolvedValue({ id: 'fb-010', status: 'COMPLETED', txHash: '0xdone' });
+
+      refillTransactionService.mapProviderStatusToInternal = jest.fn().mockReturnValue('COMPLETED');
+      refillTransactionService.updateRefillTransactionStatus = jest.fn().mockResolvedValue({ success: true });
+
+      await refillTransactionService.checkAndUpdateTransactionFromProvider(transaction);
+
+      expect(refillTransactionService.updateRefillTransactionStatus).toHaveBeenCalledWith(
+        transaction,
+        expect.objectContaining({ status: 'COMPLETED', txHash: '0xdone' }),
+        expect.objectContaining({
+          status: 'COMPLETED',
+          previousStatus: 'PROCESSING',
+          providerStatus: 'COMPLETED',
+          txHash: '0xdone'
+        }),
+        { status: 'PROCESSING' }
+      );
+    });
+
+    it('should not queue a callback when only provider details change', async () => {
+      const transaction = {
+        refillRequestId: 'REQ011',
+        provider: 'fireblocks',
+        status: 'PROCESSING',
+        providerStatus: 'SUBMITTED',
+        providerTxId: 'fb-011'
+      };
+
+      const mockProvider = createMockProvider('fireblocks');
+      providerService.initialize = jest.fn();
+      providerService.getProviders = jest.fn().mockReturnValue(new Map([['fireblocks', mockProvider]]));
+      mockProvider.getTransactionById.mockResolvedValue({ id: 'fb-011', status: 'BROADCASTING' });
+
+      refillTransactionService.mapProviderStatusToInternal = jest.fn().mockReturnValue('PROCESSING');
+      refillTransactionService.updateRefillTransaction = jest.fn().mockResolvedValue({ success: true });
+      refillTransactionService.updateRefillTransactionStatus = jest.fn().mockResolvedValue({ success: true });
+
+      await refillTransactionService.checkAndUpdateTransactionFromProvider(transaction);
+
+      expect(refillTransactionService.updateRefillTransaction).toHaveBeenCalled();
+      expect(refillTransactionService.updateRefillTransactionStatus).not.toHaveBeenCalled();
+    });
+
     it('should only update changed fields', async () => {
       const transaction = {
         refillRequestId: 'REQ001',
@@ -468,7 +702,8 @@ describe('RefillTransactionService', () => {
           providerStatus: 'BROADCASTING',
           txHash: '0xabc123',
           providerData: expect.any(Object)
-        })
+        }),
+        { status: 'PROCESSING' }
       );
       
       // Status should NOT be in update (unchanged)
@@ -528,17 +763,19 @@ describe('RefillTransactionService', () => {
       });
 
       refillTransactionService.mapProviderStatusToInternal = jest.fn().mockReturnValue('COMPLETED');
-      refillTransactionService.updateRefillTransaction = jest.fn().mockResolvedValue({ success: true });
+      refillTransactionService.updateRefillTransactionStatus = jest.fn().mockResolvedValue({ success: true });
 
       const result = await refillTransactionService.checkAndUpdateTransactionFromProvider(transaction);
 
       // Should update both status and providerStatus
-      expect(refillTransactionService.updateRefillTransaction).toHaveBeenCalledWith(
-        'REQ003',
+      expect(refillTransactionService.updateRefillTransactionStatus).toHaveBeenCalledWith(
+        transaction,
         expect.objectContaining({
           status: 'COMPLETED',
           providerStatus: 'COMPLETED'
-        })
+        }),
+        expect.any(Object),
+        { status: 'PROCESSING' }
       );
     });
 
@@ -669,5 +906,294 @@ describe('RefillTransactionService', () => {
       expect(result.data.details).toContain('Database connection failed');
     });
   });
-});
 
+  describe('listRefillTransactions', () => {
+    const buildTransactions = (count) => Array.from({ length: count }, (_, index) => ({
+      refillRequestId: `REQ${String(index).padStart(3, '0')}`,
+      status: 'COMPLETED',
+      provider: 'fireblocks',
+      createdAt: new Date(Date.UTC(2026, 0, 10 - index))
+    }));
+
+    it('should apply defaults and normalize filters', async () => {
+      databaseService.listRefillTransactions.mockResolvedValue([]);
+
+      const result = await refillTransactionService.listRefillTransactions({
+        status: 'failed, processing',
+        provider: 'Fireblocks',
+        chain_name: 'Ethereum',
+        asset_id: '3',
+        created_from: '2026-01-01T00:00:00Z'
+      });
+
+      expect(result.success).toBe(true);
+      expect(databaseService.listRefillTransactions).toHaveBeenCalledWith({
+        filters: {
+          status: ['FAILED', 'PROCESSING'],
+          provider: 'fireblocks',
+          chainName: 'Ethereum',
+          assetId: 3,
+          createdFrom: new Date('2026-01-01T00:00:00Z')
+        },
+        sortBy: 'createdAt',
+        sortOrder: 'DESC',
+        cursor: null,
+        limit: 51
+      });
+      expect(result.data.pagination).toEqual({ limit: 50, hasMore: false, nextCursor: null });
+    });
+
+    it('should return a cursor that continues after the last returned row', async () => {
+      databaseService.listRefillTransactions.mockResolvedValue(buildTransactions(3));
+
+      const firstPage = await refillTransactionService.listRefillTransactions({ limit: 2 });
+
+      expect(firstPage.data.transactions.map(t => t.refillRequestId)).toEqual(['REQ000', 'REQ001']);
+      expect(firstPage.data.pagination.hasMore).toBe(true);
+
+      databaseService.listRefillTransactions.mockResolvedValue([]);
+      await refillTransactionService.listRefillTransactions({ limit: 2, cursor: firstPage.data.pagination.nextCursor });
+
+      expect(databaseService.listRefillTransactions).toHaveBeenLastCalledWith(expect.objectContaining({
+        cursor: {
+          value: '2026-01-09T00:00:00.000Z',
+          refillRequestId: 'REQ001'
+        }
+      }));
+    });
+
+    it('should reject a cursor issued for a different sort order', async () => {
+      databaseService.listRefillTransactions.mockResolvedValue(buildTransactions(2));
+      const page = await refillTransactionService.listRefillTransactions({ limit: 1 });
+
+      const result = await refillTransactionService.listRefillTransactions({
+        limit: 1,
+        sort_order: 'asc',
+        cursor: page.data.pagination.nextCursor
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('INVALID_QUERY');
+    });
+
+    it.each([
+      [{ limit: '0' }],
+      [{ limit: '500' }],
+      [{ sort_by: 'amount' }],
+      [{ sort_order: 'sideways' }],
+      [{ asset_id: 'abc' }],
+      [{ updated_to: 'not-a-date' }],
+      [{ cursor: 'garbage' }]
+    ])('should reject invalid query %j', async (query) => {
+      const result = await refillTransactionService.listRefillTransactions(query);
+
+      expect(result.code).toBe('INVALID_QUERY');
+      expect(databaseService.listRefillTransactions).not.toHaveBeenCalled();
+    });
+
+    it('should handle database errors', async () => {
+      databaseService.listRefillTransactions.mockRejectedValue(new Error('DB error'));
+
+      const result = await refillTransactionService.listRefillTransactions({});
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('TRANSACTION_LIST_ERROR');
+    });
+  });
+
+  describe('applyProviderUpdate', () => {
+    beforeEach(() => {
+      refillTransactionService.mapProviderStatusToInternal = jest.fn().mockReturnValue('PROCESSING');
+      refillTransactionService.updateRefillTransaction = jest.fn().mockResolvedValue({ success: true });
+    });
+
+    it('should store additional fields together with provider changes', async () => {
+      const transaction = { refillRequestId: 'REQ020', provider: 'fireblocks', status: 'PROCESSING', providerStatus: 'SUBMITTED' };
+      const eventAt = new Date('2026-01-01T00:00:00Z');
+
+      const result = await refillTransactionService.applyProviderUpdate(
+        transaction,
+        { id: 'fb-020', status: 'BROADCASTING' },
+        { lastProviderEventAt: eventAt }
+      );
+
+      expect(refillTransactionService.updateRefillTransaction).toHaveBeenCalledWith('REQ020', expect.objectContaining({
+        providerStatus: 'BROADCASTING',
+        lastProviderEventAt: eventAt
+      }), { status: 'PROCESSING' });
+      expect(result.data.updated).toBe(true);
+    });
+
+    it('should ignore a stale status update when the refill status changed since it was read', async () => {
+      refillTransactionService.mapProviderStatusToInternal = jest.fn().mockReturnValue('FAILED');
+      refillTransactionService.updateRefillTransactionStatus = jest.fn().mockResolvedValue({
+        success: false,
+        code: 'TRANSACTION_STATE_CHANGED'
+      });
+      const transaction = { refillRequestId: 'REQ022', provider: 'fireblocks', status: 'PROCESSING', providerStatus: 'BROADCASTING' };
+
+      const result = await refillTransactionService.applyProviderUpdate(transaction, { id: 'fb-022', status: 'FAILED' });
+
+      expect(refillTransactionService.updateRefillTransactionStatus).toHaveBeenCalledWith(
+        transaction,
+        expect.objectContaining({ status: 'FAILED' }),
+        expect.objectContaining({ status: 'FAILED', previousStatus: 'PROCESSING' }),
+        { status: 'PROCESSING' }
+      );
+      expect(result.success).toBe(true);
+      expect(result.data.status).toBe('PROCESSING');
+      expect(result.data.updated).toBe(false);
+    });
+
+    it('should store additional fields even when the provider reports no changes', async () => {
+      const transaction = { refillRequestId: 'REQ021', provider: 'fireblocks', status: 'PROCESSING', providerStatus: 'BROADCASTING' };
+      const eventAt = new Date('2026-01-01T00:00:00Z');
+
+      const result = await refillTransactionService.applyProviderUpdate(
+        transaction,
+        { id: 'fb-021', status: 'BROADCASTING' },
+        { lastProviderEventAt: eventAt }
+      );
+
+      expect(refillTransactionService.updateRefillTransaction).toHaveBeenCalledWith('REQ021', { lastProviderEventAt: eventAt });
+      expect(result.data.updated).toBe(false);
+    });
+  });
+
+  describe('cancelRefillTransaction', () => {
+    let mockProvider;
+    const transaction = {
+      refillRequestId: 'REQ030',
+      provider: 'fireblocks',
+      providerTxId: 'fb-030',
+      status: 'PROCESSING',
+      tokenSymbol: 'BTC'
+    };
+
+    beforeEach(() => {
+      mockProvider = { cancelTransaction: jest.fn() };
+      providerService.initialize = jest.fn();
+      providerService.getProviders = jest.fn().mockReturnValue(new Map([['fireblocks', mockProvider]]));
+      refillTransactionService.updateRefillTransactionStatus = jest.fn().mockResolvedValue({ success: true });
+      databaseService.getRefillTransactionByRequestId.mockResolvedValue(transaction);
+    });
+
+    it('should keep the refill in flight when the provider accepts the cancellation', async () => {
+      mockProvider.cancelTransaction.mockResolvedValue({ cancelled: true, supported: true, message: 'ok' });
+      refillTransactionService.updateRefillTransaction = jest.fn().mockResolvedValue({ success: true });
+
+      const result = await refillTransactionService.cancelRefillTransaction('REQ030', { reason: 'stuck' });
+
+      expect(mockProvider.cancelTransaction).toHaveBeenCalledWith('fb-030');
+      expect(refillTransactionService.updateRefillTransaction).toHaveBeenCalledWith('REQ030', {
+        status: 'PROCESSING',
+        message: 'Cancellation requested: stuck'
+      });
+      expect(refillTransactionService.updateRefillTransactionStatus).not.toHaveBeenCalled();
+      expect(result.success).toBe(true);
+      expect(result.data.cancelRequested).toBe(true);
+      expect(result.data.transaction.status).toBe('PROCESSING');
+      expect(result.data.previousStatus).toBe('PROCESSING');
+    });
+
+    it('should move a PENDING refill to PROCESSING when the provider accepts the cancellation', async () => {
+      const pendingTransaction = { ...transaction, status: 'PENDING' };
+      databaseService.getRefillTransactionByRequestId.mockResolvedValue(pendingTransaction);
+      mockProvider.cancelTransaction.mockResolvedValue({ cancelled: true, supported: true, message: 'ok' });
+
+      const result = await refillTransactionService.cancelRefillTransaction('REQ030');
+
+      expect(refillTransactionService.updateRefillTransactionStatus).toHaveBeenCalledWith(pendingTransaction, {
+        status: 'PROCESSING',
+        message: 'Cancellation requested'
+      }, expect.objectContaining({
+        status: 'PROCESSING',
+        previousStatus: 'PENDING'
+      }));
+      expect(result.data.cancelRequested).toBe(true);
+    });
+
+    it('should keep the refill in flight when the provider accepts a forced cancellation', async () => {
+      mockProvider.cancelTransaction.mockResolvedValue({ cancelled: true, supported: true, message: 'ok' });
+      refillTransactionService.updateRefillTransaction = jest.fn().mockResolvedValue({ success: true });
+
+      const result = await refillTransactionService.cancelRefillTransaction('REQ030', { force: true });
+
+      expect(result.data.cancelRequested).toBe(true);
+      expect(refillTransactionService.updateRefillTransactionStatus).not.toHaveBeenCalled();
+    });
+
+    it('should cancel locally without calling the provider when the transfer was never submitted', async () => {
+      const unsubmittedTransaction = { ...transaction, providerTxId: null, status: 'PENDING' };
+      databaseService.getRefillTransactionByRequestId.mockResolvedValue(unsubmittedTransaction);
+
+      const result = await refillTransactionService.cancelRefillTransaction('REQ030', { reason: 'stuck' });
+
+      expect(mockProvider.cancelTransaction).not.toHaveBeenCalled();
+      expect(refillTransactionService.updateRefillTransactionStatus).toHaveBeenCalledWith(unsubmittedTransaction, {
+        status: 'CANCELLED',
+        message: 'Cancelled manually: stuck'
+      }, expect.objectContaining({
+        status: 'CANCELLED',
+        previousStatus: 'PENDING'
+      }));
+      expect(result.success).toBe(true);
+      expect(result.data.transaction.status).toBe('CANCELLED');
+      expect(result.data.cancelRequested).toBe(false);
+    });
+
+    it('should return TRANSACTION_NOT_FOUND for unknown refills', async () => {
+      databaseService.getRefillTransactionByRequestId.mockResolvedValue(null);
+
+      const result = await refillTransactionService.cancelRefillTransaction('NOPE');
+
+      expect(result.code).toBe('TRANSACTION_NOT_FOUND');
+    });
+
+    it('should refuse to cancel refills in a final status', async () => {
+      databaseService.getRefillTransactionByRequestId.mockResolvedValue({ ...transaction, status: 'COMPLETED' });
+
+      const result = await refillTransactionService.cancelRefillTransaction('REQ030');
+
+      expect(result.code).toBe('TRANSACTION_NOT_CANCELLABLE');
+      expect(mockProvider.cancelTransaction).not.toHaveBeenCalled();
+      expect(refillTransactionService.updateRefillTransactionStatus).not.toHaveBeenCalled();
+    });
+
+    it('should keep the refill in flight when the provider rejects the cancellation', async () => {
+      mockProvider.cancelTransaction.mockRejectedValue(new Error('Transaction already signed'));
+
+      const result = await refillTransactionService.cancelRefillTransaction('REQ030');
+
+      expect(result.code).toBe('CANCEL_REJECTED');
+      expect(result.error).toContain('Transaction already signed');
+      expect(refillTransactionService.updateRefillTransactionStatus).not.toHaveBeenCalled();
+    });
+
+    it('should return CANCEL_NOT_SUPPORTED when the provider cannot cancel', async () => {
+      mockProvider.cancelTransaction.mockResolvedValue({ cancelled: false, supported: false, message: 'Reject it in the console' });
+
+      const result = await refillTransactionService.cancelRefillTransaction('REQ030');
+
+      expect(result.code).toBe('CANCEL_NOT_SUPPORTED');
+      expect(refillTransactionService.updateRefillTransactionStatus).not.toHaveBeenCalled();
+    });
+
+    it('should cancel locally with force when the provider cannot cancel', async () => {
+      mockProvider.cancelTransaction.mockResolvedValue({ cancelled: false, supported: false, message: 'Reject it in the console' });
+
+      const result = await refillTransactionService.cancelRefillTransaction('REQ030', { force: true });
+
+      expect(result.success).toBe(true);
+      expect(refillTransactionService.updateRefillTransactionStatus).toHaveBeenCalledWith(transaction, expect.objectContaining({ status: 'CANCELLED' }), expect.any(Object));
+    });
+
+    it('should return TRANSACTION_CANCEL_ERROR on database errors', async () => {
+      databaseService.getRefillTransactionByRequestId.mockRejectedValue(new Error('DB error'));
+
+      const result = await refillTransactionService.cancelRefillTransaction('REQ030');
+
+      expect(result.code).toBe('TRANSACTION_CANCEL_ERROR');
+    });
+  });
+});
@@ -2,6 +2,8 @@ const refillValidationService = require('../../../service/refillValidationServic
 const databaseService = require('../../../service/chainDb');
 const providerService = require('../../../service/providerService');
 const BigNumber = require('bignumber.js');
+const { ProviderUnavailableError } = require('../../../providers/providerGuard');
+const config = require('../../../config');
 
 jest.mock('../../../service/chainDb');
 jest.mock('../../../service/providerService');
@@ -57,6 +59,45 @@ describe('RefillValidationService', () => {
       expect(result.data.missingFields).toContain('asset_symbol');
       expect(result.data.missingFields).toContain('chain_name');
     });
+
+    it('should not require refill_request_id when requireRequestId is false', () => {
+      const refillData = {
+        wallet_address: '0x123',
+        asset_symbol: 'BTC',
+        asset_address: 'native',
+        chain_name: 'Bitcoin',
+        refill_amount: '1.0',
+        refill_sweep_wallet: '0xabc'
+      };
+
+      const result = refillValidationService.validateRequiredFields(refillData, { requireRequestId: false });
+
+      expect(result.success).toBe(true);
+      expect(refillValidationService.validateRequiredFields(refillData).data.missingFields).toEqual(['refill_request_id']);
+    });
+
+    it('should not require refill_amount, which defaults to an auto amount', () => {
+      const result = refillValidationService.validateRequiredFields({
+        refill_request_id: 'REQ001',
+        wallet_address: '0x123',
+        asset_symbol: 'BTC',
+        asset_address: 'native',
+        chain_name: 'Bitcoin',
+        refill_sweep_wallet: '0xabc'
+      });
+
+      expect(result.success).toBe(true);
+    });
+  });
+
+  describe('isAutoRefillAmount', () => {
+    it('should treat omitted and auto amounts as auto', () => {
+      expect(refillValidationService.isAutoRefillAmount(undefined)).toBe(true);
+      expect(refillValidationService.isAutoRefillAmount('')).toBe(true);
+      expect(refillValidationService.isAutoRefillAmount('Auto')).toBe(true);
+      expect(refillValidationService.isAutoRefillAmount('0.5')).toBe(false);
+      expect(refillValidationService.isAutoRefillAmount(2)).toBe(false);
+    });
   });
 
   describe('validateHotWalletAddress', () => {
@@ -339,6 +380,65 @@ describe('RefillValidationService', () => {
       expect(result.data.availableBalance).toBe('50000000');
     });
 
+    it('should only count the balance components configured for the cold wallet', async () => {
+      const asset = createMockAsset();
+      asset.sweepWalletConfig = { ...asset.sweepWalletConfig, balanceComponents: ['available', 'locked'] };
+      mockProvider.getTokenBalanceBreakdown.mockResolvedValue({ available: '60000000', pending: '90000000', locked: '50000000' });
+
+      const result = await refillValidationService.validateColdWalletBalance(asset, 1.0, mockProvider);
+
+      expect(result.success).toBe(true);
+      expect(result.data.availableBalance).toBe('110000000');
+      expect(result.data.balanceBreakdown).toEqual({ available: '60000000', pending: '90000000', locked: '50000000' });
+      expect(result.data.balanceComponents).toEqual(['available', 'locked']);
+    });
+
+    it('should return the balance breakdown when the cold wallet balance is insufficient', async () => {
+      const asset = createMockAsset();
+      mockProvider.getTokenBalanceBreakdown.mockResolvedValue({ available: '60000000', pending: '90000000', locked: '0' });
+
+      const result = await refillValidationService.validateColdWalletBalance(asset, 1.0, mockProvider);
+
+      expect(result.code).toBe('INSUFFICIENT_BALANCE');
+      expect(result.data.availableBalance).toBe('60000000');
+      expect(result.data.balanceBreakdown.pending).toBe('90000000');
+      expect(result.data.balanceComponents).toEqual(['available']);
+    });
+
+    it('should pass when the refill leaves exactly the minimum cold reserve', async () => {
+      const asset = createMockAsset({ minColdReserveAtomic: '100000000' });
+      mockProvider.getTokenBalance.mockResolvedValue('200000000');
+
+      const result = await refillValidationService.validateColdWalletBalance(asset, 1.0, mockProvider);
+
+      expect(result.success).toBe(true);
+    });
+
+    it('should fail with COLD_RESERVE_BREACH when the refill would draw below the minimum cold reserve', async () => {
+      const asset = createMockAsset({ minColdReserveAtomic: '150000000' });
+      mockProvider.getTokenBalance.mockResolvedValue('200000000');
+
+      const result = await refillValidationService.validateColdWalletBalance(asset, 1.0, mockProvider);
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('COLD_RESERVE_BREACH');
+      expect(result.data).toEqual(expect.objectContaining({
+        availableBalance: '200000000',
+        requiredAmount: '100000000',
+        minColdReserveAtomic: '150000000',
+        maxRefillAmountAtomic: '50000000'
+      }));
+    });
+
+    it('should report INSUFFICIENT_BALANCE before the reserve when the balance does not cover the refill', async () => {
+      const asset = createMockAsset({ minColdReserveAtomic: '150000000' });
+      mockProvider.getTokenBalance.mockResolvedValue('50000000');
+
+      const result = await refillValidationService.validateColdWalletBalance(asset, 1.0, mockProvider);
+
+      expect(result.code).toBe('INSUFFICIENT_BALANCE');
+    });
+
     it('should fail when asset has no sweep wallet config', async () => {
       const asset = {
         ...createMockAsset(),
@@ -361,9 +461,34 @@ describe('RefillValidationService', () => {
       expect(result.success).toBe(false);
       expect(result.code).toBe('BALANCE_VALIDATION_ERROR');
     });
+
+    it('should return PROVIDER_UNAVAILABLE when the provider circuit is open', async () => {
+      mockProvider.getTokenBalance.mockRejectedValue(
+        new ProviderUnavailableError('fireblocks', 'CIRCUIT_OPEN', 'fireblocks provider is unavailable after 5 consecutive failures')
+      );
+
+      const result = await refillValidationService.validateColdWalletBalance(createMockAsset(), 1.0, mockProvider);
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('PROVIDER_UNAVAILABLE');
+      expect(result.data).toEqual({ provider: 'fireblocks', reason: 'CIRCUIT_OPEN', retryAt: null });
+    });
   });
 
   describe('validateHotWalletNeedsRefill', () => {
+    it('should return PROVIDER_UNAVAILABLE when the balance call times out', async () => {
+      databaseService.getWalletByAddress.mockResolvedValue(createMockWallet());
+      mockProvider.getTokenBalance.mockRejectedValue(
+        new ProviderUnavailableError('fireblocks', 'TIMEOUT', 'fireblocks getTokenBalance timed out after 30000ms')
+      );
+
+      const result = await refillValidationService.validateHotWalletNeedsRefill('0x123', 0.4, mockProvider, createMockAsset());
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('PROVIDER_UNAVAILABLE');
+      expect(result.data.reason).toBe('TIMEOUT');
+    });
+
     it('should pass when hot wallet needs refill', async () => {
       const asset = createMockAsset({
         refillTargetBalanceAtomic: '100000000', // 1 BTC target
@@ -499,6 +624,133 @@ describe('RefillValidationService', () => {
       expect(result.success).toBe(false);
       expect(result.code).toBe('ABOVE_TRIGGER_THRESHOLD');
     });
+
+    it('should read the balance from the provider holding the hot wallet', async () => {
+      const liminalProvider = createMockProvider('liminal');
+      liminalProvider.getTokenBalance.mockResolvedValue('30000000');
+      providerService.getProviders.mockReturnValue(new Map([['fireblocks', mockProvider], ['liminal', liminalProvider]]));
+      databaseService.getWalletByAddress.mockResolvedValue(createMockWallet());
+      const asset = createMockAsset({
+        hotWalletConfig: {
+          provider: 'liminal',
+          liminal: { walletId: 7, tokenSymbol: 'BTC', version: '1' },
+          fireblocks: { destinationType: 'EXTERNAL_WALLET', walletId: 'wl-1', assetId: 'BTC' }
+        }
+      });
+
+      const result = await refillValidationService.validateHotWalletNeedsRefill('0x123', 0.4, mockProvider, asset);
+
+      expect(result.success).toBe(true);
+      expect(liminalProvider.getTokenBalance).toHaveBeenCalledWith(expect.objectContaining({
+        walletConfig: { liminal: { walletId: 7, tokenSymbol: 'BTC', version: '1' } }
+      }));
+      expect(mockProvider.getTokenBalance).not.toHaveBeenCalled();
+    });
+
+    it('should count pending incoming transfers when configured for the hot wallet', async () => {
+      databaseService.getWalletByAddress.mockResolvedValue(createMockWallet());
+      mockProvider.getTokenBalanceBreakdown.mockResolvedValue({ available: '30000000', pending: '40000000', locked: '0' });
+      const asset = createMockAsset({
+        refillTargetBalanceAtomic: '100000000',
+        refillTriggerThresholdAtomic: '50000000'
+      });
+      asset.hotWalletConfig = { ...asset.hotWalletConfig, balanceComponents: ['available', 'pending'] };
+
+      const result = await refillValidationService.validateHotWalletNeedsRefill('0x123', 0.2, mockProvider, asset);
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('ABOVE_TRIGGER_THRESHOLD');
+      expect(result.data.current).toBe('70000000');
+      expect(result.data.balanceBreakdown).toEqual({ available: '30000000', pending: '40000000', locked: '0' });
+      expect(result.data.balanceComponents).toEqual(['available', 'pending']);
+    });
+
+    it('should return the balance breakdown when the hot wallet needs refill', async () => {
+      databaseService.getWalletByAddress.mockResolvedValue(createMockWallet());
+      mockProvider.getTokenBalanceBreakdown.mockResolvedValue({ available: '30000000', pending: '40000000', locked: '0' });
+      const asset = createMockAsset({
+        refillTargetBalanceAtomic: '100000000',
+        refillTriggerThresholdAtomic: '50000000'
+      });
+
+      const result = await refillValidationService.validateHotWalletNeedsRefill('0x123', 0.2, mockProvider, asset);
+
+      expect(result.success).toBe(true);
+      expect(result.data.currentBalance).toBe('30000000');
+      expect(result.data.balanceBreakdown).toEqual({ available: '30000000', pending: '40000000', locked: '0' });
+      expect(result.data.balanceComponents).toEqual(['available']);
+    });
+
+    it('should use the balance a computed amount is based on without reading it again or checking for overfill', async () => {
+      databaseService.getWalletByAddress.mockResolvedValue(createMockWallet());
+      const asset = createMockAsset({
+        refillTargetBalanceAtomic: '100000000',
+        refillTriggerThresholdAtomic: '50000000'
+      });
+      // The live balance moved since the amount was computed; the computed amount is kept as is
+      const hotWalletBalance = { balance: new BigNumber('30000000'), balanceBreakdown: null, balanceComponents: ['available'] };
+
+      const result = await refillValidationService.validateHotWalletNeedsRefill('0x123', '0.8', mockProvider, asset, { hotWalletBalance });
+
+      expect(result.success).toBe(true);
+      expect(result.data.currentBalance).toBe('30000000');
+      expect(result.data.refillAmountAtomic).toBe('80000000');
+      expect(mockProvider.getTokenBalance).not.toHaveBeenCalled();
+      expect(mockProvider.getTokenBalanceBreakdown).not.toHaveBeenCalled();
+    });
+
+    it('should still reject a computed amount when the balance is above the trigger threshold', async () => {
+      databaseService.getWalletByAddress.mockResolvedValue(createMockWallet());
+      const asset = createMockAsset({
+        refillTargetBalanceAtomic: '100000000',
+        refillTriggerThresholdAtomic: '50000000'
+      });
+      const hotWalletBalance = { balance: new BigNumber('60000000'), balanceBreakdown: null, balanceComponents: ['available'] };
+
+      const result = await refillValidationService.validateHotWalletNeedsRefill('0x123', '0.4', mockProvider, asset, { hotWalletBalance });
+
+      expect(result.code).toBe('ABOVE_TRIGGER_THRESHOLD');
+    });
+
+    it('should skip the trigger threshold check for gas top-ups', async () => {
+      databaseService.getWalletByAddress.mockResolvedValue(createMockWallet());
+      mockProvider.getTokenBalance.mockResolvedValue('60000000'); // above trigger, below the target
+      const asset = createMockAsset({
+        refillTargetBalanceAtomic: '100000000',
+        refillTriggerThresholdAtomic: '50000000'
+      });
+
+      const result = await refillValidationService.validateHotWalletNeedsRefill('0x123', '0.4', mockProvider, asset, { gasTopUp: true });
+
+      expect(result.success).toBe(true);
+    });
+
+    it('should allow gas top-ups to a gas reserve above the refill target', async () => {
+      databaseService.getWalletByAddress.mockResolvedValue(createMockWallet());
+      mockProvider.getTokenBalance.mockResolvedValue('120000000'); // above the target, below a 150000000 gas reserve
+      const asset = createMockAsset({
+        refillTargetBalanceAtomic: '100000000',
+        refillTriggerThresholdAtomic: '50000000'
+      });
+
+      const result = await refillValidationService.validateHotWalletNeedsRefill('0x123', '0.3', mockProvider, asset, { gasTopUp: true });
+
+      expect(result.success).toBe(true);
+      expect(result.data.refillAmountAtomic).toBe('30000000');
+    });
+
+    it('should fail when the provider of the hot wallet is not available', async () => {
+      providerService.getProviders.mockReturnValue(new Map([['fireblocks', mockProvider]]));
+      databaseService.getWalletByAddress.mockResolvedValue(createMockWallet());
+      const asset = createMockAsset({
+        hotWalletConfig: { provider: 'liminal', liminal: { walletId: 7, tokenSymbol: 'BTC', version: '1' } }
+      });
+
+      const result = await refillValidationService.validateHotWalletNeedsRefill('0x123', 0.4, mockProvider, asset);
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('NO_PROVIDER_AVAILABLE');
+    });
   });
 
   describe('validateNoPendingRefill', () => {
@@ -726,6 +978,400 @@ describe('RefillValidationService', () => {
     });
   });
 
+  describe('computeAutoRefillAmount', () => {
+    const buildAsset = () => createMockAsset({ refillTargetBalanceAtomic: '100000000' });
+
+    it('should refill the difference between the target and the live hot wallet balance', async () => {
+      mockProvider.getTokenBalanceBreakdown
+        .mockResolvedValueOnce({ available: '30000000', pending: '0', locked: '0' })
+        .mockResolvedValueOnce({ available: '500000000', pending: '0', locked: '0' });
+
+      const result = await refillValidationService.computeAutoRefillAmount(buildAsset(), mockProvider);
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({
+        refillAmount: '0.7',
+        refillAmountAtomic: '70000000',
+        requiredAmountAtomic: '70000000',
+        cappedByColdWallet: false,
+        hotWalletBalance: expect.objectContaining({ balance: new BigNumber('30000000') })
+      });
+    });
+
+    it('should cap the amount by the available cold wallet balance', async () => {
+      mockProvider.getTokenBalanceBreakdown
+        .mockResolvedValueOnce({ available: '30000000', pending: '0', locked: '0' })
+        .mockResolvedValueOnce({ available: '25000000', pending: '0', locked: '0' });
+
+      const result = await refillValidationService.computeAutoRefillAmount(buildAsset(), mockProvider);
+
+      expect(result.data.refillAmount).toBe('0.25');
+      expect(result.data.refillAmountAtomic).toBe('25000000');
+      expect(result.data.cappedByColdWallet).toBe(true);
+    });
+
+    it('should cap the amount at the cold wallet balance above the minimum cold reserve', async () => {
+      mockProvider.getTokenBalanceBreakdown
+        .mockResolvedValueOnce({ available: '30000000', pending: '0', locked: '0' })
+        .mockResolvedValueOnce({ available: '100000000', pending: '0', locked: '0' });
+
+      const result = await refillValidationService.computeAutoRefillAmount(
+        createMockAsset({ refillTargetBalanceAtomic: '100000000', minColdReserveAtomic: '60000000' }),
+        mockProvider
+      );
+
+      expect(result.data.refillAmountAtomic).toBe('40000000');
+      expect(result.data.cappedByColdWallet).toBe(true);
+    });
+
+    it('should fail with COLD_RESERVE_BREACH when the cold wallet is at its minimum reserve', async () => {
+      mockProvider.getTokenBalanceBreakdown
+        .mockResolvedValueOnce({ available: '30000000', pending: '0', locked: '0' })
+        .mockResolvedValueOnce({ available: '60000000', pending: '0', locked: '0' });
+
+      const result = await refillValidationService.computeAutoRefillAmount(
+        createMockAsset({ refillTargetBalanceAtomic: '100000000', minColdReserveAtomic: '60000000' }),
+        mockProvider
+      );
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('COLD_RESERVE_BREACH');
+      expect(result.data.minColdReserveAtomic).toBe('60000000');
+      expect(result.data.maxRefillAmountAtomic).toBe('0');
+    });
+
+    it('should fail when the hot wallet is at its target balance', async () => {
+      mockProvider.getTokenBalanceBreakdown.mockResolvedValueOnce({ available: '100000000', pending: '0', locked: '0' });
+
+      const result = await refillValidationService.computeAutoRefillAmount(buildAsset(), mockProvider);
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('SUFFICIENT_BALANCE');
+      expect(mockProvider.getTokenBalanceBreakdown).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fail when the cold wallet is empty', async () => {
+      mockProvider.getTokenBalanceBreakdown
+        .mockResolvedValueOnce({ available: '30000000', pending: '0', locked: '0' })
+        .mockResolvedValueOnce({ available: '0', pending: '0', locked: '0' });
+
+      const result = await refillValidationService.computeAutoRefillAmount(buildAsset(), mockProvider);
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('INSUFFICIENT_BALANCE');
+    });
+
+    it('should fail when the asset has no refill target balance', async () => {
+      const result = await refillValidationService.computeAutoRefillAmount(createMockAsset({ refillTargetBalanceAtomic: null }), mockProvider);
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('REFILL_TARGET_NOT_CONFIGURED');
+      expect(mockProvider.getTokenBalanceBreakdown).not.toHaveBeenCalled();
+    });
+
+    it('should return PROVIDER_UNAVAILABLE when the provider is unavailable', async () => {
+      mockProvider.getTokenBalanceBreakdown.mockRejectedValue(
+        new ProviderUnavailableError('fireblocks', 'CIRCUIT_OPEN', 'fireblocks provider is unavailable')
+      );
+
+      const result = await refillValidationService.computeAutoRefillAmount(buildAsset(), mockProvider);
+
+      expect(result.code).toBe('PROVIDER_UNAVAILABLE');
+    });
+  });
+
+  describe('validateDustThreshold', () => {
+    const asset = createMockAsset({ refillDustThresholdAtomic: '1000000' }); // 0.01 BTC
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should pass amounts at or above the dust threshold', () => {
+      const result = refillValidationService.validateDustThreshold(asset, '0.01');
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({ refillAmount: '0.01', roundedUp: false });
+    });
+
+    it('should pass any amount when no dust threshold is configured', () => {
+      const result = refillValidationService.validateDustThreshold(createMockAsset({ refillDustThresholdAtomic: null }), '0.00000001');
+
+      expect(result.success).toBe(true);
+    });
+
+    it('should reject requested amounts below the dust threshold by default', () => {
+      const result = refillValidationService.validateDustThreshold(asset, '0.005');
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('BELOW_DUST_THRESHOLD');
+      expect(result.data).toEqual({
+        refillDustThresholdAtomic: '1000000',
+        requestedAmountAtomic: '500000',
+        autoRefillAmount: false
+      });
+    });
+
+    it('should round requested amounts up to the dust threshold with the ROUND_UP policy', () => {
+      jest.spyOn(config, 'get').mockImplementation(key => (key === 'refillDustPolicy' ? 'ROUND_UP' : null));
+
+      const result = refillValidationService.validateDustThreshold(asset, '0.005');
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual({ refillAmount: '0.01', roundedUp: true });
+    });
+
+    it('should skip computed amounts below the dust threshold regardless of the policy', () => {
+      jest.spyOn(config, 'get').mockImplementation(key => (key === 'refillDustPolicy' ? 'ROUND_UP' : null));
+
+      const result = refillValidationService.validateDustThreshold(asset, '0.005', { autoAmount: true });
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('BELOW_DUST_THRESHOLD');
+      expect(result.error).toContain('refill skipped');
+    });
+  });
+
+  describe('validateHotWalletGas', () => {
+    const blockchain = createMockBlockchain({ name: 'Ethereum', symbol: 'ETH', nativeAssetSymbol: 'ETH' });
+    const buildToken = (overrides = {}) => createMockAsset({
+      id: 2,
+      symbol: 'USDT',
+      decimals: 6,
+      contractAddress: '0xusdt',
+      walletId: 1,
+      minGasReserveAtomic: '10000000000000000', // 0.01 ETH
+      ...overrides
+    });
+    const nativeAsset = createMockAsset({
+      id: 1,
+      symbol: 'ETH',
+      decimals: 18,
+      contractAddress: 'native',
+      walletId: 1,
+      refillSweepWallet: '0xcoldeth',
+      refillTargetBalanceAtomic: '50000000000000000' // 0.05 ETH
+    });
+
+    beforeEach(() => {
+      databaseService.getAssetBySymbolAndBlockchain.mockResolvedValue(nativeAsset);
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it('should pass when the hot wallet holds the gas reserve', async () => {
+      mockProvider.getTokenBalanceBreakdown.mockResolvedValue({ available: '10000000000000000', pending: '0', locked: '0' });
+
+      const result = await refillValidationService.validateHotWalletGas(buildToken(), blockchain, mockProvider);
+
+      expect(result.success).toBe(true);
+      expect(result.data.gasTopUp).toBeNull();
+      expect(databaseService.getAssetBySymbolAndBlockchain).toHaveBeenCalledWith('ETH', blockchain.id);
+      expect(mockProvider.getTokenBalanceBreakdown).toHaveBeenCalledWith(expect.objectContaining({ symbol: 'ETH', contractAddress: null }));
+    });
+
+    it('should fail with HOT_WALLET_GAS_LOW below the gas reserve by default', async () => {
+      mockProvider.getTokenBalanceBreakdown.mockResolvedValue({ available: '2000000000000000', pending: '0', locked: '0' });
+
+      const result = await refillValidationService.validateHotWalletGas(buildToken(), blockchain, mockProvider);
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('HOT_WALLET_GAS_LOW');
+      expect(result.data).toEqual(expect.objectContaining({
+        nativeAssetSymbol: 'ETH',
+        nativeBalanceAtomic: '2000000000000000',
+        minGasReserveAtomic: '10000000000000000',
+        walletAddress: '0xhot'
+      }));
+    });
+
+    it('should pass with a top-up to the native refill target with the TOP_UP policy', async () => {
+      jest.spyOn(config, 'get').mockImplementation(key => (key === 'hotWalletGasPolicy' ? 'TOP_UP' : null));
+      jest.spyOn(refillValidationService, 'validateRefillRequest').mockResolvedValue({ success: true, data: {} });
+      mockProvider.getTokenBalanceBreakdown.mockResolvedValue({ available: '2000000000000000', pending: '0', locked: '0' });
+
+      const result = await refillValidationService.validateHotWalletGas(buildToken(), blockchain, mockProvider);
+
+      expect(result.success).toBe(true);
+      expect(refillValidationService.validateRefillRequest).toHaveBeenCalledWith({
+        wallet_address: '0xhot',
+        asset_symbol: 'ETH',
+        asset_address: 'native',
+        chain_name: 'Ethereum',
+        refill_amount: '0.048',
+        refill_sweep_wallet: '0xcoldeth'
+      }, { gasTopUp: true });
+      expect(result.data.gasTopUp).toEqual({
+        assetSymbol: 'ETH',
+        assetAddress: 'native',
+        walletAddress: '0xhot',
+        refillSweepWallet: '0xcoldeth',
+        refillAmount: '0.048',
+        refillAmountAtomic: '48000000000000000',
+        nativeBalanceAtomic: '2000000000000000',
+        minGasReserveAtomic: '10000000000000000'
+      });
+    });
+
+    it('should fail with HOT_WALLET_GAS_LOW when the top-up cannot be created', async () => {
+      jest.spyOn(config, 'get').mockImplementation(key => (key === 'hotWalletGasPolicy' ? 'TOP_UP' : null));
+      jest.spyOn(refillValidationService, 'validateRefillRequest').mockResolvedValue({
+        success: false,
+        error: 'A refill for this asset is already in progress. Please wait for it to complete.',
+        code: 'REFILL_IN_PROGRESS',
+        data: {}
+      });
+      mockProvider.getTokenBalanceBreakdown.mockResolvedValue({ available: '2000000000000000', pending: '0', locked: '0' });
+
+      const result = await refillValidationService.validateHotWalletGas(buildToken(), blockchain, mockProvider);
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('HOT_WALLET_GAS_LOW');
+      expect(result.error).toContain('the gas top-up cannot be created: A refill for this asset is already in progress');
+      expect(result.data.gasTopUp).toEqual({
+        refillAmountAtomic: '48000000000000000',
+        code: 'REFILL_IN_PROGRESS',
+        error: 'A refill for this asset is already in progress. Please wait for it to complete.'
+      });
+    });
+
+    it('should skip native assets and tokens without a gas reserve', async () => {
+      const native = await refillValidationService.validateHotWalletGas(nativeAsset, blockchain, mockProvider);
+      const noReserve = await refillValidationService.validateHotWalletGas(buildToken({ minGasReserveAtomic: null }), blockchain, mockProvider);
+
+      expect(native.data.gasTopUp).toBeNull();
+      expect(noReserve.data.gasTopUp).toBeNull();
+      expect(databaseService.getAssetBySymbolAndBlockchain).not.toHaveBeenCalled();
+    });
+
+    it('should fail when the native asset is not configured for the hot wallet', async () => {
+      databaseService.getAssetBySymbolAndBlockchain.mockResolvedValue({ ...nativeAsset, walletId: 7 });
+
+      const result = await refillValidationService.validateHotWalletGas(buildToken(), blockchain, mockProvider);
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('NATIVE_ASSET_NOT_CONFIGURED');
+      expect(mockProvider.getTokenBalanceBreakdown).not.toHaveBeenCalled();
+    });
+
+    it('should return PROVIDER_UNAVAILABLE when the provider is unavailable', async () => {
+      mockProvider.getTokenBalanceBreakdown.mockRejectedValue(
+        new ProviderUnavailableError('fireblocks', 'CIRCUIT_OPEN', 'fireblocks provider is unavailable')
+      );
+
+      const result = await refillValidationService.validateHotWalletGas(buildToken(), blockchain, mockProvider);
+
+      expect(result.code).toBe('PROVIDER_UNAVAILABLE');
+    });
+  });
+
+  describe('validateRefillLimits', () => {
+    const buildAsset = (overrides = {}) => ({
+      id: 1,
+      symbol: 'BTC',
+      decimals: 8,
+      maxRefillsPerDay: null,
+      maxDailyRefillAmountAtomic: null,
+      maxSingleRefillAmountAtomic: null,
+      ...overrides
+    });
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+    });
+
+    it('should allow refill when no limits are configured', async () => {
+      const result = await refillValidationService.validateRefillLimits(buildAsset(), '1.0');
+
+      expect(result.success).toBe(true);
+      expect(databaseService.getRefillVolumeByAssetId).not.toHaveBeenCalled();
+    });
+
+    it('should reject a refill above the single refill limit without querying volume', async () => {
+      const asset = buildAsset({ maxSingleRefillAmountAtomic: '50000000', maxRefillsPerDay: 5 });
+
+      const result = await refillValidationService.validateRefillLimits(asset, '1.0');
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('SINGLE_REFILL_LIMIT_EXCEEDED');
+      expect(result.data).toEqual({
+        maxSingleRefillAmountAtomic: '50000000',
+        requestedAmountAtomic: '100000000'
+      });
+      expect(databaseService.getRefillVolumeByAssetId).not.toHaveBeenCalled();
+    });
+
+    it('should query volume over the rolling 24 hour window', async () => {
+      const asset = buildAsset({ maxRefillsPerDay: 5 });
+      databaseService.getRefillVolumeByAssetId.mockResolvedValue({ refillCount: '1', totalAmountAtomic: '100000000' });
+      const before = Date.now();
+
+      const result = await refillValidationService.validateRefillLimits(asset, '1.0');
+
+      expect(result.success).toBe(true);
+      const since = databaseService.getRefillVolumeByAssetId.mock.calls[0][1];
+      expect(databaseService.getRefillVolumeByAssetId.mock.calls[0][0]).toBe(1);
+      expect(since.getTime()).toBeGreaterThanOrEqual(before - 24 * 60 * 60 * 1000);
+      expect(since.getTime()).toBeLessThanOrEqual(Date.now() - 24 * 60 * 60 * 1000);
+      expect(result.data.remainingRefills).toBe(4);
+    });
+
+    it('should reject when the daily refill count is reached', async () => {
+      const asset = buildAsset({ maxRefillsPerDay: 3, maxDailyRefillAmountAtomic: '1000000000' });
+      databaseService.getRefillVolumeByAssetId.mockResolvedValue({ refillCount: '3', totalAmountAtomic: '300000000' });
+
+      const result = await refillValidationService.validateRefillLimits(asset, '1.0');
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('DAILY_REFILL_COUNT_EXCEEDED');
+      expect(result.data).toEqual(expect.objectContaining({
+        refillsInWindow: 3,
+        maxRefillsPerDay: 3,
+        remainingRefills: 0,
+        maxDailyRefillAmountAtomic: '1000000000',
+        remainingAmountAtomic: '700000000',
+        windowStart: expect.any(String)
+      }));
+    });
+
+    it('should reject when the refill would exceed the daily amount limit', async () => {
+      const asset = buildAsset({ maxDailyRefillAmountAtomic: '250000000' });
+      databaseService.getRefillVolumeByAssetId.mockResolvedValue({ refillCount: '2', totalAmountAtomic: '200000000' });
+
+      const result = await refillValidationService.validateRefillLimits(asset, '1.0');
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('DAILY_REFILL_AMOUNT_EXCEEDED');
+      expect(result.data).toEqual(expect.objectContaining({
+        refilledAmountAtomic: '200000000',
+        remainingAmountAtomic: '50000000',
+        requestedAmountAtomic: '100000000'
+      }));
+    });
+
+    it('should allow a refill that exactly uses the remaining daily amount', async () => {
+      const asset = buildAsset({ maxDailyRefillAmountAtomic: '300000000' });
+      databaseService.getRefillVolumeByAssetId.mockResolvedValue({ refillCount: '2', totalAmountAtomic: '200000000' });
+
+      const result = await refillValidationService.validateRefillLimits(asset, '1.0');
+
+      expect(result.success).toBe(true);
+      expect(result.data.remainingAmountAtomic).toBe('100000000');
+    });
+
+    it('should return REFILL_LIMIT_CHECK_ERROR on database errors', async () => {
+      const asset = buildAsset({ maxRefillsPerDay: 3 });
+      databaseService.getRefillVolumeByAssetId.mockRejectedValue(new Error('DB error'));
+
+      const result = await refillValidationService.validateRefillLimits(asset, '1.0');
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('REFILL_LIMIT_CHECK_ERROR');
+    });
+  });
+
   describe('validateRefillRequest', () => {
     const mockRefillData = {
       refill_request_id: 'REQ001',
@@ -795,6 +1441,10 @@ describe('RefillValidationService', () => {
           refillAmountAtomic: '100000000'
         }
       });
+      jest.spyOn(refillValidationService, 'validateHotWalletGas').mockResolvedValue({
+        success: true,
+        data: { gasTopUp: null }
+      });
     });
 
     it('should successfully validate a complete refill request', async () => {
@@ -810,6 +1460,156 @@ describe('RefillValidationService', () => {
       expect(result.data.details.blockchain.id).toBe(1);
     });
 
+    it('should return the gas check failure of token refills', async () => {
+      databaseService.getBlockchainByName.mockResolvedValue(mockBlockchain);
+      jest.spyOn(providerService, 'getTokenProvider').mockResolvedValue(mockProvider);
+      jest.spyOn(refillValidationService, 'validateHotWalletGas').mockResolvedValue({
+        success: false,
+        error: 'Hot wallet ETH balance is below the gas reserve of USDT',
+        code: 'HOT_WALLET_GAS_LOW',
+        data: {}
+      });
+
+      const result = await refillValidationService.validateRefillRequest(mockRefillData);
+
+      expect(result.code).toBe('HOT_WALLET_GAS_LOW');
+      expect(refillValidationService.validateHotWalletGas).toHaveBeenCalledWith(mockAsset, mockBlockchain, mockProvider);
+    });
+
+    it('should return the chained gas top-up in the validated details', async () => {
+      const gasTopUp = { assetSymbol: 'ETH', refillAmount: '0.048' };
+      databaseService.getBlockchainByName.mockResolvedValue(mockBlockchain);
+      jest.spyOn(providerService, 'getTokenProvider').mockResolvedValue(mockProvider);
+      jest.spyOn(refillValidationService, 'validateHotWalletGas').mockResolvedValue({ success: true, data: { gasTopUp } });
+
+      const result = await refillValidationService.validateRefillRequest(mockRefillData);
+
+      expect(result.data.details.gasTopUp).toBe(gasTopUp);
+    });
+
+    it('should default the urgency to NORMAL and normalize urgency hints', async () => {
+      databaseService.getBlockchainByName.mockResolvedValue(mockBlockchain);
+      jest.spyOn(providerService, 'getTokenProvider').mockResolvedValue(mockProvider);
+
+      const normal = await refillValidationService.validateRefillRequest(mockRefillData);
+      const urgent = await refillValidationService.validateRefillRequest({ ...mockRefillData, urgency: 'high' });
+
+      expect(normal.data.details.urgency).toBe('NORMAL');
+      expect(urgent.data.details.urgency).toBe('HIGH');
+    });
+
+    it('should reject unknown urgency hints before any lookup', async () => {
+      const result = await refillValidationService.validateRefillRequest({ ...mockRefillData, urgency: 'asap' });
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('INVALID_URGENCY');
+      expect(result.error).toBe('Invalid urgency: asap. Expected one of NORMAL, HIGH');
+      expect(databaseService.getBlockchainByName).not.toHaveBeenCalled();
+    });
+
+    it('should compute the refill amount when refill_amount is auto and check the limits with it', async () => {
+      databaseService.getBlockchainByName.mockResolvedValue(mockBlockchain);
+      jest.spyOn(providerService, 'getTokenProvider').mockResolvedValue(mockProvider);
+      jest.spyOn(refillValidationService, 'validateRefillLimits').mockResolvedValue({ success: true });
+      const hotWalletBalance = { balance: new BigNumber('30000000'), balanceBreakdown: null, balanceComponents: ['available'] };
+      jest.spyOn(refillValidationService, 'computeAutoRefillAmount').mockResolvedValue({
+        success: true,
+        data: { refillAmount: '0.7', refillAmountAtomic: '70000000', requiredAmountAtomic: '70000000', cappedByColdWallet: false, hotWalletBalance }
+      });
+
+      const result = await refillValidationService.validateRefillRequest({ ...mockRefillData, refill_amount: 'AUTO' });
+
+      expect(result.success).toBe(true);
+      expect(refillValidationService.validateRefillLimits).toHaveBeenCalledTimes(1);
+      expect(refillValidationService.validateRefillLimits).toHaveBeenCalledWith(mockAsset, '0.7');
+      expect(refillValidationService.validateColdWalletBalance).toHaveBeenCalledWith(mockAsset, '0.7', mockProvider);
+      expect(refillValidationService.validateHotWalletNeedsRefill).toHaveBeenCalledWith('0xhot123', '0.7', mockProvider, mockAsset, {
+        hotWalletBalance,
+        gasTopUp: false
+      });
+      expect(result.data.details.refillAmount).toBe('0.7');
+      expect(result.data.details.autoRefillAmount).toBe(true);
+    });
+
+    it('should compute the refill amount when refill_amount is omitted', async () => {
+      databaseService.getBlockchainByName.mockResolvedValue(mockBlockchain);
+      jest.spyOn(providerService, 'getTokenProvider').mockResolvedValue(mockProvider);
+      jest.spyOn(refillValidationService, 'computeAutoRefillAmount').mockResolvedValue({
+        success: false,
+        error: 'Hot wallet already has sufficient balance',
+        code: 'SUFFICIENT_BALANCE',
+        data: {}
+      });
+      const { refill_amount, ...refillData } = mockRefillData;
+
+      const result = await refillValidationService.validateRefillRequest(refillData);
+
+      expect(result.code).toBe('SUFFICIENT_BALANCE');
+      expect(refillValidationService.validateColdWalletBalance).not.toHaveBeenCalled();
+    });
+
+    it('should skip the cooldown and trigger threshold checks for gas top-ups', async () => {
+      databaseService.getBlockchainByName.mockResolvedValue(mockBlockchain);
+      jest.spyOn(providerService, 'getTokenProvider').mockResolvedValue(mockProvider);
+
+      const result = await refillValidationService.validateRefillRequest(mockRefillData, { gasTopUp: true });
+
+      expect(result.success).toBe(true);
+      expect(refillValidationService.validateCooldownPeriod).not.toHaveBeenCalled();
+      expect(refillValidationService.validateNoPendingRefill).toHaveBeenCalled();
+      expect(refillValidationService.validateHotWalletNeedsRefill).toHaveBeenCalledWith(
+        expect.any(String), '1.0', mockProvider, mockAsset, { hotWalletBalance: null, gasTopUp: true }
+      );
+    });
+
+    it('should use a fixed refill_amount as sent', async () => {
+      databaseService.getBlockchainByName.mockResolvedValue(mockBlockchain);
+      jest.spyOn(providerService, 'getTokenProvider').mockResolvedValue(mockProvider);
+      const computeSpy = jest.spyOn(refillValidationService, 'computeAutoRefillAmount');
+
+      const result = await refillValidationService.validateRefillRequest(mockRefillData);
+
+      expect(computeSpy).not.toHaveBeenCalled();
+      expect(result.data.details.refillAmount).toBe('1.0');
+      expect(result.data.details.autoRefillAmount).toBe(false);
+    });
+
+    it('should validate the rounded up amount when the requested amount is below dust', async () => {
+      databaseService.getBlockchainByName.mockResolvedValue(mockBlockchain);
+      jest.spyOn(providerService, 'getTokenProvider').mockResolvedValue(mockProvider);
+      jest.spyOn(refillValidationService, 'validateDustThreshold').mockReturnValue({
+        success: true,
+        data: { refillAmount: '0.01', roundedUp: true }
+      });
+
+      const result = await refillValidationService.validateRefillRequest({ ...mockRefillData, refill_amount: '0.005' });
+
+      expect(refillValidationService.validateDustThreshold).toHaveBeenCalledWith(mockAsset, '0.005', { autoAmount: false });
+      expect(refillValidationService.validateColdWalletBalance).toHaveBeenCalledWith(mockAsset, '0.01', mockProvider);
+      expect(result.data.details.refillAmount).toBe('0.01');
+      expect(result.data.details.requestedRefillAmount).toBe('0.005');
+    });
+
+    it('should skip auto refills whose computed amount is below dust', async () => {
+      databaseService.getBlockchainByName.mockResolvedValue(mockBlockchain);
+      jest.spyOn(providerService, 'getTokenProvider').mockResolvedValue(mockProvider);
+      jest.spyOn(refillValidationService, 'computeAutoRefillAmount').mockResolvedValue({
+        success: true,
+        data: { refillAmount: '0.00001', refillAmountAtomic: '1000', requiredAmountAtomic: '1000', cappedByColdWallet: false }
+      });
+      jest.spyOn(refillValidationService, 'validateDustThreshold').mockReturnValue({
+        success: false,
+        code: 'BELOW_DUST_THRESHOLD',
+        error: 'Computed refill amount is below the dust threshold, refill skipped'
+      });
+
+      const result = await refillValidationService.validateRefillRequest({ ...mockRefillData, refill_amount: 'auto' });
+
+      expect(result.code).toBe('BELOW_DUST_THRESHOLD');
+      expect(refillValidationService.validateDustThreshold).toHaveBeenCalledWith(mockAsset, '0.00001', { autoAmount: true });
+      expect(refillValidationService.validateColdWalletBalance).not.toHaveBeenCalled();
+    });
+
     it('should return error when blockchain not found', async () => {
       databaseService.getBlockchainByName.mockResolvedValue(null);
 
@@ -862,6 +1662,21 @@ describe('RefillValidationService', () => {
       expect(result.code).toBe('COOLDOWN_PERIOD_ACTIVE');
     });
 
+    it('should return error when a refill limit is exceeded', async () => {
+      databaseService.getBlockchainByName.mockResolvedValue(mockBlockchain);
+      jest.spyOn(refillValidationService, 'validateRefillLimits').mockResolvedValueOnce({
+        success: false,
+        code: 'DAILY_REFILL_COUNT_EXCEEDED',
+        error: 'Daily refill count limit reached'
+      });
+
+      const result = await refillValidationService.validateRefillRequest(mockRefillData);
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('DAILY_REFILL_COUNT_EXCEEDED');
+      expect(refillValidationService.validateHotWalletAddress).not.toHaveBeenCalled();
+    });
+
     it('should return error when hot wallet address validation fails', async () => {
       databaseService.getBlockchainByName.mockResolvedValue(mockBlockchain);
       refillValidationService.validateHotWalletAddress.mockReturnValue({
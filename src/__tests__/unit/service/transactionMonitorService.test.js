@@ -662,5 +662,55 @@ describe('TransactionMonitorService', () => {
       expect(message).not.toContain('hours');
     });
   });
-});
 
+  describe('shouldPollTransaction', () => {
+    const webhookConfig = (overrides = {}) => (key) => ({
+      'providers.fireblocks.webhookEnabled': true,
+      'providers.fireblocks.webhookPollingFallbackInSeconds': 300,
+      ...overrides
+    })[key] ?? null;
+
+    afterEach(() => {
+      config.get.mockReset();
+    });
+
+    it('should always poll non-Fireblocks refills', () => {
+      config.get.mockImplementation(webhookConfig());
+
+      expect(transactionMonitor.shouldPollTransaction({ provider: 'liminal', createdAt: new Date() })).toBe(true);
+    });
+
+    it('should poll Fireblocks refills when webhooks are disabled', () => {
+      config.get.mockImplementation(webhookConfig({ 'providers.fireblocks.webhookEnabled': false }));
+
+      expect(transactionMonitor.shouldPollTransaction({ provider: 'fireblocks', createdAt: new Date() })).toBe(true);
+    });
+
+    it('should skip Fireblocks refills with a recent webhook event', () => {
+      config.get.mockImplementation(webhookConfig());
+
+      expect(transactionMonitor.shouldPollTransaction({
+        provider: 'fireblocks',
+        createdAt: new Date(Date.now() - 3600 * 1000),
+        lastProviderEventAt: new Date(Date.now() - 60 * 1000)
+      })).toBe(false);
+    });
+
+    it('should skip new Fireblocks refills until the fallback window has passed', () => {
+      config.get.mockImplementation(webhookConfig());
+
+      expect(transactionMonitor.shouldPollTransaction({ provider: 'fireblocks', createdAt: new Date(Date.now() - 60 * 1000) })).toBe(false);
+      expect(transactionMonitor.shouldPollTransaction({ provider: 'fireblocks', createdAt: new Date(Date.now() - 600 * 1000) })).toBe(true);
+    });
+
+    it('should not call the provider for skipped refills', async () => {
+      config.get.mockImplementation(webhookConfig());
+      const transaction = { refillRequestId: 'REQ100', provider: 'fireblocks', status: 'PROCESSING', createdAt: new Date() };
+
+      const result = await transactionMonitor.checkAndUpdateTransaction(transaction);
+
+      expect(refillTransactionService.checkAndUpdateTransactionFromProvider).not.toHaveBeenCalled();
+      expect(result.data).toEqual(expect.objectContaining({ status: 'PROCESSING', skipped: true }));
+    });
+  });
+});
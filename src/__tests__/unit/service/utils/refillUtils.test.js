@@ -1,5 +1,4 @@
 const refillUtils = require('../../../../service/utils/utils');
-const config = require('../../../../config');
 
 jest.mock('../../../../config');
 jest.mock('../../../../middleware/logger');
@@ -9,80 +8,6 @@ describe('RefillUtils', () => {
     jest.clearAllMocks();
   });
 
-  describe('getLiminalConfig', () => {
-    it('should return env from config when available', () => {
-      config.get.mockReturnValue({ env: 'prod' });
-      
-      const result = refillUtils.getLiminalConfig();
-      
-      expect(result).toBe('prod');
-      expect(config.get).toHaveBeenCalledWith('providers.liminal');
-    });
-
-    it('should return dev as default when config is null', () => {
-      config.get.mockReturnValue(null);
-      
-      const result = refillUtils.getLiminalConfig();
-      
-      expect(result).toBe('dev');
-    });
-
-    it('should return dev when env is not in config', () => {
-      config.get.mockReturnValue({});
-      
-      const result = refillUtils.getLiminalConfig();
-      
-      expect(result).toBe('dev');
-    });
-
-    it('should return dev when config throws error', () => {
-      config.get.mockImplementation(() => {
-        throw new Error('Config error');
-      });
-      
-      const result = refillUtils.getLiminalConfig();
-      
-      expect(result).toBe('dev');
-    });
-  });
-
-  describe('getFireblocksConfig', () => {
-    it('should return apiBaseUrl from config when available', () => {
-      config.get.mockReturnValue({ apiBaseUrl: 'https://custom.fireblocks.io' });
-      
-      const result = refillUtils.getFireblocksConfig();
-      
-      expect(result).toBe('https://custom.fireblocks.io');
-      expect(config.get).toHaveBeenCalledWith('providers.fireblocks');
-    });
-
-    it('should return default URL when config is null', () => {
-      config.get.mockReturnValue(null);
-      
-      const result = refillUtils.getFireblocksConfig();
-      
-      expect(result).toBe('https://api.fireblocks.io');
-    });
-
-    it('should return default URL when apiBaseUrl not in config', () => {
-      config.get.mockReturnValue({});
-      
-      const result = refillUtils.getFireblocksConfig();
-      
-      expect(result).toBe('https://api.fireblocks.io');
-    });
-
-    it('should return default URL when config throws error', () => {
-      config.get.mockImplementation(() => {
-        throw new Error('Config error');
-      });
-      
-      const result = refillUtils.getFireblocksConfig();
-      
-      expect(result).toBe('https://api.fireblocks.io');
-    });
-  });
-
   describe('getColdWalletId', () => {
     it('should return Liminal wallet ID for Liminal provider', () => {
       const validatedData = {
@@ -172,6 +97,14 @@ describe('RefillUtils', () => {
     });
   });
 
+  describe('getExternalTxId', () => {
+    it('should suffix the external transaction ID of retries with the attempt', () => {
+      expect(refillUtils.getExternalTxId('REQ001')).toBe('REQ001_refill');
+      expect(refillUtils.getExternalTxId('REQ001', 1)).toBe('REQ001_refill');
+      expect(refillUtils.getExternalTxId('REQ001', 2)).toBe('REQ001_refill_2');
+    });
+  });
+
   describe('getWalletConfig', () => {
     it('should return success for valid Liminal config with all required fields', () => {
       const walletConfig = {
@@ -266,12 +199,64 @@ describe('RefillUtils', () => {
       expect(result.code).toBe('INVALID_FIREBLOCKS_COLD_WALLET_CONFIGURATION');
     });
 
+    it('should validate hot wallet configs as refill destinations', () => {
+      const walletConfig = {
+        fireblocks: { destinationType: 'ONE_TIME_ADDRESS', assetId: 'XRP' }
+      };
+
+      expect(refillUtils.getWalletConfig('fireblocks', walletConfig).code).toBe('INVALID_FIREBLOCKS_COLD_WALLET_CONFIGURATION');
+      expect(refillUtils.getWalletConfig('fireblocks', walletConfig, true).success).toBe(true);
+    });
+
     it('should return error for unsupported provider', () => {
       const result = refillUtils.getWalletConfig('unknown', {});
 
       expect(result.success).toBe(false);
       expect(result.code).toBe('UNSUPPORTED_PROVIDER');
     });
+
+    it('should accept a list of balance components', () => {
+      const result = refillUtils.getWalletConfig('fireblocks', {
+        fireblocks: { vaultId: 'vault1', assetId: 'BTC' },
+        balanceComponents: ['available', 'pending']
+      });
+
+      expect(result.success).toBe(true);
+    });
+
+    it.each([
+      [[]],
+      [['available', 'total']],
+      ['available']
+    ])('should return error for invalid balance components %j', (balanceComponents) => {
+      const result = refillUtils.getWalletConfig('fireblocks', {
+        fireblocks: { vaultId: 'vault1', assetId: 'BTC' },
+        balanceComponents
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.code).toBe('INVALID_BALANCE_COMPONENTS');
+    });
+  });
+
+  describe('getBalanceComponents', () => {
+    it('should count only the available balance by default', () => {
+      expect(refillUtils.getBalanceComponents({ provider: 'fireblocks' })).toEqual(['available']);
+      expect(refillUtils.getBalanceComponents(undefined)).toEqual(['available']);
+    });
+
+    it('should return the configured balance components', () => {
+      expect(refillUtils.getBalanceComponents({ balanceComponents: ['available', 'pending'] })).toEqual(['available', 'pending']);
+    });
+  });
+
+  describe('sumBalanceComponents', () => {
+    it('should sum the counted components of a balance breakdown', () => {
+      const breakdown = { available: '100', pending: '25', locked: '10' };
+
+      expect(refillUtils.sumBalanceComponents(breakdown, ['available']).toString()).toBe('100');
+      expect(refillUtils.sumBalanceComponents(breakdown, ['available', 'pending', 'locked']).toString()).toBe('135');
+    });
   });
 
   describe('buildTransactionUpdateData', () => {
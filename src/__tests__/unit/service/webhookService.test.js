@@ -0,0 +1,195 @@
+const crypto = require('crypto');
+const webhookService = require('../../../service/webhookService');
+const databaseService = require('../../../service/chainDb');
+const refillTransactionService = require('../../../service/refillTransactionService');
+const config = require('../../../config');
+
+jest.mock('../../../service/chainDb');
+jest.mock('../../../service/refillTransactionService');
+jest.mock('../../../config', () => ({
+  get: jest.fn(),
+  getSecret: jest.fn((key) => {
+    if (key === 'chainDb') {
+      return {
+        host: 'localhost',
+        port: 5432,
+        user: 'test',
+        password: 'test',
+        name: 'testdb'
+      };
+    }
+    return null;
+  }),
+  getAllConfig: jest.fn()
+}));
+jest.mock('../../../middleware/logger');
+
+describe('WebhookService', () => {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('rsa', {
+    modulusLength: 2048,
+    publicKeyEncoding: { type: 'spki', format: 'pem' },
+    privateKeyEncoding: { type: 'pkcs8', format: 'pem' }
+  });
+
+  const sign = (body, key = privateKey) => {
+    const signer = crypto.createSign('RSA-SHA512');
+    signer.write(body);
+    signer.end();
+    return signer.sign(key, 'base64');
+  };
+
+  const buildEvent = (data = {}, type = 'TRANSACTION_STATUS_UPDATED') => JSON.stringify({
+    type,
+    tenantId: 'tenant-1',
+    timestamp: 1767225600000,
+    data: {
+      id: 'fb-123',
+      externalTxId: 'REQ001_refill',
+      status: 'COMPLETED',
+      txHash: '0xabc',
+      ...data
+    }
+  });
+
+  let webhookConfig;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    webhookConfig = {
+      'providers.fireblocks.webhookEnabled': true,
+      'providers.fireblocks.webhookPublicKey': publicKey
+    };
+    config.get.mockImplementation((key) => webhookConfig[key] ?? null);
+    refillTransactionService.isFinalStatus.mockImplementation((status) => ['COMPLETED', 'FAILED'].includes(status));
+    refillTransactionService.applyProviderUpdate.mockResolvedValue({ success: true, data: { status: 'COMPLETED', updated: true } });
+  });
+
+  describe('handleFireblocksWebhook', () => {
+    it('should apply a signed status event to the matching refill', async () => {
+      const transaction = { refillRequestId: 'REQ001', provider: 'fireblocks', status: 'PROCESSING', providerTxId: 'fb-123' };
+      databaseService.getRefillTransactionByProviderReference.mockResolvedValue(transaction);
+      const body = buildEvent();
+
+      const result = await webhookService.handleFireblocksWebhook(body, sign(body));
+
+      expect(databaseService.getRefillTransactionByProviderReference).toHaveBeenCalledWith('fireblocks', 'fb-123', 'REQ001_refill');
+      expect(refillTransactionService.applyProviderUpdate).toHaveBeenCalledWith(
+        transaction,
+        expect.objectContaining({ id: 'fb-123', status: 'COMPLETED' }),
+        { lastProviderEventAt: expect.any(Date) }
+      );
+      expect(result).toEqual({
+        success: true,
+        error: null,
+        code: null,
+        data: { processed: true, reason: null, refillRequestId: 'REQ001', status: 'COMPLETED' }
+      });
+    });
+
+    it('should store the provider transaction ID when the event arrives first', async () => {
+      databaseService.getRefillTransactionByProviderReference.mockResolvedValue({ refillRequestId: 'REQ001', provider: 'fireblocks', status: 'PENDING', providerTxId: null });
+      const body = buildEvent({ status: 'SUBMITTED' });
+
+      await webhookService.handleFireblocksWebhook(body, sign(body));
+
+      expect(refillTransactionService.applyProviderUpdate.mock.calls[0][2]).toEqual({
+        lastProviderEventAt: expect.any(Date),
+        providerTxId: 'fb-123'
+      });
+    });
+
+    it('should reject events with an invalid signature', async () => {
+      const otherKey = crypto.generateKeyPairSync('rsa', {
+        modulusLength: 2048,
+        privateKeyEncoding: { type: 'pkcs8', format: 'pem' },
+        publicKeyEncoding: { type: 'spki', format: 'pem' }
+      }).privateKey;
+      const body = buildEvent();
+
+      const result = await webhookService.handleFireblocksWebhook(body, sign(body, otherKey));
+
+      expect(result.code).toBe('INVALID_SIGNATURE');
+      expect(databaseService.getRefillTransactionByProviderReference).not.toHaveBeenCalled();
+    });
+
+    it('should reject events whose body was modified after signing', async () => {
+      const body = buildEvent();
+      const signature = sign(body);
+
+      const result = await webhookService.handleFireblocksWebhook(buildEvent({ status: 'FAILED' }), signature);
+
+      expect(result.code).toBe('INVALID_SIGNATURE');
+    });
+
+    it('should reject events without signature', async () => {
+      const result = await webhookService.handleFireblocksWebhook(buildEvent(), undefined);
+
+      expect(result.code).toBe('INVALID_SIGNATURE');
+    });
+
+    it('should return WEBHOOK_DISABLED when webhooks are not enabled', async () => {
+      webhookConfig['providers.fireblocks.webhookEnabled'] = false;
+      const body = buildEvent();
+
+      const result = await webhookService.handleFireblocksWebhook(body, sign(body));
+
+      expect(result.code).toBe('WEBHOOK_DISABLED');
+    });
+
+    it('should return WEBHOOK_CONFIG_ERROR when the public key is missing', async () => {
+      delete webhookConfig['providers.fireblocks.webhookPublicKey'];
+      const body = buildEvent();
+
+      const result = await webhookService.handleFireblocksWebhook(body, sign(body));
+
+      expect(result.code).toBe('WEBHOOK_CONFIG_ERROR');
+    });
+
+    it('should accept and ignore other event types', async () => {
+      const body = buildEvent({}, 'VAULT_ACCOUNT_ADDED');
+
+      const result = await webhookService.handleFireblocksWebhook(body, sign(body));
+
+      expect(result.success).toBe(true);
+      expect(result.data).toEqual(expect.objectContaining({ processed: false, reason: 'EVENT_TYPE_IGNORED' }));
+      expect(refillTransactionService.applyProviderUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should accept and ignore events for unknown transactions', async () => {
+      databaseService.getRefillTransactionByProviderReference.mockResolvedValue(null);
+      const body = buildEvent();
+
+      const result = await webhookService.handleFireblocksWebhook(body, sign(body));
+
+      expect(result.success).toBe(true);
+      expect(result.data.reason).toBe('TRANSACTION_NOT_FOUND');
+    });
+
+    it('should not move a refill out of a final status', async () => {
+      databaseService.getRefillTransactionByProviderReference.mockResolvedValue({ refillRequestId: 'REQ001', provider: 'fireblocks', status: 'COMPLETED' });
+      const body = buildEvent({ status: 'BROADCASTING' });
+
+      const result = await webhookService.handleFireblocksWebhook(body, sign(body));
+
+      expect(result.data).toEqual(expect.objectContaining({ processed: false, reason: 'FINAL_STATUS', status: 'COMPLETED' }));
+      expect(refillTransactionService.applyProviderUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should reject status events without transaction data', async () => {
+      const body = JSON.stringify({ type: 'TRANSACTION_STATUS_UPDATED', data: {} });
+
+      const result = await webhookService.handleFireblocksWebhook(body, sign(body));
+
+      expect(result.code).toBe('INVALID_PAYLOAD');
+    });
+
+    it('should return WEBHOOK_PROCESSING_ERROR on database errors', async () => {
+      databaseService.getRefillTransactionByProviderReference.mockRejectedValue(new Error('DB error'));
+      const body = buildEvent();
+
+      const result = await webhookService.handleFireblocksWebhook(body, sign(body));
+
+      expect(result.code).toBe('WEBHOOK_PROCESSING_ERROR');
+    });
+  });
+});
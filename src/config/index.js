@@ -44,4 +44,15 @@ function getSecret(key){
 function getAllConfig(){
   return config;
 }
-module.exports = {get,getSecret,getAllConfig};
+
+function reloadSecrets(){
+  // re-read the secrets (e.g. rotated secret files); the current secrets are kept if the new ones are not valid
+  const reloadedRc = require('rc')(`${schema.appName}_SECRET`, {});
+  const reloadRes = validate(reloadedRc,schema.secret);
+  if(!reloadRes.status){
+    return {success: false, errors: reloadRes.errors};
+  }
+  secret = reloadRes.parsed;
+  return {success: true, errors: null};
+}
+module.exports = {get,getSecret,getAllConfig,reloadSecrets};
@@ -1,3 +1,26 @@
+const fs = require('fs');
+const path = require('path');
+
+// Each provider declares its config and secret schema in src/providers/<name>/schema.js.
+// They are read from the directory (like the database models) because the provider modules
+// themselves cannot be loaded before the config is.
+const providersDir = path.join(__dirname, '../providers');
+const providerSchemas = fs.readdirSync(providersDir, { withFileTypes: true })
+  .filter(entry => entry.isDirectory() && fs.existsSync(path.join(providersDir, entry.name, 'schema.js')))
+  .reduce((schemas, entry) => {
+    schemas[entry.name] = require(path.join(providersDir, entry.name, 'schema.js'));
+    return schemas;
+  }, {});
+
+const requiredProviders = Object.keys(providerSchemas).filter(name => providerSchemas[name].required);
+
+function providerSchemaProperties(section) {
+  return Object.keys(providerSchemas).reduce((properties, name) => {
+    properties[name] = providerSchemas[name][section];
+    return properties;
+  }, {});
+}
+
 const schema = {
   appName: 'CHAIN_REFILL',
   config: {
@@ -14,6 +37,9 @@ const schema = {
       authPublicKey: {
         type: 'string'
       },
+      adminAuthPublicKey: {
+        type: 'string'
+      },
       jwtMaxLifetimeInSeconds: {
         type: 'number',
         default: 300
@@ -26,6 +52,38 @@ const schema = {
         type: 'number',
         default: 30000
       },
+      balanceWatcherEnabled: {
+        type: 'boolean',
+        default: false
+      },
+      balanceWatcherIntervalInMs: {
+        type: 'number',
+        default: 300000  // 5 minutes
+      },
+      reconciliationEnabled: {
+        type: 'boolean',
+        default: true
+      },
+      reconciliationIntervalInMs: {
+        type: 'number',
+        default: 60000  // 1 minute
+      },
+      orphanedRefillMinAgeInSeconds: {
+        type: 'number',
+        default: 60
+      },
+      orphanedRefillGracePeriodInSeconds: {
+        type: 'number',
+        default: 900  // 15 minutes
+      },
+      refillDustPolicy: {
+        enum: ['REJECT', 'ROUND_UP'],
+        default: 'REJECT'
+      },
+      hotWalletGasPolicy: {
+        enum: ['REJECT', 'TOP_UP'],
+        default: 'REJECT'
+      },
       longPendingRefillAlertEnabled: {
         type: 'boolean',
         default: true
@@ -34,9 +92,149 @@ const schema = {
         type: 'number',
         default: 1800  // 30 minutes in seconds
       },
+      lowBalanceAlertEnabled: {
+        type: 'boolean',
+        default: false
+      },
+      lowBalanceAlertIntervalInMs: {
+        type: 'number',
+        default: 300000  // 5 minutes
+      },
+      lowBalanceAlertRecoveryPercent: {
+        type: 'number',
+        default: 10
+      },
+      coldReserveAlertEnabled: {
+        type: 'boolean',
+        default: false
+      },
+      coldReserveAlertIntervalInMs: {
+        type: 'number',
+        default: 900000  // 15 minutes
+      },
+      coldReserveAlertMinRefills: {
+        type: 'number',
+        default: 3
+      },
       slackWebhookUrl: {
         type: 'string'
       },
+      treasurySlackWebhookUrl: {
+        type: 'string'
+      },
+      providerInitRetryIntervalInMs: {
+        type: 'number',
+        default: 30000
+      },
+      providerInitRetryMaxIntervalInMs: {
+        type: 'number',
+        default: 600000  // 10 minutes
+      },
+      providerGuard: {
+        type: 'object',
+        properties: {
+          enabled: {
+            type: 'boolean',
+            default: true
+          },
+          requestsPerSecond: {
+            type: 'number',
+            default: 10
+          },
+          burstSize: {
+            type: 'number',
+            default: 20
+          },
+          maxQueueWaitInMs: {
+            type: 'number',
+            default: 10000
+          },
+          requestTimeoutInMs: {
+            type: 'number',
+            default: 30000
+          },
+          failureThreshold: {
+            type: 'number',
+            default: 5
+          },
+          openDurationInMs: {
+            type: 'number',
+            default: 60000  // 1 minute
+          },
+          overrides: {
+            type: 'object',
+            additionalProperties: {
+              type: 'object',
+              properties: {
+                requestsPerSecond: {
+                  type: 'number'
+                },
+                burstSize: {
+                  type: 'number'
+                },
+                maxQueueWaitInMs: {
+                  type: 'number'
+                },
+                requestTimeoutInMs: {
+                  type: 'number'
+                },
+                failureThreshold: {
+                  type: 'number'
+                },
+                openDurationInMs: {
+                  type: 'number'
+                }
+              }
+            }
+          }
+        }
+      },
+      callbacks: {
+        type: 'object',
+        properties: {
+          enabled: {
+            type: 'boolean',
+            default: false
+          },
+          defaultClientId: {
+            type: 'string'
+          },
+          dispatchIntervalInMs: {
+            type: 'number',
+            default: 15000
+          },
+          maxAttempts: {
+            type: 'number',
+            default: 8
+          },
+          baseDelayInMs: {
+            type: 'number',
+            default: 30000
+          },
+          maxDelayInMs: {
+            type: 'number',
+            default: 3600000  // 1 hour
+          },
+          requestTimeoutInMs: {
+            type: 'number',
+            default: 10000
+          },
+          batchSize: {
+            type: 'number',
+            default: 20
+          },
+          clients: {
+            type: 'object',
+            additionalProperties: {
+              type: 'object',
+              properties: {
+                url: { type: 'string' }
+              },
+              required: ['url']
+            }
+          }
+        }
+      },
       logConfig: {
         type: 'object',
         properties: {
@@ -50,23 +248,8 @@ const schema = {
       },
       providers: {
         type: 'object',
-        properties: {
-          liminal: {
-            type: 'object',
-            properties: {
-              env: { type: 'string' }
-            },
-            required: ['env']
-          },
-          fireblocks: {
-            type: 'object',
-            properties: {
-              apiBaseUrl: { type: 'string' }
-            },
-            required: ['apiBaseUrl']
-          }
-        },
-        required: ['liminal', 'fireblocks']
+        properties: providerSchemaProperties('config'),
+        required: requiredProviders
       }
     },
     required: ['serverPort', 'logConfig', 'providers', 'authEnabled', 'cronEnabled', 'longPendingRefillAlertEnabled']
@@ -95,33 +278,7 @@ const schema = {
         },
         required: ['host', 'port', 'user', 'password', 'name']
       },
-      liminal: {
-        type: 'object',
-        properties: {
-          clientId: {
-            type: 'string'
-          },
-          clientSecret: {
-            type: 'string'
-          },
-          AuthAudience: {
-            type: 'string'
-          }
-        },
-        required: ['clientId', 'clientSecret', 'AuthAudience']
-      },
-      fireblocks: {
-        type: 'object',
-        properties: {
-          apiKey: {
-            type: 'string'
-          },
-          privateKey: {
-            type: 'string'
-          }
-        },
-        required: ['apiKey', 'privateKey']
-      },
+      ...providerSchemaProperties('secret'),
       liminalTsmCredentials: {
         type: 'object',
         properties: {
@@ -144,7 +301,7 @@ const schema = {
         type: 'string'
       }
     },
-    required: ['chainDb', 'liminal', 'fireblocks', 'callbackPrivateKey']
+    required: ['chainDb', ...requiredProviders, 'callbackPrivateKey']
   }
 };
 
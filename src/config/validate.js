@@ -36,6 +36,20 @@ const validate = (data, schema) => {
         }
       }
 
+      // Validate keys not listed in properties (e.g. maps keyed by client ID)
+      if (schema.additionalProperties) {
+        for (const [prop, propValue] of Object.entries(value)) {
+          if (schema.properties && prop in schema.properties) {
+            continue;
+          }
+          const propPath = path ? `${path}.${prop}` : prop;
+          const validatedValue = validateValue(propValue, schema.additionalProperties, propPath);
+          if (validatedValue !== null) {
+            result[prop] = validatedValue;
+          }
+        }
+      }
+
       return result;
     }
 
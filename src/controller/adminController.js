@@ -0,0 +1,155 @@
+const adminService = require("../service/adminService");
+const logger = require("../middleware/logger")("adminController");
+const config = require("../config");
+const signingUtil = require("../service/utils/signingUtil");
+
+/**
+ * Map an admin service error code to an HTTP status
+ * @param {string} code - Error code from the admin service
+ * @returns {number} HTTP status code
+ */
+function getErrorStatus(code) {
+  if (!code) {
+    return 400;
+  }
+  if (code.endsWith('_NOT_FOUND')) {
+    return 404;
+  }
+  if (code.endsWith('_ALREADY_EXISTS') || code.endsWith('_IN_USE')) {
+    return 409;
+  }
+  if (code === 'ADMIN_OPERATION_ERROR') {
+    return 500;
+  }
+  if (code === 'PROVIDER_INIT_FAILED') {
+    return 502;
+  }
+  return 400;
+}
+
+/**
+ * Run an admin service operation and send its (signed) result
+ * @param {Object} res - Express response
+ * @param {string} action - Description of the operation for logging
+ * @param {Function} operation - Function returning the admin service result
+ * @param {number} successStatus - HTTP status on success
+ */
+async function handleAdminRequest(res, action, operation, successStatus = 200) {
+  const authEnabled = config.get('authEnabled');
+
+  try {
+    const result = await operation();
+
+    const status = result.success ? successStatus : getErrorStatus(result.code);
+    authEnabled
+      ? res.status(status).send(signingUtil.signResponse(result))
+      : res.status(status).json(result);
+  } catch (e) {
+    logger.error(`Error during ${action}: ${e.message}`);
+    const errorResponse = {
+      success: false,
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      data: { details: e.message }
+    };
+    try {
+      authEnabled
+        ? res.status(500).send(signingUtil.signResponse(errorResponse))
+        : res.status(500).json(errorResponse);
+    } catch (e) {
+      logger.error(`Error: ${e.message}`);
+      res.sendStatus(500);
+    }
+  }
+}
+
+// Blockchain controllers
+
+async function listBlockchainsController(req, res, next) {
+  await handleAdminRequest(res, 'list blockchains', () => adminService.listBlockchains());
+}
+
+async function getBlockchainController(req, res, next) {
+  await handleAdminRequest(res, 'get blockchain', () => adminService.getBlockchain(req.params.id));
+}
+
+async function createBlockchainController(req, res, next) {
+  await handleAdminRequest(res, 'create blockchain', () => adminService.createBlockchain(req.verifiedData), 201);
+}
+
+async function updateBlockchainController(req, res, next) {
+  await handleAdminRequest(res, 'update blockchain', () => adminService.updateBlockchain(req.params.id, req.verifiedData));
+}
+
+async function deleteBlockchainController(req, res, next) {
+  await handleAdminRequest(res, 'delete blockchain', () => adminService.deleteBlockchain(req.params.id));
+}
+
+// Wallet controllers
+
+async function listWalletsController(req, res, next) {
+  await handleAdminRequest(res, 'list wallets', () => adminService.listWallets());
+}
+
+async function getWalletController(req, res, next) {
+  await handleAdminRequest(res, 'get wallet', () => adminService.getWallet(req.params.id));
+}
+
+async function createWalletController(req, res, next) {
+  await handleAdminRequest(res, 'create wallet', () => adminService.createWallet(req.verifiedData), 201);
+}
+
+async function updateWalletController(req, res, next) {
+  await handleAdminRequest(res, 'update wallet', () => adminService.updateWallet(req.params.id, req.verifiedData));
+}
+
+async function deleteWalletController(req, res, next) {
+  await handleAdminRequest(res, 'delete wallet', () => adminService.deleteWallet(req.params.id));
+}
+
+// Asset controllers
+
+async function listAssetsController(req, res, next) {
+  await handleAdminRequest(res, 'list assets', () => adminService.listAssets());
+}
+
+async function getAssetController(req, res, next) {
+  await handleAdminRequest(res, 'get asset', () => adminService.getAsset(req.params.id));
+}
+
+async function createAssetController(req, res, next) {
+  await handleAdminRequest(res, 'create asset', () => adminService.createAsset(req.verifiedData), 201);
+}
+
+async function updateAssetController(req, res, next) {
+  await handleAdminRequest(res, 'update asset', () => adminService.updateAsset(req.params.id, req.verifiedData));
+}
+
+async function deleteAssetController(req, res, next) {
+  await handleAdminRequest(res, 'delete asset', () => adminService.deleteAsset(req.params.id));
+}
+
+// Provider controllers
+
+async function reinitializeProviderController(req, res, next) {
+  await handleAdminRequest(res, 'reinitialize provider', () => adminService.reinitializeProvider(req.params.name));
+}
+
+module.exports = {
+  listBlockchainsController,
+  getBlockchainController,
+  createBlockchainController,
+  updateBlockchainController,
+  deleteBlockchainController,
+  listWalletsController,
+  getWalletController,
+  createWalletController,
+  updateWalletController,
+  deleteWalletController,
+  listAssetsController,
+  getAssetController,
+  createAssetController,
+  updateAssetController,
+  deleteAssetController,
+  reinitializeProviderController
+};
@@ -1,5 +1,6 @@
 const refillService = require("../service/refillService");
 const refillTransactionService = require("../service/refillTransactionService");
+const callbackService = require("../service/callbackService");
 const logger = require("../middleware/logger")("refillController");
 const config = require("../config");
 const signingUtil = require("../service/utils/signingUtil");
@@ -22,6 +23,8 @@ async function processRefillRequestController(req, res, next) {
     } else {
       if (result.code === 'REFILL_IN_PROGRESS') {
         authEnabled ? res.status(409).send(signedRes) : res.status(409).json(result);
+      } else if (result.code === 'PROVIDER_UNAVAILABLE') {
+        authEnabled ? res.status(503).send(signedRes) : res.status(503).json(result);
       } else {
         authEnabled ? res.status(400).send(signedRes) : res.status(400).json(result);
       }
@@ -45,6 +48,49 @@ async function processRefillRequestController(req, res, next) {
   }
 }
 
+async function previewRefillRequestController(req, res, next) {
+  const authEnabled = config.get('authEnabled');
+
+  try {
+    const requestData = req.verifiedData;
+
+    const result = await refillService.previewRefillRequestService(requestData);
+
+    let signedRes;
+    if (authEnabled) {
+      signedRes = signingUtil.signResponse(result);
+    }
+
+    if (result.success) {
+      authEnabled ? res.status(200).send(signedRes) : res.status(200).json(result);
+    } else {
+      if (result.code === 'REFILL_IN_PROGRESS') {
+        authEnabled ? res.status(409).send(signedRes) : res.status(409).json(result);
+      } else if (result.code === 'PROVIDER_UNAVAILABLE') {
+        authEnabled ? res.status(503).send(signedRes) : res.status(503).json(result);
+      } else {
+        authEnabled ? res.status(400).send(signedRes) : res.status(400).json(result);
+      }
+    }
+  } catch (e) {
+    logger.error(`Error previewing refill request: ${e.message}`);
+    const errorResponse = {
+      success: false,
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      data: { details: e.message }
+    };
+    try {
+      authEnabled
+        ? res.status(500).send(signingUtil.signResponse(errorResponse))
+        : res.status(500).json(errorResponse);
+    } catch (e) {
+      logger.error(`Error: ${e.message}`);
+      res.sendStatus(500);
+    }
+  }
+}
+
 async function checkTransactionStatusController(req, res, next) {
   const authEnabled = config.get('authEnabled');
 
@@ -115,7 +161,265 @@ async function checkTransactionStatusController(req, res, next) {
   }
 }
 
+async function listRefillTransactionsController(req, res, next) {
+  const authEnabled = config.get('authEnabled');
+
+  try {
+    // Filters come from the verified JWT claims when auth is enabled, otherwise from the query string
+    const result = await refillTransactionService.listRefillTransactions(req.verifiedData || {});
+
+    let signedRes;
+    if (authEnabled) {
+      signedRes = signingUtil.signResponse(result);
+    }
+
+    if (result.success) {
+      authEnabled ? res.status(200).send(signedRes) : res.status(200).json(result);
+    } else if (result.code === 'INVALID_QUERY') {
+      authEnabled ? res.status(400).send(signedRes) : res.status(400).json(result);
+    } else {
+      authEnabled ? res.status(500).send(signedRes) : res.status(500).json(result);
+    }
+  } catch (e) {
+    logger.error(`Error listing refill transactions: ${e.message}`);
+    const errorResponse = {
+      success: false,
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      data: { details: e.message }
+    };
+    try {
+      authEnabled
+        ? res.status(500).send(signingUtil.signResponse(errorResponse))
+        : res.status(500).json(errorResponse);
+    } catch (e) {
+      logger.error(`Error: ${e.message}`);
+      res.sendStatus(500);
+    }
+  }
+}
+
+async function getRefillCallbacksController(req, res, next) {
+  const authEnabled = config.get('authEnabled');
+
+  try {
+    const { refill_request_id } = req.verifiedData;
+
+    if (!refill_request_id) {
+      logger.error('refill_request_id is missing in JWT');
+      const errorResponse = {
+        success: false,
+        error: 'refill_request_id is required in JWT',
+        code: 'MISSING_PARAMETER',
+        data: null
+      };
+      return authEnabled
+        ? res.status(400).send(signingUtil.signResponse(errorResponse))
+        : res.status(400).json(errorResponse);
+    }
+
+    if (authEnabled && refill_request_id !== req.params.refill_request_id) {
+      logger.error(`Refill request ID mismatch in JWT and URL parameter: ${refill_request_id} !== ${req.params.refill_request_id}`);
+      const errorResponse = {
+        success: false,
+        error: 'Refill request ID mismatch in JWT and URL parameter',
+        code: 'REFILL_REQUEST_ID_MISMATCH',
+        data: {
+          requestIdInJwt: refill_request_id,
+          requestIdInUrl: req.params.refill_request_id
+        }
+      };
+      return res.status(400).send(signingUtil.signResponse(errorResponse));
+    }
+
+    logger.info(`Getting callback delivery log for refill request: ${refill_request_id}`);
+
+    const result = await callbackService.getRefillCallbacks(refill_request_id);
+
+    let signedRes;
+    if (authEnabled) {
+      signedRes = signingUtil.signResponse(result);
+    }
+
+    if (result.success) {
+      authEnabled ? res.status(200).send(signedRes) : res.status(200).json(result);
+    } else if (result.code === 'TRANSACTION_NOT_FOUND') {
+      authEnabled ? res.status(404).send(signedRes) : res.status(404).json(result);
+    } else {
+      authEnabled ? res.status(500).send(signedRes) : res.status(500).json(result);
+    }
+  } catch (e) {
+    logger.error(`Error getting refill callbacks: ${e.message}`);
+    const errorResponse = {
+      success: false,
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      data: { details: e.message }
+    };
+    try {
+      authEnabled
+        ? res.status(500).send(signingUtil.signResponse(errorResponse))
+        : res.status(500).json(errorResponse);
+    } catch (e) {
+      logger.error(`Error: ${e.message}`);
+      res.sendStatus(500);
+    }
+  }
+}
+
+async function cancelRefillTransactionController(req, res, next) {
+  const authEnabled = config.get('authEnabled');
+
+  try {
+    const { force, reason } = req.verifiedData;
+    // Without auth the request body only carries the cancel options, so the ID comes from the URL
+    const refill_request_id = authEnabled ? req.verifiedData.refill_request_id : req.params.refill_request_id;
+
+    if (!refill_request_id) {
+      logger.error('refill_request_id is missing in JWT');
+      const errorResponse = {
+        success: false,
+        error: 'refill_request_id is required in JWT',
+        code: 'MISSING_PARAMETER',
+        data: null
+      };
+      return authEnabled
+        ? res.status(400).send(signingUtil.signResponse(errorResponse))
+        : res.status(400).json(errorResponse);
+    }
+
+    if (authEnabled && refill_request_id !== req.params.refill_request_id) {
+      logger.error(`Refill request ID mismatch in JWT and URL parameter: ${refill_request_id} !== ${req.params.refill_request_id}`);
+      const errorResponse = {
+        success: false,
+        error: 'Refill request ID mismatch in JWT and URL parameter',
+        code: 'REFILL_REQUEST_ID_MISMATCH',
+        data: {
+          requestIdInJwt: refill_request_id,
+          requestIdInUrl: req.params.refill_request_id
+        }
+      };
+      return res.status(400).send(signingUtil.signResponse(errorResponse));
+    }
+
+    logger.info(`Cancelling refill request: ${refill_request_id}`);
+
+    const result = await refillTransactionService.cancelRefillTransaction(refill_request_id, { force, reason });
+
+    let signedRes;
+    if (authEnabled) {
+      signedRes = signingUtil.signResponse(result);
+    }
+
+    if (result.success) {
+      // 202 while the provider has yet to confirm the cancellation
+      const statusCode = result.data.cancelRequested ? 202 : 200;
+      authEnabled ? res.status(statusCode).send(signedRes) : res.status(statusCode).json(result);
+    } else if (result.code === 'TRANSACTION_NOT_FOUND') {
+      authEnabled ? res.status(404).send(signedRes) : res.status(404).json(result);
+    } else if (['TRANSACTION_NOT_CANCELLABLE', 'CANCEL_REJECTED', 'CANCEL_NOT_SUPPORTED'].includes(result.code)) {
+      authEnabled ? res.status(409).send(signedRes) : res.status(409).json(result);
+    } else {
+      authEnabled ? res.status(500).send(signedRes) : res.status(500).json(result);
+    }
+  } catch (e) {
+    logger.error(`Error cancelling refill request: ${e.message}`);
+    const errorResponse = {
+      success: false,
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      data: { details: e.message }
+    };
+    try {
+      authEnabled
+        ? res.status(500).send(signingUtil.signResponse(errorResponse))
+        : res.status(500).json(errorResponse);
+    } catch (e) {
+      logger.error(`Error: ${e.message}`);
+      res.sendStatus(500);
+    }
+  }
+}
+
+async function retryRefillRequestController(req, res, next) {
+  const authEnabled = config.get('authEnabled');
+
+  try {
+    // Without auth the request has no body, so the ID comes from the URL
+    const refill_request_id = authEnabled ? req.verifiedData.refill_request_id : req.params.refill_request_id;
+
+    if (!refill_request_id) {
+      logger.error('refill_request_id is missing in JWT');
+      const errorResponse = {
+        success: false,
+        error: 'refill_request_id is required in JWT',
+        code: 'MISSING_PARAMETER',
+        data: null
+      };
+      return authEnabled
+        ? res.status(400).send(signingUtil.signResponse(errorResponse))
+        : res.status(400).json(errorResponse);
+    }
+
+    if (authEnabled && refill_request_id !== req.params.refill_request_id) {
+      logger.error(`Refill request ID mismatch in JWT and URL parameter: ${refill_request_id} !== ${req.params.refill_request_id}`);
+      const errorResponse = {
+        success: false,
+        error: 'Refill request ID mismatch in JWT and URL parameter',
+        code: 'REFILL_REQUEST_ID_MISMATCH',
+        data: {
+          requestIdInJwt: refill_request_id,
+          requestIdInUrl: req.params.refill_request_id
+        }
+      };
+      return res.status(400).send(signingUtil.signResponse(errorResponse));
+    }
+
+    logger.info(`Retrying refill request: ${refill_request_id}`);
+
+    const result = await refillService.retryRefillRequestService(refill_request_id);
+
+    let signedRes;
+    if (authEnabled) {
+      signedRes = signingUtil.signResponse(result);
+    }
+
+    if (result.success) {
+      authEnabled ? res.status(200).send(signedRes) : res.status(200).json(result);
+    } else if (result.code === 'TRANSACTION_NOT_FOUND') {
+      authEnabled ? res.status(404).send(signedRes) : res.status(404).json(result);
+    } else if (['TRANSACTION_NOT_RETRYABLE', 'REFILL_IN_PROGRESS'].includes(result.code)) {
+      authEnabled ? res.status(409).send(signedRes) : res.status(409).json(result);
+    } else if (result.code === 'PROVIDER_UNAVAILABLE') {
+      authEnabled ? res.status(503).send(signedRes) : res.status(503).json(result);
+    } else {
+      authEnabled ? res.status(400).send(signedRes) : res.status(400).json(result);
+    }
+  } catch (e) {
+    logger.error(`Error retrying refill request: ${e.message}`);
+    const errorResponse = {
+      success: false,
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      data: { details: e.message }
+    };
+    try {
+      authEnabled
+        ? res.status(500).send(signingUtil.signResponse(errorResponse))
+        : res.status(500).json(errorResponse);
+    } catch (e) {
+      logger.error(`Error: ${e.message}`);
+      res.sendStatus(500);
+    }
+  }
+}
+
 module.exports = {
   processRefillRequestController,
-  checkTransactionStatusController
+  previewRefillRequestController,
+  checkTransactionStatusController,
+  listRefillTransactionsController,
+  getRefillCallbacksController,
+  cancelRefillTransactionController,
+  retryRefillRequestController
 };
@@ -0,0 +1,38 @@
+const webhookService = require("../service/webhookService");
+const logger = require("../middleware/logger")("webhookController");
+
+// Responses go back to the provider, so they are not signed with the callback key
+const ERROR_STATUS_BY_CODE = {
+  WEBHOOK_DISABLED: 404,
+  INVALID_SIGNATURE: 401,
+  INVALID_PAYLOAD: 400,
+  WEBHOOK_CONFIG_ERROR: 500,
+  WEBHOOK_PROCESSING_ERROR: 500
+};
+
+async function fireblocksWebhookController(req, res, next) {
+  try {
+    const signature = req.headers['fireblocks-signature'];
+    const rawBody = typeof req.rawBody === 'string' ? req.rawBody : null;
+
+    const result = await webhookService.handleFireblocksWebhook(rawBody, signature);
+
+    if (result.success) {
+      res.status(200).json(result);
+    } else {
+      res.status(ERROR_STATUS_BY_CODE[result.code] || 400).json(result);
+    }
+  } catch (e) {
+    logger.error(`Error processing Fireblocks webhook: ${e.message}`);
+    res.status(500).json({
+      success: false,
+      error: 'Internal server error',
+      code: 'INTERNAL_ERROR',
+      data: { details: e.message }
+    });
+  }
+}
+
+module.exports = {
+  fireblocksWebhookController
+};
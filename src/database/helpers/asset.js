@@ -23,7 +23,48 @@ function getAssetBySymbolAndBlockchain(symbol, blockchainId) {
   });
 }
 
+function getBalanceMonitoredAssets() {
+  return db.Asset.findAll({
+    where: {
+      monitorBalance: true,
+      isActive: true
+    },
+    include: [
+      { model: db.Blockchain, as: 'Blockchain' },
+      { model: db.Wallet, as: 'Wallet' }
+    ],
+    order: [['id', 'ASC']]
+  });
+}
+
+function listAssets() {
+  return db.Asset.findAll({
+    order: [['id', 'ASC']]
+  });
+}
+
+function createAsset(assetData) {
+  return db.Asset.create(assetData);
+}
+
+function updateAsset(id, updateData) {
+  return db.Asset.update(updateData, {
+    where: { id: id }
+  });
+}
+
+function deleteAsset(id) {
+  return db.Asset.destroy({
+    where: { id: id }
+  });
+}
+
 module.exports = {
   getAssetById,
-  getAssetBySymbolAndBlockchain
+  getAssetBySymbolAndBlockchain,
+  getBalanceMonitoredAssets,
+  listAssets,
+  createAsset,
+  updateAsset,
+  deleteAsset
 };
@@ -9,6 +9,37 @@ function getBlockchainByName(name) {
   });
 }
 
+function getBlockchainById(id) {
+  return db.Blockchain.findByPk(id);
+}
+
+function listBlockchains() {
+  return db.Blockchain.findAll({
+    order: [['id', 'ASC']]
+  });
+}
+
+function createBlockchain(blockchainData) {
+  return db.Blockchain.create(blockchainData);
+}
+
+function updateBlockchain(id, updateData) {
+  return db.Blockchain.update(updateData, {
+    where: { id: id }
+  });
+}
+
+function deleteBlockchain(id) {
+  return db.Blockchain.destroy({
+    where: { id: id }
+  });
+}
+
 module.exports = {
-  getBlockchainByName
+  getBlockchainByName,
+  getBlockchainById,
+  listBlockchains,
+  createBlockchain,
+  updateBlockchain,
+  deleteBlockchain
 };
@@ -0,0 +1,27 @@
+const db = require('../models');
+
+/**
+ * Archive a previous attempt of a refill
+ * @param {Object} attemptData - Attempt data
+ * @returns {Promise<Object>} Created attempt
+ */
+function createRefillAttempt(attemptData) {
+  return db.RefillAttempt.create(attemptData);
+}
+
+/**
+ * Get the archived attempts of a refill request
+ * @param {string} refillRequestId - External request ID
+ * @returns {Promise<Array>} Array of attempts, oldest first
+ */
+function getRefillAttemptsByRequestId(refillRequestId) {
+  return db.RefillAttempt.findAll({
+    where: { refillRequestId: refillRequestId },
+    order: [['attempt', 'ASC']]
+  });
+}
+
+module.exports = {
+  createRefillAttempt,
+  getRefillAttemptsByRequestId
+};
@@ -0,0 +1,102 @@
+const db = require('../models');
+
+/**
+ * Queue a refill status callback
+ * @param {Object} callbackData - Callback data
+ * @param {Object} [dbTransaction] - Database transaction to queue the callback in
+ * @returns {Promise<Object>} Created callback
+ */
+function createRefillCallback(callbackData, dbTransaction) {
+  return db.RefillCallback.create(callbackData, { transaction: dbTransaction });
+}
+
+/**
+ * Update a refill callback
+ * @param {number} id - Callback ID
+ * @param {Object} updateData - Update data
+ * @returns {Promise<Array>} Updated rows count
+ */
+function updateRefillCallback(id, updateData) {
+  return db.RefillCallback.update(updateData, {
+    where: { id: id }
+  });
+}
+
+/**
+ * Claim the callbacks that are due for a delivery attempt. Due rows are locked with
+ * FOR UPDATE SKIP LOCKED and pushed to claimedUntil before the lock is released, so concurrent
+ * dispatchers never pick up the same callback. A callback is held back while an earlier callback
+ * of the same refill is still PENDING, so a refill's status transitions are delivered in order
+ * @param {Date} now - Current time
+ * @param {number} limit - Maximum number of callbacks to claim
+ * @param {Date} claimedUntil - Time the claimed callbacks become due again if their delivery is never recorded
+ * @returns {Promise<Array>} Array of claimed callbacks, oldest due first
+ */
+function claimDueRefillCallbacks(now, limit, claimedUntil) {
+  const { Op } = db.Sequelize;
+
+  return db.sequelize.transaction(async (transaction) => {
+    const callbacks = await db.RefillCallback.findAll({
+      where: {
+        deliveryStatus: 'PENDING',
+        nextAttemptAt: { [Op.lte]: now },
+        [Op.and]: db.sequelize.literal(
+          'NOT EXISTS (SELECT 1 FROM refill_callbacks AS earlier' +
+          ' WHERE earlier.refill_request_id = "RefillCallback".refill_request_id' +
+          ' AND earlier.delivery_status = \'PENDING\'' +
+          ' AND earlier.id < "RefillCallback".id)'
+        )
+      },
+      order: [['nextAttemptAt', 'ASC'], ['id', 'ASC']],
+      limit: limit,
+      lock: transaction.LOCK.UPDATE,
+      skipLocked: true,
+      transaction: transaction
+    });
+
+    if (callbacks.length > 0) {
+      await db.RefillCallback.update({ nextAttemptAt: claimedUntil }, {
+        where: { id: { [Op.in]: callbacks.map(callback => callback.id) } },
+        transaction: transaction
+      });
+    }
+
+    return callbacks;
+  });
+}
+
+/**
+ * Record a callback delivery attempt
+ * @param {Object} deliveryData - Delivery attempt data
+ * @returns {Promise<Object>} Created delivery log entry
+ */
+function createRefillCallbackDelivery(deliveryData) {
+  return db.RefillCallbackDelivery.create(deliveryData);
+}
+
+/**
+ * Get callbacks with their delivery log for a refill request
+ * @param {string} refillRequestId - External request ID
+ * @returns {Promise<Array>} Array of callbacks with Deliveries
+ */
+function getRefillCallbacksByRequestId(refillRequestId) {
+  return db.RefillCallback.findAll({
+    where: { refillRequestId: refillRequestId },
+    include: [{
+      model: db.RefillCallbackDelivery,
+      as: 'Deliveries'
+    }],
+    order: [
+      ['id', 'ASC'],
+      [{ model: db.RefillCallbackDelivery, as: 'Deliveries' }, 'attempt', 'ASC']
+    ]
+  });
+}
+
+module.exports = {
+  createRefillCallback,
+  updateRefillCallback,
+  claimDueRefillCallbacks,
+  createRefillCallbackDelivery,
+  getRefillCallbacksByRequestId
+};
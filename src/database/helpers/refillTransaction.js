@@ -14,11 +14,33 @@ function createRefillTransaction(transactionData) {
  * Update refill transaction with new data
  * @param {string} refillRequestId - External request ID
  * @param {Object} updateData - Update data
+ * @param {Object} [dbTransaction] - Database transaction to run the update in
+ * @param {Object} [expectedState] - Column values the refill must still have for the update to apply,
+ *   so a refill changed concurrently since it was read is left alone
  * @returns {Promise<Array>} Updated rows count
  */
-function updateRefillTransaction(refillRequestId, updateData) {
+function updateRefillTransaction(refillRequestId, updateData, dbTransaction, expectedState) {
   return db.RefillTransaction.update(updateData, {
-    where: { refillRequestId: refillRequestId }
+    where: { ...expectedState, refillRequestId: refillRequestId },
+    transaction: dbTransaction
+  });
+}
+
+/**
+ * Reset a FAILED refill for a new attempt. The update only applies if the refill is still FAILED
+ * on the given attempt, so concurrent retries of the same refill cannot both claim it
+ * @param {string} refillRequestId - External request ID
+ * @param {number} attemptCount - Attempt count the refill is expected to be on
+ * @param {Object} updateData - Update data
+ * @returns {Promise<Array>} Updated rows count
+ */
+function claimFailedRefillTransaction(refillRequestId, attemptCount, updateData) {
+  return db.RefillTransaction.update(updateData, {
+    where: {
+      refillRequestId: refillRequestId,
+      status: 'FAILED',
+      attemptCount: attemptCount
+    }
   });
 }
 
@@ -41,6 +63,34 @@ function getRefillTransactionByRequestId(refillRequestId) {
   });
 }
 
+/**
+ * Get refill transaction by provider reference (provider transaction ID or external transaction ID)
+ * @param {string} provider - Provider name
+ * @param {string} providerTxId - Provider internal transaction ID
+ * @param {string} [externalTxId] - External transaction ID sent to the provider
+ * @returns {Promise<Object|null>} Transaction or null
+ */
+function getRefillTransactionByProviderReference(provider, providerTxId, externalTxId) {
+  const references = [];
+  if (providerTxId) {
+    references.push({ providerTxId: providerTxId });
+  }
+  if (externalTxId) {
+    references.push({ externalTxId: externalTxId });
+  }
+
+  return db.RefillTransaction.findOne({
+    where: {
+      provider: provider,
+      [db.Sequelize.Op.or]: references
+    },
+    include: [{
+      model: db.Asset,
+      as: 'Asset'
+    }]
+  });
+}
+
 /**
  * Get pending/processing refill transaction by asset ID
  * @param {number} assetId - Asset ID
@@ -80,6 +130,30 @@ function getTransactionsByStatus(status) {
   });
 }
 
+/**
+ * Get PENDING refill transactions that never stored a provider transaction ID, e.g. because the
+ * process stopped between creating the provider transfer and recording it
+ * @param {Date} updatedBefore - Only transactions last written before this time
+ * @returns {Promise<Array>} Array of transactions
+ */
+function getOrphanedRefillTransactions(updatedBefore) {
+  return db.RefillTransaction.findAll({
+    where: {
+      status: 'PENDING',
+      providerTxId: null,
+      updatedAt: {
+        [db.Sequelize.Op.lt]: updatedBefore
+      }
+    },
+    order: [['updatedAt', 'ASC']],
+    include: [{
+      model: db.Asset,
+      as: 'Asset',
+      include: [{ model: db.Blockchain, as: 'Blockchain' }]
+    }]
+  });
+}
+
 /**
  * Get the last successful (COMPLETED) refill transaction for an asset
  * @param {number} assetId - Asset ID
@@ -95,11 +169,127 @@ function getLastSuccessfulRefillByAssetId(assetId) {
   });
 }
 
+/**
+ * Get the most recently created refill transaction for an asset, in any status
+ * @param {number} assetId - Asset ID
+ * @returns {Promise<Object|null>} Latest transaction or null
+ */
+function getLatestRefillByAssetId(assetId) {
+  return db.RefillTransaction.findOne({
+    where: {
+      assetId: assetId
+    },
+    order: [['createdAt', 'DESC']]
+  });
+}
+
+/**
+ * Get the number and total amount of refills of an asset created since a point in time.
+ * FAILED and CANCELLED refills are not counted, since they did not move funds.
+ * @param {number} assetId - Asset ID
+ * @param {Date} since - Start of the window
+ * @returns {Promise<Object>} { refillCount, totalAmountAtomic } (raw values, may be strings)
+ */
+function getRefillVolumeByAssetId(assetId, since) {
+  const { Op, fn, col } = db.Sequelize;
+
+  return db.RefillTransaction.findOne({
+    attributes: [
+      [fn('COUNT', col('refill_request_id')), 'refillCount'],
+      [fn('COALESCE', fn('SUM', col('amount_atomic')), 0), 'totalAmountAtomic']
+    ],
+    where: {
+      assetId: assetId,
+      status: { [Op.in]: ['PENDING', 'PROCESSING', 'COMPLETED'] },
+      createdAt: { [Op.gte]: since }
+    },
+    raw: true
+  });
+}
+
+/**
+ * Escape LIKE wildcards so a filter value only matches case-insensitively, never as a pattern
+ * @param {string} value - Filter value
+ * @returns {string} Value with %, _ and \ escaped
+ */
+function escapeLikePattern(value) {
+  return String(value).replace(/[\\%_]/g, '\\$&');
+}
+
+/**
+ * List refill transactions with filters and keyset (cursor) pagination
+ * @param {Object} options - Query options
+ * @param {Object} options.filters - Filters (status, provider, chainName, tokenSymbol, assetId, createdFrom, createdTo, updatedFrom, updatedTo)
+ * @param {string} options.sortBy - Attribute to sort by (createdAt or updatedAt)
+ * @param {string} options.sortOrder - Sort direction (ASC or DESC)
+ * @param {Object} [options.cursor] - Position to continue after ({ value, refillRequestId })
+ * @param {number} options.limit - Maximum number of rows to return
+ * @returns {Promise<Array>} Array of transactions
+ */
+function listRefillTransactions({ filters = {}, sortBy, sortOrder, cursor, limit }) {
+  const Op = db.Sequelize.Op;
+  const conditions = [];
+
+  if (filters.status) {
+    conditions.push({ status: { [Op.in]: filters.status } });
+  }
+  if (filters.provider) {
+    conditions.push({ provider: filters.provider });
+  }
+  if (filters.chainName) {
+    conditions.push({ chainName: { [Op.iLike]: escapeLikePattern(filters.chainName) } });
+  }
+  if (filters.tokenSymbol) {
+    conditions.push({ tokenSymbol: { [Op.iLike]: escapeLikePattern(filters.tokenSymbol) } });
+  }
+  if (filters.assetId) {
+    conditions.push({ assetId: filters.assetId });
+  }
+  if (filters.createdFrom) {
+    conditions.push({ createdAt: { [Op.gte]: filters.createdFrom } });
+  }
+  if (filters.createdTo) {
+    conditions.push({ createdAt: { [Op.lte]: filters.createdTo } });
+  }
+  if (filters.updatedFrom) {
+    conditions.push({ updatedAt: { [Op.gte]: filters.updatedFrom } });
+  }
+  if (filters.updatedTo) {
+    conditions.push({ updatedAt: { [Op.lte]: filters.updatedTo } });
+  }
+
+  // Continue strictly after the cursor row; refill_request_id breaks ties between equal sort values
+  if (cursor) {
+    const comparison = sortOrder === 'ASC' ? Op.gt : Op.lt;
+    conditions.push({
+      [Op.or]: [
+        { [sortBy]: { [comparison]: cursor.value } },
+        {
+          [sortBy]: cursor.value,
+          refillRequestId: { [comparison]: cursor.refillRequestId }
+        }
+      ]
+    });
+  }
+
+  return db.RefillTransaction.findAll({
+    where: { [Op.and]: conditions },
+    order: [[sortBy, sortOrder], ['refillRequestId', sortOrder]],
+    limit: limit
+  });
+}
+
 module.exports = {
   createRefillTransaction,
   updateRefillTransaction,
+  claimFailedRefillTransaction,
   getRefillTransactionByRequestId,
+  getRefillTransactionByProviderReference,
   getPendingTransactionByAssetId,
   getTransactionsByStatus,
-  getLastSuccessfulRefillByAssetId
+  getOrphanedRefillTransactions,
+  getLastSuccessfulRefillByAssetId,
+  getLatestRefillByAssetId,
+  getRefillVolumeByAssetId,
+  listRefillTransactions
 };
@@ -0,0 +1,27 @@
+const db = require('../models');
+
+/**
+ * Record a refill transaction event
+ * @param {Object} eventData - Event data
+ * @returns {Promise<Object>} Created event
+ */
+function createRefillTransactionEvent(eventData) {
+  return db.RefillTransactionEvent.create(eventData);
+}
+
+/**
+ * Get the events of a refill request
+ * @param {string} refillRequestId - External request ID
+ * @returns {Promise<Array>} Array of events, oldest first
+ */
+function getRefillTransactionEventsByRequestId(refillRequestId) {
+  return db.RefillTransactionEvent.findAll({
+    where: { refillRequestId: refillRequestId },
+    order: [['createdAt', 'ASC'], ['id', 'ASC']]
+  });
+}
+
+module.exports = {
+  createRefillTransactionEvent,
+  getRefillTransactionEventsByRequestId
+};
@@ -10,6 +10,42 @@ function getWalletByAddress(address) {
   });
 }
 
+function getWalletById(id) {
+  return db.Wallet.findByPk(id, {
+    include: [{
+      model: db.Blockchain,
+      as: 'Blockchain'
+    }]
+  });
+}
+
+function listWallets() {
+  return db.Wallet.findAll({
+    order: [['id', 'ASC']]
+  });
+}
+
+function createWallet(walletData) {
+  return db.Wallet.create(walletData);
+}
+
+function updateWallet(id, updateData) {
+  return db.Wallet.update(updateData, {
+    where: { id: id }
+  });
+}
+
+function deleteWallet(id) {
+  return db.Wallet.destroy({
+    where: { id: id }
+  });
+}
+
 module.exports = {
-  getWalletByAddress
+  getWalletByAddress,
+  getWalletById,
+  listWallets,
+  createWallet,
+  updateWallet,
+  deleteWallet
 };
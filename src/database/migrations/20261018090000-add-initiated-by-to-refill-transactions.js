@@ -0,0 +1,21 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('refill_transactions', 'initiated_by', {
+      type: Sequelize.STRING(50),
+      allowNull: false,
+      defaultValue: 'EXTERNAL',
+      comment: 'Refill origin: EXTERNAL (requested through the API) or BALANCE_WATCHER (self-initiated)'
+    });
+
+    await queryInterface.addIndex('refill_transactions', ['initiated_by'], {
+      name: 'idx_refill_transactions_initiated_by'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('refill_transactions', 'idx_refill_transactions_initiated_by');
+    await queryInterface.removeColumn('refill_transactions', 'initiated_by');
+  }
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('refill_transactions', 'client_id', {
+      type: Sequelize.STRING(100),
+      allowNull: true,
+      comment: 'Requesting client, used to resolve the status callback URL (default client if null)'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('refill_transactions', 'client_id');
+  }
+};
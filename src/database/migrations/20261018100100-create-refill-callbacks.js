@@ -0,0 +1,99 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('refill_callbacks', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      refill_request_id: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        references: {
+          model: 'refill_transactions',
+          key: 'refill_request_id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Refill transaction the callback reports on'
+      },
+      client_id: {
+        type: Sequelize.STRING(100),
+        allowNull: false,
+        comment: 'Client the callback is delivered to'
+      },
+      url: {
+        type: Sequelize.STRING(2048),
+        allowNull: false,
+        comment: 'Callback URL resolved when the callback was queued'
+      },
+      status: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'Refill status reported by this callback'
+      },
+      previous_status: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: 'Refill status before the transition'
+      },
+      payload: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Callback payload (signed as a JWT on every delivery attempt)'
+      },
+      delivery_status: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        defaultValue: 'PENDING',
+        comment: 'Delivery status: PENDING, DELIVERED, FAILED'
+      },
+      attempts: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        defaultValue: 0,
+        comment: 'Number of delivery attempts made'
+      },
+      next_attempt_at: {
+        type: Sequelize.DATE,
+        allowNull: true,
+        comment: 'When the next delivery attempt is due (null once delivered or abandoned)'
+      },
+      last_error: {
+        type: Sequelize.TEXT,
+        allowNull: true,
+        comment: 'Error of the last failed delivery attempt'
+      },
+      delivered_at: {
+        type: Sequelize.DATE,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('refill_callbacks', ['refill_request_id'], {
+      name: 'idx_refill_callbacks_refill_request_id'
+    });
+
+    // Composite index for the dispatcher query
+    await queryInterface.addIndex('refill_callbacks', ['delivery_status', 'next_attempt_at'], {
+      name: 'idx_refill_callbacks_delivery_status_next_attempt_at'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('refill_callbacks');
+  }
+};
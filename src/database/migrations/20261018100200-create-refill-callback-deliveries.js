@@ -0,0 +1,69 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('refill_callback_deliveries', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      callback_id: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        references: {
+          model: 'refill_callbacks',
+          key: 'id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Callback this delivery attempt belongs to'
+      },
+      attempt: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Attempt number (1-based)'
+      },
+      url: {
+        type: Sequelize.STRING(2048),
+        allowNull: false
+      },
+      success: {
+        type: Sequelize.BOOLEAN,
+        allowNull: false
+      },
+      http_status: {
+        type: Sequelize.INTEGER,
+        allowNull: true,
+        comment: 'HTTP status returned by the client (null if no response)'
+      },
+      error: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      duration_ms: {
+        type: Sequelize.INTEGER,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('refill_callback_deliveries', ['callback_id'], {
+      name: 'idx_refill_callback_deliveries_callback_id'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('refill_callback_deliveries');
+  }
+};
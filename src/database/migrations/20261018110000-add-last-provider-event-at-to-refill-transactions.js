@@ -0,0 +1,21 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('refill_transactions', 'last_provider_event_at', {
+      type: Sequelize.DATE,
+      allowNull: true,
+      comment: 'When the last provider webhook event was received for this refill'
+    });
+
+    // Webhook events are matched to refills by provider transaction ID or external transaction ID
+    await queryInterface.addIndex('refill_transactions', ['external_tx_id'], {
+      name: 'idx_refill_transactions_external_tx_id'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('refill_transactions', 'idx_refill_transactions_external_tx_id');
+    await queryInterface.removeColumn('refill_transactions', 'last_provider_event_at');
+  }
+};
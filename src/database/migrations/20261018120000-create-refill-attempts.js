@@ -0,0 +1,97 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('refill_transactions', 'attempt_count', {
+      type: Sequelize.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: 'Number of provider transfers submitted for this refill (increased on every retry)'
+    });
+
+    await queryInterface.addColumn('refill_transactions', 'request_params', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Original refill request parameters, re-validated when the refill is retried'
+    });
+
+    await queryInterface.createTable('refill_attempts', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      refill_request_id: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        references: {
+          model: 'refill_transactions',
+          key: 'refill_request_id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Refill this attempt belongs to'
+      },
+      attempt: {
+        type: Sequelize.INTEGER,
+        allowNull: false,
+        comment: 'Attempt number (1-based)'
+      },
+      provider: {
+        type: Sequelize.STRING(50),
+        allowNull: false
+      },
+      provider_tx_id: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      external_tx_id: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      status: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'Final internal status of the attempt'
+      },
+      provider_status: {
+        type: Sequelize.STRING(100),
+        allowNull: true
+      },
+      amount_atomic: {
+        type: Sequelize.DECIMAL(40, 0),
+        allowNull: true
+      },
+      tx_hash: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('refill_attempts', ['refill_request_id', 'attempt'], {
+      name: 'idx_refill_attempts_refill_request_id_attempt',
+      unique: true
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('refill_attempts');
+    await queryInterface.removeColumn('refill_transactions', 'request_params');
+    await queryInterface.removeColumn('refill_transactions', 'attempt_count');
+  }
+};
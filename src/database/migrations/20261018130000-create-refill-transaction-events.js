@@ -0,0 +1,76 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.createTable('refill_transaction_events', {
+      id: {
+        allowNull: false,
+        autoIncrement: true,
+        primaryKey: true,
+        type: Sequelize.INTEGER
+      },
+      refill_request_id: {
+        type: Sequelize.STRING(255),
+        allowNull: false,
+        references: {
+          model: 'refill_transactions',
+          key: 'refill_request_id'
+        },
+        onUpdate: 'CASCADE',
+        onDelete: 'CASCADE',
+        comment: 'Refill this event belongs to'
+      },
+      event_type: {
+        type: Sequelize.STRING(50),
+        allowNull: false,
+        comment: 'CREATED, UPDATED or RETRIED'
+      },
+      status: {
+        type: Sequelize.STRING(50),
+        allowNull: true,
+        comment: 'Internal status set by this event (null if unchanged)'
+      },
+      provider_status: {
+        type: Sequelize.STRING(100),
+        allowNull: true,
+        comment: 'Raw provider status set by this event (null if unchanged)'
+      },
+      tx_hash: {
+        type: Sequelize.STRING(255),
+        allowNull: true
+      },
+      message: {
+        type: Sequelize.TEXT,
+        allowNull: true
+      },
+      changed_fields: {
+        type: Sequelize.JSON,
+        allowNull: false,
+        comment: 'Names of the refill fields written by this event'
+      },
+      provider_data: {
+        type: Sequelize.JSON,
+        allowNull: true,
+        comment: 'Full provider response at the time of the event'
+      },
+      created_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      },
+      updated_at: {
+        allowNull: false,
+        type: Sequelize.DATE,
+        defaultValue: Sequelize.literal('CURRENT_TIMESTAMP')
+      }
+    });
+
+    await queryInterface.addIndex('refill_transaction_events', ['refill_request_id'], {
+      name: 'idx_refill_transaction_events_refill_request_id'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.dropTable('refill_transaction_events');
+  }
+};
@@ -0,0 +1,29 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('assets', 'max_refills_per_day', {
+      type: Sequelize.INTEGER,
+      allowNull: true,
+      comment: 'Maximum number of refills in any rolling 24 hour window (null for no limit)'
+    });
+
+    await queryInterface.addColumn('assets', 'max_daily_refill_amount_atomic', {
+      type: Sequelize.BIGINT,
+      allowNull: true,
+      comment: 'Maximum total refill amount in any rolling 24 hour window (null for no limit)'
+    });
+
+    await queryInterface.addColumn('assets', 'max_single_refill_amount_atomic', {
+      type: Sequelize.BIGINT,
+      allowNull: true,
+      comment: 'Maximum amount of a single refill (null for no limit)'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('assets', 'max_single_refill_amount_atomic');
+    await queryInterface.removeColumn('assets', 'max_daily_refill_amount_atomic');
+    await queryInterface.removeColumn('assets', 'max_refills_per_day');
+  }
+};
@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('refill_transactions', 'fee_params', {
+      type: Sequelize.JSON,
+      allowNull: true,
+      comment: 'Fee parameters the provider transfer was submitted with (fee level, fee caps, urgency)'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('refill_transactions', 'fee_params');
+  }
+};
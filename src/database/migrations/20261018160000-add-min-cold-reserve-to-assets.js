@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('assets', 'min_cold_reserve_atomic', {
+      type: Sequelize.BIGINT,
+      allowNull: true,
+      comment: 'Minimum cold wallet balance that refills may not draw below (null for no reserve)'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('assets', 'min_cold_reserve_atomic');
+  }
+};
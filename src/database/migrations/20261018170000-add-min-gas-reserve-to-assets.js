@@ -0,0 +1,15 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('assets', 'min_gas_reserve_atomic', {
+      type: Sequelize.BIGINT,
+      allowNull: true,
+      comment: 'Minimum native asset balance of the hot wallet for refills of this token (null for no check)'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeColumn('assets', 'min_gas_reserve_atomic');
+  }
+};
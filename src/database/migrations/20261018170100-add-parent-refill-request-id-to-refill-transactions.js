@@ -0,0 +1,26 @@
+'use strict';
+
+module.exports = {
+  async up(queryInterface, Sequelize) {
+    await queryInterface.addColumn('refill_transactions', 'parent_refill_request_id', {
+      type: Sequelize.STRING(255),
+      allowNull: true,
+      references: {
+        model: 'refill_transactions',
+        key: 'refill_request_id'
+      },
+      onUpdate: 'CASCADE',
+      onDelete: 'SET NULL',
+      comment: 'Token refill that started this gas top-up refill (null for other refills)'
+    });
+
+    await queryInterface.addIndex('refill_transactions', ['parent_refill_request_id'], {
+      name: 'idx_refill_transactions_parent_refill_request_id'
+    });
+  },
+
+  async down(queryInterface, Sequelize) {
+    await queryInterface.removeIndex('refill_transactions', 'idx_refill_transactions_parent_refill_request_id');
+    await queryInterface.removeColumn('refill_transactions', 'parent_refill_request_id');
+  }
+};
@@ -88,6 +88,36 @@ module.exports = (sequelize, DataTypes) => {
       defaultValue: 0,
       comment: 'Cooldown period in seconds between successful refills'
     },
+    maxRefillsPerDay: {
+      field: 'max_refills_per_day',
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'Maximum number of refills in any rolling 24 hour window (null for no limit)'
+    },
+    maxDailyRefillAmountAtomic: {
+      field: 'max_daily_refill_amount_atomic',
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      comment: 'Maximum total refill amount in any rolling 24 hour window (null for no limit)'
+    },
+    maxSingleRefillAmountAtomic: {
+      field: 'max_single_refill_amount_atomic',
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      comment: 'Maximum amount of a single refill (null for no limit)'
+    },
+    minColdReserveAtomic: {
+      field: 'min_cold_reserve_atomic',
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      comment: 'Minimum cold wallet balance that refills may not draw below (null for no reserve)'
+    },
+    minGasReserveAtomic: {
+      field: 'min_gas_reserve_atomic',
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      comment: 'Minimum native asset balance of the hot wallet for refills of this token (null for no check)'
+    },
     isActive: {
       field: 'is_active',
       allowNull: false,
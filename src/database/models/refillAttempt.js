@@ -0,0 +1,111 @@
+'use strict';
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  class RefillAttempt extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      RefillAttempt.belongsTo(models.RefillTransaction, { foreignKey: 'refillRequestId', as: 'RefillTransaction' });
+    }
+  }
+
+  // Previous provider transfers of a refill, archived when the refill is retried
+  RefillAttempt.init({
+    id: {
+      field: 'id',
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: DataTypes.INTEGER
+    },
+    refillRequestId: {
+      field: 'refill_request_id',
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      references: {
+        model: 'refill_transactions',
+        key: 'refill_request_id'
+      },
+      comment: 'Refill this attempt belongs to'
+    },
+    attempt: {
+      field: 'attempt',
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Attempt number (1-based)'
+    },
+    provider: {
+      field: 'provider',
+      type: DataTypes.STRING(50),
+      allowNull: false
+    },
+    providerTxId: {
+      field: 'provider_tx_id',
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    externalTxId: {
+      field: 'external_tx_id',
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    status: {
+      field: 'status',
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: 'Final internal status of the attempt'
+    },
+    providerStatus: {
+      field: 'provider_status',
+      type: DataTypes.STRING(100),
+      allowNull: true
+    },
+    amountAtomic: {
+      field: 'amount_atomic',
+      type: DataTypes.DECIMAL(40, 0),
+      allowNull: true
+    },
+    txHash: {
+      field: 'tx_hash',
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    message: {
+      field: 'message',
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    createdAt: {
+      field: 'created_at',
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      field: 'updated_at',
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    sequelize,
+    modelName: 'RefillAttempt',
+    tableName: 'refill_attempts',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        name: 'idx_refill_attempts_refill_request_id_attempt',
+        unique: true,
+        fields: ['refill_request_id', 'attempt']
+      }
+    ]
+  });
+
+  return RefillAttempt;
+};
@@ -0,0 +1,129 @@
+'use strict';
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  class RefillCallback extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      RefillCallback.belongsTo(models.RefillTransaction, { foreignKey: 'refillRequestId', as: 'RefillTransaction' });
+      RefillCallback.hasMany(models.RefillCallbackDelivery, { foreignKey: 'callbackId', as: 'Deliveries' });
+    }
+  }
+
+  // Outbox of status callbacks to be pushed to the requesting client
+  RefillCallback.init({
+    id: {
+      field: 'id',
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: DataTypes.INTEGER
+    },
+    refillRequestId: {
+      field: 'refill_request_id',
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      references: {
+        model: 'refill_transactions',
+        key: 'refill_request_id'
+      },
+      comment: 'Refill transaction the callback reports on'
+    },
+    clientId: {
+      field: 'client_id',
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Client the callback is delivered to'
+    },
+    url: {
+      field: 'url',
+      type: DataTypes.STRING(2048),
+      allowNull: false,
+      comment: 'Callback URL resolved when the callback was queued'
+    },
+    status: {
+      field: 'status',
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: 'Refill status reported by this callback'
+    },
+    previousStatus: {
+      field: 'previous_status',
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Refill status before the transition'
+    },
+    payload: {
+      field: 'payload',
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: 'Callback payload (signed as a JWT on every delivery attempt)'
+    },
+    deliveryStatus: {
+      field: 'delivery_status',
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: 'PENDING',
+      comment: 'Delivery status: PENDING, DELIVERED, FAILED'
+    },
+    attempts: {
+      field: 'attempts',
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Number of delivery attempts made'
+    },
+    nextAttemptAt: {
+      field: 'next_attempt_at',
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the next delivery attempt is due (null once delivered or abandoned)'
+    },
+    lastError: {
+      field: 'last_error',
+      type: DataTypes.TEXT,
+      allowNull: true,
+      comment: 'Error of the last failed delivery attempt'
+    },
+    deliveredAt: {
+      field: 'delivered_at',
+      type: DataTypes.DATE,
+      allowNull: true
+    },
+    createdAt: {
+      field: 'created_at',
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      field: 'updated_at',
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    sequelize,
+    modelName: 'RefillCallback',
+    tableName: 'refill_callbacks',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        name: 'idx_refill_callbacks_refill_request_id',
+        fields: ['refill_request_id']
+      },
+      {
+        name: 'idx_refill_callbacks_delivery_status_next_attempt_at',
+        fields: ['delivery_status', 'next_attempt_at']
+      }
+    ]
+  });
+
+  return RefillCallback;
+};
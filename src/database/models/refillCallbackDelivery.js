@@ -0,0 +1,95 @@
+'use strict';
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  class RefillCallbackDelivery extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      RefillCallbackDelivery.belongsTo(models.RefillCallback, { foreignKey: 'callbackId', as: 'Callback' });
+    }
+  }
+
+  // Log of every callback delivery attempt
+  RefillCallbackDelivery.init({
+    id: {
+      field: 'id',
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: DataTypes.INTEGER
+    },
+    callbackId: {
+      field: 'callback_id',
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      references: {
+        model: 'refill_callbacks',
+        key: 'id'
+      },
+      comment: 'Callback this delivery attempt belongs to'
+    },
+    attempt: {
+      field: 'attempt',
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Attempt number (1-based)'
+    },
+    url: {
+      field: 'url',
+      type: DataTypes.STRING(2048),
+      allowNull: false
+    },
+    success: {
+      field: 'success',
+      type: DataTypes.BOOLEAN,
+      allowNull: false
+    },
+    httpStatus: {
+      field: 'http_status',
+      type: DataTypes.INTEGER,
+      allowNull: true,
+      comment: 'HTTP status returned by the client (null if no response)'
+    },
+    error: {
+      field: 'error',
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    durationMs: {
+      field: 'duration_ms',
+      type: DataTypes.INTEGER,
+      allowNull: true
+    },
+    createdAt: {
+      field: 'created_at',
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      field: 'updated_at',
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    sequelize,
+    modelName: 'RefillCallbackDelivery',
+    tableName: 'refill_callback_deliveries',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        name: 'idx_refill_callback_deliveries_callback_id',
+        fields: ['callback_id']
+      }
+    ]
+  });
+
+  return RefillCallbackDelivery;
+};
@@ -11,6 +11,9 @@ module.exports = (sequelize) => {
     static associate(models) {
       // Define associations - assetId provides access to wallet and blockchain
       RefillTransaction.belongsTo(models.Asset, { foreignKey: 'asset_id', as: 'Asset' });
+      RefillTransaction.hasMany(models.RefillCallback, { foreignKey: 'refillRequestId', as: 'Callbacks' });
+      RefillTransaction.hasMany(models.RefillAttempt, { foreignKey: 'refillRequestId', as: 'Attempts' });
+      RefillTransaction.hasMany(models.RefillTransactionEvent, { foreignKey: 'refillRequestId', as: 'Events' });
     }
   }
 
@@ -51,6 +54,29 @@ module.exports = (sequelize) => {
       defaultValue: 'PENDING',
       comment: 'Transaction status: PENDING, PROCESSING, COMPLETED, FAILED, CANCELLED'
     },
+    initiatedBy: {
+      field: 'initiated_by',
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      defaultValue: 'EXTERNAL',
+      comment: 'Refill origin: EXTERNAL (requested through the API), BALANCE_WATCHER (self-initiated) or GAS_TOP_UP (started by a token refill)'
+    },
+    parentRefillRequestId: {
+      field: 'parent_refill_request_id',
+      type: DataTypes.STRING(255),
+      allowNull: true,
+      references: {
+        model: 'refill_transactions',
+        key: 'refill_request_id'
+      },
+      comment: 'Token refill that started this gas top-up refill (null for other refills)'
+    },
+    clientId: {
+      field: 'client_id',
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Requesting client, used to resolve the status callback URL (default client if null)'
+    },
     
     // Foreign key to asset (provides access to wallet, blockchain, and all asset details)
     assetId: {
@@ -112,6 +138,35 @@ module.exports = (sequelize) => {
       comment: 'Store full provider response for reference'
     },
     
+    // Retry tracking
+    attemptCount: {
+      field: 'attempt_count',
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: 'Number of provider transfers submitted for this refill (increased on every retry)'
+    },
+    requestParams: {
+      field: 'request_params',
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Original refill request parameters, re-validated when the refill is retried'
+    },
+
+    feeParams: {
+      field: 'fee_params',
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Fee parameters the provider transfer was submitted with (fee level, fee caps, urgency)'
+    },
+    
+    lastProviderEventAt: {
+      field: 'last_provider_event_at',
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'When the last provider webhook event was received for this refill'
+    },
+    
     // Metadata
     message: {
       field: 'message',
@@ -155,6 +210,18 @@ module.exports = (sequelize) => {
       {
         name: 'idx_refill_transactions_created_at',
         fields: ['created_at']
+      },
+      {
+        name: 'idx_refill_transactions_initiated_by',
+        fields: ['initiated_by']
+      },
+      {
+        name: 'idx_refill_transactions_external_tx_id',
+        fields: ['external_tx_id']
+      },
+      {
+        name: 'idx_refill_transactions_parent_refill_request_id',
+        fields: ['parent_refill_request_id']
       }
     ]
   });
@@ -0,0 +1,103 @@
+'use strict';
+const { Model, DataTypes } = require('sequelize');
+
+module.exports = (sequelize) => {
+  class RefillTransactionEvent extends Model {
+    /**
+     * Helper method for defining associations.
+     * This method is not a part of Sequelize lifecycle.
+     * The `models/index` file will call this method automatically.
+     */
+    static associate(models) {
+      RefillTransactionEvent.belongsTo(models.RefillTransaction, { foreignKey: 'refillRequestId', as: 'RefillTransaction' });
+    }
+  }
+
+  // Audit trail of every write to a refill transaction
+  RefillTransactionEvent.init({
+    id: {
+      field: 'id',
+      allowNull: false,
+      autoIncrement: true,
+      primaryKey: true,
+      type: DataTypes.INTEGER
+    },
+    refillRequestId: {
+      field: 'refill_request_id',
+      type: DataTypes.STRING(255),
+      allowNull: false,
+      references: {
+        model: 'refill_transactions',
+        key: 'refill_request_id'
+      },
+      comment: 'Refill this event belongs to'
+    },
+    eventType: {
+      field: 'event_type',
+      type: DataTypes.STRING(50),
+      allowNull: false,
+      comment: 'CREATED, UPDATED or RETRIED'
+    },
+    status: {
+      field: 'status',
+      type: DataTypes.STRING(50),
+      allowNull: true,
+      comment: 'Internal status set by this event (null if unchanged)'
+    },
+    providerStatus: {
+      field: 'provider_status',
+      type: DataTypes.STRING(100),
+      allowNull: true,
+      comment: 'Raw provider status set by this event (null if unchanged)'
+    },
+    txHash: {
+      field: 'tx_hash',
+      type: DataTypes.STRING(255),
+      allowNull: true
+    },
+    message: {
+      field: 'message',
+      type: DataTypes.TEXT,
+      allowNull: true
+    },
+    changedFields: {
+      field: 'changed_fields',
+      type: DataTypes.JSON,
+      allowNull: false,
+      comment: 'Names of the refill fields written by this event'
+    },
+    providerData: {
+      field: 'provider_data',
+      type: DataTypes.JSON,
+      allowNull: true,
+      comment: 'Full provider response at the time of the event'
+    },
+    createdAt: {
+      field: 'created_at',
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    },
+    updatedAt: {
+      field: 'updated_at',
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW
+    }
+  }, {
+    sequelize,
+    modelName: 'RefillTransactionEvent',
+    tableName: 'refill_transaction_events',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    indexes: [
+      {
+        name: 'idx_refill_transaction_events_refill_request_id',
+        fields: ['refill_request_id']
+      }
+    ]
+  });
+
+  return RefillTransactionEvent;
+};
@@ -5,12 +5,34 @@ const onTerminate = require('./utils/terminate');
 const pjson = require('../package.json');
 const databaseService = require('./service/chainDb');
 const transactionMonitor = require('./service/transactionMonitorService');
+const balanceWatcher = require('./service/balanceWatcherService');
+const lowBalanceAlert = require('./service/lowBalanceAlertService');
+const coldReserveAlert = require('./service/coldReserveAlertService');
+const callbackService = require('./service/callbackService');
+const reconciliationService = require('./service/reconciliationService');
+const providerService = require('./service/providerService');
 
 let expressServer = null;
 
 async function shutDown() {
   // Stop transaction monitor
   transactionMonitor.stop();
+
+  // Stop balance watcher
+  balanceWatcher.stop();
+
+  // Stop low balance alerts
+  lowBalanceAlert.stop();
+  coldReserveAlert.stop();
+
+  // Stop callback dispatcher
+  callbackService.stop();
+
+  // Stop reconciliation job
+  reconciliationService.stop();
+
+  // Stop provider initialization retries
+  providerService.stop();
   
   await databaseService.disconnect();
   if (expressServer) {
@@ -55,6 +77,76 @@ const launchServer = async () => {
 
       logger.info(`Transaction monitor started with interval of ${cronIntervalInMs/1000} seconds`);
     }
+
+    // Start balance watcher if enabled (self-initiates refills for monitored assets)
+    const balanceWatcherEnabled = config.get('balanceWatcherEnabled');
+    if (balanceWatcherEnabled === true) {
+      logger.info('Balance watcher is ENABLED');
+
+      let balanceWatcherIntervalInMs = 300000;
+      if (config.get('balanceWatcherIntervalInMs')) {
+        balanceWatcherIntervalInMs = parseInt(config.get('balanceWatcherIntervalInMs'));
+      }
+      balanceWatcher.start(balanceWatcherIntervalInMs);
+
+      logger.info(`Balance watcher started with interval of ${balanceWatcherIntervalInMs/1000} seconds`);
+    }
+
+    // Start low balance alerts if enabled (Slack alert for monitored hot wallets below their low balance threshold)
+    const lowBalanceAlertEnabled = config.get('lowBalanceAlertEnabled');
+    if (lowBalanceAlertEnabled === true) {
+      logger.info('Low balance alerts are ENABLED');
+
+      let lowBalanceAlertIntervalInMs = 300000;
+      if (config.get('lowBalanceAlertIntervalInMs')) {
+        lowBalanceAlertIntervalInMs = parseInt(config.get('lowBalanceAlertIntervalInMs'));
+      }
+      lowBalanceAlert.start(lowBalanceAlertIntervalInMs);
+
+      logger.info(`Low balance alert job started with interval of ${lowBalanceAlertIntervalInMs/1000} seconds`);
+    }
+
+    // Start cold reserve alerts if enabled (Slack alert to treasury for cold wallets covering too few expected refills)
+    const coldReserveAlertEnabled = config.get('coldReserveAlertEnabled');
+    if (coldReserveAlertEnabled === true) {
+      logger.info('Cold reserve alerts are ENABLED');
+
+      let coldReserveAlertIntervalInMs = 900000;
+      if (config.get('coldReserveAlertIntervalInMs')) {
+        coldReserveAlertIntervalInMs = parseInt(config.get('coldReserveAlertIntervalInMs'));
+      }
+      coldReserveAlert.start(coldReserveAlertIntervalInMs);
+
+      logger.info(`Cold reserve alert job started with interval of ${coldReserveAlertIntervalInMs/1000} seconds`);
+    }
+
+    // Start callback dispatcher if enabled (pushes refill status transitions to clients)
+    const callbacksEnabled = config.get('callbacks.enabled');
+    if (callbacksEnabled === true) {
+      logger.info('Status callbacks are ENABLED');
+
+      let dispatchIntervalInMs = 15000;
+      if (config.get('callbacks.dispatchIntervalInMs')) {
+        dispatchIntervalInMs = parseInt(config.get('callbacks.dispatchIntervalInMs'));
+      }
+      callbackService.start(dispatchIntervalInMs);
+
+      logger.info(`Callback dispatcher started with interval of ${dispatchIntervalInMs/1000} seconds`);
+    }
+
+    // Start reconciliation job if enabled (resolves refills whose provider transaction ID was never stored)
+    const reconciliationEnabled = config.get('reconciliationEnabled');
+    if (reconciliationEnabled === true) {
+      logger.info('Refill reconciliation is ENABLED');
+
+      let reconciliationIntervalInMs = 60000;
+      if (config.get('reconciliationIntervalInMs')) {
+        reconciliationIntervalInMs = parseInt(config.get('reconciliationIntervalInMs'));
+      }
+      reconciliationService.start(reconciliationIntervalInMs);
+
+      logger.info(`Reconciliation job started with interval of ${reconciliationIntervalInMs/1000} seconds`);
+    }
   } catch (error) {
     logger.error('Server startup failure', error.message);
     shutDown();
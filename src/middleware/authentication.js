@@ -3,13 +3,14 @@ const logger = require('./logger')('authentication');
 const config = require('../config');
 
 /**
- * Middleware to authenticate incoming requests using JWT
- * Verifies the JWT signature using the configured public key
+ * Authenticate an incoming request using JWT
+ * Verifies the JWT signature using the public key configured under publicKeyName
  * 
- * For POST requests: JWT is the entire request body (raw body)
- * For GET requests: JWT is passed as URL parameter (:refill_request_id)
+ * For POST and PUT requests: JWT is the entire request body (raw body)
+ * For GET and DELETE requests: JWT is passed in the Authorization header as a Bearer token
+ * @param {string} publicKeyName - Config key of the public key the JWT must be signed for
  */
-function authenticate(req, res, next) {
+function verifyRequestJwt(publicKeyName, req, res, next) {
   try {
     // Check if authentication is enabled
     const authEnabled = config.get('authEnabled');
@@ -31,10 +32,10 @@ function authenticate(req, res, next) {
   }
 
     // Get the public key for verification from config
-    const publicKey = config.get('authPublicKey');
+    const publicKey = config.get(publicKeyName);
     
     if (!publicKey) {
-      logger.error('Authentication public key not configured');
+      logger.error(`Authentication public key ${publicKeyName} not configured`);
       return res.status(500).json({
         success: false,
         error: 'Authentication not properly configured',
@@ -44,8 +45,8 @@ function authenticate(req, res, next) {
 
     let token = null;
 
-    // For POST requests: Use raw body as JWT
-    if (req.method === 'POST') {
+    // For POST and PUT requests: Use raw body as JWT
+    if (req.method === 'POST' || req.method === 'PUT') {
       // Check both req.body (from express.text) and req.rawBody (from express.json verify)
       // Use the first one that's a non-empty string
       if (typeof req.body === 'string' && req.body.length > 0) {
@@ -63,8 +64,8 @@ function authenticate(req, res, next) {
         });
       }
     }
-    // For GET requests: Use Authorization header with Bearer token
-    else if (req.method === 'GET') {
+    // For GET and DELETE requests: Use Authorization header with Bearer token
+    else if (req.method === 'GET' || req.method === 'DELETE') {
       const authHeader = req.headers.authorization;
       
       if (!authHeader) {
@@ -98,11 +99,11 @@ function authenticate(req, res, next) {
         });
       }
     } else {
-      // Only POST and GET methods are supported
+      // Only POST, PUT, GET and DELETE methods are supported
       logger.error(`Unsupported HTTP method: ${req.method}`);
       return res.status(405).json({
         success: false,
-        error: 'Method not allowed. Only POST and GET are supported.',
+        error: 'Method not allowed. Only GET, POST, PUT and DELETE are supported.',
         code: 'METHOD_NOT_ALLOWED'
       });
     }
@@ -183,7 +184,57 @@ function authenticate(req, res, next) {
   }
 }
 
+/**
+ * Middleware to authenticate refill API requests with JWTs signed for authPublicKey
+ */
+function authenticate(req, res, next) {
+  return verifyRequestJwt('authPublicKey', req, res, next);
+}
+
+/**
+ * Check that the verified JWT was issued for this request: its method and path claims must match
+ * the request, so a token for one operation cannot be replayed against another
+ */
+function verifyRequestBinding(req, res, next) {
+  if (config.get('authEnabled') === false) {
+    return next();
+  }
+
+  const { method, path } = req.verifiedData || {};
+  const requestPath = req.originalUrl.split('?')[0];
+  if (typeof method !== 'string' || method.toUpperCase() !== req.method || path !== requestPath) {
+    logger.error(`JWT issued for ${method} ${path} used for ${req.method} ${requestPath}`);
+    return res.status(401).json({
+      success: false,
+      error: 'JWT method and path claims do not match the request',
+      code: 'REQUEST_BINDING_MISMATCH'
+    });
+  }
+
+  next();
+}
+
+/**
+ * Middleware to authenticate state-changing refill API requests on an existing refill (cancel, retry)
+ * with JWTs signed for authPublicKey. The JWT must also carry the method and path of the request,
+ * so the refill request or status token of a refill cannot be replayed to act on it.
+ */
+function authenticateRefillAction(req, res, next) {
+  return verifyRequestJwt('authPublicKey', req, res, () => verifyRequestBinding(req, res, next));
+}
+
+/**
+ * Middleware to authenticate admin API requests with JWTs signed for adminAuthPublicKey,
+ * so tokens of refill API clients cannot change blockchains, wallets, assets or providers.
+ * The JWT must also carry the method and path of the request.
+ */
+function authenticateAdmin(req, res, next) {
+  return verifyRequestJwt('adminAuthPublicKey', req, res, () => verifyRequestBinding(req, res, next));
+}
+
 module.exports = {
-  authenticate
+  authenticate,
+  authenticateRefillAction,
+  authenticateAdmin
 };
 
@@ -50,6 +50,23 @@ class AbstractProvider {
     throw new Error('getTokenBalance() method must be implemented by provider');
   }
 
+  /**
+   * Get the components of a wallet balance, so assets can choose which of them count for refill checks
+   * @param {Object} token - Token configuration object
+   * @returns {Promise<Object>} Balance components in atomic units (default: only the balance of getTokenBalance as available)
+   *   - available {string}: balance that can be spent now.
+   *   - pending {string}: incoming funds not confirmed yet.
+   *   - locked {string}: funds that are locked or frozen.
+   */
+  async getTokenBalanceBreakdown(token) {
+    const available = await this.getTokenBalance(token);
+    return {
+      available,
+      pending: '0',
+      locked: '0'
+    };
+  }
+
   /**
    * Create a transfer request from cold wallet to hot wallet
    * @param {Object} transferData - Transfer configuration
@@ -59,6 +76,40 @@ class AbstractProvider {
     throw new Error('createTransferRequest() method must be implemented by provider');
   }
 
+  /**
+   * Cancel an in-flight transaction at the provider
+   * @param {string} txnId - Transaction ID
+   * @returns {Promise<Object>} Cancellation result
+   *   - cancelled {boolean}: true if the provider accepted the cancellation.
+   *   - supported {boolean}: false if the provider cannot cancel this transaction through its API.
+   *   - message {string}: details from the provider.
+   */
+  async cancelTransaction(txnId) {
+    throw new Error('cancelTransaction() method must be implemented by provider');
+  }
+
+  /**
+   * Fetch the latest provider transaction of a refill (used by the transaction monitor)
+   * @param {Object} transaction - Refill transaction from database (with Asset association)
+   * @returns {Promise<Object>} Transaction as returned by the provider
+   */
+  async fetchTransactionStatus(transaction) {
+    return this.getTransactionById(transaction.providerTxId);
+  }
+
+  /**
+   * Find the provider transaction a refill attempt was sent with, used to reconcile refills whose
+   * provider transaction ID was never stored (e.g. the process stopped right after creating the transfer)
+   * @param {string} externalTxId - External transaction ID of the refill attempt (see refillUtils.getExternalTxId)
+   * @param {Object} transaction - Refill transaction from database (with Asset association)
+   * @returns {Promise<Object|null>} null if the provider has no such transaction, otherwise:
+   *   - externalTxId {string}: the external ID as stored by the provider (including provider specific suffixes).
+   *   - transaction {Object}: the transaction as returned by the provider.
+   */
+  async findTransactionByExternalTxId(externalTxId, transaction) {
+    throw new Error('findTransactionByExternalTxId() method must be implemented by provider');
+  }
+
   /**
    * Get provider name
    * @returns {string} Provider name
@@ -66,6 +117,130 @@ class AbstractProvider {
   static getProviderName() {
     throw new Error('getProviderName() method must be implemented by provider');
   }
+
+  /**
+   * Get the config and secret schema of the provider, declared in src/providers/<name>/schema.js
+   * @returns {Object} Provider schema
+   *   - required {boolean}: true if the provider config and secret must always be present.
+   *   - config {Object}: schema of the providers.<name> config section.
+   *   - secret {Object}: schema of the <name> secret.
+   */
+  static getConfigSchema() {
+    return {
+      required: false,
+      config: { type: 'object', properties: {} },
+      secret: { type: 'object', properties: {} }
+    };
+  }
+
+  /**
+   * Check whether the provider is configured and has the credentials it needs
+   * @param {Object|null} providerConfig - The providers.<name> config section
+   * @param {Object|null} secret - The <name> secret
+   * @returns {boolean} True if the provider should be initialized
+   */
+  static isConfigured(providerConfig, secret) {
+    const schema = this.getConfigSchema();
+    if (!schema.required && !providerConfig) {
+      return false;
+    }
+
+    const requiredSecretFields = (schema.secret && schema.secret.required) || [];
+    return requiredSecretFields.every(field => secret && secret[field]);
+  }
+
+  /**
+   * Build the secret the provider is constructed with
+   * @param {Function} getSecret - Secret lookup by key (config.getSecret)
+   * @returns {Object} Provider secret (default: the <name> secret)
+   */
+  static getProviderSecret(getSecret) {
+    return getSecret(this.getProviderName()) || {};
+  }
+
+  /**
+   * Build the config the provider is constructed with from its config section
+   * @param {Object|null} providerConfig - The providers.<name> config section
+   * @returns {Object} Provider config
+   */
+  static getProviderConfig(providerConfig) {
+    return { ...(providerConfig || {}) };
+  }
+
+  /**
+   * Validate the provider section of an asset wallet config (sweepWalletConfig, and hotWalletConfig
+   * unless validateHotWalletConfig is overridden)
+   * @param {Object} walletConfig - Asset wallet config
+   * @returns {Object} Result object; data.walletConfig holds the normalized provider section
+   */
+  static validateWalletConfig(walletConfig) {
+    throw new Error('validateWalletConfig() method must be implemented by provider');
+  }
+
+  /**
+   * Validate the provider section of an asset hot wallet config, which names the refill destination.
+   * Override for providers whose refill destinations are configured differently from their cold wallets
+   * @param {Object} walletConfig - Asset wallet config
+   * @returns {Object} Result object; data.walletConfig holds the normalized provider section
+   */
+  static validateHotWalletConfig(walletConfig) {
+    return this.validateWalletConfig(walletConfig);
+  }
+
+  /**
+   * Get the cold wallet ID transfers are sent from
+   * @param {Object} sweepWalletConfig - Asset sweep wallet config
+   * @returns {string} Cold wallet ID
+   */
+  static getColdWalletId(sweepWalletConfig) {
+    const providerConfig = sweepWalletConfig[this.getProviderName()];
+    return providerConfig?.walletId || providerConfig?.vaultId;
+  }
+
+  /**
+   * Get the hot wallet ID transfers are sent to
+   * @param {Object} hotWalletConfig - Asset hot wallet config
+   * @param {Object} wallet - Hot wallet record
+   * @returns {string} Hot wallet ID
+   */
+  static getHotWalletId(hotWalletConfig, wallet) {
+    const providerConfig = hotWalletConfig[this.getProviderName()];
+    return providerConfig?.vaultId || providerConfig?.walletId;
+  }
+
+  /**
+   * Get the map of provider transaction statuses to internal statuses
+   * @returns {Object} Provider status to internal status
+   */
+  static getStatusMap() {
+    return {};
+  }
+
+  /**
+   * Map a provider transaction status to an internal status; unknown statuses are still in flight
+   * @param {string} providerStatus - Provider status
+   * @returns {string} Internal status
+   */
+  static mapStatus(providerStatus) {
+    if (!providerStatus) {
+      return 'PROCESSING';
+    }
+    return this.getStatusMap()[providerStatus] || 'PROCESSING';
+  }
+
+  /**
+   * Extract the fields stored on a refill from a provider transaction
+   * @param {Object} providerResponse - Transaction as returned by the provider
+   * @returns {Object} { providerTxId, txHash, status, message, providerData }
+   */
+  static extractTransactionDetails(providerResponse) {
+    return {
+      providerTxId: null,
+      txHash: null,
+      status: 'PROCESSING',
+      providerData: providerResponse
+    };
+  }
 }
 
 module.exports = AbstractProvider;
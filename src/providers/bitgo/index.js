@@ -0,0 +1,322 @@
+const AbstractProvider = require('../abstractProvider');
+const WalletFactory = require('./walletFactory');
+const Transaction = require('./transaction');
+const schema = require('./schema');
+const BigNumber = require('bignumber.js');
+const logger = require('../../middleware/logger')('bitgo');
+
+/**
+ * BitGo Provider Implementation
+ * Implements the AbstractProvider interface for the BitGo API (through BitGo Express, which signs sends)
+ */
+class BitGoProvider extends AbstractProvider {
+  constructor(config, secret) {
+    super(config, secret);
+    this.walletFactory = new WalletFactory();
+    this.transaction = null; // Will be initialized in init()
+  }
+
+  /**
+   * Get the name of the provider
+   * @returns {string} The name of the provider
+   */
+  static getProviderName() {
+    return 'bitgo';
+  }
+
+  static getConfigSchema() {
+    return schema;
+  }
+
+  /**
+   * Build the BitGo provider config
+   * @param {Object|null} providerConfig - The providers.bitgo config section
+   * @returns {Object} Provider config with the API URL and request timeout (default: 30 seconds)
+   */
+  static getProviderConfig(providerConfig) {
+    return {
+      apiBaseUrl: providerConfig?.apiBaseUrl,
+      requestTimeoutInMs: providerConfig?.requestTimeoutInMs || 30000
+    };
+  }
+
+  /**
+   * Validate the BitGo section of an asset wallet config
+   * @param {Object} walletConfig - Asset wallet config
+   * @returns {Object} Result object; data.walletConfig holds the normalized BitGo section
+   */
+  static validateWalletConfig(walletConfig) {
+    if (!walletConfig.bitgo || !walletConfig.bitgo.walletId || !walletConfig.bitgo.coin) {
+      return {
+        success: false,
+        error: 'Invalid cold wallet configuration found for this asset',
+        code: 'INVALID_BITGO_COLD_WALLET_CONFIGURATION',
+        data: null
+      };
+    }
+
+    return {
+      success: true,
+      error: null,
+      code: null,
+      data: {
+        walletConfig: {
+          bitgo: {
+            walletId: walletConfig.bitgo.walletId,
+            coin: walletConfig.bitgo.coin
+          }
+        }
+      }
+    };
+  }
+
+  static getColdWalletId(sweepWalletConfig) {
+    return sweepWalletConfig.bitgo.walletId;
+  }
+
+  /**
+   * BitGo sends are addressed to the hot wallet address
+   */
+  static getHotWalletId(hotWalletConfig, wallet) {
+    return wallet.address;
+  }
+
+  /**
+   * Transfer states, plus the states of the pending approval a send creates when wallet policy requires approval
+   */
+  static getStatusMap() {
+    return {
+      'pending': 'PROCESSING',
+      'pendingApproval': 'PROCESSING',
+      'approved': 'PROCESSING',
+      'initialized': 'PROCESSING',
+      'signed': 'PROCESSING',
+      'unconfirmed': 'PROCESSING',
+      'replaced': 'PROCESSING',
+      'confirmed': 'COMPLETED',
+      'rejected': 'FAILED',
+      'removed': 'FAILED',
+      'failed': 'FAILED'
+    };
+  }
+
+  static extractTransactionDetails(providerResponse) {
+    return {
+      providerTxId: providerResponse.id,
+      txHash: providerResponse.txid || null,
+      status: providerResponse.state,
+      message: providerResponse.comment || null,
+      providerData: providerResponse
+    };
+  }
+
+  /**
+   * Initialize BitGo provider
+   * @returns {Promise<Object>} Success status
+   */
+  async init() {
+    try {
+      if (!this.secret.accessToken || !this.secret.walletPassphrase) {
+        throw new Error('BitGo API credentials not configured properly');
+      }
+
+      if (!this.config.apiBaseUrl) {
+        throw new Error('BitGo API URL not configured');
+      }
+
+      // Initialize wallet factory
+      await this.walletFactory.init(this.secret.accessToken, this.config.apiBaseUrl, this.config.requestTimeoutInMs);
+
+      // Initialize transaction handler
+      this.transaction = new Transaction(this.walletFactory.client);
+
+      logger.info('BitGo provider initialized successfully');
+      return { success: true };
+    } catch (error) {
+      logger.error(`Failed to initialize BitGo provider: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async getTokenBalance(token) {
+    try {
+      logger.info(`Getting token balance for: ${token.symbol}`);
+
+      const { coin, walletId } = token.walletConfig.bitgo;
+      const balance = await this.walletFactory.getTokenBalance(coin, walletId);
+      return new BigNumber(balance || 0).toFixed(0);
+    } catch (error) {
+      logger.error(`Error getting token balance from BitGo: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the balance components of a wallet
+   * BitGo reports the total balance (including unconfirmed transfers), the confirmed balance and the spendable
+   * balance (confirmed minus funds locked by unconfirmed sends and policies)
+   * @param {Object} token - Token configuration object
+   * @returns {Promise<Object>} { available, pending, locked } in atomic units
+   */
+  async getTokenBalanceBreakdown(token) {
+    try {
+      logger.info(`Getting token balance breakdown for: ${token.symbol}`);
+
+      const { coin, walletId } = token.walletConfig.bitgo;
+      const balances = await this.walletFactory.getWalletBalances(coin, walletId);
+      const balance = new BigNumber(balances.balance || 0);
+      const confirmed = new BigNumber(balances.confirmedBalance || 0);
+      const spendable = new BigNumber(balances.spendableBalance || 0);
+
+      return {
+        available: spendable.toFixed(0),
+        pending: BigNumber.max(balance.minus(confirmed), 0).toFixed(0),
+        locked: BigNumber.max(confirmed.minus(spendable), 0).toFixed(0)
+      };
+    } catch (error) {
+      logger.error(`Error getting token balance breakdown from BitGo: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Create a transfer request -
+   * Sends from the BitGo cold wallet to the hot wallet address. The external transaction ID is used as
+   * sequenceId, so BitGo rejects a second send for the same refill attempt.
+   * @param {Object} transferData - Transfer configuration
+   * @returns {Promise<Object>} Transfer result
+   */
+  async createTransferRequest(transferData) {
+    try {
+      const { coldWalletId, hotWalletId, amountAtomic, asset, externalTxId, coldWalletConfig } = transferData;
+      const coin = coldWalletConfig.bitgo.coin;
+
+      logger.info(`Creating BitGo send: ${amountAtomic} ${coin} (${asset}) from wallet ${coldWalletId} to ${hotWalletId}`);
+
+      const result = await this.transaction.sendCoins(coin, coldWalletId, {
+        address: hotWalletId,
+        amount: new BigNumber(amountAtomic).toFixed(0),
+        walletPassphrase: this.secret.walletPassphrase,
+        sequenceId: externalTxId,
+        comment: `Cold to hot wallet refill - ${asset} transfer`
+      });
+
+      // Sends that need policy approval return a pending approval instead of a transfer
+      const transfer = result.transfer || result.pendingApproval;
+      if (!transfer || !transfer.id) {
+        throw new Error('BitGo send response contains no transfer or pending approval');
+      }
+
+      logger.info(`Transfer request created successfully with BitGo: ${transfer.id} (${transfer.state})`);
+
+      return {
+        status: transfer.state,
+        message: result.pendingApproval ? 'Transfer request submitted to BitGo, pending approval' : 'Transfer request submitted to BitGo',
+        externalTxId: externalTxId,
+        transactionId: transfer.id,
+        createdAt: new Date().toISOString(),
+        result: result
+      };
+    } catch (error) {
+      logger.error(`Error creating transfer request: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Get transaction by ID
+   * @param {string} txnId - BitGo transfer ID
+   * @param {Object} walletConfig - BitGo wallet config ({ bitgo: { walletId, coin } }); transfers are looked up per wallet
+   * @returns {Promise<Object>} Transfer
+   */
+  async getTransactionById(txnId, walletConfig) {
+    try {
+      if (!walletConfig || !walletConfig.bitgo) {
+        throw new Error('Wallet configuration is required for BitGo getTransactionById');
+      }
+
+      logger.info(`Getting transaction by ID from BitGo: ${txnId}`);
+      return await this.transaction.getTransferById(walletConfig.bitgo.coin, walletConfig.bitgo.walletId, txnId);
+    } catch (error) {
+      logger.error(`Error getting transaction status from BitGo: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Fetch the latest BitGo transaction of a refill
+   * The transfer is looked up by sequenceId, since the stored ID is a pending approval ID when the send needed
+   * approval; until the approval is granted, the pending approval itself is returned
+   * @param {Object} transaction - Refill transaction from database (with Asset association)
+   * @returns {Promise<Object>} Transfer or pending approval
+   */
+  async fetchTransactionStatus(transaction) {
+    const asset = transaction.Asset;
+    if (!asset || !asset.sweepWalletConfig || !asset.sweepWalletConfig.bitgo) {
+      throw new Error(`BitGo wallet config not available for status check of refill ${transaction.refillRequestId}`);
+    }
+
+    const { coin, walletId } = asset.sweepWalletConfig.bitgo;
+    const transfer = await this.transaction.getTransferBySequenceId(coin, walletId, transaction.externalTxId);
+    if (transfer) {
+      return transfer;
+    }
+
+    logger.info(`No BitGo transfer yet for refill ${transaction.refillRequestId}, checking pending approval ${transaction.providerTxId}`);
+    return this.transaction.getPendingApproval(transaction.providerTxId);
+  }
+
+  /**
+   * Find the BitGo transfer of a refill attempt by its sequenceId, or its pending approval if the send needed approval
+   * @param {string} externalTxId - External transaction ID of the refill attempt (sent as sequenceId)
+   * @param {Object} transaction - Refill transaction from database (with Asset association)
+   * @returns {Promise<Object|null>} { externalTxId, transaction } or null if BitGo has no such send
+   */
+  async findTransactionByExternalTxId(externalTxId, transaction) {
+    const asset = transaction.Asset;
+    if (!asset || !asset.sweepWalletConfig || !asset.sweepWalletConfig.bitgo) {
+      throw new Error(`BitGo wallet config not available for reconciliation of refill ${transaction.refillRequestId}`);
+    }
+
+    const { coin, walletId } = asset.sweepWalletConfig.bitgo;
+    const transfer = await this.transaction.getTransferBySequenceId(coin, walletId, externalTxId);
+    if (transfer) {
+      return { externalTxId: externalTxId, transaction: transfer };
+    }
+
+    const pendingApproval = await this.transaction.getPendingApprovalBySequenceId(walletId, externalTxId);
+    return pendingApproval ? { externalTxId: externalTxId, transaction: pendingApproval } : null;
+  }
+
+  /**
+   * Cancel a BitGo transaction. Only sends awaiting policy approval can be cancelled (by rejecting the
+   * pending approval); sends that were already signed are broadcast by BitGo
+   * @param {string} txnId - BitGo pending approval or transfer ID
+   * @returns {Promise<Object>} Cancellation result
+   */
+  async cancelTransaction(txnId) {
+    try {
+      logger.info(`Rejecting pending approval in BitGo: ${txnId}`);
+
+      const result = await this.transaction.rejectPendingApproval(txnId);
+      const cancelled = result?.state === 'rejected';
+      return {
+        cancelled: cancelled,
+        supported: true,
+        message: cancelled ? 'BitGo pending approval rejected' : 'BitGo did not accept the rejection'
+      };
+    } catch (error) {
+      if (error.status === 404) {
+        return {
+          cancelled: false,
+          supported: true,
+          message: 'Only BitGo transfers awaiting approval can be cancelled'
+        };
+      }
+      logger.error(`Error cancelling transaction in BitGo: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = BitGoProvider;
@@ -0,0 +1,29 @@
+/**
+ * BitGo config (providers.bitgo) and secret (bitgo) schema
+ * BitGo is optional; it is only initialized when the providers.bitgo section is present
+ */
+const schema = {
+  required: false,
+  config: {
+    type: 'object',
+    properties: {
+      apiBaseUrl: { type: 'string' },  // BitGo Express URL (sends are signed by Express with the wallet passphrase)
+      requestTimeoutInMs: { type: 'number', default: 30000 }
+    },
+    required: ['apiBaseUrl']
+  },
+  secret: {
+    type: 'object',
+    properties: {
+      accessToken: {
+        type: 'string'
+      },
+      walletPassphrase: {
+        type: 'string'
+      }
+    },
+    required: ['accessToken', 'walletPassphrase']
+  }
+};
+
+module.exports = schema;
@@ -0,0 +1,119 @@
+const logger = require('../../middleware/logger')('bitgoTransaction');
+
+/**
+ * BitGo Transaction class for handling transaction operations
+ * Separated from wallet factory to follow Liminal pattern
+ */
+class Transaction {
+  constructor(client) {
+    this.client = client;
+  }
+
+  walletPath(coin, walletId) {
+    return `/api/v2/${encodeURIComponent(coin)}/wallet/${encodeURIComponent(walletId)}`;
+  }
+
+  /**
+   * Send coins from a wallet
+   * @param {string} coin - BitGo coin
+   * @param {string} walletId - Source wallet ID
+   * @param {Object} sendData - { address, amount (base units), walletPassphrase, sequenceId, comment }
+   * @returns {Promise<Object>} BitGo send result ({ transfer, txid, status } or { pendingApproval })
+   */
+  async sendCoins(coin, walletId, sendData) {
+    try {
+      logger.debug(`Sending ${sendData.amount} ${coin} from BitGo wallet ${walletId} with sequence ID ${sendData.sequenceId}`);
+      const { data } = await this.client.post(`${this.walletPath(coin, walletId)}/sendcoins`, sendData);
+      return data;
+    } catch (error) {
+      logger.error("Error sending coins:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a transfer by ID
+   * @param {string} coin - BitGo coin
+   * @param {string} walletId - Wallet ID
+   * @param {string} transferId - Transfer ID
+   * @returns {Promise<Object>} Transfer
+   */
+  async getTransferById(coin, walletId, transferId) {
+    try {
+      const { data } = await this.client.get(`${this.walletPath(coin, walletId)}/transfer/${encodeURIComponent(transferId)}`);
+      return data;
+    } catch (error) {
+      logger.error("Error getting transfer by ID:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a transfer by the sequence ID it was sent with
+   * @param {string} coin - BitGo coin
+   * @param {string} walletId - Wallet ID
+   * @param {string} sequenceId - Sequence ID
+   * @returns {Promise<Object|null>} Transfer or null if BitGo has not created it (yet)
+   */
+  async getTransferBySequenceId(coin, walletId, sequenceId) {
+    try {
+      const { data } = await this.client.get(`${this.walletPath(coin, walletId)}/transfer/sequenceId/${encodeURIComponent(sequenceId)}`);
+      return data;
+    } catch (error) {
+      if (error.status === 404) {
+        return null;
+      }
+      logger.error("Error getting transfer by sequence ID:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get a pending approval by ID
+   * @param {string} pendingApprovalId - Pending approval ID
+   * @returns {Promise<Object>} Pending approval
+   */
+  async getPendingApproval(pendingApprovalId) {
+    try {
+      const { data } = await this.client.get(`/api/v2/pendingapprovals/${encodeURIComponent(pendingApprovalId)}`);
+      return data;
+    } catch (error) {
+      logger.error("Error getting pending approval:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the pending approval of a send by the sequence ID it was sent with
+   * @param {string} walletId - Wallet ID
+   * @param {string} sequenceId - Sequence ID
+   * @returns {Promise<Object|null>} Pending approval or null if the wallet has none for this sequence ID
+   */
+  async getPendingApprovalBySequenceId(walletId, sequenceId) {
+    try {
+      const { data } = await this.client.get('/api/v2/pendingapprovals', { params: { walletId: walletId } });
+      const pendingApprovals = data.pendingApprovals || [];
+      return pendingApprovals.find(approval => approval.info?.transactionRequest?.buildParams?.sequenceId === sequenceId) || null;
+    } catch (error) {
+      logger.error("Error getting pending approval by sequence ID:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Reject a pending approval
+   * @param {string} pendingApprovalId - Pending approval ID
+   * @returns {Promise<Object>} Updated pending approval
+   */
+  async rejectPendingApproval(pendingApprovalId) {
+    try {
+      const { data } = await this.client.put(`/api/v2/pendingapprovals/${encodeURIComponent(pendingApprovalId)}`, { state: 'rejected' });
+      return data;
+    } catch (error) {
+      logger.error("Error rejecting pending approval:", error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = Transaction;
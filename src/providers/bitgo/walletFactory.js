@@ -0,0 +1,84 @@
+const axios = require('axios');
+const logger = require('../../middleware/logger')('bitgoWallet');
+
+class WalletFactory {
+  constructor() {
+    this.client = null;
+  }
+
+  /**
+   * Initialize the BitGo API client
+   * @param {string} accessToken - BitGo access token
+   * @param {string} apiBaseUrl - Base URL for API (BitGo Express)
+   * @param {number} requestTimeoutInMs - Request timeout
+   * @returns {Promise<boolean>}
+   */
+  async init(accessToken, apiBaseUrl, requestTimeoutInMs) {
+    try {
+      const client = axios.create({
+        baseURL: apiBaseUrl,
+        timeout: requestTimeoutInMs,
+        headers: {
+          'Authorization': `Bearer ${accessToken}`,
+          'Content-Type': 'application/json'
+        }
+      });
+
+      // Surface the BitGo error message and keep the HTTP status (e.g. 404 lookups) and the network
+      // error code (e.g. ECONNREFUSED) for callers and the provider guard
+      client.interceptors.response.use(null, (error) => {
+        const status = error.response?.status || null;
+        const message = error.response?.data?.error || error.message;
+        const bitgoError = new Error(status ? `BitGo API error (HTTP ${status}): ${message}` : `BitGo API error: ${message}`, { cause: error });
+        bitgoError.status = status;
+        bitgoError.code = error.code;
+        return Promise.reject(bitgoError);
+      });
+
+      this.client = client;
+      logger.info('BitGo wallet factory initialized successfully');
+      return true;
+    } catch (error) {
+      logger.error('Failed to initialize BitGo wallet factory:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the balances of a wallet
+   * @param {string} coin - BitGo coin (e.g. btc, eth, eth:usdc)
+   * @param {string} walletId - BitGo wallet ID
+   * @returns {Promise<Object>} { balance, confirmedBalance, spendableBalance } in base units
+   */
+  async getWalletBalances(coin, walletId) {
+    try {
+      const { data } = await this.client.get(`/api/v2/${encodeURIComponent(coin)}/wallet/${encodeURIComponent(walletId)}`);
+      return {
+        balance: data.balanceString,
+        confirmedBalance: data.confirmedBalanceString,
+        spendableBalance: data.spendableBalanceString
+      };
+    } catch (error) {
+      logger.error("Error getting wallet balances:", error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the spendable balance of a wallet
+   * @param {string} coin - BitGo coin (e.g. btc, eth, eth:usdc)
+   * @param {string} walletId - BitGo wallet ID
+   * @returns {Promise<string>} Spendable balance in base units
+   */
+  async getTokenBalance(coin, walletId) {
+    try {
+      const { data } = await this.client.get(`/api/v2/${encodeURIComponent(coin)}/wallet/${encodeURIComponent(walletId)}`);
+      return data.spendableBalanceString;
+    } catch (error) {
+      logger.error("Error getting token balance:", error.message);
+      throw error;
+    }
+  }
+}
+
+module.exports = WalletFactory;
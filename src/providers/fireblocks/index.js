@@ -1,10 +1,22 @@
 const AbstractProvider = require('../abstractProvider');
 const WalletFactory = require('./walletFactory');
 const Transaction = require('./transaction');
+const schema = require('./schema');
 const BigNumber = require('bignumber.js');
 const logger = require('../../middleware/logger')('fireblocks');
 const { PeerType, FeeLevel } = require("fireblocks-sdk");
 
+const FEE_LEVELS = [FeeLevel.LOW, FeeLevel.MEDIUM, FeeLevel.HIGH];
+// Explicit fee fields of sweepWalletConfig.fireblocks, passed to Fireblocks as is
+const FEE_FIELDS = ['maxFee', 'gasPrice', 'priorityFee'];
+// Refill destinations a hotWalletConfig.fireblocks section can name, and the field holding the destination ID
+const DESTINATION_ID_FIELDS = {
+  [PeerType.VAULT_ACCOUNT]: 'vaultId',
+  [PeerType.EXTERNAL_WALLET]: 'walletId',
+  [PeerType.INTERNAL_WALLET]: 'walletId',
+  [PeerType.ONE_TIME_ADDRESS]: null
+};
+
 /**
  * Fireblocks Provider Implementation
  * Implements the AbstractProvider interface for Fireblocks API integration
@@ -24,6 +36,241 @@ class FireblocksProvider extends AbstractProvider {
     return 'fireblocks';
   }
 
+  static getConfigSchema() {
+    return schema;
+  }
+
+  /**
+   * Build the Fireblocks provider config
+   * @param {Object|null} providerConfig - The providers.fireblocks config section
+   * @returns {Object} Provider config with the API URL (default: https://api.fireblocks.io)
+   */
+  static getProviderConfig(providerConfig) {
+    return { apiBaseUrl: providerConfig?.apiBaseUrl || 'https://api.fireblocks.io' };
+  }
+
+  /**
+   * Validate the Fireblocks section of an asset sweep (cold) wallet config.
+   * Transfers are always sent from a vault account, so the cold config needs a vaultId
+   * @param {Object} walletConfig - Asset wallet config
+   * @returns {Object} Result object; data.walletConfig holds the normalized Fireblocks section
+   */
+  static validateWalletConfig(walletConfig) {
+    const fireblocksConfig = walletConfig.fireblocks;
+    if (!fireblocksConfig || !fireblocksConfig.assetId || !fireblocksConfig.vaultId) {
+      return {
+        success: false,
+        error: 'Invalid cold wallet configuration found for this asset',
+        code: 'INVALID_FIREBLOCKS_COLD_WALLET_CONFIGURATION',
+        data: null
+      };
+    }
+
+    if (fireblocksConfig.destinationType && fireblocksConfig.destinationType !== PeerType.VAULT_ACCOUNT) {
+      return {
+        success: false,
+        error: `Invalid cold wallet configuration found for this asset: refills are sent from a ${PeerType.VAULT_ACCOUNT}, destinationType only applies to the hot wallet config`,
+        code: 'INVALID_FIREBLOCKS_COLD_WALLET_CONFIGURATION',
+        data: null
+      };
+    }
+
+    const feeConfigError = this.validateFeeConfig(fireblocksConfig);
+    if (feeConfigError) {
+      return {
+        success: false,
+        error: `Invalid Fireblocks fee configuration found for this asset: ${feeConfigError}`,
+        code: 'INVALID_FIREBLOCKS_COLD_WALLET_CONFIGURATION',
+        data: null
+      };
+    }
+
+    return {
+      success: true,
+      error: null,
+      code: null,
+      data: {
+        walletConfig: {
+          fireblocks: { vaultId: fireblocksConfig.vaultId, assetId: fireblocksConfig.assetId }
+        }
+      }
+    };
+  }
+
+  /**
+   * Validate the Fireblocks section of an asset hot wallet config, which names the refill destination:
+   * a vault account (vaultId), a whitelisted wallet (walletId) or a one-time address
+   * @param {Object} walletConfig - Asset wallet config
+   * @returns {Object} Result object; data.walletConfig holds the normalized Fireblocks section
+   */
+  static validateHotWalletConfig(walletConfig) {
+    const fireblocksConfig = walletConfig.fireblocks;
+    const destinationType = fireblocksConfig?.destinationType || PeerType.VAULT_ACCOUNT;
+    if (fireblocksConfig && !Object.keys(DESTINATION_ID_FIELDS).includes(destinationType)) {
+      return {
+        success: false,
+        error: `Invalid Fireblocks destination configuration found for this asset: destinationType must be one of ${Object.keys(DESTINATION_ID_FIELDS).join(', ')}`,
+        code: 'INVALID_FIREBLOCKS_HOT_WALLET_CONFIGURATION',
+        data: null
+      };
+    }
+
+    const idField = DESTINATION_ID_FIELDS[destinationType];
+    if (!fireblocksConfig || !fireblocksConfig.assetId || (idField && !fireblocksConfig[idField])) {
+      return {
+        success: false,
+        error: 'Invalid hot wallet configuration found for this asset',
+        code: 'INVALID_FIREBLOCKS_HOT_WALLET_CONFIGURATION',
+        data: null
+      };
+    }
+
+    let normalizedConfig;
+    if (destinationType === PeerType.VAULT_ACCOUNT) {
+      normalizedConfig = { vaultId: fireblocksConfig.vaultId, assetId: fireblocksConfig.assetId };
+    } else if (destinationType === PeerType.ONE_TIME_ADDRESS) {
+      normalizedConfig = { destinationType, address: fireblocksConfig.address || null, tag: fireblocksConfig.tag || null, assetId: fireblocksConfig.assetId };
+    } else {
+      normalizedConfig = { destinationType, walletId: fireblocksConfig.walletId, assetId: fireblocksConfig.assetId };
+    }
+
+    return {
+      success: true,
+      error: null,
+      code: null,
+      data: {
+        walletConfig: {
+          fireblocks: normalizedConfig
+        }
+      }
+    };
+  }
+
+
+  /**
+   * Validate the fee policy of a Fireblocks wallet config (feeLevel, maxFee, gasPrice, priorityFee)
+   * @param {Object} fireblocksConfig - The fireblocks section of the wallet config
+   * @returns {string|null} The problem found or null if the fee policy is valid
+   */
+  static validateFeeConfig(fireblocksConfig) {
+    if (fireblocksConfig.feeLevel !== undefined && !FEE_LEVELS.includes(fireblocksConfig.feeLevel)) {
+      return `feeLevel must be one of ${FEE_LEVELS.join(', ')}`;
+    }
+
+    const invalidField = FEE_FIELDS.find(field => {
+      if (fireblocksConfig[field] === undefined) {
+        return false;
+      }
+      const value = new BigNumber(fireblocksConfig[field]);
+      return !value.isFinite() || value.lte(0);
+    });
+
+    return invalidField ? `${invalidField} must be a positive number` : null;
+  }
+
+  /**
+   * Get the fee parameters of a transfer from the asset's fee policy and the refill urgency.
+   * Without a policy the fee level is MEDIUM. Urgent (HIGH) refills are sent with the HIGH fee level;
+   * explicit gasPrice/priorityFee are dropped for them so the fee level applies, maxFee still caps the fee.
+   * @param {Object} fireblocksConfig - The fireblocks section of the sweep wallet config
+   * @param {string} [urgency] - Refill urgency: NORMAL (default) or HIGH
+   * @returns {Object} Fee parameters: { feeLevel, maxFee?, gasPrice?, priorityFee? }
+   */
+  static getFeeParams(fireblocksConfig, urgency = 'NORMAL') {
+    const config = fireblocksConfig || {};
+    const isUrgent = urgency === 'HIGH';
+    const feeParams = {
+      feeLevel: isUrgent ? FeeLevel.HIGH : (config.feeLevel || FeeLevel.MEDIUM)
+    };
+
+    FEE_FIELDS.forEach(field => {
+      if (config[field] === undefined || (isUrgent && field !== 'maxFee')) {
+        return;
+      }
+      feeParams[field] = String(config[field]);
+    });
+
+    return feeParams;
+  }
+
+  static getColdWalletId(sweepWalletConfig) {
+    return sweepWalletConfig.fireblocks.vaultId;
+  }
+
+  /**
+   * Get the ID of the refill destination: the vault ID, the whitelisted wallet ID,
+   * or for one-time addresses the configured address (default: the hot wallet address)
+   * @param {Object} hotWalletConfig - Asset hot wallet config
+   * @param {Object} wallet - Hot wallet record
+   * @returns {string} Hot wallet ID
+   */
+  static getHotWalletId(hotWalletConfig, wallet) {
+    const fireblocksConfig = hotWalletConfig?.fireblocks || {};
+    switch (fireblocksConfig.destinationType || PeerType.VAULT_ACCOUNT) {
+      case PeerType.EXTERNAL_WALLET:
+      case PeerType.INTERNAL_WALLET:
+        return fireblocksConfig.walletId;
+      case PeerType.ONE_TIME_ADDRESS:
+        return fireblocksConfig.address || wallet?.address;
+      default:
+        return fireblocksConfig.vaultId;
+    }
+  }
+
+  /**
+   * Build the Fireblocks transfer destination of a refill from the hot wallet config.
+   * Without a fireblocks section in the hot wallet config the destination is the vault hotWalletId.
+   * @param {Object|null} hotWalletConfig - Asset hot wallet config
+   * @param {string} hotWalletId - Destination ID resolved by getHotWalletId
+   * @returns {Object} Fireblocks destination peer path
+   */
+  static getDestination(hotWalletConfig, hotWalletId) {
+    const fireblocksConfig = hotWalletConfig?.fireblocks;
+    const destinationType = fireblocksConfig?.destinationType || PeerType.VAULT_ACCOUNT;
+
+    if (destinationType === PeerType.ONE_TIME_ADDRESS) {
+      const oneTimeAddress = { address: hotWalletId };
+      // Memo / destination tag for chains that need one (e.g. XRP, XLM, EOS)
+      if (fireblocksConfig.tag) {
+        oneTimeAddress.tag = String(fireblocksConfig.tag);
+      }
+      return { type: PeerType.ONE_TIME_ADDRESS, oneTimeAddress };
+    }
+
+    return { type: destinationType, id: hotWalletId };
+  }
+
+  static getStatusMap() {
+    return {
+      'SUBMITTED': 'PROCESSING',
+      'PENDING_AML_SCREENING': 'PROCESSING',
+      'PENDING_ENRICHMENT': 'PROCESSING',
+      'PENDING_AUTHORIZATION': 'PROCESSING',
+      'QUEUED': 'PROCESSING',
+      'PENDING_SIGNATURE': 'PROCESSING',
+      'PENDING_3RD_PARTY_MANUAL_APPROVAL': 'PROCESSING',
+      'PENDING_3RD_PARTY': 'PROCESSING',
+      'BROADCASTING': 'PROCESSING',
+      'CONFIRMING': 'PROCESSING',
+      'COMPLETED': 'COMPLETED',
+      'CANCELLING': 'PROCESSING',
+      'CANCELLED': 'FAILED',
+      'BLOCKED': 'FAILED',
+      'REJECTED': 'FAILED',
+      'FAILED': 'FAILED',
+    };
+  }
+
+  static extractTransactionDetails(providerResponse) {
+    return {
+      providerTxId: providerResponse.id,
+      txHash: providerResponse.txHash,
+      status: providerResponse.status,
+      message: providerResponse.note || null,
+      providerData: providerResponse
+    };
+  }
+
   /**
    * Initialize Fireblocks provider
    * @returns {Promise<Object>} Result object:
@@ -68,13 +315,67 @@ class FireblocksProvider extends AbstractProvider {
     }
   }
 
+  /**
+   * Cancel a Fireblocks transaction. Fireblocks moves it to CANCELLING and then CANCELLED;
+   * transactions that were already signed or broadcast are rejected by the API
+   * @param {string} txnId - Fireblocks transaction ID
+   * @returns {Promise<Object>} Cancellation result
+   */
+  async cancelTransaction(txnId) {
+    try {
+      logger.info(`Cancelling transaction in Fireblocks: ${txnId}`);
+
+      const result = await this.transaction.cancelTransactionById(txnId);
+      const cancelled = result?.success === true;
+      return {
+        cancelled: cancelled,
+        supported: true,
+        message: cancelled ? 'Transaction cancellation submitted to Fireblocks' : 'Fireblocks did not accept the cancellation'
+      };
+    } catch (error) {
+      logger.error(`Error cancelling transaction in Fireblocks: ${error.message}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the Fireblocks transaction of a refill attempt; Fireblocks transactions carry the asset ID suffix
+   * @param {string} externalTxId - External transaction ID of the refill attempt
+   * @param {Object} transaction - Refill transaction from database (with Asset association)
+   * @returns {Promise<Object|null>} { externalTxId, transaction } or null if Fireblocks has no such transaction
+   */
+  async findTransactionByExternalTxId(externalTxId, transaction) {
+    const assetId = transaction.Asset?.sweepWalletConfig?.fireblocks?.assetId || transaction.tokenSymbol;
+    const txId = `${externalTxId}_${assetId}`;
+
+    try {
+      logger.info(`Looking up Fireblocks transaction by external ID: ${txId}`);
+
+      const result = await this.transaction.getTransactionByExternalTxId(txId);
+      return result ? { externalTxId: txId, transaction: result } : null;
+    } catch (error) {
+      if (error.response?.status === 404) {
+        return null;
+      }
+      logger.error(`Error looking up Fireblocks transaction by external ID: ${error.message}`);
+      throw error;
+    }
+  }
+
   async getTokenBalance(token) {
     try {
       logger.info(`Getting token balance for: ${token.symbol}`);
 
-      const assetId = token.walletConfig.fireblocks.assetId;
-      const vaultId = token.walletConfig.fireblocks.vaultId;
-      const balance = await this.walletFactory.getTokenBalance(vaultId, assetId);
+      const { assetId, vaultId, walletId, destinationType = PeerType.VAULT_ACCOUNT } = token.walletConfig.fireblocks;
+      let balance;
+      if (destinationType === PeerType.VAULT_ACCOUNT) {
+        balance = await this.walletFactory.getTokenBalance(vaultId, assetId);
+      } else if (destinationType === PeerType.INTERNAL_WALLET) {
+        balance = await this.walletFactory.getInternalWalletBalance(walletId, assetId);
+      } else {
+        // Fireblocks does not track balances of external wallets and one-time addresses
+        throw new Error(`Fireblocks cannot read the balance of ${destinationType} destinations, set hotWalletConfig.provider to the provider holding the hot wallet`);
+      }
       const balanceInAtomic = new BigNumber(balance).multipliedBy(new BigNumber(10).pow(token.decimalPlaces));
       return balanceInAtomic.toString();
 
@@ -84,6 +385,37 @@ class FireblocksProvider extends AbstractProvider {
     }
   }
 
+  /**
+   * Get the balance components of a vault account or internal wallet
+   * @param {Object} token - Token configuration object
+   * @returns {Promise<Object>} { available, pending, locked } in atomic units
+   */
+  async getTokenBalanceBreakdown(token) {
+    try {
+      logger.info(`Getting token balance breakdown for: ${token.symbol}`);
+
+      const { assetId, vaultId, walletId, destinationType = PeerType.VAULT_ACCOUNT } = token.walletConfig.fireblocks;
+      let breakdown;
+      if (destinationType === PeerType.VAULT_ACCOUNT) {
+        breakdown = await this.walletFactory.getTokenBalanceBreakdown(vaultId, assetId);
+      } else if (destinationType === PeerType.INTERNAL_WALLET) {
+        breakdown = await this.walletFactory.getInternalWalletBalanceBreakdown(walletId, assetId);
+      } else {
+        throw new Error(`Fireblocks cannot read the balance of ${destinationType} destinations, set hotWalletConfig.provider to the provider holding the hot wallet`);
+      }
+
+      const toAtomic = amount => new BigNumber(amount).multipliedBy(new BigNumber(10).pow(token.decimalPlaces)).toString();
+      return {
+        available: toAtomic(breakdown.available),
+        pending: toAtomic(breakdown.pending),
+        locked: toAtomic(breakdown.locked)
+      };
+    } catch (error) {
+      logger.error(`Error getting token balance breakdown from Fireblocks: ${error.message}`);
+      throw error;
+    }
+  }
+
   /**
    * Create a transfer request -
    * This method handles the cold wallet to hot wallet refill flow for Fireblocks
@@ -92,7 +424,7 @@ class FireblocksProvider extends AbstractProvider {
    */
   async createTransferRequest(transferData) {
     try {
-      const { coldWalletId, hotWalletId, amount, asset, blockchain, externalTxId, coldWalletConfig } = transferData;
+      const { coldWalletId, hotWalletId, amount, asset, blockchain, externalTxId, coldWalletConfig, hotWalletConfig, urgency } = transferData;
       
       let assetId = null;
       if (coldWalletConfig && coldWalletConfig.fireblocks && coldWalletConfig.fireblocks.assetId) {
@@ -103,25 +435,37 @@ class FireblocksProvider extends AbstractProvider {
         assetId = asset;
       }
 
-      logger.info(`Creating Fireblocks vault-to-vault transfer request: ${amount} for ${assetId} from vault ${coldWalletId} to vault ${hotWalletId}`);
+      // The hot wallet config may belong to another provider and only name the Fireblocks destination
+      if (hotWalletConfig && hotWalletConfig.fireblocks) {
+        const destinationValidation = FireblocksProvider.validateHotWalletConfig(hotWalletConfig);
+        if (!destinationValidation.success) {
+          throw new Error(`Invalid Fireblocks destination in hot wallet config: ${destinationValidation.error}`);
+        }
+      }
+      if (!hotWalletId) {
+        throw new Error('Missing Fireblocks refill destination');
+      }
+
+      const destination = FireblocksProvider.getDestination(hotWalletConfig, hotWalletId);
+
+      logger.info(`Creating Fireblocks transfer request: ${amount} for ${assetId} from vault ${coldWalletId} to ${destination.type} ${hotWalletId}`);
 
       // Use provided externalTxId or generate one if not provided
       const txId = `${externalTxId}_${assetId}`;
+
+      const feeParams = FireblocksProvider.getFeeParams(coldWalletConfig && coldWalletConfig.fireblocks, urgency);
       
-      // Prepare transaction data for vault-to-vault transfer
+      // Prepare transaction data for the transfer from the cold vault
       const transactionData = {
         externalTxId: txId,
         assetId: assetId,
         amount: amount,
-        feeLevel: FeeLevel.MEDIUM,
+        ...feeParams,
         source: {
           type: PeerType.VAULT_ACCOUNT,
           id: coldWalletId
         },
-        destination: {
-          type: PeerType.VAULT_ACCOUNT,
-          id: hotWalletId
-        },
+        destination: destination,
         note: `Cold to hot wallet refill - ${assetId} transfer`,
       };
 
@@ -137,6 +481,7 @@ class FireblocksProvider extends AbstractProvider {
         externalTxId: txId,
         transactionId: result.id,
         createdAt: new Date().toISOString(),
+        feeParams: { ...feeParams, urgency: urgency || 'NORMAL' },
         result: result
       };
       
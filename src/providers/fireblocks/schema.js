@@ -0,0 +1,30 @@
+/**
+ * Fireblocks config (providers.fireblocks) and secret (fireblocks) schema
+ */
+const schema = {
+  required: true,
+  config: {
+    type: 'object',
+    properties: {
+      apiBaseUrl: { type: 'string' },
+      webhookEnabled: { type: 'boolean', default: false },
+      webhookPublicKey: { type: 'string' },
+      webhookPollingFallbackInSeconds: { type: 'number', default: 300 }  // 5 minutes
+    },
+    required: ['apiBaseUrl']
+  },
+  secret: {
+    type: 'object',
+    properties: {
+      apiKey: {
+        type: 'string'
+      },
+      privateKey: {
+        type: 'string'
+      }
+    },
+    required: ['apiKey', 'privateKey']
+  }
+};
+
+module.exports = schema;
@@ -24,7 +24,10 @@ class Transaction {
         destination,
         note,
         externalTxId,
-        feeLevel = FeeLevel.MEDIUM
+        feeLevel = FeeLevel.MEDIUM,
+        maxFee,
+        gasPrice,
+        priorityFee
       } = transactionData;
 
       const payload = {
@@ -37,6 +40,13 @@ class Transaction {
         note
       };
 
+      // Explicit fee parameters are only sent when the asset's fee policy sets them
+      Object.entries({ maxFee, gasPrice, priorityFee }).forEach(([field, value]) => {
+        if (value !== undefined) {
+          payload[field] = value;
+        }
+      });
+
       logger.debug('Creating Fireblocks transaction:', payload);
       const result = await this.fireblocks.createTransaction(payload);
       logger.debug('Transaction created:', result);
@@ -84,6 +94,23 @@ class Transaction {
     }
   }
 
+  /**
+   * Cancel a transaction using Fireblocks SDK
+   * @param {string} txId - Transaction ID
+   * @returns {Promise<Object>} Cancellation result ({ success })
+   */
+  async cancelTransactionById(txId) {
+    try {
+      logger.debug(`Cancelling transaction: ${txId}`);
+      const result = await this.fireblocks.cancelTransactionById(txId);
+      logger.debug('Transaction cancellation result:', result);
+
+      return result;
+    } catch (error) {
+      logger.error("Error cancelling transaction:", error);
+      throw error;
+    }
+  }
 }
 
 module.exports = Transaction;
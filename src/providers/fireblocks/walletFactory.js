@@ -1,5 +1,6 @@
 const logger = require('../../middleware/logger')('fireblocksWallet');
 const FireblocksSDK = require("fireblocks-sdk").FireblocksSDK;
+const BigNumber = require('bignumber.js');
 
 class WalletFactory {
   constructor() {
@@ -39,6 +40,62 @@ class WalletFactory {
       throw error;
     }
   }
+
+  /**
+   * Get the balance components of a vault account asset
+   * @param {string} vaultId - Vault account ID
+   * @param {string} assetId - Asset ID
+   * @returns {Promise<Object>} { available, pending, locked } (locked includes frozen funds)
+   */
+  async getTokenBalanceBreakdown(vaultId, assetId) {
+    try {
+      const { available, pending, frozen, lockedAmount } = await this.fireblocks.getVaultAccountAsset(vaultId, assetId);
+      return {
+        available: available || '0',
+        pending: pending || '0',
+        locked: new BigNumber(frozen || 0).plus(lockedAmount || 0).toFixed()
+      };
+    } catch (error) {
+      logger.error("Error getting token balance breakdown:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get the balance components of a whitelisted internal wallet asset
+   * @param {string} walletId - Internal wallet ID
+   * @param {string} assetId - Asset ID
+   * @returns {Promise<Object>} { available, pending, locked }
+   */
+  async getInternalWalletBalanceBreakdown(walletId, assetId) {
+    try {
+      const { balance, lockedAmount } = await this.fireblocks.getInternalWalletAsset(walletId, assetId);
+      return {
+        available: balance || '0',
+        pending: '0',
+        locked: lockedAmount || '0'
+      };
+    } catch (error) {
+      logger.error("Error getting internal wallet balance breakdown:", error);
+      throw error;
+    }
+  }
+
+  /**
+   * Get token balance of a whitelisted internal wallet
+   * @param {string} walletId - Internal wallet ID
+   * @param {string} assetId - Asset ID
+   * @returns {Promise<string>} Balance
+   */
+  async getInternalWalletBalance(walletId, assetId) {
+    try {
+      const { balance } = await this.fireblocks.getInternalWalletAsset(walletId, assetId);
+      return balance;
+    } catch (error) {
+      logger.error("Error getting internal wallet balance:", error);
+      throw error;
+    }
+  }
 }
 
 module.exports = WalletFactory;
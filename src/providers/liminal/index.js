@@ -1,8 +1,17 @@
 const AbstractProvider = require('../abstractProvider');
 const WalletFactory = require('./walletFactory');
 const Transaction = require('./transaction');
+const schema = require('./schema');
 const logger = require('../../middleware/logger')('liminal');
 
+// Errors returned by the Liminal API once the session access token expired or was revoked
+const AUTH_ERROR_PATTERN = /unauthori[sz]ed|invalid token|token (is )?expired|jwt expired/i;
+
+function isAuthError(error) {
+  const status = error?.response?.status || error?.status || error?.statusCode;
+  return status === 401 || AUTH_ERROR_PATTERN.test(error?.message || '');
+}
+
 /**
  * Liminal Provider Implementation
  * Implements the AbstractProvider interface for Liminal API integration
@@ -22,6 +31,92 @@ class LiminalProvider extends AbstractProvider {
     return 'liminal';
   }
 
+  static getConfigSchema() {
+    return schema;
+  }
+
+  /**
+   * Build the Liminal secret
+   * @param {Function} getSecret - Secret lookup by key (config.getSecret)
+   * @returns {Object} The liminal secret with the TSM credentials (liminalTsmCredentials) used to co-sign MPC wallet transfers
+   */
+  static getProviderSecret(getSecret) {
+    return {
+      ...(getSecret('liminal') || {}),
+      tsmCredentials: getSecret('liminalTsmCredentials') || null
+    };
+  }
+
+  /**
+   * Build the Liminal provider config
+   * @param {Object|null} providerConfig - The providers.liminal config section
+   * @returns {Object} Provider config with the Liminal environment (default: dev)
+   */
+  static getProviderConfig(providerConfig) {
+    return { env: providerConfig?.env || 'dev' };
+  }
+
+  /**
+   * Validate the Liminal section of an asset wallet config
+   * @param {Object} walletConfig - Asset wallet config
+   * @returns {Object} Result object; data.walletConfig holds the normalized Liminal section
+   */
+  static validateWalletConfig(walletConfig) {
+    if (!walletConfig.liminal || !walletConfig.liminal.walletId || !walletConfig.liminal.tokenSymbol || !walletConfig.liminal.version) {
+      return {
+        success: false,
+        error: 'Invalid cold wallet configuration found for this asset',
+        code: 'INVALID_LIMINAL_COLD_WALLET_CONFIGURATION',
+        data: null
+      };
+    }
+
+    return {
+      success: true,
+      error: null,
+      code: null,
+      data: {
+        walletConfig: {
+          liminal: {
+            walletId: walletConfig.liminal.walletId,
+            version: walletConfig.liminal.version,
+            tokenSymbol: walletConfig.liminal.tokenSymbol
+          }
+        }
+      }
+    };
+  }
+
+  static getColdWalletId(sweepWalletConfig) {
+    return sweepWalletConfig.liminal.walletId;
+  }
+
+  /**
+   * Liminal transfers are addressed to the hot wallet address
+   */
+  static getHotWalletId(hotWalletConfig, wallet) {
+    return wallet.address;
+  }
+
+  static getStatusMap() {
+    return {
+      '1': 'PROCESSING',
+      '2': 'PROCESSING',
+      '4': 'COMPLETED',
+      '5': 'FAILED'
+    };
+  }
+
+  static extractTransactionDetails(providerResponse) {
+    return {
+      providerTxId: providerResponse.identifier,
+      txHash: providerResponse.identifier,
+      status: providerResponse.status,
+      message: providerResponse.comment || null,
+      providerData: providerResponse
+    };
+  }
+
   /**
    * Initialize Liminal provider
    * @returns {Promise<Object>} Success status
@@ -33,7 +128,8 @@ class LiminalProvider extends AbstractProvider {
       }
 
       // Initialize wallet factory
-      await this.walletFactory.init(this.secret);
+      const { clientId, clientSecret, AuthAudience } = this.secret;
+      await this.walletFactory.init({ clientId, clientSecret, AuthAudience }, this.secret.tsmCredentials || null);
       
       // Initialize transaction handler
       this.transaction = new Transaction(this.walletFactory);
@@ -46,6 +142,25 @@ class LiminalProvider extends AbstractProvider {
     }
   }
 
+  /**
+   * Run a Liminal API operation; if the session was rejected, re-authenticate and run it once more
+   * @param {Function} operation - Function making the Liminal API calls
+   * @returns {Promise<*>} Result of the operation
+   */
+  async withReauthentication(operation) {
+    try {
+      return await operation();
+    } catch (error) {
+      if (!isAuthError(error)) {
+        throw error;
+      }
+
+      logger.info(`Liminal session rejected (${error.message}), re-authenticating`);
+      await this.walletFactory.reauthenticate();
+      return operation();
+    }
+  }
+
   /**
    * Get token balance for a wallet
    * @param {Object} token - Token configuration object
@@ -55,7 +170,7 @@ class LiminalProvider extends AbstractProvider {
     try {
       logger.debug(`Getting token balance for: ${token.symbol}`);
       
-      const balance = await this.walletFactory.getTokenBalance(token);
+      const balance = await this.withReauthentication(() => this.walletFactory.getTokenBalance(token));
       return balance;
       
     } catch (error) {
@@ -72,14 +187,44 @@ class LiminalProvider extends AbstractProvider {
    */
   async createTransferRequest(transferData) {
     try {
-      const transferRequest = await this.transaction.createTransferRequest(transferData);
-      return transferRequest;
+      // Requests rejected as unauthorized were not created, so they can be sent again after re-authenticating
+      const transferRequest = await this.withReauthentication(() => this.transaction.createTransferRequest(transferData));
+      if (!this.walletFactory.isMpcWallet(transferData.coldWalletConfig)) {
+        return transferRequest;
+      }
+      return await this.cosignTransferRequest(transferData, transferRequest);
     } catch (error) {
       logger.error(`Error creating transfer request: ${error.message}`);
       throw error;
     }
   }
 
+  /**
+   * Co-sign a created MPC transfer request with the TSM. Only the signing step is retried after
+   * re-authenticating, since the request itself already exists at Liminal.
+   * If signing fails, the request is returned as created with a signingError: the SDK cannot reject it,
+   * so the refill stays in flight until the request is signed or rejected in the Liminal console
+   * @param {Object} transferData - Transfer configuration
+   * @param {Object} transferRequest - Created transfer request
+   * @returns {Promise<Object>} Transfer request result
+   */
+  async cosignTransferRequest(transferData, transferRequest) {
+    try {
+      const signing = await this.withReauthentication(() => this.transaction.signTransferRequest(transferData, transferRequest.transactionId));
+      return {
+        ...transferRequest,
+        status: signing.status || transferRequest.status,
+        result: { ...transferRequest.result, signing: signing }
+      };
+    } catch (error) {
+      logger.error(`Co-signing of Liminal transfer request ${transferRequest.transactionId} failed, it stays pending until it is signed or rejected in the Liminal console: ${error.message}`);
+      return {
+        ...transferRequest,
+        signingError: error.message
+      };
+    }
+  }
+
   /**
    * Get transaction by ID
    * @param {string} txnId - Transaction ID
@@ -93,13 +238,74 @@ class LiminalProvider extends AbstractProvider {
         throw new Error("Token configuration is required for Liminal getTransactionById");
       }
 
-      const transaction = await this.transaction.getTransactionById(txnId, sequenceId, token);
+      const transaction = await this.withReauthentication(() => this.transaction.getTransactionById(txnId, sequenceId, token));
       return transaction;
     } catch (error) {
       logger.error(`Error getting transaction by ID: ${error.message}`);
       throw error;
     }
   }
+
+  /**
+   * Fetch the latest Liminal transaction of a refill; Liminal looks transfers up through the asset's cold wallet
+   * @param {Object} transaction - Refill transaction from database (with Asset association)
+   * @returns {Promise<Object>} Transaction details
+   */
+  async fetchTransactionStatus(transaction) {
+    const tokenInfo = this.getColdWalletTokenInfo(transaction);
+    return this.getTransactionById(transaction.providerTxId, transaction.externalTxId, tokenInfo);
+  }
+
+  /**
+   * Find the Liminal transaction of a refill attempt by its sequence ID, which carries the token symbol suffix
+   * @param {string} externalTxId - External transaction ID of the refill attempt
+   * @param {Object} transaction - Refill transaction from database (with Asset association)
+   * @returns {Promise<Object|null>} { externalTxId, transaction } or null if Liminal has no such transaction
+   */
+  async findTransactionByExternalTxId(externalTxId, transaction) {
+    const tokenInfo = this.getColdWalletTokenInfo(transaction);
+    const symbol = tokenInfo.walletConfig.liminal?.tokenSymbol || tokenInfo.symbol;
+    const sequenceId = `${externalTxId}_${symbol}`;
+
+    const result = await this.withReauthentication(() => this.transaction.getTransactionBySequenceId(sequenceId, tokenInfo));
+    return result ? { externalTxId: sequenceId, transaction: result } : null;
+  }
+
+  /**
+   * Build the token info of a refill's cold wallet; Liminal looks transfers up through the cold wallet
+   * @param {Object} transaction - Refill transaction from database (with Asset association)
+   * @returns {Object} Token configuration object
+   */
+  getColdWalletTokenInfo(transaction) {
+    const asset = transaction.Asset;
+    if (!asset) {
+      throw new Error(`Asset data not available for status check of refill ${transaction.refillRequestId}`);
+    }
+
+    return {
+      symbol: asset.symbol,
+      blockchainSymbol: asset.Blockchain?.symbol || transaction.tokenSymbol,
+      contractAddress: asset.contractAddress === 'native' ? null : asset.contractAddress,
+      decimalPlaces: asset.decimals,
+      walletConfig: asset.sweepWalletConfig || {}
+    };
+  }
+
+  /**
+   * Cancel a transaction
+   * Pending Liminal transfer requests are rejected by the wallet approvers in the Liminal console;
+   * the SDK does not expose a rejection call, so cancellation is reported as unsupported
+   * @param {string} txnId - Transaction ID
+   * @returns {Promise<Object>} Cancellation result
+   */
+  async cancelTransaction(txnId) {
+    logger.info(`Cancellation of Liminal transaction ${txnId} must be done by rejecting it in the Liminal console`);
+    return {
+      cancelled: false,
+      supported: false,
+      message: 'Liminal transfer requests must be rejected in the Liminal console'
+    };
+  }
 }
 
 module.exports = LiminalProvider;
@@ -0,0 +1,30 @@
+/**
+ * Liminal config (providers.liminal) and secret (liminal) schema
+ */
+const schema = {
+  required: true,
+  config: {
+    type: 'object',
+    properties: {
+      env: { type: 'string' }
+    },
+    required: ['env']
+  },
+  secret: {
+    type: 'object',
+    properties: {
+      clientId: {
+        type: 'string'
+      },
+      clientSecret: {
+        type: 'string'
+      },
+      AuthAudience: {
+        type: 'string'
+      }
+    },
+    required: ['clientId', 'clientSecret', 'AuthAudience']
+  }
+};
+
+module.exports = schema;
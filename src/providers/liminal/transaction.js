@@ -9,38 +9,57 @@ class Transaction {
     this.walletFactory = walletFactory;
   }
 
+  /**
+   * Resolve the cold wallet of a transfer and the Liminal token symbol it is sent in
+   * @param {Object} transferData - Transfer configuration
+   * @returns {Promise<Object>} { wallet, symbol }
+   */
+  async getColdWallet(transferData) {
+    const { asset, blockchain, coldWalletConfig } = transferData;
+
+    let symbol = null;
+    if (coldWalletConfig && coldWalletConfig.liminal && coldWalletConfig.liminal.tokenSymbol) {
+      symbol = coldWalletConfig.liminal.tokenSymbol;
+    } else {
+      logger.info(`Missing token symbol for asset ${asset} on blockchain ${blockchain} for Liminal, continuing with default asset symbol`);
+      // Keep default asset symbol
+      symbol = asset;
+    }
+
+    const wallet = await this.walletFactory.getWallet({
+      symbol: symbol,
+      blockchainSymbol: blockchain,
+      contractAddress: transferData.contractAddress || null,
+      walletConfig: coldWalletConfig
+    });
+
+    if (!wallet) {
+      throw new Error("Unable to get cold wallet instance");
+    }
+
+    return { wallet, symbol };
+  }
+
   /**
    * Create a transfer request from cold wallet to hot wallet
    * using CreateSendManyTransactionRequestAsync
+   * Requests from MPC wallets still have to be co-signed with signTransferRequest
    * @param {Object} transferData - Transfer configuration
    * @returns {Promise<Object>} Transfer request result
    */
   async createTransferRequest(transferData) {
     try {
-      const { coldWalletId, hotWalletAddress, amount, asset, blockchain, externalTxId, coldWalletConfig } = transferData;
+      const { coldWalletId, hotWalletAddress, amount, asset, externalTxId, coldWalletConfig } = transferData;
       
       logger.debug(`Creating transfer request: ${amount} ${asset} from cold wallet ${coldWalletId} to ${hotWalletAddress}`);
 
-      let symbol = null;
-      if (coldWalletConfig && coldWalletConfig.liminal && coldWalletConfig.liminal.tokenSymbol) {
-        symbol = coldWalletConfig.liminal.tokenSymbol;
-      } else {
-        logger.info(`Missing token symbol for asset ${asset} on blockchain ${blockchain} for Liminal, continuing with default asset symbol`);
-        // Keep default asset symbol
-        symbol = asset;
-      }
+      const { wallet, symbol } = await this.getColdWallet(transferData);
       
-      const wallet = await this.walletFactory.getWallet({
-        symbol: symbol,
-        blockchainSymbol: blockchain,
-        contractAddress: transferData.contractAddress || null,
-        walletConfig: coldWalletConfig
-      });
-      
-      if (!wallet) {
-        throw new Error("Unable to get cold wallet instance");
+      // MPC wallet transfers are co-signed with the TSM; fail before creating a request that could not be signed
+      if (this.walletFactory.isMpcWallet(coldWalletConfig)) {
+        this.walletFactory.getTsmCredentials();
       }
-      
+
       // Use provided externalTxId or generate one if not provided
       const sequenceId = `${externalTxId}_${symbol}`;
 
@@ -84,15 +103,12 @@ class Transaction {
         
         logger.info("Transfer request created successfully with Liminal:", response);
         
-        // Extract transaction ID from response data
-        const transactionId = response.data?.txnReqId?.toString();
-        
         // Return the transfer result
         return {
           status: response.data?.status || null,
           message: response.data?.comment || sendManyOptions.comment,
           externalTxId: response.data?.sequenceId || sequenceId,
-          transactionId: transactionId,
+          transactionId: response.data?.txnReqId?.toString(),
           createdAt: response.data?.timestamp ? new Date(response.data?.timestamp).toISOString() : new Date().toISOString(),
           result: response.data
         }; 
@@ -106,6 +122,58 @@ class Transaction {
     }
   }
 
+  /**
+   * Co-sign a created transfer request from an MPC wallet with the TSM
+   * @param {Object} transferData - Transfer configuration the request was created with
+   * @param {string} txnReqId - Liminal transaction request ID
+   * @returns {Promise<Object>} Signing result data
+   */
+  async signTransferRequest(transferData, txnReqId) {
+    const { wallet } = await this.getColdWallet(transferData);
+
+    const walletV2 = wallet.WalletV2();
+    if (!walletV2) {
+      throw new Error("Unable to get WalletV2 instance");
+    }
+
+    return this.cosignTransferRequest(walletV2, txnReqId, this.walletFactory.getTsmCredentials());
+  }
+
+  /**
+   * Co-sign a transfer request from an MPC wallet with the TSM
+   * Without this key share the request cannot execute, so a failure here leaves it pending at Liminal until it is signed
+   * @param {Object} walletV2 - WalletV2 instance of the cold wallet
+   * @param {string} txnReqId - Liminal transaction request ID
+   * @param {Object} tsmCredentials - TSM credentials (userID, url, password, publicKey)
+   * @returns {Promise<Object>} Signing result data
+   */
+  async cosignTransferRequest(walletV2, txnReqId, tsmCredentials) {
+    logger.info(`Co-signing Liminal MPC transfer request ${txnReqId} with TSM at ${tsmCredentials.url}`);
+
+    const result = await walletV2.SignTransactionRequestWithTSMAsync({
+      txnReqId: txnReqId,
+      tsmCredentials: {
+        userID: tsmCredentials.userID,
+        url: tsmCredentials.url,
+        password: tsmCredentials.password,
+        publicKey: tsmCredentials.publicKey
+      }
+    });
+    if (result.isErr()) {
+      const errorMessage = result.error.message || 'SignTransactionRequestWithTSMAsync failed';
+      logger.error(`SignTransactionRequestWithTSMAsync error for transfer request ${txnReqId}: ${errorMessage}`, result.error);
+      throw new Error(errorMessage);
+    }
+
+    const response = result.value;
+    if (!response.success) {
+      throw new Error(response.message || 'SignTransactionRequestWithTSMAsync failed');
+    }
+
+    logger.info(`Liminal MPC transfer request ${txnReqId} co-signed successfully`);
+    return response.data || {};
+  }
+
   /**
    * Get transaction by ID
    * @param {string} txnId - Transaction ID
@@ -152,6 +220,48 @@ class Transaction {
       throw error;
     }
   }
+
+  /**
+   * Find a transaction by its sequence ID only, as a pending transfer request or as a transfer
+   * @param {string} sequenceId - Sequence ID
+   * @param {Object} token - Token configuration object (required for Liminal to get wallet instance)
+   * @returns {Promise<Object|null>} Transaction details or null if Liminal has no transaction with this sequence ID
+   */
+  async getTransactionBySequenceId(sequenceId, token) {
+    try {
+      logger.info(`Getting transaction by sequenceId: ${sequenceId} for token: ${token.symbol}`);
+
+      const wallet = await this.walletFactory.getWallet(token);
+      if (!wallet) {
+        throw new Error("Unable to get wallet instance");
+      }
+
+      const isNotFound = (result) => result.message && result.message.toLowerCase().includes("not found");
+
+      let transferResult = await wallet.GetPendingTransaction({ sequenceId: sequenceId });
+      if (!transferResult.success) {
+        if (!isNotFound(transferResult)) {
+          throw new Error(`error: ${transferResult.message}`);
+        }
+
+        // Transfer requests leave the pending list once they are approved and broadcast
+        transferResult = await wallet.GetTransfer({ sequenceId: sequenceId });
+        if (!transferResult.success) {
+          if (isNotFound(transferResult)) {
+            return null;
+          }
+          throw new Error(`error: ${transferResult.message}`);
+        }
+      }
+
+      logger.debug(`Transaction found:`, transferResult);
+
+      return transferResult.data.transaction;
+    } catch (error) {
+      logger.error("Error getting transaction by sequenceId:", error);
+      throw error;
+    }
+  }
 }
 
 module.exports = Transaction;
\ No newline at end of file
@@ -1,22 +1,31 @@
 const logger = require('../../middleware/logger')('liminalWallet');
 const { LiminalJs, CoinsEnum, LiminalEnvironment } = require("@lmnl/liminaljs");
 
+// Wallet versions (sweepWalletConfig.liminal.version) of MPC wallets; other versions are multisig wallets
+const MPC_WALLET_VERSIONS = ['2', 'v2'];
+
 class WalletFactory {
   constructor(env, walletId) {
     this.liminalJs = new LiminalJs(LiminalEnvironment[env]);
     this.env = env;
     this.walletId = walletId;
+    this.tsmCredentials = null;
+    this.auth = null;
+    this.authenticating = null;
   }
 
   /**
    * Authenticate LiminalJs api
    * @param {Object} auth - Authentication credentials
+   * @param {Object} [tsmCredentials] - TSM credentials (userID, url, password, publicKey) for MPC wallets
    * @returns {Promise<boolean>}
    */
-  async init(auth) {
+  async init(auth, tsmCredentials = null) {
     try {
+      this.auth = auth;
       await this.liminalJs.Authenticate(auth).AuthenticateWithAccessToken();
-      logger.info('Liminal wallet factory initialized successfully');
+      this.tsmCredentials = tsmCredentials;
+      logger.info(`Liminal wallet factory initialized successfully${tsmCredentials ? ' with TSM signing for MPC wallets' : ''}`);
       return true;
     } catch (error) {
       logger.error('Failed to initialize Liminal wallet factory:', error.message);
@@ -24,6 +33,47 @@ class WalletFactory {
     }
   }
 
+  /**
+   * Authenticate again with the credentials of init, e.g. after the access token expired
+   * Concurrent calls share one authentication request
+   * @returns {Promise<void>}
+   */
+  async reauthenticate() {
+    if (!this.auth) {
+      throw new Error('Liminal wallet factory is not initialized');
+    }
+
+    if (!this.authenticating) {
+      logger.info('Re-authenticating Liminal session');
+      this.authenticating = this.liminalJs.Authenticate(this.auth).AuthenticateWithAccessToken()
+        .finally(() => {
+          this.authenticating = null;
+        });
+    }
+    await this.authenticating;
+  }
+
+  /**
+   * Check whether a wallet config refers to an MPC wallet
+   * @param {Object} walletConfig - Asset wallet config
+   * @returns {boolean} True if transfers from the wallet must be co-signed with the TSM
+   */
+  isMpcWallet(walletConfig) {
+    const version = walletConfig?.liminal?.version;
+    return version !== undefined && version !== null && MPC_WALLET_VERSIONS.includes(String(version).toLowerCase());
+  }
+
+  /**
+   * Get the TSM credentials used to co-sign MPC wallet transfers
+   * @returns {Object} TSM credentials
+   */
+  getTsmCredentials() {
+    if (!this.tsmCredentials) {
+      throw new Error('Liminal TSM credentials (liminalTsmCredentials) are required to sign transfers from MPC wallets');
+    }
+    return this.tsmCredentials;
+  }
+
   /**
    * Get the wallet instance
    * @param {Object} token - Token configuration object
@@ -0,0 +1,291 @@
+const logger = require('../middleware/logger')('providerGuard');
+
+// Provider instance methods that call the custodian API
+const GUARDED_METHODS = [
+  'getTransactionById',
+  'getTokenBalance',
+  'getTokenBalanceBreakdown',
+  'createTransferRequest',
+  'cancelTransaction',
+  'fetchTransactionStatus',
+  'findTransactionByExternalTxId'
+];
+
+// A timed out transfer request may still be created by the provider, so it is left to the provider client timeout
+const UNTIMED_METHODS = ['createTransferRequest'];
+
+const CIRCUIT_STATES = {
+  CLOSED: 'CLOSED',
+  OPEN: 'OPEN',
+  HALF_OPEN: 'HALF_OPEN'
+};
+
+// Error codes of requests that did not get a response from the provider
+const NETWORK_ERROR_CODES = [
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ECONNABORTED',
+  'ETIMEDOUT',
+  'ENOTFOUND',
+  'EAI_AGAIN',
+  'EHOSTUNREACH',
+  'ENETUNREACH',
+  'EPIPE',
+  'ERR_NETWORK'
+];
+
+const DEFAULT_GUARD_CONFIG = {
+  requestsPerSecond: 10,
+  burstSize: 20,
+  maxQueueWaitInMs: 10000,
+  requestTimeoutInMs: 30000,
+  failureThreshold: 5,
+  openDurationInMs: 60000
+};
+
+/**
+ * Error thrown when a provider call is not made (circuit open, rate limit wait too long) or times out
+ */
+class ProviderUnavailableError extends Error {
+  constructor(providerName, reason, message, retryAt = null) {
+    super(message);
+    this.name = 'ProviderUnavailableError';
+    this.code = 'PROVIDER_UNAVAILABLE';
+    this.details = {
+      provider: providerName,
+      reason,
+      retryAt: retryAt ? retryAt.toISOString() : null
+    };
+  }
+}
+
+/**
+ * Whether a provider call failed because the provider is degraded (timeout, network error, 5xx or 429 response)
+ * rather than because of the request itself (4xx responses, validation errors, not found)
+ * @param {Error} error - Error thrown by the provider call
+ * @returns {boolean} True if the failure counts towards opening the circuit
+ */
+function isProviderFailure(error) {
+  if (error?.code === 'PROVIDER_UNAVAILABLE') {
+    return error.details?.reason === 'TIMEOUT';
+  }
+
+  const status = error?.response?.status || error?.status || error?.statusCode;
+  if (Number.isInteger(status)) {
+    return status >= 500 || status === 429;
+  }
+
+  return NETWORK_ERROR_CODES.includes(error?.code) || NETWORK_ERROR_CODES.includes(error?.cause?.code);
+}
+
+/**
+ * Provider Guard
+ * Rate limits (token bucket), times out and circuit-breaks the API calls of one provider instance,
+ * so a degraded custodian fails fast with PROVIDER_UNAVAILABLE instead of piling up requests
+ */
+class ProviderGuard {
+  /**
+   * @param {string} providerName - Provider name
+   * @param {Object} guardConfig - Guard config (see DEFAULT_GUARD_CONFIG)
+   */
+  constructor(providerName, guardConfig = {}) {
+    this.providerName = providerName;
+    this.config = { ...DEFAULT_GUARD_CONFIG, ...guardConfig };
+
+    this.tokens = this.config.burstSize;
+    this.lastRefillAt = Date.now();
+
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.lastFailureAt = null;
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Wrap a provider instance; guarded methods run through the guard, everything else is passed through
+   * Guarded methods are called on the provider itself, so calls between provider methods are not guarded twice
+   * @param {Object} provider - Provider instance
+   * @returns {Proxy} Guarded provider
+   */
+  wrap(provider) {
+    const guard = this;
+    return new Proxy(provider, {
+      get(target, property, receiver) {
+        const value = Reflect.get(target, property, receiver);
+        if (typeof value !== 'function' || !GUARDED_METHODS.includes(property)) {
+          return value;
+        }
+        return (...args) => guard.execute(property, () => value.apply(target, args));
+      }
+    });
+  }
+
+  /**
+   * Run a provider call through the circuit breaker, rate limit and timeout
+   * @param {string} method - Provider method name
+   * @param {Function} call - Function making the provider call
+   * @returns {Promise<*>} Result of the provider call
+   */
+  async execute(method, call) {
+    this.acquirePermission();
+
+    let result;
+    try {
+      await this.acquireToken();
+      result = await this.withTimeout(method, call());
+    } catch (error) {
+      this.recordFailure(error);
+      throw error;
+    }
+
+    this.recordSuccess();
+    return result;
+  }
+
+  /**
+   * Fail fast while the circuit is open; once the open duration has passed, let one trial call through
+   */
+  acquirePermission() {
+    if (this.state === CIRCUIT_STATES.OPEN) {
+      const retryAt = new Date(this.openedAt + this.config.openDurationInMs);
+      if (Date.now() < retryAt.getTime()) {
+        throw new ProviderUnavailableError(
+          this.providerName,
+          'CIRCUIT_OPEN',
+          `${this.providerName} provider is unavailable after ${this.consecutiveFailures} consecutive failures`,
+          retryAt
+        );
+      }
+
+      logger.info(`${this.providerName} circuit half-open, allowing a trial call`);
+      this.state = CIRCUIT_STATES.HALF_OPEN;
+    }
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+      if (this.trialInFlight) {
+        throw new ProviderUnavailableError(
+          this.providerName,
+          'CIRCUIT_HALF_OPEN',
+          `${this.providerName} provider is recovering, a trial call is in progress`
+        );
+      }
+      this.trialInFlight = true;
+    }
+  }
+
+  /**
+   * Take a token from the bucket, waiting for one if the bucket is empty
+   * Calls that would wait longer than maxQueueWaitInMs are rejected instead of queued
+   */
+  async acquireToken() {
+    const now = Date.now();
+    const { requestsPerSecond, burstSize, maxQueueWaitInMs } = this.config;
+
+    this.tokens = Math.min(burstSize, this.tokens + ((now - this.lastRefillAt) / 1000) * requestsPerSecond);
+    this.lastRefillAt = now;
+
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return;
+    }
+
+    // Reserve the token ahead of time so queued calls are spaced out in order
+    const waitMs = Math.ceil(((1 - this.tokens) / requestsPerSecond) * 1000);
+    if (waitMs > maxQueueWaitInMs) {
+      throw new ProviderUnavailableError(
+        this.providerName,
+        'RATE_LIMITED',
+        `${this.providerName} provider rate limit exceeded, request would wait ${waitMs}ms`
+      );
+    }
+
+    this.tokens -= 1;
+    await new Promise(resolve => setTimeout(resolve, waitMs));
+  }
+
+  /**
+   * Reject a provider call that does not settle within requestTimeoutInMs
+   * @param {string} method - Provider method name
+   * @param {Promise} promise - Pending provider call
+   * @returns {Promise<*>} Result of the provider call
+   */
+  withTimeout(method, promise) {
+    const timeoutMs = this.config.requestTimeoutInMs;
+    if (!timeoutMs || UNTIMED_METHODS.includes(method)) {
+      return promise;
+    }
+
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new ProviderUnavailableError(
+        this.providerName,
+        'TIMEOUT',
+        `${this.providerName} ${method} timed out after ${timeoutMs}ms`
+      )), timeoutMs);
+    });
+
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  recordSuccess() {
+    if (this.state !== CIRCUIT_STATES.CLOSED) {
+      logger.info(`${this.providerName} circuit closed`);
+    }
+    this.state = CIRCUIT_STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.openedAt = null;
+    this.trialInFlight = false;
+  }
+
+  recordFailure(error) {
+    // Calls rejected by the guard itself did not reach the provider
+    if (error.code === 'PROVIDER_UNAVAILABLE' && error.details?.reason !== 'TIMEOUT') {
+      if (this.state === CIRCUIT_STATES.HALF_OPEN) {
+        this.trialInFlight = false;
+      }
+      return;
+    }
+
+    // A rejected request (bad input, not found, insufficient funds) shows the provider is responding
+    if (!isProviderFailure(error)) {
+      this.recordSuccess();
+      return;
+    }
+
+    this.consecutiveFailures += 1;
+    this.lastFailureAt = new Date();
+
+    if (this.state === CIRCUIT_STATES.HALF_OPEN || this.consecutiveFailures >= this.config.failureThreshold) {
+      if (this.state !== CIRCUIT_STATES.OPEN) {
+        logger.error(`${this.providerName} circuit opened after ${this.consecutiveFailures} consecutive failures: ${error.message}`);
+      }
+      this.state = CIRCUIT_STATES.OPEN;
+      this.openedAt = Date.now();
+    }
+    this.trialInFlight = false;
+  }
+
+  /**
+   * Get the breaker state reported by the health endpoint
+   * Provider error messages are only logged, since the health endpoint is not authenticated
+   * @returns {Object} { state, consecutiveFailures, lastFailureAt, retryAt }
+   */
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      lastFailureAt: this.lastFailureAt ? this.lastFailureAt.toISOString() : null,
+      retryAt: this.state === CIRCUIT_STATES.OPEN
+        ? new Date(this.openedAt + this.config.openDurationInMs).toISOString()
+        : null
+    };
+  }
+}
+
+module.exports = {
+  ProviderGuard,
+  ProviderUnavailableError,
+  CIRCUIT_STATES,
+  GUARDED_METHODS
+};
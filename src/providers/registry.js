@@ -0,0 +1,73 @@
+const LiminalProvider = require('./liminal');
+const FireblocksProvider = require('./fireblocks');
+const BitGoProvider = require('./bitgo');
+const SimulatorProvider = require('./simulator');
+
+/**
+ * Provider Registry
+ * Maps provider names to their AbstractProvider subclasses. Everything provider specific (config schema,
+ * credentials, wallet config validation, wallet IDs, status map and status fetch) is declared by the class,
+ * so adding a custodian is one module in src/providers/<name> registered here.
+ */
+class ProviderRegistry {
+  constructor() {
+    this.providerClasses = new Map();
+  }
+
+  /**
+   * Register a provider class under its provider name
+   * @param {Function} ProviderClass - AbstractProvider subclass
+   * @returns {ProviderRegistry} The registry
+   */
+  register(ProviderClass) {
+    const providerName = ProviderClass.getProviderName();
+    if (this.providerClasses.has(providerName)) {
+      throw new Error(`Provider ${providerName} is already registered`);
+    }
+
+    this.providerClasses.set(providerName, ProviderClass);
+    return this;
+  }
+
+  /**
+   * Get a provider class by name
+   * @param {string} providerName - Provider name
+   * @returns {Function|null} Provider class or null if not registered
+   */
+  get(providerName) {
+    return this.providerClasses.get(providerName?.toLowerCase()) || null;
+  }
+
+  /**
+   * Check whether a provider is registered
+   * @param {string} providerName - Provider name
+   * @returns {boolean} True if registered
+   */
+  has(providerName) {
+    return this.get(providerName) !== null;
+  }
+
+  /**
+   * Get the names of all registered providers
+   * @returns {string[]} Provider names
+   */
+  getProviderNames() {
+    return Array.from(this.providerClasses.keys());
+  }
+
+  /**
+   * Get all registered provider classes
+   * @returns {Function[]} Provider classes
+   */
+  getProviderClasses() {
+    return Array.from(this.providerClasses.values());
+  }
+}
+
+const providerRegistry = new ProviderRegistry();
+providerRegistry.register(LiminalProvider);
+providerRegistry.register(FireblocksProvider);
+providerRegistry.register(BitGoProvider);
+providerRegistry.register(SimulatorProvider);
+
+module.exports = providerRegistry;
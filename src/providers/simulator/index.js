@@ -0,0 +1,205 @@
+const AbstractProvider = require('../abstractProvider');
+const Ledger = require('./ledger');
+const schema = require('./schema');
+const BigNumber = require('bignumber.js');
+const logger = require('../../middleware/logger')('simulator');
+
+const DEFAULT_STATUS_SEQUENCE = ['SUBMITTED', 'PENDING_SIGNATURE', 'BROADCASTING', 'CONFIRMING', 'COMPLETED'];
+
+/**
+ * Simulator Provider Implementation
+ * Simulated custody provider for local and staging environments. Balances and transfers live in an
+ * in-memory ledger, so no custody credentials are needed and nothing is moved on chain.
+ */
+class SimulatorProvider extends AbstractProvider {
+  constructor(config, secret) {
+    super(config, secret);
+    this.ledger = null; // Will be initialized in init()
+  }
+
+  /**
+   * Get the name of the provider
+   * @returns {string} The name of the provider
+   */
+  static getProviderName() {
+    return 'simulator';
+  }
+
+  static getConfigSchema() {
+    return schema;
+  }
+
+  /**
+   * Build the simulator provider config
+   * @param {Object|null} providerConfig - The providers.simulator config section
+   * @returns {Object} Provider config with defaults applied
+   */
+  static getProviderConfig(providerConfig) {
+    const statusSequence = Array.isArray(providerConfig?.statusSequence) && providerConfig.statusSequence.length > 0
+      ? providerConfig.statusSequence
+      : DEFAULT_STATUS_SEQUENCE;
+
+    return {
+      balances: providerConfig?.balances || {},
+      defaultBalance: providerConfig?.defaultBalance || '0',
+      statusSequence: statusSequence,
+      stepDelayInMs: providerConfig?.stepDelayInMs ?? 5000,
+      transferFailureRate: providerConfig?.transferFailureRate || 0,
+      transferRequestFailureRate: providerConfig?.transferRequestFailureRate || 0
+    };
+  }
+
+  /**
+   * Validate the simulator section of an asset wallet config
+   * @param {Object} walletConfig - Asset wallet config
+   * @returns {Object} Result object; data.walletConfig holds the normalized simulator section
+   */
+  static validateWalletConfig(walletConfig) {
+    if (!walletConfig.simulator || !walletConfig.simulator.walletId) {
+      return {
+        success: false,
+        error: 'Invalid cold wallet configuration found for this asset',
+        code: 'INVALID_SIMULATOR_COLD_WALLET_CONFIGURATION',
+        data: null
+      };
+    }
+
+    return {
+      success: true,
+      error: null,
+      code: null,
+      data: {
+        walletConfig: {
+          simulator: {
+            walletId: walletConfig.simulator.walletId
+          }
+        }
+      }
+    };
+  }
+
+  static getStatusMap() {
+    return {
+      'COMPLETED': 'COMPLETED',
+      'FAILED': 'FAILED',
+      'CANCELLED': 'FAILED',
+      'REJECTED': 'FAILED'
+    };
+  }
+
+  static extractTransactionDetails(providerResponse) {
+    return {
+      providerTxId: providerResponse.id,
+      txHash: providerResponse.txHash,
+      status: providerResponse.status,
+      message: providerResponse.note || null,
+      providerData: providerResponse
+    };
+  }
+
+  /**
+   * Initialize simulator provider
+   * @returns {Promise<Object>} Result object
+   */
+  async init() {
+    this.ledger = new Ledger(this.config);
+    logger.info('Simulator provider initialized, transfers are not executed on chain');
+    return { success: true };
+  }
+
+  async getTransactionById(txnId) {
+    logger.info(`Getting transaction by ID from simulator: ${txnId}`);
+
+    const transaction = this.ledger.getTransfer(txnId);
+    if (!transaction) {
+      throw new Error(`Simulated transaction ${txnId} not found`);
+    }
+
+    return transaction;
+  }
+
+  /**
+   * Find the simulated transaction of a refill attempt
+   * @param {string} externalTxId - External transaction ID of the refill attempt
+   * @returns {Promise<Object|null>} { externalTxId, transaction } or null if not found
+   */
+  async findTransactionByExternalTxId(externalTxId) {
+    const transaction = this.ledger.getTransferByExternalTxId(externalTxId);
+    return transaction ? { externalTxId: externalTxId, transaction: transaction } : null;
+  }
+
+  /**
+   * Cancel a simulated transaction that has not reached a final status
+   * @param {string} txnId - Simulator transaction ID
+   * @returns {Promise<Object>} Cancellation result
+   */
+  async cancelTransaction(txnId) {
+    logger.info(`Cancelling transaction in simulator: ${txnId}`);
+
+    const cancelled = this.ledger.cancelTransfer(txnId);
+    return {
+      cancelled: cancelled,
+      supported: true,
+      message: cancelled ? 'Simulated transaction cancelled' : 'Simulated transaction not found or already final'
+    };
+  }
+
+  async getTokenBalance(token) {
+    logger.info(`Getting token balance for: ${token.symbol}`);
+
+    const walletId = token.walletConfig.simulator.walletId;
+    const balance = this.ledger.getBalance(walletId, token.symbol);
+    return balance.multipliedBy(new BigNumber(10).pow(token.decimalPlaces)).toFixed(0);
+  }
+
+  /**
+   * Get the balance components of a wallet; transfers to the wallet that have not completed yet are pending
+   * @param {Object} token - Token configuration object
+   * @returns {Promise<Object>} { available, pending, locked } in atomic units
+   */
+  async getTokenBalanceBreakdown(token) {
+    const walletId = token.walletConfig.simulator.walletId;
+    const multiplier = new BigNumber(10).pow(token.decimalPlaces);
+    return {
+      available: this.ledger.getBalance(walletId, token.symbol).multipliedBy(multiplier).toFixed(0),
+      pending: this.ledger.getPendingIncoming(walletId, token.symbol).multipliedBy(multiplier).toFixed(0),
+      locked: '0'
+    };
+  }
+
+  /**
+   * Create a transfer request -
+   * Debits the simulated cold wallet and walks the transfer through the configured status sequence
+   * @param {Object} transferData - Transfer configuration
+   * @returns {Promise<Object>} Transfer result
+   */
+  async createTransferRequest(transferData) {
+    try {
+      const { coldWalletId, hotWalletId, amount, asset, externalTxId } = transferData;
+
+      logger.info(`Creating simulated transfer request: ${amount} ${asset} from wallet ${coldWalletId} to wallet ${hotWalletId}`);
+
+      const result = this.ledger.createTransfer({
+        sourceWalletId: coldWalletId,
+        destinationWalletId: hotWalletId,
+        symbol: asset,
+        amount: amount,
+        externalTxId: externalTxId
+      });
+
+      return {
+        status: result.status,
+        message: 'Transfer request submitted to simulator',
+        externalTxId: result.externalTxId,
+        transactionId: result.id,
+        createdAt: result.createdAt,
+        result: result
+      };
+    } catch (error) {
+      logger.error(`Error creating simulated transfer request: ${error.message}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = SimulatorProvider;
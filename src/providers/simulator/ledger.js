@@ -0,0 +1,232 @@
+const crypto = require('crypto');
+const BigNumber = require('bignumber.js');
+const logger = require('../../middleware/logger')('simulatorLedger');
+
+const FINAL_STATUSES = ['COMPLETED', 'FAILED', 'CANCELLED'];
+
+/**
+ * In-memory ledger of the simulated custody provider
+ * Holds wallet balances and walks transfers through the configured status sequence based on elapsed time.
+ * Amounts are kept human-readable per wallet ID and asset symbol. Transfers are debited from the source
+ * wallet on creation, credited to the destination when they complete and refunded when they fail or are cancelled.
+ */
+class Ledger {
+  /**
+   * @param {Object} options - Simulator config
+   * @param {Object} [options.balances] - Opening balances per wallet ID and asset symbol
+   * @param {string} [options.defaultBalance] - Opening balance of wallets not listed in balances
+   * @param {string[]} options.statusSequence - Statuses a transfer walks through
+   * @param {number} options.stepDelayInMs - Time spent in each status
+   * @param {number} [options.transferFailureRate] - Share of transfers that end FAILED
+   * @param {number} [options.transferRequestFailureRate] - Share of transfer requests rejected on creation
+   * @param {Function} [random] - Random number source (0-1), for failure injection
+   */
+  constructor(options, random = Math.random) {
+    this.options = options;
+    this.random = random;
+    this.balances = new Map();
+    this.transfers = new Map();
+    this.externalTxIds = new Map();
+
+    Object.entries(options.balances || {}).forEach(([walletId, assets]) => {
+      Object.entries(assets).forEach(([symbol, amount]) => {
+        this.balances.set(this.balanceKey(walletId, symbol), new BigNumber(amount));
+      });
+    });
+  }
+
+  balanceKey(walletId, symbol) {
+    return `${walletId}:${symbol.toUpperCase()}`;
+  }
+
+  /**
+   * Get the balance of a wallet
+   * @param {string} walletId - Simulator wallet ID
+   * @param {string} symbol - Asset symbol
+   * @returns {BigNumber} Balance (human-readable)
+   */
+  getBalance(walletId, symbol) {
+    this.settleTransfers();
+    return this.readBalance(walletId, symbol);
+  }
+
+  /**
+   * Get the amount of transfers on their way to a wallet
+   * @param {string} walletId - Simulator wallet ID
+   * @param {string} symbol - Asset symbol
+   * @returns {BigNumber} Pending incoming amount (human-readable)
+   */
+  getPendingIncoming(walletId, symbol) {
+    this.settleTransfers();
+    let pending = new BigNumber(0);
+    this.transfers.forEach(transfer => {
+      if (!transfer.settled && transfer.destinationWalletId === walletId && transfer.symbol === symbol.toUpperCase()) {
+        pending = pending.plus(transfer.amount);
+      }
+    });
+    return pending;
+  }
+
+  readBalance(walletId, symbol) {
+    const balance = this.balances.get(this.balanceKey(walletId, symbol));
+    return balance || new BigNumber(this.options.defaultBalance || 0);
+  }
+
+  adjustBalance(walletId, symbol, delta) {
+    this.balances.set(this.balanceKey(walletId, symbol), this.readBalance(walletId, symbol).plus(delta));
+  }
+
+  /**
+   * Create a transfer and debit the source wallet
+   * @param {Object} transferData - { sourceWalletId, destinationWalletId, symbol, amount, externalTxId }
+   * @returns {Object} The transfer
+   */
+  createTransfer({ sourceWalletId, destinationWalletId, symbol, amount, externalTxId }) {
+    if (this.random() < (this.options.transferRequestFailureRate || 0)) {
+      throw new Error('Simulated transfer request failure');
+    }
+
+    if (externalTxId && this.externalTxIds.has(externalTxId)) {
+      throw new Error(`Transfer with external transaction ID ${externalTxId} already exists`);
+    }
+
+    const transferAmount = new BigNumber(amount);
+    if (!transferAmount.isFinite() || transferAmount.lte(0)) {
+      throw new Error(`Invalid transfer amount: ${amount}`);
+    }
+
+    this.settleTransfers();
+    const available = this.readBalance(sourceWalletId, symbol);
+    if (available.lt(transferAmount)) {
+      throw new Error(`Insufficient balance in simulator wallet ${sourceWalletId}. Available: ${available.toFixed()} ${symbol}, Requested: ${transferAmount.toFixed()} ${symbol}`);
+    }
+
+    const transfer = {
+      id: `sim_${crypto.randomUUID()}`,
+      externalTxId: externalTxId || null,
+      sourceWalletId,
+      destinationWalletId,
+      symbol: symbol.toUpperCase(),
+      amount: transferAmount.toFixed(),
+      willFail: this.random() < (this.options.transferFailureRate || 0),
+      cancelled: false,
+      settled: false,
+      createdAt: Date.now()
+    };
+
+    this.adjustBalance(sourceWalletId, symbol, transferAmount.negated());
+    this.transfers.set(transfer.id, transfer);
+    if (transfer.externalTxId) {
+      this.externalTxIds.set(transfer.externalTxId, transfer.id);
+    }
+
+    logger.info(`Simulated transfer ${transfer.id} created: ${transfer.amount} ${transfer.symbol} from ${sourceWalletId} to ${destinationWalletId}${transfer.willFail ? ' (will fail)' : ''}`);
+    return this.toTransaction(transfer);
+  }
+
+  /**
+   * Get a transfer with its current status
+   * @param {string} transferId - Transfer ID
+   * @returns {Object|null} The transfer or null if not found
+   */
+  getTransfer(transferId) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer) {
+      return null;
+    }
+
+    this.settleTransfer(transfer);
+    return this.toTransaction(transfer);
+  }
+
+  /**
+   * Get a transfer by the external transaction ID it was created with
+   * @param {string} externalTxId - External transaction ID
+   * @returns {Object|null} The transfer or null if not found
+   */
+  getTransferByExternalTxId(externalTxId) {
+    const transferId = this.externalTxIds.get(externalTxId);
+    return transferId ? this.getTransfer(transferId) : null;
+  }
+
+  /**
+   * Cancel a transfer that has not reached a final status and refund the source wallet
+   * @param {string} transferId - Transfer ID
+   * @returns {boolean} True if the transfer was cancelled
+   */
+  cancelTransfer(transferId) {
+    const transfer = this.transfers.get(transferId);
+    if (!transfer) {
+      return false;
+    }
+
+    this.settleTransfer(transfer);
+    if (transfer.settled) {
+      return false;
+    }
+
+    transfer.cancelled = true;
+    this.settleTransfer(transfer);
+    return true;
+  }
+
+  /**
+   * Get the current status of a transfer from the time since it was created
+   * @param {Object} transfer - Transfer
+   * @returns {string} Status
+   */
+  getStatus(transfer) {
+    if (transfer.cancelled) {
+      return 'CANCELLED';
+    }
+
+    const sequence = this.options.statusSequence;
+    const step = Math.floor((Date.now() - transfer.createdAt) / this.options.stepDelayInMs);
+    if (step < sequence.length - 1) {
+      return sequence[step];
+    }
+
+    return transfer.willFail ? 'FAILED' : sequence[sequence.length - 1];
+  }
+
+  settleTransfers() {
+    this.transfers.forEach(transfer => this.settleTransfer(transfer));
+  }
+
+  settleTransfer(transfer) {
+    if (transfer.settled) {
+      return;
+    }
+
+    const status = this.getStatus(transfer);
+    if (!FINAL_STATUSES.includes(status)) {
+      return;
+    }
+
+    if (status === 'COMPLETED') {
+      this.adjustBalance(transfer.destinationWalletId, transfer.symbol, new BigNumber(transfer.amount));
+    } else {
+      this.adjustBalance(transfer.sourceWalletId, transfer.symbol, new BigNumber(transfer.amount));
+    }
+    transfer.settled = true;
+    logger.info(`Simulated transfer ${transfer.id} settled as ${status}`);
+  }
+
+  toTransaction(transfer) {
+    const status = this.getStatus(transfer);
+    return {
+      id: transfer.id,
+      externalTxId: transfer.externalTxId,
+      status: status,
+      sourceWalletId: transfer.sourceWalletId,
+      destinationWalletId: transfer.destinationWalletId,
+      symbol: transfer.symbol,
+      amount: transfer.amount,
+      txHash: status === 'COMPLETED' ? `0x${crypto.createHash('sha256').update(transfer.id).digest('hex')}` : null,
+      note: status === 'FAILED' ? 'Simulated transfer failure' : null,
+      createdAt: new Date(transfer.createdAt).toISOString()
+    };
+  }
+}
+
+module.exports = Ledger;
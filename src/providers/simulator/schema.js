@@ -0,0 +1,31 @@
+/**
+ * Simulator config (providers.simulator) schema
+ * The simulator is only initialized when the providers.simulator section is present; it needs no secret
+ */
+const schema = {
+  required: false,
+  config: {
+    type: 'object',
+    properties: {
+      // Opening balances (human-readable) per simulator wallet ID and asset symbol, e.g. { "cold-1": { "BTC": "10" } }
+      balances: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          additionalProperties: { type: 'string' }
+        }
+      },
+      defaultBalance: { type: 'string', default: '0' },  // Opening balance of wallets not listed in balances
+      statusSequence: { type: 'array' },  // Statuses a transfer walks through; the last one is final
+      stepDelayInMs: { type: 'number', default: 5000 },  // Time spent in each status
+      transferFailureRate: { type: 'number', default: 0 },  // Share of transfers (0-1) that end FAILED
+      transferRequestFailureRate: { type: 'number', default: 0 }  // Share of transfer requests (0-1) rejected on creation
+    }
+  },
+  secret: {
+    type: 'object',
+    properties: {}
+  }
+};
+
+module.exports = schema;
@@ -1,7 +1,17 @@
 const express = require('express');
-const { processRefillRequestController, checkTransactionStatusController } = require('../controller/refillController');
+const {
+  processRefillRequestController,
+  previewRefillRequestController,
+  checkTransactionStatusController,
+  listRefillTransactionsController,
+  getRefillCallbacksController,
+  cancelRefillTransactionController,
+  retryRefillRequestController
+} = require('../controller/refillController');
 const { doHealthCheckController } = require('../controller/healthCheckController');
-const { authenticate } = require('../middleware/authentication');
+const adminController = require('../controller/adminController');
+const { fireblocksWebhookController } = require('../controller/webhookController');
+const { authenticate, authenticateRefillAction, authenticateAdmin } = require('../middleware/authentication');
 const router = express.Router();
 
 // Health check endpoint (no authentication required)
@@ -10,7 +20,47 @@ router.get('/v1/health', doHealthCheckController);
 // Main refill endpoint (with authentication)
 router.post('/v1/wallet/refill', authenticate, processRefillRequestController);
 
+// Refill preview endpoint: validates a refill request without moving funds (with authentication)
+router.post('/v1/wallet/refill/preview', authenticate, previewRefillRequestController);
+
 // Transaction status check endpoint (with authentication)
 router.get('/v1/wallet/refill/status/:refill_request_id', authenticate, checkTransactionStatusController);
 
+// Refill history listing endpoint with filters and cursor pagination (with authentication)
+router.get('/v1/wallet/refills', authenticate, listRefillTransactionsController);
+
+// Status callback delivery log endpoint (with authentication)
+router.get('/v1/wallet/refill/:refill_request_id/callbacks', authenticate, getRefillCallbacksController);
+
+// Manual cancel endpoint for in-flight refills (with authentication bound to the request method and path)
+router.post('/v1/wallet/refill/:refill_request_id/cancel', authenticateRefillAction, cancelRefillTransactionController);
+
+// Retry endpoint to resubmit a FAILED refill under a new attempt (with authentication bound to the request method and path)
+router.post('/v1/wallet/refill/:refill_request_id/retry', authenticateRefillAction, retryRefillRequestController);
+
+// Fireblocks webhook endpoint (verified with the Fireblocks webhook signature instead of JWT)
+router.post('/v1/providers/fireblocks/webhook', fireblocksWebhookController);
+
+// Admin endpoints for managing blockchains, wallets and assets (authenticated with the admin key)
+router.get('/v1/admin/blockchains', authenticateAdmin, adminController.listBlockchainsController);
+router.get('/v1/admin/blockchains/:id', authenticateAdmin, adminController.getBlockchainController);
+router.post('/v1/admin/blockchains', authenticateAdmin, adminController.createBlockchainController);
+router.put('/v1/admin/blockchains/:id', authenticateAdmin, adminController.updateBlockchainController);
+router.delete('/v1/admin/blockchains/:id', authenticateAdmin, adminController.deleteBlockchainController);
+
+router.get('/v1/admin/wallets', authenticateAdmin, adminController.listWalletsController);
+router.get('/v1/admin/wallets/:id', authenticateAdmin, adminController.getWalletController);
+router.post('/v1/admin/wallets', authenticateAdmin, adminController.createWalletController);
+router.put('/v1/admin/wallets/:id', authenticateAdmin, adminController.updateWalletController);
+router.delete('/v1/admin/wallets/:id', authenticateAdmin, adminController.deleteWalletController);
+
+router.get('/v1/admin/assets', authenticateAdmin, adminController.listAssetsController);
+router.get('/v1/admin/assets/:id', authenticateAdmin, adminController.getAssetController);
+router.post('/v1/admin/assets', authenticateAdmin, adminController.createAssetController);
+router.put('/v1/admin/assets/:id', authenticateAdmin, adminController.updateAssetController);
+router.delete('/v1/admin/assets/:id', authenticateAdmin, adminController.deleteAssetController);
+
+// Re-initializes a provider with reloaded secrets, e.g. after a credential rotation
+router.post('/v1/admin/providers/:name/reinitialize', authenticateAdmin, adminController.reinitializeProviderController);
+
 module.exports = { router };
@@ -0,0 +1,697 @@
+const _ = require('lodash');
+const BigNumber = require('bignumber.js');
+const logger = require('../middleware/logger')('adminService');
+const databaseService = require('./chainDb');
+const refillUtils = require('./utils/utils');
+const providerService = require('./providerService');
+
+// Writable fields per entity (snake_case, as accepted in request payloads) and their expected types
+const BLOCKCHAIN_FIELDS = {
+  name: 'string',
+  symbol: 'string',
+  chain_id: 'string',
+  explorer_url_tx: 'string',
+  explorer_url_address: 'string',
+  native_asset_symbol: 'string',
+  is_active: 'boolean'
+};
+
+const WALLET_FIELDS = {
+  address: 'string',
+  name: 'string',
+  description: 'string',
+  wallet_type: 'string',
+  monitor_status: 'string',
+  blockchain_id: 'integer'
+};
+
+const ASSET_FIELDS = {
+  symbol: 'string',
+  name: 'string',
+  contract_address: 'string',
+  decimals: 'integer',
+  asset_type: 'string',
+  monitor_balance: 'boolean',
+  monitor_transactions: 'boolean',
+  low_balance_threshold_atomic: 'atomic',
+  refill_trigger_threshold_atomic: 'atomic',
+  refill_target_balance_atomic: 'atomic',
+  high_withdrawal_threshold_atomic: 'atomic',
+  refill_dust_threshold_atomic: 'atomic',
+  refill_cooldown_period: 'integer',
+  max_refills_per_day: 'integer',
+  max_daily_refill_amount_atomic: 'atomic',
+  max_single_refill_amount_atomic: 'atomic',
+  min_cold_reserve_atomic: 'atomic',
+  min_gas_reserve_atomic: 'atomic',
+  is_active: 'boolean',
+  wallet_id: 'integer',
+  refill_sweep_wallet: 'string',
+  sweep_wallet_config: 'object',
+  hot_wallet_config: 'object',
+  blockchain_id: 'integer'
+};
+
+const REQUIRED_BLOCKCHAIN_FIELDS = ['name', 'symbol'];
+const REQUIRED_WALLET_FIELDS = ['address', 'wallet_type', 'monitor_status', 'blockchain_id'];
+const REQUIRED_ASSET_FIELDS = ['symbol', 'name', 'decimals', 'asset_type', 'wallet_id', 'blockchain_id'];
+
+/**
+ * Admin Service
+ * Create, read, update and delete operations for blockchains, wallets and assets, and provider re-initialization
+ */
+class AdminService {
+  constructor() {
+    this.logger = logger;
+  }
+
+  // Blockchain methods
+
+  async listBlockchains() {
+    try {
+      const blockchains = await databaseService.listBlockchains();
+      return this.successResult({ blockchains });
+    } catch (error) {
+      return this.handleError('blockchain', 'list', error);
+    }
+  }
+
+  async getBlockchain(id) {
+    try {
+      const blockchainId = this.parseId(id);
+      if (!blockchainId) {
+        return this.invalidIdResult(id);
+      }
+
+      const blockchain = await databaseService.getBlockchainById(blockchainId);
+      if (!blockchain) {
+        return this.notFoundResult('blockchain', blockchainId);
+      }
+
+      return this.successResult({ blockchain });
+    } catch (error) {
+      return this.handleError('blockchain', 'get', error);
+    }
+  }
+
+  async createBlockchain(payload) {
+    try {
+      const parsed = this.parsePayload(payload, BLOCKCHAIN_FIELDS, REQUIRED_BLOCKCHAIN_FIELDS);
+      if (!parsed.success) {
+        return parsed;
+      }
+
+      const blockchain = await databaseService.createBlockchain(parsed.data.values);
+      logger.info(`Blockchain created: ${blockchain.id} (${blockchain.name})`);
+
+      return this.successResult({ blockchain });
+    } catch (error) {
+      return this.handleError('blockchain', 'create', error);
+    }
+  }
+
+  async updateBlockchain(id, payload) {
+    try {
+      const blockchainId = this.parseId(id);
+      if (!blockchainId) {
+        return this.invalidIdResult(id);
+      }
+
+      const parsed = this.parsePayload(payload, BLOCKCHAIN_FIELDS, []);
+      if (!parsed.success) {
+        return parsed;
+      }
+
+      const existing = await databaseService.getBlockchainById(blockchainId);
+      if (!existing) {
+        return this.notFoundResult('blockchain', blockchainId);
+      }
+
+      await databaseService.updateBlockchain(blockchainId, parsed.data.values);
+      const blockchain = await databaseService.getBlockchainById(blockchainId);
+      logger.info(`Blockchain updated: ${blockchainId}, fields: ${Object.keys(parsed.data.values).join(', ')}`);
+
+      return this.successResult({ blockchain });
+    } catch (error) {
+      return this.handleError('blockchain', 'update', error);
+    }
+  }
+
+  async deleteBlockchain(id) {
+    try {
+      const blockchainId = this.parseId(id);
+      if (!blockchainId) {
+        return this.invalidIdResult(id);
+      }
+
+      const deletedRowsCount = await databaseService.deleteBlockchain(blockchainId);
+      if (deletedRowsCount === 0) {
+        return this.notFoundResult('blockchain', blockchainId);
+      }
+
+      logger.info(`Blockchain deleted: ${blockchainId}`);
+      return this.successResult({ id: blockchainId, deleted: true });
+    } catch (error) {
+      return this.handleError('blockchain', 'delete', error);
+    }
+  }
+
+  // Wallet methods
+
+  async listWallets() {
+    try {
+      const wallets = await databaseService.listWallets();
+      return this.successResult({ wallets });
+    } catch (error) {
+      return this.handleError('wallet', 'list', error);
+    }
+  }
+
+  async getWallet(id) {
+    try {
+      const walletId = this.parseId(id);
+      if (!walletId) {
+        return this.invalidIdResult(id);
+      }
+
+      const wallet = await databaseService.getWalletById(walletId);
+      if (!wallet) {
+        return this.notFoundResult('wallet', walletId);
+      }
+
+      return this.successResult({ wallet });
+    } catch (error) {
+      return this.handleError('wallet', 'get', error);
+    }
+  }
+
+  async createWallet(payload) {
+    try {
+      const parsed = this.parsePayload(payload, WALLET_FIELDS, REQUIRED_WALLET_FIELDS);
+      if (!parsed.success) {
+        return parsed;
+      }
+
+      const values = parsed.data.values;
+      const blockchain = await databaseService.getBlockchainById(values.blockchainId);
+      if (!blockchain) {
+        return this.notFoundResult('blockchain', values.blockchainId);
+      }
+
+      const wallet = await databaseService.createWallet(values);
+      logger.info(`Wallet created: ${wallet.id} (${wallet.address})`);
+
+      return this.successResult({ wallet });
+    } catch (error) {
+      return this.handleError('wallet', 'create', error);
+    }
+  }
+
+  async updateWallet(id, payload) {
+    try {
+      const walletId = this.parseId(id);
+      if (!walletId) {
+        return this.invalidIdResult(id);
+      }
+
+      const parsed = this.parsePayload(payload, WALLET_FIELDS, []);
+      if (!parsed.success) {
+        return parsed;
+      }
+
+      const values = parsed.data.values;
+      const existing = await databaseService.getWalletById(walletId);
+      if (!existing) {
+        return this.notFoundResult('wallet', walletId);
+      }
+
+      if (values.blockchainId !== undefined) {
+        const blockchain = await databaseService.getBlockchainById(values.blockchainId);
+        if (!blockchain) {
+          return this.notFoundResult('blockchain', values.blockchainId);
+        }
+      }
+
+      await databaseService.updateWallet(walletId, values);
+      const wallet = await databaseService.getWalletById(walletId);
+      logger.info(`Wallet updated: ${walletId}, fields: ${Object.keys(values).join(', ')}`);
+
+      return this.successResult({ wallet });
+    } catch (error) {
+      return this.handleError('wallet', 'update', error);
+    }
+  }
+
+  async deleteWallet(id) {
+    try {
+      const walletId = this.parseId(id);
+      if (!walletId) {
+        return this.invalidIdResult(id);
+      }
+
+      const deletedRowsCount = await databaseService.deleteWallet(walletId);
+      if (deletedRowsCount === 0) {
+        return this.notFoundResult('wallet', walletId);
+      }
+
+      logger.info(`Wallet deleted: ${walletId}`);
+      return this.successResult({ id: walletId, deleted: true });
+    } catch (error) {
+      return this.handleError('wallet', 'delete', error);
+    }
+  }
+
+  // Asset methods
+
+  async listAssets() {
+    try {
+      const assets = await databaseService.listAssets();
+      return this.successResult({ assets });
+    } catch (error) {
+      return this.handleError('asset', 'list', error);
+    }
+  }
+
+  async getAsset(id) {
+    try {
+      const assetId = this.parseId(id);
+      if (!assetId) {
+        return this.invalidIdResult(id);
+      }
+
+      const asset = await databaseService.getAssetDetails(assetId);
+      if (!asset) {
+        return this.notFoundResult('asset', assetId);
+      }
+
+      return this.successResult({ asset });
+    } catch (error) {
+      return this.handleError('asset', 'get', error);
+    }
+  }
+
+  async createAsset(payload) {
+    try {
+      const parsed = this.parsePayload(payload, ASSET_FIELDS, REQUIRED_ASSET_FIELDS);
+      if (!parsed.success) {
+        return parsed;
+      }
+
+      // Defaults for non-nullable columns that are not required in the payload
+      const values = {
+        monitorBalance: false,
+        monitorTransactions: false,
+        isActive: true,
+        ...parsed.data.values
+      };
+
+      const assetValidation = await this.validateAssetValues(values);
+      if (!assetValidation.success) {
+        return assetValidation;
+      }
+
+      const asset = await databaseService.createAsset(values);
+      logger.info(`Asset created: ${asset.id} (${asset.symbol})`);
+
+      return this.successResult({ asset });
+    } catch (error) {
+      return this.handleError('asset', 'create', error);
+    }
+  }
+
+  async updateAsset(id, payload) {
+    try {
+      const assetId = this.parseId(id);
+      if (!assetId) {
+        return this.invalidIdResult(id);
+      }
+
+      const parsed = this.parsePayload(payload, ASSET_FIELDS, []);
+      if (!parsed.success) {
+        return parsed;
+      }
+
+      const values = parsed.data.values;
+      const existing = await databaseService.getAssetDetails(assetId);
+      if (!existing) {
+        return this.notFoundResult('asset', assetId);
+      }
+
+      // Validate the asset as it will look after the update, so partial updates cannot break cross-field rules
+      const merged = { ...this.toPlainObject(existing), ...values };
+      const assetValidation = await this.validateAssetValues(merged, Object.keys(values));
+      if (!assetValidation.success) {
+        return assetValidation;
+      }
+
+      await databaseService.updateAsset(assetId, values);
+      const asset = await databaseService.getAssetDetails(assetId);
+      logger.info(`Asset updated: ${assetId}, fields: ${Object.keys(values).join(', ')}`);
+
+      return this.successResult({ asset });
+    } catch (error) {
+      return this.handleError('asset', 'update', error);
+    }
+  }
+
+  async deleteAsset(id) {
+    try {
+      const assetId = this.parseId(id);
+      if (!assetId) {
+        return this.invalidIdResult(id);
+      }
+
+      const deletedRowsCount = await databaseService.deleteAsset(assetId);
+      if (deletedRowsCount === 0) {
+        return this.notFoundResult('asset', assetId);
+      }
+
+      logger.info(`Asset deleted: ${assetId}`);
+      return this.successResult({ id: assetId, deleted: true });
+    } catch (error) {
+      return this.handleError('asset', 'delete', error);
+    }
+  }
+
+  // Provider methods
+
+  /**
+   * Re-initialize a provider, e.g. after its credentials were rotated
+   * @param {string} providerName - Provider name
+   * @returns {Promise<Object>} Standardized response
+   */
+  async reinitializeProvider(providerName) {
+    try {
+      return await providerService.reinitializeProvider(providerName);
+    } catch (error) {
+      return this.handleError('provider', 'reinitialize', error);
+    }
+  }
+
+  /**
+   * Validate asset values that depend on other records or on several fields
+   * @param {Object} values - Asset values (camelCase model attributes)
+   * @param {Array<string>} [changedFields] - Fields being written (all fields are checked if omitted)
+   * @returns {Promise<Object>} The validation result object.
+   *   - success {boolean}: true if the asset values are valid, false otherwise.
+   *   - error {string}: the error message if the asset values are not valid.
+   *   - code {string}: the error code if the asset values are not valid.
+   *   - data {Object}: details about the invalid values.
+   */
+  async validateAssetValues(values, changedFields = null) {
+    const isChanged = (field) => !changedFields || changedFields.includes(field);
+
+    if (isChanged('blockchainId') || isChanged('walletId')) {
+      const blockchain = await databaseService.getBlockchainById(values.blockchainId);
+      if (!blockchain) {
+        return this.notFoundResult('blockchain', values.blockchainId);
+      }
+
+      const wallet = await databaseService.getWalletById(values.walletId);
+      if (!wallet) {
+        return this.notFoundResult('wallet', values.walletId);
+      }
+
+      if (wallet.blockchainId !== values.blockchainId) {
+        return {
+          success: false,
+          error: 'Wallet does not belong to the asset blockchain',
+          code: 'WALLET_BLOCKCHAIN_MISMATCH',
+          data: {
+            walletId: values.walletId,
+            walletBlockchainId: wallet.blockchainId,
+            blockchainId: values.blockchainId
+          }
+        };
+      }
+    }
+
+    // Reject provider configurations that would only fail later at refill time
+    for (const [field, configField] of [['sweepWalletConfig', 'sweep_wallet_config'], ['hotWalletConfig', 'hot_wallet_config']]) {
+      if (!isChanged(field) || values[field] === null || values[field] === undefined) {
+        continue;
+      }
+
+      const walletConfigValidation = this.validateWalletConfig(configField, values[field]);
+      if (!walletConfigValidation.success) {
+        return walletConfigValidation;
+      }
+    }
+
+    if (values.refillTriggerThresholdAtomic && values.refillTargetBalanceAtomic) {
+      const triggerThreshold = new BigNumber(values.refillTriggerThresholdAtomic);
+      const targetBalance = new BigNumber(values.refillTargetBalanceAtomic);
+      if (triggerThreshold.gt(targetBalance)) {
+        return {
+          success: false,
+          error: 'refill_trigger_threshold_atomic must not be greater than refill_target_balance_atomic',
+          code: 'INVALID_REFILL_THRESHOLDS',
+          data: {
+            refillTriggerThresholdAtomic: triggerThreshold.toFixed(),
+            refillTargetBalanceAtomic: targetBalance.toFixed()
+          }
+        };
+      }
+    }
+
+    return {
+      success: true,
+      error: null,
+      code: null,
+      data: null
+    };
+  }
+
+  /**
+   * Validate a sweep or hot wallet configuration with the same rules used at refill time
+   * @param {string} field - Payload field name (sweep_wallet_config or hot_wallet_config)
+   * @param {Object} walletConfig - Provider specific wallet configuration
+   * @returns {Object} The validation result object.
+   */
+  validateWalletConfig(field, walletConfig) {
+    if (!walletConfig.provider) {
+      return {
+        success: false,
+        error: `${field} must specify a provider`,
+        code: 'MISSING_WALLET_CONFIG_PROVIDER',
+        data: {
+          field
+        }
+      };
+    }
+
+    const walletConfigResult = refillUtils.getWalletConfig(walletConfig.provider, walletConfig, field === 'hot_wallet_config');
+    if (!walletConfigResult.success) {
+      return {
+        success: false,
+        error: `Invalid ${field}: ${walletConfigResult.error}`,
+        code: walletConfigResult.code,
+        data: {
+          field,
+          provider: walletConfig.provider
+        }
+      };
+    }
+
+    return walletConfigResult;
+  }
+
+  /**
+   * Pick writable fields from a request payload, check their types and convert them to model attributes
+   * @param {Object} payload - Request payload (snake_case fields)
+   * @param {Object} fields - Writable fields and their types
+   * @param {Array<string>} requiredFields - Fields that must be present
+   * @returns {Object} The parse result object.
+   *   - success {boolean}: true if the payload is valid, false otherwise.
+   *   - error {string}: the error message if the payload is not valid.
+   *   - code {string}: the error code if the payload is not valid.
+   *   - data {Object}: { values } with camelCase model attributes if the payload is valid.
+   */
+  parsePayload(payload, fields, requiredFields) {
+    const body = payload || {};
+
+    const missingFields = requiredFields.filter(field => body[field] === undefined || body[field] === null || body[field] === '');
+    if (missingFields.length > 0) {
+      return {
+        success: false,
+        error: `Missing required fields: ${missingFields.join(', ')}`,
+        code: 'MISSING_FIELDS',
+        data: {
+          missingFields
+        }
+      };
+    }
+
+    const values = {};
+    const invalidFields = [];
+    for (const [field, type] of Object.entries(fields)) {
+      if (body[field] === undefined) {
+        continue;
+      }
+
+      // Optional fields may be cleared
+      if (body[field] === null) {
+        if (requiredFields.includes(field)) {
+          invalidFields.push(field);
+        } else {
+          values[_.camelCase(field)] = null;
+        }
+        continue;
+      }
+
+      const value = this.parseValue(body[field], type);
+      if (value === undefined) {
+        invalidFields.push(field);
+        continue;
+      }
+      values[_.camelCase(field)] = value;
+    }
+
+    if (invalidFields.length > 0) {
+      return {
+        success: false,
+        error: `Invalid values for fields: ${invalidFields.join(', ')}`,
+        code: 'INVALID_FIELDS',
+        data: {
+          invalidFields
+        }
+      };
+    }
+
+    if (Object.keys(values).length === 0) {
+      return {
+        success: false,
+        error: 'No writable fields provided',
+        code: 'NO_FIELDS_PROVIDED',
+        data: {
+          allowedFields: Object.keys(fields)
+        }
+      };
+    }
+
+    return {
+      success: true,
+      error: null,
+      code: null,
+      data: {
+        values
+      }
+    };
+  }
+
+  /**
+   * Parse a single payload value
+   * @param {*} value - Raw value
+   * @param {string} type - Expected type (string, integer, boolean, atomic, object)
+   * @returns {*} Parsed value or undefined if the value does not match the type
+   */
+  parseValue(value, type) {
+    switch (type) {
+      case 'string':
+        return typeof value === 'string' && value.trim().length > 0 ? value.trim() : undefined;
+      case 'integer': {
+        const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        return Number.isInteger(number) && number >= 0 ? number : undefined;
+      }
+      case 'boolean':
+        return typeof value === 'boolean' ? value : undefined;
+      case 'atomic': {
+        const amount = new BigNumber(value);
+        return amount.isInteger() && amount.gte(0) ? amount.toFixed() : undefined;
+      }
+      case 'object':
+        return _.isPlainObject(value) ? value : undefined;
+      default:
+        return undefined;
+    }
+  }
+
+  /**
+   * Parse a route ID parameter
+   * @param {*} id - Raw ID
+   * @returns {number|null} Positive integer ID or null if invalid
+   */
+  parseId(id) {
+    const parsedId = Number(id);
+    return Number.isInteger(parsedId) && parsedId > 0 ? parsedId : null;
+  }
+
+  toPlainObject(record) {
+    return typeof record.get === 'function' ? record.get({ plain: true }) : { ...record };
+  }
+
+  successResult(data) {
+    return {
+      success: true,
+      error: null,
+      code: null,
+      data
+    };
+  }
+
+  invalidIdResult(id) {
+    return {
+      success: false,
+      error: 'ID must be a positive integer',
+      code: 'INVALID_ID',
+      data: {
+        id
+      }
+    };
+  }
+
+  notFoundResult(entity, id) {
+    return {
+      success: false,
+      error: `${_.upperFirst(entity)} not found`,
+      code: `${entity.toUpperCase()}_NOT_FOUND`,
+      data: {
+        id
+      }
+    };
+  }
+
+  /**
+   * Map database errors to standardized responses
+   * @param {string} entity - Entity name (blockchain, wallet, asset)
+   * @param {string} action - Operation name (list, get, create, update, delete)
+   * @param {Error} error - The error thrown
+   * @returns {Object} Standardized error response
+   */
+  handleError(entity, action, error) {
+    logger.error(`Error during ${entity} ${action}: ${error.message}`);
+
+    if (error.name === 'SequelizeUniqueConstraintError') {
+      return {
+        success: false,
+        error: `${_.upperFirst(entity)} with the same unique fields already exists`,
+        code: `${entity.toUpperCase()}_ALREADY_EXISTS`,
+        data: {
+          fields: error.fields || null
+        }
+      };
+    }
+
+    if (error.name === 'SequelizeForeignKeyConstraintError') {
+      return {
+        success: false,
+        error: `${_.upperFirst(entity)} is referenced by other records`,
+        code: `${entity.toUpperCase()}_IN_USE`,
+        data: {
+          details: error.message
+        }
+      };
+    }
+
+    return {
+      success: false,
+      error: `Failed to ${action} ${entity}`,
+      code: 'ADMIN_OPERATION_ERROR',
+      data: {
+        details: error.message
+      }
+    };
+  }
+}
+
+module.exports = new AdminService();
@@ -0,0 +1,159 @@
+const config = require('../config');
+const databaseService = require('./chainDb');
+const { sendSlackAlert } = require('../utils/slackAlerts');
+
+/**
+ * Balance Alert Job Base Class
+ * Polls the balance monitored assets on an interval and alerts on Slack once per breach: an active alert
+ * is only re-armed, with a recovery message, once the asset has recovered.
+ * Alert jobs extend this class and implement checkAsset().
+ */
+class BalanceAlertJob {
+  /**
+   * @param {string} jobName - Job name used in log messages, e.g. 'low balance'
+   * @param {Object} logger - Logger of the alert job
+   */
+  constructor(jobName, logger) {
+    this.jobName = jobName;
+    this.logger = logger;
+    this.isRunning = false;
+    this.isChecking = false;
+    this.intervalId = null;
+    // Asset ID -> { alertedAt, ... } of assets with an active alert
+    this.activeAlerts = new Map();
+  }
+
+  /**
+   * Start the alert job
+   * @param {number} intervalMs - Polling interval in milliseconds
+   */
+  start(intervalMs) {
+    if (this.isRunning) {
+      this.logger.info(`The ${this.jobName} alert job is already running`);
+      return;
+    }
+
+    this.logger.info(`Starting ${this.jobName} alert job with ${intervalMs}ms interval`);
+    this.isRunning = true;
+
+    // Run immediately on start
+    this.checkAssets();
+
+    // Then schedule recurring checks
+    this.intervalId = setInterval(() => {
+      this.checkAssets();
+    }, intervalMs);
+  }
+
+  /**
+   * Stop the alert job
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      this.isRunning = false;
+      this.logger.info(`Stopped ${this.jobName} alert job`);
+    }
+  }
+
+  /**
+   * Get the Slack webhook the alerts are sent to
+   * @returns {string|null} Webhook URL
+   */
+  getWebhookUrl() {
+    return config.get('slackWebhookUrl');
+  }
+
+  /**
+   * Check all balance monitored assets
+   */
+  async checkAssets() {
+    // Skip the cycle if the previous one is still running
+    if (this.isChecking) {
+      this.logger.debug(`Previous ${this.jobName} check still in progress, skipping`);
+      return;
+    }
+
+    // Skip if no Slack webhook URL is configured
+    if (!this.getWebhookUrl()) {
+      this.logger.error('Slack webhook URL not configured');
+      return;
+    }
+
+    this.isChecking = true;
+    try {
+      const assets = await databaseService.getBalanceMonitoredAssets();
+      if (!assets || assets.length === 0) {
+        this.logger.debug('No assets with balance monitoring enabled');
+        return;
+      }
+
+      let alertsSent = 0;
+      for (const asset of assets) {
+        const result = await this.checkAsset(asset);
+        if (result.alertSent) {
+          alertsSent++;
+        }
+      }
+
+      this.logger.info(`Finished ${this.jobName} check: ${assets.length} checked, ${alertsSent} alerts sent`);
+    } catch (error) {
+      this.logger.error(`Error in ${this.jobName} check cycle: ${error.message}`);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Check one asset and alert if needed
+   * @param {Object} asset - Asset object
+   * @returns {Promise<Object>} Check result { alertSent, reason }
+   */
+  async checkAsset(asset) {
+    throw new Error('checkAsset() method must be implemented by alert job');
+  }
+
+  /**
+   * Send an alert once when an asset breaches its alert level, and a recovery message when it has recovered
+   * @param {Object} asset - Asset object
+   * @param {Object} check - Check of the asset
+   *   - breached {boolean}: whether the asset is past its alert level.
+   *   - recovered {boolean}: whether an active alert is cleared; may require a margin past the alert level.
+   *   - okReason {string}: reason returned when the asset is not breached.
+   *   - buildAlert {Function}: returns (or resolves to) { message, state } of the alert, or { skipReason } to not alert this cycle.
+   *   - buildRecovery {Function}: returns the recovery message.
+   * @returns {Promise<Object>} Check result
+   *   - alertSent {boolean}: true if an alert was sent for the asset.
+   *   - reason {string}: why no alert was sent, or RECOVERED if the active alert was cleared.
+   */
+  async updateAlert(asset, { breached, recovered, okReason, buildAlert, buildRecovery }) {
+    const activeAlert = this.activeAlerts.get(asset.id);
+
+    if (!breached) {
+      if (activeAlert && recovered) {
+        this.activeAlerts.delete(asset.id);
+        await sendSlackAlert(buildRecovery(), this.getWebhookUrl());
+        return { alertSent: false, reason: 'RECOVERED' };
+      }
+      return { alertSent: false, reason: okReason };
+    }
+
+    if (activeAlert) {
+      this.logger.debug(`The ${this.jobName} alert for ${asset.symbol} was already sent at ${activeAlert.alertedAt.toISOString()}`);
+      return { alertSent: false, reason: 'ALREADY_ALERTED' };
+    }
+
+    const alert = await buildAlert();
+    if (alert.skipReason) {
+      return { alertSent: false, reason: alert.skipReason };
+    }
+
+    await sendSlackAlert(alert.message, this.getWebhookUrl());
+    this.activeAlerts.set(asset.id, { alertedAt: new Date(), ...alert.state });
+
+    return { alertSent: true, reason: null };
+  }
+}
+
+module.exports = BalanceAlertJob;
@@ -0,0 +1,185 @@
+const BigNumber = require('bignumber.js');
+const logger = require('../middleware/logger')('balanceWatcher');
+const databaseService = require('./chainDb');
+const providerService = require('./providerService');
+const refillService = require('./refillService');
+const refillUtils = require('./utils/utils');
+
+/**
+ * Balance Watcher Service
+ * Polls hot wallet balances of monitored assets and initiates refills when they drop below the trigger threshold
+ */
+class BalanceWatcherService {
+  constructor() {
+    this.isRunning = false;
+    this.isChecking = false;
+    this.intervalId = null;
+  }
+
+  /**
+   * Start the balance watcher
+   * @param {number} intervalMs - Polling interval in milliseconds (default: 5 minutes)
+   */
+  start(intervalMs = 300000) {
+    if (this.isRunning) {
+      logger.info('Balance watcher is already running');
+      return;
+    }
+
+    logger.info(`Starting balance watcher with ${intervalMs}ms interval`);
+    this.isRunning = true;
+
+    // Run immediately on start
+    this.checkBalances();
+
+    // Then schedule recurring checks
+    this.intervalId = setInterval(() => {
+      this.checkBalances();
+    }, intervalMs);
+  }
+
+  /**
+   * Stop the balance watcher
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      this.isRunning = false;
+      logger.info('Balance watcher stopped');
+    }
+  }
+
+  /**
+   * Check hot wallet balances of all monitored assets
+   */
+  async checkBalances() {
+    // Skip the cycle if the previous one is still running (refills can take a while to submit)
+    if (this.isChecking) {
+      logger.info('Previous balance check cycle still in progress, skipping');
+      return;
+    }
+
+    this.isChecking = true;
+    try {
+      logger.debug('Starting balance check cycle');
+
+      const assets = await databaseService.getBalanceMonitoredAssets();
+      if (!assets || assets.length === 0) {
+        logger.debug('No assets with balance monitoring enabled');
+        return;
+      }
+
+      logger.info(`Checking hot wallet balances for ${assets.length} monitored assets`);
+
+      // Assets are processed one at a time so refills are not submitted to providers in bursts
+      let refillsInitiated = 0;
+      for (const asset of assets) {
+        const result = await this.checkAssetBalance(asset);
+        if (result.refillInitiated) {
+          refillsInitiated++;
+        }
+      }
+
+      logger.info(`Balance check cycle complete: ${assets.length} checked, ${refillsInitiated} refills initiated`);
+    } catch (error) {
+      logger.error(`Error in balance check cycle: ${error.message}`);
+    } finally {
+      this.isChecking = false;
+    }
+  }
+
+  /**
+   * Check the hot wallet balance of an asset and initiate a refill if it is below the trigger threshold
+   * @param {Object} asset - Asset object (with Blockchain and Wallet associations)
+   * @returns {Promise<Object>} Check result
+   *   - refillInitiated {boolean}: true if a refill was submitted for the asset.
+   *   - reason {string}: why no refill was initiated (if applicable).
+   *   - result {Object}: refill service result (if a refill was attempted).
+   */
+  async checkAssetBalance(asset) {
+    try {
+      if (!asset.refillTriggerThresholdAtomic || !asset.refillTargetBalanceAtomic) {
+        logger.debug(`Refill thresholds not configured for asset ${asset.symbol}, skipping`);
+        return { refillInitiated: false, reason: 'THRESHOLDS_NOT_CONFIGURED' };
+      }
+
+      // Do not read balances while a refill is in flight, the validation would reject it anyway
+      const pendingTx = await databaseService.getPendingTransactionByAssetId(asset.id);
+      if (pendingTx) {
+        logger.debug(`Refill ${pendingTx.refillRequestId} already in progress for asset ${asset.symbol}, skipping`);
+        return { refillInitiated: false, reason: 'REFILL_IN_PROGRESS' };
+      }
+
+      const currentBalance = await this.getHotWalletBalance(asset);
+      const triggerThreshold = new BigNumber(asset.refillTriggerThresholdAtomic);
+      const targetBalance = new BigNumber(asset.refillTargetBalanceAtomic);
+
+      if (currentBalance.gte(triggerThreshold)) {
+        logger.debug(`Hot wallet balance for ${asset.symbol} is above trigger threshold: ${currentBalance.toString()} >= ${triggerThreshold.toString()}`);
+        return { refillInitiated: false, reason: 'ABOVE_TRIGGER_THRESHOLD' };
+      }
+
+      const refillAmountAtomic = targetBalance.minus(currentBalance);
+      const refillAmount = refillAmountAtomic.dividedBy(new BigNumber(10).pow(asset.decimals)).toFixed();
+
+      logger.info(`Hot wallet balance for ${asset.symbol} below trigger threshold (${currentBalance.toString()} < ${triggerThreshold.toString()}), requesting refill of ${refillAmount}`);
+
+      const refillData = {
+        refill_request_id: `auto_${asset.symbol.toLowerCase()}_${Date.now()}`,
+        wallet_address: asset.Wallet.address,
+        asset_symbol: asset.symbol,
+        asset_address: asset.contractAddress,
+        chain_name: asset.Blockchain.name,
+        refill_amount: refillAmount,
+        refill_sweep_wallet: asset.refillSweepWallet
+      };
+
+      const result = await refillService.processRefillRequestService(refillData, { initiatedBy: 'BALANCE_WATCHER' });
+      if (!result.success) {
+        logger.error(`Self-initiated refill for ${asset.symbol} was not created: ${result.error} (${result.code})`);
+        return { refillInitiated: false, reason: result.code, result };
+      }
+
+      logger.info(`Self-initiated refill ${refillData.refill_request_id} created for ${asset.symbol} with status ${result.data.status}`);
+      return { refillInitiated: true, reason: null, result };
+    } catch (error) {
+      logger.error(`Error checking balance for asset ${asset.symbol}: ${error.message}`);
+      return { refillInitiated: false, reason: 'BALANCE_CHECK_ERROR' };
+    }
+  }
+
+  /**
+   * Get the real-time hot wallet balance of an asset from its provider
+   * @param {Object} asset - Asset object (with Blockchain association)
+   * @returns {Promise<BigNumber>} Balance in atomic units
+   */
+  async getHotWalletBalance(asset) {
+    const hotWalletConfig = asset.hotWalletConfig || {};
+    const providerName = hotWalletConfig.provider;
+
+    await providerService.initialize();
+    const provider = providerService.getProviders().get(providerName);
+    if (!provider) {
+      throw new Error(`Provider ${providerName} not initialized for asset ${asset.symbol}`);
+    }
+
+    const walletConfigResult = refillUtils.getWalletConfig(providerName, hotWalletConfig, true);
+    if (!walletConfigResult.success) {
+      throw new Error(walletConfigResult.error);
+    }
+
+    const tokenInfo = {
+      symbol: asset.symbol,
+      blockchainSymbol: asset.Blockchain.symbol,
+      contractAddress: asset.contractAddress === 'native' ? null : asset.contractAddress,
+      decimalPlaces: asset.decimals,
+      walletConfig: walletConfigResult.data.walletConfig
+    };
+
+    const balanceBreakdown = await provider.getTokenBalanceBreakdown(tokenInfo);
+    return refillUtils.sumBalanceComponents(balanceBreakdown, refillUtils.getBalanceComponents(hotWalletConfig));
+  }
+}
+
+module.exports = new BalanceWatcherService();
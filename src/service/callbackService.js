@@ -0,0 +1,338 @@
+const axios = require('axios');
+const logger = require('../middleware/logger')('callbackService');
+const config = require('../config');
+const databaseService = require('./chainDb');
+const signingUtil = require('./utils/signingUtil');
+const { sendSlackAlert } = require('../utils/slackAlerts');
+
+/**
+ * Callback Service
+ * Queues refill status callbacks in a persistent outbox and pushes them to the requesting client
+ * as signed JWTs, retrying failed deliveries with exponential backoff
+ */
+class CallbackService {
+  constructor() {
+    this.isRunning = false;
+    this.isDispatching = false;
+    this.intervalId = null;
+  }
+
+  /**
+   * Start the callback dispatcher
+   * @param {number} intervalMs - Polling interval in milliseconds (default: 15 seconds)
+   */
+  start(intervalMs = 15000) {
+    if (this.isRunning) {
+      logger.info('Callback dispatcher is already running');
+      return;
+    }
+
+    logger.info(`Starting callback dispatcher with ${intervalMs}ms interval`);
+    this.isRunning = true;
+
+    // Run immediately on start
+    this.dispatchDueCallbacks();
+
+    // Then schedule recurring dispatches
+    this.intervalId = setInterval(() => {
+      this.dispatchDueCallbacks();
+    }, intervalMs);
+  }
+
+  /**
+   * Stop the callback dispatcher
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      this.isRunning = false;
+      logger.info('Callback dispatcher stopped');
+    }
+  }
+
+  /**
+   * Queue a callback for a refill status transition
+   * @param {Object} transaction - Transaction object from database (before the update)
+   * @param {Object} update - The status transition
+   *   - status {string}: new internal status.
+   *   - previousStatus {string}: internal status before the transition.
+   *   - providerStatus, txHash, message {string}: latest values after the update.
+   * @param {Object} [dbTransaction] - Database transaction of the status update, so the callback is
+   *   only queued if the status change is committed
+   * @returns {Promise<Object>} The enqueue result object.
+   *   - success {boolean}: false only if the callback could not be stored.
+   *   - data {Object}: { queued, reason, callbackId }.
+   */
+  async enqueueStatusCallback(transaction, update, dbTransaction) {
+    const refillRequestId = transaction.refillRequestId;
+
+    try {
+      if (config.get('callbacks.enabled') !== true) {
+        return this.enqueueResult(false, 'CALLBACKS_DISABLED');
+      }
+
+      const clientId = transaction.clientId || config.get('callbacks.defaultClientId');
+      const url = clientId ? config.get(['callbacks', 'clients', clientId, 'url']) : null;
+      if (!url) {
+        logger.error(`No callback URL configured for client ${clientId} of refill ${refillRequestId}, status ${update.status} will not be pushed`);
+        return this.enqueueResult(false, 'CALLBACK_URL_NOT_CONFIGURED');
+      }
+
+      const payload = {
+        event: 'REFILL_STATUS_CHANGED',
+        refillRequestId: refillRequestId,
+        status: update.status,
+        previousStatus: update.previousStatus,
+        provider: transaction.provider,
+        providerTxId: transaction.providerTxId,
+        providerStatus: update.providerStatus || transaction.providerStatus,
+        txHash: update.txHash || transaction.txHash,
+        amount: transaction.amount,
+        amountAtomic: transaction.amountAtomic,
+        tokenSymbol: transaction.tokenSymbol,
+        chainName: transaction.chainName,
+        initiatedBy: transaction.initiatedBy,
+        message: update.message || transaction.message,
+        occurredAt: new Date().toISOString()
+      };
+
+      const callback = await databaseService.createRefillCallback({
+        refillRequestId: refillRequestId,
+        clientId: clientId,
+        url: url,
+        status: update.status,
+        previousStatus: update.previousStatus,
+        payload: payload,
+        deliveryStatus: 'PENDING',
+        attempts: 0,
+        nextAttemptAt: new Date()
+      }, dbTransaction);
+
+      logger.info(`Queued ${update.status} callback ${callback.id} for refill ${refillRequestId} to client ${clientId}`);
+      return this.enqueueResult(true, null, callback.id);
+    } catch (error) {
+      logger.error(`Error queueing callback for refill ${refillRequestId}: ${error.message}`);
+      return {
+        success: false,
+        error: 'Failed to queue refill callback',
+        code: 'CALLBACK_ENQUEUE_ERROR',
+        data: {
+          details: error.message
+        }
+      };
+    }
+  }
+
+  /**
+   * Deliver all callbacks that are due
+   */
+  async dispatchDueCallbacks() {
+    // Skip the cycle if the previous one is still delivering
+    if (this.isDispatching) {
+      logger.debug('Previous callback dispatch still in progress, skipping');
+      return;
+    }
+
+    this.isDispatching = true;
+    try {
+      const batchSize = config.get('callbacks.batchSize') || 20;
+      const requestTimeout = config.get('callbacks.requestTimeoutInMs') || 10000;
+      // Claimed callbacks stay out of other dispatchers' batches until this batch has had time to
+      // deliver, and become due again if this process dies before recording the outcome
+      const claimedUntil = new Date(Date.now() + requestTimeout * (batchSize + 1));
+      const callbacks = await databaseService.claimDueRefillCallbacks(new Date(), batchSize, claimedUntil);
+      if (!callbacks || callbacks.length === 0) {
+        logger.debug('No callbacks due for delivery');
+        return;
+      }
+
+      logger.info(`Delivering ${callbacks.length} due callbacks`);
+
+      // Deliver one at a time so the batch finishes within its claim
+      for (const callback of callbacks) {
+        await this.deliverCallback(callback);
+      }
+    } catch (error) {
+      logger.error(`Error in callback dispatch cycle: ${error.message}`);
+    } finally {
+      this.isDispatching = false;
+    }
+  }
+
+  /**
+   * Make a single delivery attempt for a callback and schedule the next one if it fails
+   * @param {Object} callback - Callback object from database
+   * @returns {Promise<boolean>} True if the callback was delivered
+   */
+  async deliverCallback(callback) {
+    const attempt = callback.attempts + 1;
+    const startTime = Date.now();
+    let httpStatus = null;
+    let deliveryError = null;
+
+    try {
+      // Signed on every attempt so the JWT is always within its allowed lifetime
+      const signedPayload = signingUtil.signResponse({ ...callback.payload, callbackId: callback.id });
+
+      const response = await axios.post(callback.url, signedPayload, {
+        headers: { 'Content-Type': 'application/jwt' },
+        timeout: config.get('callbacks.requestTimeoutInMs') || 10000,
+        validateStatus: () => true
+      });
+
+      httpStatus = response.status;
+      if (httpStatus < 200 || httpStatus >= 300) {
+        deliveryError = `Client responded with HTTP ${httpStatus}`;
+      }
+    } catch (error) {
+      deliveryError = error.message;
+    }
+
+    const success = deliveryError === null;
+
+    try {
+      await databaseService.createRefillCallbackDelivery({
+        callbackId: callback.id,
+        attempt: attempt,
+        url: callback.url,
+        success: success,
+        httpStatus: httpStatus,
+        error: deliveryError,
+        durationMs: Date.now() - startTime
+      });
+
+      if (success) {
+        await databaseService.updateRefillCallback(callback.id, {
+          deliveryStatus: 'DELIVERED',
+          attempts: attempt,
+          nextAttemptAt: null,
+          lastError: null,
+          deliveredAt: new Date()
+        });
+        logger.info(`Callback ${callback.id} (${callback.status}) for refill ${callback.refillRequestId} delivered on attempt ${attempt}`);
+        return true;
+      }
+
+      const maxAttempts = config.get('callbacks.maxAttempts') || 8;
+      if (attempt >= maxAttempts) {
+        await databaseService.updateRefillCallback(callback.id, {
+          deliveryStatus: 'FAILED',
+          attempts: attempt,
+          nextAttemptAt: null,
+          lastError: deliveryError
+        });
+        logger.error(`Callback ${callback.id} for refill ${callback.refillRequestId} abandoned after ${attempt} attempts: ${deliveryError}`);
+        await sendSlackAlert(
+          `:rotating_light: Refill callback delivery failed after ${attempt} attempts\n` +
+          `• Refill Request ID: ${callback.refillRequestId}\n` +
+          `• Status: ${callback.status}\n` +
+          `• Client: ${callback.clientId}\n` +
+          `• Last error: ${deliveryError}`
+        );
+        return false;
+      }
+
+      const nextAttemptAt = new Date(Date.now() + this.getRetryDelay(attempt));
+      await databaseService.updateRefillCallback(callback.id, {
+        attempts: attempt,
+        nextAttemptAt: nextAttemptAt,
+        lastError: deliveryError
+      });
+      logger.info(`Callback ${callback.id} for refill ${callback.refillRequestId} failed on attempt ${attempt} (${deliveryError}), next attempt at ${nextAttemptAt.toISOString()}`);
+      return false;
+    } catch (error) {
+      logger.error(`Error recording delivery of callback ${callback.id}: ${error.message}`);
+      return success;
+    }
+  }
+
+  /**
+   * Get the delay before the next delivery attempt
+   * @param {number} attempt - Number of attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempt) {
+    const baseDelay = config.get('callbacks.baseDelayInMs') || 30000;
+    const maxDelay = config.get('callbacks.maxDelayInMs') || 3600000;
+    return Math.min(baseDelay * Math.pow(2, attempt - 1), maxDelay);
+  }
+
+  /**
+   * Get the callbacks and delivery log of a refill request
+   * @param {string} refillRequestId - External refill request ID
+   * @returns {Promise<Object>} Standardized response with callbacks
+   */
+  async getRefillCallbacks(refillRequestId) {
+    try {
+      const transaction = await databaseService.getRefillTransactionByRequestId(refillRequestId);
+      if (!transaction) {
+        return {
+          success: false,
+          error: 'Transaction not found',
+          code: 'TRANSACTION_NOT_FOUND',
+          data: {
+            refillRequestId
+          }
+        };
+      }
+
+      const callbacks = await databaseService.getRefillCallbacksByRequestId(refillRequestId);
+
+      return {
+        success: true,
+        error: null,
+        code: null,
+        data: {
+          refillRequestId: refillRequestId,
+          callbacks: callbacks.map(callback => ({
+            id: callback.id,
+            clientId: callback.clientId,
+            url: callback.url,
+            status: callback.status,
+            previousStatus: callback.previousStatus,
+            deliveryStatus: callback.deliveryStatus,
+            attempts: callback.attempts,
+            nextAttemptAt: callback.nextAttemptAt,
+            lastError: callback.lastError,
+            deliveredAt: callback.deliveredAt,
+            createdAt: callback.createdAt,
+            deliveries: (callback.Deliveries || []).map(delivery => ({
+              attempt: delivery.attempt,
+              success: delivery.success,
+              httpStatus: delivery.httpStatus,
+              error: delivery.error,
+              durationMs: delivery.durationMs,
+              createdAt: delivery.createdAt
+            }))
+          }))
+        }
+      };
+    } catch (error) {
+      logger.error(`Error getting callbacks for refill ${refillRequestId}: ${error.message}`);
+      return {
+        success: false,
+        error: 'Failed to get refill callbacks',
+        code: 'CALLBACK_QUERY_ERROR',
+        data: {
+          details: error.message
+        }
+      };
+    }
+  }
+
+  enqueueResult(queued, reason, callbackId = null) {
+    return {
+      success: true,
+      error: null,
+      code: null,
+      data: {
+        queued,
+        reason,
+        callbackId
+      }
+    };
+  }
+}
+
+module.exports = new CallbackService();
@@ -4,6 +4,9 @@ const blockchainHelper = require('../database/helpers/blockchain');
 const walletHelper = require('../database/helpers/wallet');
 const assetHelper = require('../database/helpers/asset');
 const refillTransactionHelper = require('../database/helpers/refillTransaction');
+const refillCallbackHelper = require('../database/helpers/refillCallback');
+const refillAttemptHelper = require('../database/helpers/refillAttempt');
+const refillTransactionEventHelper = require('../database/helpers/refillTransactionEvent');
 // Removed balanceHelper - balances are fetched on-chain via providers, not stored in DB
 // Removed refillRequestHelper and alertHelper - these tables are managed by external system
 
@@ -46,6 +49,22 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Run work in a database transaction. The transaction is committed when the work resolves
+   * and rolled back when it throws
+   * @param {Function} work - Async function receiving the database transaction
+   * @returns {Promise<*>} Result of the work
+   */
+  async runInTransaction(work) {
+    try {
+      await this.connect();
+      return await this.sequelize.transaction(work);
+    } catch (error) {
+      logger.error(`Error in database transaction: ${error.message}`);
+      throw error;
+    }
+  }
+
   // Blockchain methods
   async getBlockchainByName(blockchainName) {
     try {
@@ -57,6 +76,56 @@ class DatabaseService {
     }
   }
 
+  async getBlockchainById(id) {
+    try {
+      await this.connect();
+      return await blockchainHelper.getBlockchainById(id);
+    } catch (error) {
+      logger.error(`Error fetching blockchain by id: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async listBlockchains() {
+    try {
+      await this.connect();
+      return await blockchainHelper.listBlockchains();
+    } catch (error) {
+      logger.error(`Error listing blockchains: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async createBlockchain(blockchainData) {
+    try {
+      await this.connect();
+      return await blockchainHelper.createBlockchain(blockchainData);
+    } catch (error) {
+      logger.error(`Error creating blockchain: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async updateBlockchain(id, updateData) {
+    try {
+      await this.connect();
+      return await blockchainHelper.updateBlockchain(id, updateData);
+    } catch (error) {
+      logger.error(`Error updating blockchain: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async deleteBlockchain(id) {
+    try {
+      await this.connect();
+      return await blockchainHelper.deleteBlockchain(id);
+    } catch (error) {
+      logger.error(`Error deleting blockchain: ${error.message}`);
+      throw error;
+    }
+  }
+
   // Wallet methods
   async getWalletByAddress(address) {
     try {
@@ -68,6 +137,56 @@ class DatabaseService {
     }
   }
 
+  async getWalletById(id) {
+    try {
+      await this.connect();
+      return await walletHelper.getWalletById(id);
+    } catch (error) {
+      logger.error(`Error fetching wallet by id: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async listWallets() {
+    try {
+      await this.connect();
+      return await walletHelper.listWallets();
+    } catch (error) {
+      logger.error(`Error listing wallets: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async createWallet(walletData) {
+    try {
+      await this.connect();
+      return await walletHelper.createWallet(walletData);
+    } catch (error) {
+      logger.error(`Error creating wallet: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async updateWallet(id, updateData) {
+    try {
+      await this.connect();
+      return await walletHelper.updateWallet(id, updateData);
+    } catch (error) {
+      logger.error(`Error updating wallet: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async deleteWallet(id) {
+    try {
+      await this.connect();
+      return await walletHelper.deleteWallet(id);
+    } catch (error) {
+      logger.error(`Error deleting wallet: ${error.message}`);
+      throw error;
+    }
+  }
+
   // Asset methods
   async getAssetDetails(assetId) {
     try {
@@ -89,6 +208,56 @@ class DatabaseService {
     }
   }
 
+  async getBalanceMonitoredAssets() {
+    try {
+      await this.connect();
+      return await assetHelper.getBalanceMonitoredAssets();
+    } catch (error) {
+      logger.error(`Error fetching balance monitored assets: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async listAssets() {
+    try {
+      await this.connect();
+      return await assetHelper.listAssets();
+    } catch (error) {
+      logger.error(`Error listing assets: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async createAsset(assetData) {
+    try {
+      await this.connect();
+      return await assetHelper.createAsset(assetData);
+    } catch (error) {
+      logger.error(`Error creating asset: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async updateAsset(id, updateData) {
+    try {
+      await this.connect();
+      return await assetHelper.updateAsset(id, updateData);
+    } catch (error) {
+      logger.error(`Error updating asset: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async deleteAsset(id) {
+    try {
+      await this.connect();
+      return await assetHelper.deleteAsset(id);
+    } catch (error) {
+      logger.error(`Error deleting asset: ${error.message}`);
+      throw error;
+    }
+  }
+
   // Refill Transaction methods
   async createRefillTransaction(transactionData) {
     try {
@@ -100,16 +269,26 @@ class DatabaseService {
     }
   }
 
-  async updateRefillTransaction(refillRequestId, updateData) {
+  async updateRefillTransaction(refillRequestId, updateData, dbTransaction, expectedState) {
     try {
       await this.connect();
-      return await refillTransactionHelper.updateRefillTransaction(refillRequestId, updateData);
+      return await refillTransactionHelper.updateRefillTransaction(refillRequestId, updateData, dbTransaction, expectedState);
     } catch (error) {
       logger.error(`Error updating refill transaction: ${error.message}`);
       throw error;
     }
   }
 
+  async claimFailedRefillTransaction(refillRequestId, attemptCount, updateData) {
+    try {
+      await this.connect();
+      return await refillTransactionHelper.claimFailedRefillTransaction(refillRequestId, attemptCount, updateData);
+    } catch (error) {
+      logger.error(`Error claiming failed refill transaction: ${error.message}`);
+      throw error;
+    }
+  }
+
   async getRefillTransactionByRequestId(refillRequestId) {
     try {
       await this.connect();
@@ -120,6 +299,16 @@ class DatabaseService {
     }
   }
 
+  async getRefillTransactionByProviderReference(provider, providerTxId, externalTxId) {
+    try {
+      await this.connect();
+      return await refillTransactionHelper.getRefillTransactionByProviderReference(provider, providerTxId, externalTxId);
+    } catch (error) {
+      logger.error(`Error getting refill transaction by provider reference: ${error.message}`);
+      throw error;
+    }
+  }
+
   async getPendingTransactionByAssetId(assetId) {
     try {
       await this.connect();
@@ -140,6 +329,16 @@ class DatabaseService {
     }
   }
 
+  async getOrphanedRefillTransactions(updatedBefore) {
+    try {
+      await this.connect();
+      return await refillTransactionHelper.getOrphanedRefillTransactions(updatedBefore);
+    } catch (error) {
+      logger.error(`Error getting orphaned refill transactions: ${error.message}`);
+      throw error;
+    }
+  }
+
   async getLastSuccessfulRefillByAssetId(assetId) {
     try {
       await this.connect();
@@ -150,6 +349,129 @@ class DatabaseService {
     }
   }
 
+  async getLatestRefillByAssetId(assetId) {
+    try {
+      await this.connect();
+      return await refillTransactionHelper.getLatestRefillByAssetId(assetId);
+    } catch (error) {
+      logger.error(`Error getting latest refill: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async getRefillVolumeByAssetId(assetId, since) {
+    try {
+      await this.connect();
+      return await refillTransactionHelper.getRefillVolumeByAssetId(assetId, since);
+    } catch (error) {
+      logger.error(`Error getting refill volume by asset ID: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async listRefillTransactions(options) {
+    try {
+      await this.connect();
+      return await refillTransactionHelper.listRefillTransactions(options);
+    } catch (error) {
+      logger.error(`Error listing refill transactions: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Refill Callback methods
+  async createRefillCallback(callbackData, dbTransaction) {
+    try {
+      await this.connect();
+      return await refillCallbackHelper.createRefillCallback(callbackData, dbTransaction);
+    } catch (error) {
+      logger.error(`Error creating refill callback: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async updateRefillCallback(id, updateData) {
+    try {
+      await this.connect();
+      return await refillCallbackHelper.updateRefillCallback(id, updateData);
+    } catch (error) {
+      logger.error(`Error updating refill callback: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async claimDueRefillCallbacks(now, limit, claimedUntil) {
+    try {
+      await this.connect();
+      return await refillCallbackHelper.claimDueRefillCallbacks(now, limit, claimedUntil);
+    } catch (error) {
+      logger.error(`Error claiming due refill callbacks: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async createRefillCallbackDelivery(deliveryData) {
+    try {
+      await this.connect();
+      return await refillCallbackHelper.createRefillCallbackDelivery(deliveryData);
+    } catch (error) {
+      logger.error(`Error recording refill callback delivery: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async getRefillCallbacksByRequestId(refillRequestId) {
+    try {
+      await this.connect();
+      return await refillCallbackHelper.getRefillCallbacksByRequestId(refillRequestId);
+    } catch (error) {
+      logger.error(`Error getting refill callbacks: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Refill Attempt methods
+  async createRefillAttempt(attemptData) {
+    try {
+      await this.connect();
+      return await refillAttemptHelper.createRefillAttempt(attemptData);
+    } catch (error) {
+      logger.error(`Error archiving refill attempt: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async getRefillAttemptsByRequestId(refillRequestId) {
+    try {
+      await this.connect();
+      return await refillAttemptHelper.getRefillAttemptsByRequestId(refillRequestId);
+    } catch (error) {
+      logger.error(`Error getting refill attempts: ${error.message}`);
+      throw error;
+    }
+  }
+
+  // Refill Transaction Event methods
+  async createRefillTransactionEvent(eventData) {
+    try {
+      await this.connect();
+      return await refillTransactionEventHelper.createRefillTransactionEvent(eventData);
+    } catch (error) {
+      logger.error(`Error recording refill transaction event: ${error.message}`);
+      throw error;
+    }
+  }
+
+  async getRefillTransactionEventsByRequestId(refillRequestId) {
+    try {
+      await this.connect();
+      return await refillTransactionEventHelper.getRefillTransactionEventsByRequestId(refillRequestId);
+    } catch (error) {
+      logger.error(`Error getting refill transaction events: ${error.message}`);
+      throw error;
+    }
+  }
+
   // Health check method
   async healthCheck() {
     try {
@@ -0,0 +1,142 @@
+const BigNumber = require('bignumber.js');
+const logger = require('../middleware/logger')('coldReserveAlert');
+const config = require('../config');
+const BalanceAlertJob = require('./balanceAlertJob');
+const providerService = require('./providerService');
+const refillValidationService = require('./refillValidationService');
+
+/**
+ * Cold Reserve Alert Service
+ * Polls cold wallet balances of monitored assets and raises a Slack alert to treasury when the balance above
+ * the asset's minimum cold reserve covers fewer than coldReserveAlertMinRefills expected refills.
+ * The expected refill is the refill target minus the refill trigger threshold, the smallest refill the
+ * balance watcher requests. An alert fires once; it is re-armed when the coverage is back at the minimum.
+ */
+class ColdReserveAlertService extends BalanceAlertJob {
+  constructor() {
+    super('cold reserve', logger);
+  }
+
+  /**
+   * Start the cold reserve alert job
+   * @param {number} intervalMs - Polling interval in milliseconds (default: 15 minutes)
+   */
+  start(intervalMs = 900000) {
+    super.start(intervalMs);
+  }
+
+  /**
+   * Get the Slack webhook of the treasury channel, falling back to the default alert channel
+   * @returns {string|null} Webhook URL
+   */
+  getWebhookUrl() {
+    return config.get('treasurySlackWebhookUrl') || config.get('slackWebhookUrl');
+  }
+
+  /**
+   * Get the expected size of a refill of an asset: refill target minus refill trigger threshold,
+   * or the refill target if the asset has no trigger threshold
+   * @param {Object} asset - Asset object
+   * @returns {BigNumber} Expected refill amount in atomic units (0 if the asset has no refill target)
+   */
+  getExpectedRefillAmount(asset) {
+    const targetBalance = new BigNumber(asset.refillTargetBalanceAtomic || 0);
+    const triggerThreshold = new BigNumber(asset.refillTriggerThresholdAtomic || 0);
+    return BigNumber.max(targetBalance.minus(triggerThreshold), 0);
+  }
+
+  /**
+   * Check the cold wallet balance of an asset and alert if it covers fewer than the minimum number of expected refills
+   * @param {Object} asset - Asset object (with Blockchain association)
+   * @returns {Promise<Object>} Check result
+   *   - alertSent {boolean}: true if a cold reserve alert was sent for the asset.
+   *   - reason {string}: why no alert was sent, or RECOVERED if the active alert was cleared.
+   */
+  async checkAsset(asset) {
+    try {
+      const expectedRefillAmount = this.getExpectedRefillAmount(asset);
+      if (!expectedRefillAmount.gt(0)) {
+        return { alertSent: false, reason: 'EXPECTED_REFILL_NOT_CONFIGURED' };
+      }
+
+      const providerName = asset.sweepWalletConfig?.provider;
+      if (!providerName) {
+        return { alertSent: false, reason: 'NO_COLD_WALLET_CONFIGURED' };
+      }
+
+      await providerService.initialize();
+      const provider = providerService.getProviders().get(providerName);
+      if (!provider) {
+        throw new Error(`Provider ${providerName} not initialized for asset ${asset.symbol}`);
+      }
+
+      const coldBalanceResult = await refillValidationService.getColdWalletBalance(asset, provider);
+      if (!coldBalanceResult.success) {
+        logger.error(`Cold reserve check skipped for asset ${asset.symbol}: ${coldBalanceResult.error}`);
+        return { alertSent: false, reason: coldBalanceResult.code };
+      }
+
+      const coldBalance = coldBalanceResult.data.balance;
+      const minColdReserve = refillValidationService.getMinColdReserve(asset);
+      const spendableBalance = BigNumber.max(coldBalance.minus(minColdReserve), 0);
+      const refillsCovered = spendableBalance.dividedToIntegerBy(expectedRefillAmount).toNumber();
+      const minRefills = config.get('coldReserveAlertMinRefills') ?? 3;
+
+      return await this.updateAlert(asset, {
+        breached: refillsCovered < minRefills,
+        recovered: true,
+        okReason: 'RESERVE_SUFFICIENT',
+        buildAlert: () => {
+          logger.info(`Cold wallet balance for ${asset.symbol} covers ${refillsCovered} refills, below the minimum of ${minRefills}`);
+          return {
+            message: this.formatColdReserveAlert(asset, {
+              coldBalance,
+              minColdReserve,
+              expectedRefillAmount,
+              refillsCovered,
+              minRefills,
+              coldWalletId: coldBalanceResult.data.coldWalletId,
+              providerName: coldBalanceResult.data.providerName
+            }),
+            state: { refillsCovered }
+          };
+        },
+        buildRecovery: () => {
+          logger.info(`Cold wallet balance for ${asset.symbol} recovered: ${coldBalance.toString()} covers ${refillsCovered} refills`);
+          return this.formatRecoveryAlert(asset, coldBalance, refillsCovered);
+        }
+      });
+    } catch (error) {
+      logger.error(`Error checking cold reserve for asset ${asset.symbol}: ${error.message}`);
+      return { alertSent: false, reason: 'BALANCE_CHECK_ERROR' };
+    }
+  }
+
+  /**
+   * Format the Slack alert message for a cold wallet that covers too few expected refills
+   * @param {Object} asset - Asset object
+   * @param {Object} reserve - { coldBalance, minColdReserve, expectedRefillAmount, refillsCovered, minRefills, coldWalletId, providerName }
+   * @returns {string} Formatted message
+   */
+  formatColdReserveAlert(asset, reserve) {
+    let message = `Cold Reserve Alert: ${asset.symbol} cold wallet on ${asset.Blockchain?.name} covers ${reserve.refillsCovered} expected refills (minimum: ${reserve.minRefills})\n\n`;
+    message += `   • Balance: ${reserve.coldBalance.toString()} (minimum reserve: ${reserve.minColdReserve.toString()})\n`;
+    message += `   • Expected refill: ${reserve.expectedRefillAmount.toString()}\n`;
+    message += `   • Cold wallet: ${reserve.coldWalletId} (${reserve.providerName})\n`;
+    message += `\n_Top up the cold wallet. Check cycle: ${new Date().toISOString()}_`;
+    return message;
+  }
+
+  /**
+   * Format the Slack message for a cold wallet that recovered from a cold reserve alert
+   * @param {Object} asset - Asset object
+   * @param {BigNumber} coldBalance - Cold wallet balance in atomic units
+   * @param {number} refillsCovered - Number of expected refills the balance above the reserve covers
+   * @returns {string} Formatted message
+   */
+  formatRecoveryAlert(asset, coldBalance, refillsCovered) {
+    return `Cold Reserve Recovered: ${asset.symbol} cold wallet on ${asset.Blockchain?.name} is back at ${coldBalance.toString()} (covers ${refillsCovered} expected refills)`;
+  }
+}
+
+module.exports = new ColdReserveAlertService();
@@ -1,4 +1,5 @@
 const databaseService = require('./chainDb');
+const providerService = require('./providerService');
 const logger = require('../middleware/logger')('healthCheckService');
 
 async function doHealthCheckService() {
@@ -6,13 +7,18 @@ async function doHealthCheckService() {
     // Check database health
     const dbHealth = await databaseService.healthCheck();
 
+    // Circuit breaker state per provider; an open circuit degrades the service but does not make it unhealthy
+    const providerHealth = providerService.getProviderHealth();
+    const providersDegraded = Object.values(providerHealth).some(provider => provider.state !== 'CLOSED');
+
     logger.info(`Health check successful`);
     return {
-      status: 'healthy',
+      status: providersDegraded ? 'degraded' : 'healthy',
       timestamp: new Date().toISOString(),
       services: {
         database: dbHealth.status,
-        api: 'healthy'
+        api: 'healthy',
+        providers: providerHealth
       },
       version: require('../../package.json').version
     };
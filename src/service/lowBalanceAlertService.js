@@ -0,0 +1,113 @@
+const BigNumber = require('bignumber.js');
+const logger = require('../middleware/logger')('lowBalanceAlert');
+const config = require('../config');
+const databaseService = require('./chainDb');
+const balanceWatcher = require('./balanceWatcherService');
+const BalanceAlertJob = require('./balanceAlertJob');
+
+const IN_FLIGHT_STATUSES = ['PENDING', 'PROCESSING'];
+
+/**
+ * Low Balance Alert Service
+ * Polls hot wallet balances of monitored assets and raises a Slack alert when one drops below its
+ * low balance threshold while no refill is in flight. An alert fires once; it is re-armed only after
+ * the balance recovers above the threshold plus lowBalanceAlertRecoveryPercent.
+ */
+class LowBalanceAlertService extends BalanceAlertJob {
+  constructor() {
+    super('low balance', logger);
+  }
+
+  /**
+   * Start the low balance alert job
+   * @param {number} intervalMs - Polling interval in milliseconds (default: 5 minutes)
+   */
+  start(intervalMs = 300000) {
+    super.start(intervalMs);
+  }
+
+  /**
+   * Check the hot wallet balance of an asset and alert if it is below the low balance threshold
+   * @param {Object} asset - Asset object (with Blockchain and Wallet associations)
+   * @returns {Promise<Object>} Check result
+   *   - alertSent {boolean}: true if a low balance alert was sent for the asset.
+   *   - reason {string}: why no alert was sent, or RECOVERED if the active alert was cleared.
+   */
+  async checkAsset(asset) {
+    try {
+      if (!asset.lowBalanceThresholdAtomic) {
+        return { alertSent: false, reason: 'THRESHOLD_NOT_CONFIGURED' };
+      }
+
+      const threshold = new BigNumber(asset.lowBalanceThresholdAtomic);
+      const currentBalance = await balanceWatcher.getHotWalletBalance(asset);
+      const recoveryPercent = config.get('lowBalanceAlertRecoveryPercent') ?? 10;
+      const recoveryBalance = threshold.multipliedBy(1 + recoveryPercent / 100).integerValue(BigNumber.ROUND_CEIL);
+
+      return await this.updateAlert(asset, {
+        breached: currentBalance.lt(threshold),
+        recovered: currentBalance.gte(recoveryBalance),
+        okReason: 'ABOVE_THRESHOLD',
+        buildAlert: async () => {
+          // A refill in flight is already bringing the balance back; alert again if it fails
+          const latestRefill = await databaseService.getLatestRefillByAssetId(asset.id);
+          if (latestRefill && IN_FLIGHT_STATUSES.includes(latestRefill.status)) {
+            logger.debug(`Hot wallet balance for ${asset.symbol} is low, refill ${latestRefill.refillRequestId} in progress`);
+            return { skipReason: 'REFILL_IN_PROGRESS' };
+          }
+
+          logger.info(`Hot wallet balance for ${asset.symbol} below low balance threshold: ${currentBalance.toString()} < ${threshold.toString()}`);
+          return {
+            message: this.formatLowBalanceAlert(asset, currentBalance, threshold, latestRefill),
+            state: { balance: currentBalance.toString() }
+          };
+        },
+        buildRecovery: () => {
+          logger.info(`Hot wallet balance for ${asset.symbol} recovered: ${currentBalance.toString()}`);
+          return this.formatRecoveryAlert(asset, currentBalance, threshold);
+        }
+      });
+    } catch (error) {
+      logger.error(`Error checking low balance for asset ${asset.symbol}: ${error.message}`);
+      return { alertSent: false, reason: 'BALANCE_CHECK_ERROR' };
+    }
+  }
+
+  /**
+   * Format the Slack alert message for a hot wallet below its low balance threshold
+   * @param {Object} asset - Asset object
+   * @param {BigNumber} currentBalance - Hot wallet balance in atomic units
+   * @param {BigNumber} threshold - Low balance threshold in atomic units
+   * @param {Object|null} latestRefill - Latest refill of the asset
+   * @returns {string} Formatted message
+   */
+  formatLowBalanceAlert(asset, currentBalance, threshold, latestRefill) {
+    let message = `Low Balance Alert: ${asset.symbol} hot wallet on ${asset.Blockchain?.name} is below its low balance threshold\n\n`;
+    message += `   • Balance: ${currentBalance.toString()} (threshold: ${threshold.toString()})\n`;
+    message += `   • Wallet: ${asset.Wallet?.address}\n`;
+
+    if (!latestRefill) {
+      message += '   • Last refill: none\n';
+    } else if (latestRefill.status === 'FAILED') {
+      message += `   • Last refill: ${latestRefill.refillRequestId} \`FAILED\`${latestRefill.message ? ` - ${latestRefill.message}` : ''}\n`;
+    } else {
+      message += `   • Last refill: ${latestRefill.refillRequestId} \`${latestRefill.status}\` at ${new Date(latestRefill.updatedAt).toISOString()}\n`;
+    }
+
+    message += `\n_No refill in flight. Check cycle: ${new Date().toISOString()}_`;
+    return message;
+  }
+
+  /**
+   * Format the Slack message for a hot wallet that recovered from a low balance alert
+   * @param {Object} asset - Asset object
+   * @param {BigNumber} currentBalance - Hot wallet balance in atomic units
+   * @param {BigNumber} threshold - Low balance threshold in atomic units
+   * @returns {string} Formatted message
+   */
+  formatRecoveryAlert(asset, currentBalance, threshold) {
+    return `Low Balance Recovered: ${asset.symbol} hot wallet on ${asset.Blockchain?.name} is back at ${currentBalance.toString()} (threshold: ${threshold.toString()})`;
+  }
+}
+
+module.exports = new LowBalanceAlertService();
@@ -1,18 +1,22 @@
 const logger = require('../middleware/logger')('providerService');
 const databaseService = require('./chainDb');
-const LiminalProvider = require('../providers/liminal');
-const FireblocksProvider = require('../providers/fireblocks');
+const providerRegistry = require('../providers/registry');
+const { ProviderGuard } = require('../providers/providerGuard');
 const config = require('../config');
-const refillUtils = require('./utils/utils');
 
 class ProviderService {
   constructor() {
     this.initialized = false;
     this.providers = new Map();
+    this.guards = new Map();
+    this.initFailures = new Map();
+    this.initRetryTimer = null;
+    this.nextInitRetryAt = null;
   }
 
   /**
    * Initialize the provider service
+   * Providers that fail to initialize do not fail the service; they are retried in the background
    * @returns {Promise<void>}
    */
   async initialize() {
@@ -38,36 +42,37 @@ class ProviderService {
     try {
       logger.info('Initializing providers...');
       
-      // Initialize Liminal provider
-      if (!providers.has('liminal')) {
-        const liminalSecret = config.getSecret('liminal') || {};
-        if (liminalSecret.clientId && liminalSecret.clientSecret && liminalSecret.AuthAudience) {
-          const liminalEnv = refillUtils.getLiminalConfig();
-          const liminalConfig = { env: liminalEnv };
-          const liminalProvider = new LiminalProvider(liminalConfig, liminalSecret);
-          await liminalProvider.init();
-          providers.set('liminal', liminalProvider);
-          logger.info(`Liminal provider initialized with environment: ${liminalEnv}`);
-        } else {
-          logger.error('Liminal credentials not found or incomplete');
+      for (const ProviderClass of providerRegistry.getProviderClasses()) {
+        const providerName = ProviderClass.getProviderName();
+        if (providers.has(providerName)) {
+          continue;
+        }
+
+        const providerSecret = ProviderClass.getProviderSecret(config.getSecret);
+        const providerConfig = config.get(`providers.${providerName}`);
+        if (!providerConfig && !ProviderClass.getConfigSchema().required) {
+          logger.debug(`${providerName} provider not configured, skipping`);
+          continue;
+        }
+
+        if (!ProviderClass.isConfigured(providerConfig, providerSecret)) {
+          logger.error(`${providerName} credentials not found or incomplete`);
+          continue;
         }
-      }
 
-      // Initialize Fireblocks provider
-      if (!providers.has('fireblocks')) {
-        const fireblocksSecret = config.getSecret('fireblocks') || {};
-        if (fireblocksSecret.apiKey && fireblocksSecret.privateKey) {
-          const fireblocksApiUrl = refillUtils.getFireblocksConfig();
-          const fireblocksConfig = { apiBaseUrl: fireblocksApiUrl };
-          const fireblocksProvider = new FireblocksProvider(fireblocksConfig, fireblocksSecret);
-          await fireblocksProvider.init();
-          providers.set('fireblocks', fireblocksProvider);
-          logger.info(`Fireblocks provider initialized with API URL: ${fireblocksApiUrl}`);
-        } else {
-          logger.error('Fireblocks credentials not found or incomplete');
+        try {
+          providers.set(providerName, await this.createProvider(ProviderClass, providerConfig, providerSecret));
+          this.initFailures.delete(providerName);
+          logger.info(`${providerName} provider initialized`);
+        } catch (error) {
+          this.recordInitFailure(providerName, error);
         }
       }
 
+      if (this.initFailures.size > 0) {
+        this.scheduleInitRetry();
+      }
+
       logger.info('Provider initialization completed');
     } catch (error) {
       logger.error(`Failed to initialize providers: ${error.message}`);
@@ -75,6 +80,177 @@ class ProviderService {
     }
   }
 
+  /**
+   * Create, initialize and guard a provider instance
+   * @param {Function} ProviderClass - Provider class from the registry
+   * @param {Object|null} providerConfig - The providers.<name> config section
+   * @param {Object} providerSecret - Provider secret
+   * @returns {Promise<Object>} Guarded provider
+   */
+  async createProvider(ProviderClass, providerConfig, providerSecret) {
+    const providerName = ProviderClass.getProviderName();
+    const provider = new ProviderClass(ProviderClass.getProviderConfig(providerConfig), providerSecret);
+    await provider.init();
+    return this.guardProvider(providerName, provider);
+  }
+
+  recordInitFailure(providerName, error) {
+    const attempts = (this.initFailures.get(providerName)?.attempts || 0) + 1;
+    logger.error(`Failed to initialize ${providerName} provider (attempt ${attempts}): ${error.message}`);
+    this.initFailures.set(providerName, {
+      attempts,
+      failedAt: new Date()
+    });
+  }
+
+  /**
+   * Schedule the next initialization attempt of the failed providers
+   * The delay doubles with every failed attempt, from providerInitRetryIntervalInMs up to providerInitRetryMaxIntervalInMs
+   */
+  scheduleInitRetry() {
+    if (this.initRetryTimer) {
+      return;
+    }
+
+    const attempts = Math.max(...Array.from(this.initFailures.values()).map(failure => failure.attempts));
+    const baseDelay = config.get('providerInitRetryIntervalInMs') || 30000;
+    const maxDelay = config.get('providerInitRetryMaxIntervalInMs') || 600000;
+    const delay = Math.min(baseDelay * Math.pow(2, attempts - 1), maxDelay);
+
+    logger.info(`Retrying initialization of ${Array.from(this.initFailures.keys()).join(', ')} in ${delay / 1000} seconds`);
+    this.nextInitRetryAt = new Date(Date.now() + delay);
+    this.initRetryTimer = setTimeout(() => {
+      this.initRetryTimer = null;
+      this.nextInitRetryAt = null;
+      this.initializeProviders(this.providers).catch(error => {
+        logger.error(`Provider initialization retry failed: ${error.message}`);
+      });
+    }, delay);
+  }
+
+  /**
+   * Stop retrying failed provider initializations
+   */
+  stop() {
+    if (this.initRetryTimer) {
+      clearTimeout(this.initRetryTimer);
+      this.initRetryTimer = null;
+      this.nextInitRetryAt = null;
+      logger.info('Provider initialization retries stopped');
+    }
+  }
+
+  /**
+   * Re-initialize a provider with the current config and secrets, e.g. after a credential rotation
+   * Secrets are reloaded first; the running provider instance is kept if the new one fails to initialize
+   * @param {string} providerName - Provider name
+   * @returns {Promise<Object>} The reinitialization result object.
+   *   - success {boolean}: true if the provider was re-initialized, false otherwise.
+   *   - error {string}: the error message if the provider could not be re-initialized.
+   *   - code {string}: the error code if the provider could not be re-initialized.
+   *   - data {Object}: { provider, reinitializedAt } or the error details.
+   */
+  async reinitializeProvider(providerName) {
+    if (!providerRegistry.has(providerName)) {
+      return {
+        success: false,
+        error: `Unknown provider: ${providerName}`,
+        code: 'PROVIDER_NOT_FOUND',
+        data: {
+          provider: providerName,
+          availableProviders: providerRegistry.getProviderNames()
+        }
+      };
+    }
+
+    const reloadResult = config.reloadSecrets();
+    if (!reloadResult.success) {
+      logger.error(`Secrets could not be reloaded, reinitializing ${providerName} with the current secrets`);
+    }
+
+    const ProviderClass = providerRegistry.get(providerName);
+    const providerSecret = ProviderClass.getProviderSecret(config.getSecret);
+    const providerConfig = config.get(`providers.${providerName}`);
+    if ((!providerConfig && !ProviderClass.getConfigSchema().required) || !ProviderClass.isConfigured(providerConfig, providerSecret)) {
+      return {
+        success: false,
+        error: `${providerName} provider is not configured or its credentials are incomplete`,
+        code: 'PROVIDER_NOT_CONFIGURED',
+        data: {
+          provider: providerName
+        }
+      };
+    }
+
+    try {
+      const provider = await this.createProvider(ProviderClass, providerConfig, providerSecret);
+      const replaced = this.providers.has(providerName);
+      this.providers.set(providerName, provider);
+      this.initFailures.delete(providerName);
+      logger.info(`${providerName} provider ${replaced ? 're-initialized' : 'initialized'}`);
+
+      return {
+        success: true,
+        error: null,
+        code: null,
+        data: {
+          provider: providerName,
+          reinitializedAt: new Date().toISOString()
+        }
+      };
+    } catch (error) {
+      logger.error(`Failed to re-initialize ${providerName} provider: ${error.message}`);
+      return {
+        success: false,
+        error: `Failed to initialize ${providerName} provider`,
+        code: 'PROVIDER_INIT_FAILED',
+        data: {
+          provider: providerName,
+          details: error.message,
+          secretsReloaded: reloadResult.success
+        }
+      };
+    }
+  }
+
+  /**
+   * Wrap a provider instance with its rate limit, timeout and circuit breaker
+   * @param {string} providerName - Provider name
+   * @param {Object} provider - Initialized provider instance
+   * @returns {Object} Guarded provider (the provider itself if the guard is disabled)
+   */
+  guardProvider(providerName, provider) {
+    const guardConfig = config.get('providerGuard') || {};
+    if (guardConfig.enabled === false) {
+      return provider;
+    }
+
+    const { enabled, overrides, ...defaults } = guardConfig;
+    const guard = new ProviderGuard(providerName, { ...defaults, ...(overrides?.[providerName] || {}) });
+    this.guards.set(providerName, guard);
+    return guard.wrap(provider);
+  }
+
+  /**
+   * Get the circuit breaker state of each guarded provider and the providers that failed to initialize
+   * Init errors are only logged: the health endpoint is unauthenticated
+   * @returns {Object} Provider name to breaker state (INIT_FAILED for providers not initialized yet)
+   */
+  getProviderHealth() {
+    const health = {};
+    for (const [providerName, guard] of this.guards) {
+      health[providerName] = guard.getState();
+    }
+    for (const [providerName, failure] of this.initFailures) {
+      health[providerName] = {
+        state: 'INIT_FAILED',
+        attempts: failure.attempts,
+        nextRetryAt: this.nextInitRetryAt ? this.nextInitRetryAt.toISOString() : null
+      };
+    }
+    return health;
+  }
+
   /**
    * Get the providers map
    * @returns {Map} Map of initialized providers
@@ -0,0 +1,178 @@
+const logger = require('../middleware/logger')('reconciliation');
+const config = require('../config');
+const databaseService = require('./chainDb');
+const providerService = require('./providerService');
+const refillTransactionService = require('./refillTransactionService');
+const refillUtils = require('./utils/utils');
+
+/**
+ * Reconciliation Service
+ * Finds PENDING refills that never stored a provider transaction ID (the process stopped between creating
+ * the provider transfer and recording it) and looks their transfer up at the provider by external transaction ID.
+ * Discovered transfers are adopted; refills without a transfer are marked FAILED after a grace period.
+ */
+class ReconciliationService {
+  constructor() {
+    this.isRunning = false;
+    this.isReconciling = false;
+    this.intervalId = null;
+  }
+
+  /**
+   * Start the reconciliation job
+   * @param {number} intervalMs - Polling interval in milliseconds (default: 1 minute)
+   */
+  start(intervalMs = 60000) {
+    if (this.isRunning) {
+      logger.info('Reconciliation job is already running');
+      return;
+    }
+
+    logger.info(`Starting reconciliation job with ${intervalMs}ms interval`);
+    this.isRunning = true;
+
+    // Run immediately on start
+    this.reconcileOrphanedTransactions();
+
+    // Then schedule recurring runs
+    this.intervalId = setInterval(() => {
+      this.reconcileOrphanedTransactions();
+    }, intervalMs);
+  }
+
+  /**
+   * Stop the reconciliation job
+   */
+  stop() {
+    if (this.intervalId) {
+      clearInterval(this.intervalId);
+      this.intervalId = null;
+      this.isRunning = false;
+      logger.info('Reconciliation job stopped');
+    }
+  }
+
+  /**
+   * Reconcile all orphaned refills
+   * Refills are only picked up once they were left untouched for orphanedRefillMinAgeInSeconds,
+   * so requests still waiting for the provider response are not reconciled
+   */
+  async reconcileOrphanedTransactions() {
+    // Skip the cycle if the previous one is still running
+    if (this.isReconciling) {
+      logger.debug('Previous reconciliation still in progress, skipping');
+      return;
+    }
+
+    this.isReconciling = true;
+    try {
+      const minAgeInSeconds = config.get('orphanedRefillMinAgeInSeconds') || 60;
+      const transactions = await databaseService.getOrphanedRefillTransactions(new Date(Date.now() - minAgeInSeconds * 1000));
+      if (!transactions || transactions.length === 0) {
+        logger.debug('No orphaned refills to reconcile');
+        return;
+      }
+
+      logger.info(`Reconciling ${transactions.length} refills without provider transaction ID`);
+
+      for (const transaction of transactions) {
+        try {
+          await this.reconcileTransaction(transaction);
+        } catch (error) {
+          logger.error(`Error reconciling refill ${transaction.refillRequestId}: ${error.message}`);
+        }
+      }
+    } catch (error) {
+      logger.error(`Error in reconciliation cycle: ${error.message}`);
+    } finally {
+      this.isReconciling = false;
+    }
+  }
+
+  /**
+   * Reconcile a refill without provider transaction ID
+   * @param {Object} transaction - Transaction object from database (with Asset association)
+   * @returns {Promise<Object>} The reconciliation result object.
+   *   - success {boolean}: false if the provider lookup could not be made.
+   *   - data {Object}: { refillRequestId, outcome (ADOPTED, FAILED, WAITING or SKIPPED if the refill
+   *     changed while it was being reconciled), status }.
+   */
+  async reconcileTransaction(transaction) {
+    const refillRequestId = transaction.refillRequestId;
+    const providerName = transaction.provider;
+
+    await providerService.initialize();
+    const provider = providerService.getProviders().get(providerName);
+    if (!provider) {
+      logger.error(`Provider ${providerName} not available, cannot reconcile refill ${refillRequestId}`);
+      return {
+        success: false,
+        error: `Provider ${providerName} not available`,
+        code: 'PROVIDER_NOT_AVAILABLE',
+        data: {
+          refillRequestId,
+          provider: providerName
+        }
+      };
+    }
+
+    const externalTxId = refillUtils.getExternalTxId(refillRequestId, transaction.attemptCount || 1);
+    const found = await provider.findTransactionByExternalTxId(externalTxId, transaction);
+
+    if (found) {
+      const details = refillTransactionService.extractTransactionDetails(providerName, found.transaction);
+      logger.info(`Adopting ${providerName} transaction ${details.providerTxId} for refill ${refillRequestId}`);
+
+      const result = await refillTransactionService.applyProviderUpdate(transaction, found.transaction, {
+        providerTxId: details.providerTxId,
+        externalTxId: found.externalTxId
+      });
+      return this.reconciliationResult(refillRequestId, 'ADOPTED', result.data.status);
+    }
+
+    const gracePeriodInSeconds = config.get('orphanedRefillGracePeriodInSeconds') || 900;
+    const secondsSinceUpdate = (Date.now() - new Date(transaction.updatedAt).getTime()) / 1000;
+    if (secondsSinceUpdate < gracePeriodInSeconds) {
+      logger.info(`No ${providerName} transaction found yet for refill ${refillRequestId} (external ID ${externalTxId})`);
+      return this.reconciliationResult(refillRequestId, 'WAITING', transaction.status);
+    }
+
+    const message = `No ${providerName} transaction found for external ID ${externalTxId} within ${gracePeriodInSeconds} seconds`;
+    logger.error(`Marking orphaned refill ${refillRequestId} as FAILED: ${message}`);
+
+    // Only fail the refill if it is still the orphaned attempt that was looked up: a retry, the
+    // monitor or a webhook may have moved it on in the meantime
+    const updateResult = await refillTransactionService.updateRefillTransactionStatus(transaction, {
+      status: 'FAILED',
+      message: message
+    }, {
+      status: 'FAILED',
+      previousStatus: transaction.status,
+      message: message
+    }, {
+      status: 'PENDING',
+      providerTxId: null,
+      attemptCount: transaction.attemptCount
+    });
+    if (updateResult.code === 'TRANSACTION_STATE_CHANGED') {
+      return this.reconciliationResult(refillRequestId, 'SKIPPED', transaction.status);
+    }
+
+    return this.reconciliationResult(refillRequestId, 'FAILED', 'FAILED');
+  }
+
+  reconciliationResult(refillRequestId, outcome, status) {
+    return {
+      success: true,
+      error: null,
+      code: null,
+      data: {
+        refillRequestId,
+        outcome,
+        status
+      }
+    };
+  }
+}
+
+module.exports = new ReconciliationService();
@@ -2,8 +2,22 @@ const logger = require("../middleware/logger")("refillService");
 const refillValidationService = require("./refillValidationService");
 const refillTransactionService = require("./refillTransactionService");
 const providerService = require("./providerService");
+const databaseService = require("./chainDb");
 const refillUtils = require("./utils/utils");
 const BigNumber = require('bignumber.js');
+const _ = require('lodash');
+
+// Request fields stored with the refill so it can be re-validated on retry
+const REQUEST_PARAM_FIELDS = [
+  'wallet_address',
+  'asset_symbol',
+  'asset_address',
+  'chain_name',
+  'refill_amount',
+  'refill_sweep_wallet',
+  'client_id',
+  'urgency'
+];
 
 class RefillService {
   constructor() {
@@ -40,13 +54,21 @@ class RefillService {
   /**
    * Process a refill request
    * @param {Object} refillData - The refill request data
+   * @param {Object} [options] - Processing options
+   * @param {string} [options.initiatedBy] - Origin of the refill: EXTERNAL (default), BALANCE_WATCHER or GAS_TOP_UP
+   * @param {string} [options.parentRefillRequestId] - Token refill a gas top-up refill was started by
    * @returns {Promise<Object>} The refill result object.
    *   - success {boolean}: true if the refill request is processed successfully, false otherwise.
    *   - error {string}: the error message if the refill request is not processed successfully.
    *   - code {string}: the error code if the refill request is not processed successfully.
    *   - data {Object}: the data if the refill request is processed successfully.
    */
-  async processRefillRequestService(refillData) {
+  async processRefillRequestService(refillData, options = {}) {
+    // Dry-run requests are validated only, nothing is recorded or sent to the provider
+    if (refillData.dry_run === true || refillData.dry_run === 'true') {
+      return this.previewRefillRequestService(refillData);
+    }
+
     try {
       // Validate required fields before processing the refill request
       const fieldValidation = refillValidationService.validateRequiredFields(refillData);
@@ -64,7 +86,9 @@ class RefillService {
       logger.debug(`Refill data: ${JSON.stringify(refillData, null, 2)}`);
 
       // Validate the refill request
-      const validationResult = await refillValidationService.validateRefillRequest(refillData);
+      const validationResult = await refillValidationService.validateRefillRequest(refillData, {
+        gasTopUp: options.initiatedBy === 'GAS_TOP_UP'
+      });
       if (!validationResult.success) {
         logger.error(`Refill request validation failed: ${validationResult.error}, result: ${JSON.stringify(validationResult, null, 2)}`);
         return {
@@ -88,11 +112,15 @@ class RefillService {
         provider: providerName,
         status: 'PENDING',
         amountAtomic: validatedData.refillAmountAtomic,
-        amount: refillData.refill_amount,  // Human-readable amount
+        amount: validatedData.refillAmount,  // Human-readable amount (computed for auto amounts)
         tokenSymbol: validatedData.asset.symbol,
         chainName: validatedData.blockchain.name,  // Blockchain name
         assetId: validatedData.asset.id,  // Asset has FK to wallet and blockchain
-        providerStatus: null  // Will be set when provider responds
+        providerStatus: null,  // Will be set when provider responds
+        initiatedBy: options.initiatedBy || 'EXTERNAL',
+        parentRefillRequestId: options.parentRefillRequestId || null,
+        clientId: refillData.client_id || null,  // Resolves the status callback URL
+        requestParams: _.pick(refillData, REQUEST_PARAM_FIELDS)  // Re-validated on retry
       };
 
       const createTransactionResult = await refillTransactionService.createRefillTransaction(transactionData);
@@ -108,6 +136,10 @@ class RefillService {
 
       logger.info(`Selected provider: ${providerName}`);
 
+      // Transfer requests are not timed out, so reconciliation can adopt or fail the refill before the
+      // provider responds: only store the response if the refill was not picked up in the meantime
+      const submittedState = { status: 'PENDING', providerTxId: null, attemptCount: 1 };
+
       // Initiate transaction with selected provider
       const transactionResult = await this.initiateRefill(validatedData, provider, refillRequestId);
       if (!transactionResult.success) {
@@ -118,7 +150,7 @@ class RefillService {
           await refillTransactionService.updateRefillTransaction(refillRequestId, {
             status: 'FAILED',
             message: transactionResult.error
-          });
+          }, submittedState);
         }
         return {
           success: false,
@@ -135,11 +167,17 @@ class RefillService {
         status: txnStatus,
         providerTxId: transactionResult.data.transferId,
         providerStatus: transactionResult.data.status,
-        externalTxId: transactionResult.data.externalTxId
-      });
+        externalTxId: transactionResult.data.externalTxId,
+        feeParams: transactionResult.data.feeParams,
+        ...this.getSigningErrorUpdate(transactionResult.data)
+      }, submittedState);
 
       logger.info(`Refill request initiated successfully. Transaction ID: ${transactionResult.data.transferId}, Provider: ${providerName}`);
 
+      const gasTopUp = validatedData.gasTopUp
+        ? await this.initiateGasTopUp(refillRequestId, `${refillRequestId}_gas`, validatedData, refillData.client_id)
+        : null;
+
       return {
         success: true,
         error: null,
@@ -149,9 +187,13 @@ class RefillService {
           transactionId: transactionResult.data.transferId,
           walletAddress: refillData.wallet_address,
           assetSymbol: refillData.asset_symbol,
-          refillAmount: refillData.refill_amount,
+          refillAmount: validatedData.refillAmount,
+          autoRefillAmount: validatedData.autoRefillAmount,
           status: txnStatus,
           provider: providerName,
+          initiatedBy: transactionData.initiatedBy,
+          parentRefillRequestId: transactionData.parentRefillRequestId,
+          gasTopUp: gasTopUp,
           transferRequest: transactionResult.data.transferRequest
         }
       };
@@ -169,18 +211,352 @@ class RefillService {
     }
   }
 
+  /**
+   * Preview a refill request: run the full validation chain and return the validated details
+   * and computed refill amount without creating a refill transaction or a provider transfer
+   * @param {Object} refillData - The refill request data (refill_request_id is optional)
+   * @returns {Promise<Object>} The preview result object.
+   *   - success {boolean}: true if the refill request would be accepted, false otherwise.
+   *   - error {string}: the error message if the refill request would be rejected.
+   *   - code {string}: the error code if the refill request would be rejected.
+   *   - data {Object}: the validated details if the refill request would be accepted.
+   */
+  async previewRefillRequestService(refillData) {
+    try {
+      const fieldValidation = refillValidationService.validateRequiredFields(refillData, { requireRequestId: false });
+      if (!fieldValidation.success) {
+        logger.error(`Missing required fields in refill preview: ${fieldValidation.error}`);
+        return fieldValidation;
+      }
+
+      // Ensure service is initialized
+      await this.initialize();
+
+      logger.info(`Previewing refill request for wallet: ${refillData.wallet_address}`);
+
+      const validationResult = await refillValidationService.validateRefillRequest(refillData);
+      if (!validationResult.success) {
+        logger.info(`Refill preview rejected: ${validationResult.error}`);
+        return {
+          success: false,
+          error: validationResult.error,
+          code: validationResult.code,
+          data: validationResult.data
+        };
+      }
+
+      const validatedData = validationResult.data.details;
+      const providerName = validationResult.data.provider.constructor.getProviderName();
+
+      logger.info(`Refill preview passed for wallet: ${refillData.wallet_address}, amount: ${validatedData.refillAmountAtomic}, provider: ${providerName}`);
+
+      return {
+        success: true,
+        error: null,
+        code: null,
+        data: {
+          dryRun: true,
+          refillRequestId: refillData.refill_request_id || null,
+          walletAddress: refillData.wallet_address,
+          assetSymbol: refillData.asset_symbol,
+          chainName: refillData.chain_name,
+          refillAmount: validatedData.refillAmount,
+          refillAmountAtomic: validatedData.refillAmountAtomic,
+          autoRefillAmount: validatedData.autoRefillAmount,
+          provider: providerName,
+          details: validatedData
+        }
+      };
+    } catch (error) {
+      logger.error(`Error previewing refill request: ${error.message}`);
+      return {
+        success: false,
+        error: 'Internal server error while previewing refill request',
+        code: 'PROCESSING_ERROR',
+        data: {
+          details: error.message
+        }
+      };
+    }
+  }
+
+  /**
+   * Retry a FAILED refill: re-validate the original request and submit a new provider transfer
+   * under the same refill request ID. The failed attempt is archived in refill_attempts.
+   * @param {string} refillRequestId - External refill request ID
+   * @returns {Promise<Object>} The refill result object.
+   *   - success {boolean}: true if the new attempt was submitted, false otherwise.
+   *   - error {string}: the error message if the retry failed.
+   *   - code {string}: the error code if the retry failed.
+   *   - data {Object}: the new attempt if it was submitted.
+   */
+  async retryRefillRequestService(refillRequestId) {
+    try {
+      const transactionResult = await refillTransactionService.getRefillTransactionByRequestId(refillRequestId);
+      if (!transactionResult.success) {
+        return transactionResult;
+      }
+
+      const transaction = transactionResult.data.transaction;
+      if (transaction.status !== 'FAILED') {
+        logger.info(`Refill ${refillRequestId} cannot be retried in status ${transaction.status}`);
+        return {
+          success: false,
+          error: `Only FAILED refills can be retried, current status is ${transaction.status}`,
+          code: 'TRANSACTION_NOT_RETRYABLE',
+          data: {
+            refillRequestId,
+            status: transaction.status
+          }
+        };
+      }
+
+      // Ensure service is initialized
+      await this.initialize();
+
+      const refillData = await this.getRetryRefillData(transaction);
+      logger.info(`Retrying refill request ${refillRequestId} (attempt ${(transaction.attemptCount || 1) + 1})`);
+
+      // Run the same validation as a new request (balances, cooldown, in-flight refills, ...)
+      const validationResult = await refillValidationService.validateRefillRequest(refillData, {
+        gasTopUp: transaction.initiatedBy === 'GAS_TOP_UP'
+      });
+      if (!validationResult.success) {
+        logger.error(`Refill retry validation failed: ${validationResult.error}, result: ${JSON.stringify(validationResult, null, 2)}`);
+        return {
+          success: false,
+          error: validationResult.error,
+          code: validationResult.code,
+          data: validationResult.data
+        };
+      }
+
+      const validatedData = validationResult.data.details;
+      const provider = validationResult.data.provider;
+      const providerName = provider.constructor.getProviderName();
+      const previousAttempt = transaction.attemptCount || 1;
+      const attempt = previousAttempt + 1;
+
+      // Archive the failed attempt; the unique (refill_request_id, attempt) index rejects concurrent retries
+      try {
+        await databaseService.createRefillAttempt({
+          refillRequestId: refillRequestId,
+          attempt: previousAttempt,
+          provider: transaction.provider,
+          providerTxId: transaction.providerTxId,
+          externalTxId: transaction.externalTxId,
+          status: transaction.status,
+          providerStatus: transaction.providerStatus,
+          amountAtomic: transaction.amountAtomic,
+          txHash: transaction.txHash,
+          message: transaction.message
+        });
+      } catch (error) {
+        if (error.name === 'SequelizeUniqueConstraintError') {
+          return this.retryInProgressResult(refillRequestId);
+        }
+        throw error;
+      }
+
+      const retryData = {
+        status: 'PENDING',
+        provider: providerName,
+        // Auto amounts are recomputed from the current balances, so the amount can differ from the failed attempt
+        amount: validatedData.refillAmount,
+        amountAtomic: validatedData.refillAmountAtomic,
+        attemptCount: attempt,
+        requestParams: _.pick(refillData, REQUEST_PARAM_FIELDS),
+        providerTxId: null,
+        externalTxId: null,
+        providerStatus: null,
+        providerData: null,
+        feeParams: null,
+        txHash: null,
+        lastProviderEventAt: null,
+        message: null
+      };
+      const [claimedRows] = await databaseService.claimFailedRefillTransaction(refillRequestId, previousAttempt, retryData);
+      if (claimedRows === 0) {
+        return this.retryInProgressResult(refillRequestId);
+      }
+      await refillTransactionService.recordTransactionEvent(refillRequestId, 'RETRIED', retryData);
+
+      // As on the first attempt, reconciliation can pick the refill up before the provider responds
+      const submittedState = { status: 'PENDING', providerTxId: null, attemptCount: attempt };
+
+      const initiateResult = await this.initiateRefill(validatedData, provider, refillRequestId, attempt);
+      if (!initiateResult.success) {
+        logger.error(`Failed to initiate refill retry: ${initiateResult.error}`);
+        await refillTransactionService.updateRefillTransaction(refillRequestId, {
+          status: 'FAILED',
+          message: initiateResult.error
+        }, submittedState);
+        return {
+          success: false,
+          error: initiateResult.error,
+          code: initiateResult.code,
+          data: initiateResult.data
+        };
+      }
+
+      const txnStatus = refillTransactionService.mapProviderStatusToInternal(providerName, initiateResult.data.status);
+
+      // The requesting client was told the refill FAILED, let it know it is in flight again
+      const retriedTransaction = { ...transaction, amount: retryData.amount, amountAtomic: retryData.amountAtomic };
+      await refillTransactionService.updateRefillTransactionStatus(retriedTransaction, {
+        status: txnStatus,
+        providerTxId: initiateResult.data.transferId,
+        providerStatus: initiateResult.data.status,
+        externalTxId: initiateResult.data.externalTxId,
+        feeParams: initiateResult.data.feeParams,
+        ...this.getSigningErrorUpdate(initiateResult.data)
+      }, {
+        status: txnStatus,
+        previousStatus: transaction.status,
+        providerStatus: initiateResult.data.status,
+        message: `Retried as attempt ${attempt}`
+      }, submittedState);
+
+      logger.info(`Refill request ${refillRequestId} retried as attempt ${attempt}. Transaction ID: ${initiateResult.data.transferId}, Provider: ${providerName}`);
+
+      const gasTopUp = validatedData.gasTopUp
+        ? await this.initiateGasTopUp(refillRequestId, `${refillRequestId}_gas_${attempt}`, validatedData, refillData.client_id)
+        : null;
+
+      return {
+        success: true,
+        error: null,
+        code: null,
+        data: {
+          refillRequestId: refillRequestId,
+          attempt: attempt,
+          transactionId: initiateResult.data.transferId,
+          externalTxId: initiateResult.data.externalTxId,
+          status: txnStatus,
+          provider: providerName,
+          gasTopUp: gasTopUp,
+          previousAttempt: {
+            attempt: previousAttempt,
+            providerTxId: transaction.providerTxId,
+            providerStatus: transaction.providerStatus,
+            message: transaction.message
+          }
+        }
+      };
+    } catch (error) {
+      logger.error(`Error retrying refill request ${refillRequestId}: ${error.message}`);
+      return {
+        success: false,
+        error: 'Internal server error while retrying refill request',
+        code: 'PROCESSING_ERROR',
+        data: {
+          details: error.message
+        }
+      };
+    }
+  }
+
+  /**
+   * Start the native asset refill chained to a token refill whose hot wallet is below its gas reserve.
+   * The top-up was validated with the token refill and goes through the validation of the native asset again;
+   * it is recorded as a child of the token refill, and a top-up rejected in the meantime does not affect the token refill.
+   * @param {string} parentRefillRequestId - Refill request ID of the token refill
+   * @param {string} topUpRequestId - Refill request ID of the top-up
+   * @param {Object} validatedData - Validated details of the token refill
+   * @param {string} [clientId] - Requesting client of the token refill
+   * @returns {Promise<Object>} { refillRequestId, success, status, code, error } of the top-up
+   */
+  async initiateGasTopUp(parentRefillRequestId, topUpRequestId, validatedData, clientId) {
+    const gasTopUp = validatedData.gasTopUp;
+    logger.info(`Chaining gas top-up ${topUpRequestId} of ${gasTopUp.refillAmount} ${gasTopUp.assetSymbol} to refill ${parentRefillRequestId}`);
+
+    const topUpData = {
+      ...refillValidationService.getGasTopUpRefillData(gasTopUp, validatedData.blockchain),
+      refill_request_id: topUpRequestId,
+      client_id: clientId
+    };
+
+    const result = await this.processRefillRequestService(topUpData, {
+      initiatedBy: 'GAS_TOP_UP',
+      parentRefillRequestId
+    });
+    if (!result.success) {
+      logger.error(`Gas top-up ${topUpRequestId} for refill ${parentRefillRequestId} was not created: ${result.error} (${result.code})`);
+    }
+
+    return {
+      refillRequestId: topUpRequestId,
+      success: result.success,
+      status: result.success ? result.data.status : null,
+      code: result.code,
+      error: result.error
+    };
+  }
+
+  /**
+   * Get the request parameters of a refill for re-validation. Refills created before the
+   * parameters were stored are rebuilt from the refill record and its asset configuration.
+   * @param {Object} transaction - Transaction object from database
+   * @returns {Promise<Object>} Refill request data
+   */
+  async getRetryRefillData(transaction) {
+    if (transaction.requestParams) {
+      return {
+        ...transaction.requestParams,
+        refill_request_id: transaction.refillRequestId
+      };
+    }
+
+    const asset = await databaseService.getAssetDetails(transaction.assetId);
+    return {
+      refill_request_id: transaction.refillRequestId,
+      wallet_address: asset?.Wallet?.address,
+      asset_symbol: transaction.tokenSymbol,
+      asset_address: asset?.contractAddress,
+      chain_name: transaction.chainName,
+      refill_amount: transaction.amount,
+      refill_sweep_wallet: asset?.refillSweepWallet,
+      client_id: transaction.clientId
+    };
+  }
+
+  retryInProgressResult(refillRequestId) {
+    return {
+      success: false,
+      error: 'Refill is already being retried',
+      code: 'TRANSACTION_NOT_RETRYABLE',
+      data: {
+        refillRequestId
+      }
+    };
+  }
+
+  /**
+   * Build the message update for a transfer request the provider created but could not sign.
+   * The request exists at the provider, so the refill stays in flight with the signing error as its message
+   * @param {Object} initiateData - Data of the initiateRefill result
+   * @returns {Object} Update data, empty if the request was signed
+   */
+  getSigningErrorUpdate(initiateData) {
+    if (!initiateData.signingError) {
+      return {};
+    }
+    return { message: `Transfer request created but not signed: ${initiateData.signingError}` };
+  }
+
   /**
    * Initiate a refill transfer request
    * @param {Object} validatedData - The validated data from the refill request
    * @param {Object} provider - The provider instance
    * @param {string} refillRequestId - External refill request ID for tracking
+   * @param {number} [attempt] - Attempt number; retries get a suffixed external transaction ID
    * @returns {Promise<Object>}
    *   - success {boolean}: true if the refill request is initiated successfully, false otherwise.
    *   - error {string}: the error message if the refill request is not initiated successfully.
    *   - code {string}: the error code if the refill request is not initiated successfully.
    *   - data {Object}: the data if the refill request is initiated successfully.
    */
-  async initiateRefill(validatedData, provider, refillRequestId) {
+  async initiateRefill(validatedData, provider, refillRequestId, attempt = 1) {
     try {
       logger.info(`Initiating refill transfer request with provider: ${provider.constructor.getProviderName()}, request ID: ${refillRequestId}`);
 
@@ -194,11 +570,15 @@ class RefillService {
         hotWalletId: refillUtils.getHotWalletId(validatedData, provider),
         hotWalletAddress: validatedData.wallet.address,
         amount: amount,
+        amountAtomic: validatedData.refillAmountAtomic,
         asset: validatedData.asset.symbol,
         blockchain: validatedData.blockchain.symbol,
         contractAddress: validatedData.asset.contractAddress,
-        externalTxId: `${refillRequestId}_refill`, // For idempotency
-        coldWalletConfig: validatedData.asset.sweepWalletConfig
+        // For idempotency; also lets the reconciliation job find the transfer if its ID was never stored
+        externalTxId: refillUtils.getExternalTxId(refillRequestId, attempt),
+        coldWalletConfig: validatedData.asset.sweepWalletConfig,
+        hotWalletConfig: validatedData.asset.hotWalletConfig,
+        urgency: validatedData.urgency || 'NORMAL'  // Providers with a fee policy may upgrade the fee level
       };
 
       const transferRequest = await provider.createTransferRequest(transferData);
@@ -214,6 +594,9 @@ class RefillService {
           transferId: transferRequest.id || transferRequest.transferId || transferRequest.transactionId,
           externalTxId: transferRequest.externalTxId,
           status: transferRequest.status,
+          feeParams: transferRequest.feeParams || null,
+          // Set when the provider created the transfer request but could not sign it
+          signingError: transferRequest.signingError || null,
           message: transferRequest.message || 'Transfer request created successfully',
           transferRequest: transferRequest
         }
@@ -221,6 +604,15 @@ class RefillService {
 
     } catch (error) {
       logger.error(`Error initiating refill: ${error.message}`);
+      // The provider circuit is open or its rate limit is exhausted; the transfer request was not sent
+      if (error.code === 'PROVIDER_UNAVAILABLE') {
+        return {
+          success: false,
+          error: error.message,
+          code: error.code,
+          data: error.details
+        };
+      }
       return {
         success: false,
         error: `Failed to initiate refill with ${provider.constructor.getProviderName()}`,
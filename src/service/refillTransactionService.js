@@ -1,7 +1,23 @@
 const logger = require('../middleware/logger')('refillTransactionService');
 const databaseService = require('./chainDb');
 const providerService = require('./providerService');
+const providerRegistry = require('../providers/registry');
 const refillUtils = require('./utils/utils');
+const callbackService = require('./callbackService');
+
+// Refill history listing defaults
+const DEFAULT_LIST_LIMIT = 50;
+const MAX_LIST_LIMIT = 200;
+const LIST_SORT_FIELDS = {
+  created_at: 'createdAt',
+  updated_at: 'updatedAt'
+};
+
+// Bookkeeping fields that do not change the refill itself and are not recorded as events
+const UNAUDITED_FIELDS = ['lastProviderEventAt'];
+
+// Internal statuses of refills that are still in flight and can be cancelled
+const CANCELLABLE_STATUSES = ['PENDING', 'PROCESSING'];
 
 class RefillTransactionService {
   constructor() {
@@ -37,6 +53,7 @@ class RefillTransactionService {
               providerStatus: existingTransaction.providerStatus,
               provider: existingTransaction.provider,
               providerTxId: existingTransaction.providerTxId,
+              initiatedBy: existingTransaction.initiatedBy,
               txHash: existingTransaction.txHash,
               message: existingTransaction.message,
               createdAt: existingTransaction.createdAt,
@@ -50,6 +67,8 @@ class RefillTransactionService {
       const transaction = await databaseService.createRefillTransaction(transactionData);
 
       logger.info(`Refill transaction created with request ID: ${transaction.refillRequestId}`);
+
+      await this.recordTransactionEvent(transaction.refillRequestId, 'CREATED', transactionData);
       
       return {
         success: true,
@@ -76,14 +95,27 @@ class RefillTransactionService {
    * Update refill transaction with provider response
    * @param {string} refillRequestId - External request ID
    * @param {Object} updateData - Update data
+   * @param {Object} [expectedState] - Column values the refill must still have for the update to apply;
+   *   TRANSACTION_STATE_CHANGED is returned if it was changed concurrently
    * @returns {Object} Standardized response
    */
-  async updateRefillTransaction(refillRequestId, updateData) {
+  async updateRefillTransaction(refillRequestId, updateData, expectedState) {
     try {
       logger.info(`Updating refill transaction for request: ${refillRequestId}`);
 
-      const [updatedRowsCount] = await databaseService.updateRefillTransaction(refillRequestId, updateData);
+      const [updatedRowsCount] = await databaseService.updateRefillTransaction(refillRequestId, updateData, undefined, expectedState);
 
+      if (updatedRowsCount === 0 && expectedState) {
+        logger.info(`Refill ${refillRequestId} changed since it was read, update not applied`);
+        return {
+          success: false,
+          error: 'Refill transaction was changed concurrently',
+          code: 'TRANSACTION_STATE_CHANGED',
+          data: {
+            refillRequestId
+          }
+        };
+      }
       if (updatedRowsCount === 0) {
         return {
           success: false,
@@ -94,6 +126,8 @@ class RefillTransactionService {
           }
         };
       }
+
+      await this.recordTransactionEvent(refillRequestId, 'UPDATED', updateData);
       
       return {
         success: true,
@@ -114,6 +148,109 @@ class RefillTransactionService {
     }
   }
 
+  /**
+   * Update the status of a refill transaction and queue its status callback in the same
+   * database transaction, so a committed status change always has its callback in the outbox
+   * @param {Object} transaction - Transaction object from database (before the update)
+   * @param {Object} updateData - Update data, including the new status
+   * @param {Object} callbackUpdate - Status transition passed to callbackService.enqueueStatusCallback
+   * @param {Object} [expectedState] - Column values the refill must still have for the update to apply;
+   *   TRANSACTION_STATE_CHANGED is returned if it was changed concurrently
+   * @returns {Object} Standardized response
+   */
+  async updateRefillTransactionStatus(transaction, updateData, callbackUpdate, expectedState) {
+    const refillRequestId = transaction.refillRequestId;
+
+    try {
+      logger.info(`Updating refill transaction status for request: ${refillRequestId}`);
+
+      const updatedRowsCount = await databaseService.runInTransaction(async (dbTransaction) => {
+        const [rowsCount] = await databaseService.updateRefillTransaction(refillRequestId, updateData, dbTransaction, expectedState);
+        if (rowsCount === 0) {
+          return 0;
+        }
+
+        const enqueueResult = await callbackService.enqueueStatusCallback(transaction, callbackUpdate, dbTransaction);
+        if (!enqueueResult.success) {
+          // Roll back the status change rather than commit it without its callback
+          throw new Error(`${enqueueResult.error}: ${enqueueResult.data.details}`);
+        }
+        return rowsCount;
+      });
+
+      if (updatedRowsCount === 0 && expectedState) {
+        logger.info(`Refill ${refillRequestId} changed since it was read, status ${updateData.status} not applied`);
+        return {
+          success: false,
+          error: 'Refill transaction was changed concurrently',
+          code: 'TRANSACTION_STATE_CHANGED',
+          data: {
+            refillRequestId
+          }
+        };
+      }
+      if (updatedRowsCount === 0) {
+        return {
+          success: false,
+          error: 'Refill transaction not found',
+          code: 'TRANSACTION_NOT_FOUND',
+          data: {
+            refillRequestId
+          }
+        };
+      }
+
+      await this.recordTransactionEvent(refillRequestId, 'UPDATED', updateData);
+
+      return {
+        success: true,
+        error: null,
+        code: null,
+        data: null
+      };
+    } catch (error) {
+      logger.error(`Error updating refill transaction status: ${error.message}`);
+      return {
+        success: false,
+        error: 'Failed to update refill transaction',
+        code: 'TRANSACTION_UPDATE_ERROR',
+        data: {
+          details: error.message
+        }
+      };
+    }
+  }
+
+  /**
+   * Record a write to a refill in the refill_transaction_events audit trail.
+   * Failures are logged and never fail the write itself.
+   * @param {string} refillRequestId - External request ID
+   * @param {string} eventType - CREATED, UPDATED or RETRIED
+   * @param {Object} data - The data written to the refill
+   * @returns {Promise<void>}
+   */
+  async recordTransactionEvent(refillRequestId, eventType, data) {
+    const changedFields = Object.keys(data).filter(field => !UNAUDITED_FIELDS.includes(field));
+    if (changedFields.length === 0) {
+      return;
+    }
+
+    try {
+      await databaseService.createRefillTransactionEvent({
+        refillRequestId: refillRequestId,
+        eventType: eventType,
+        status: data.status || null,
+        providerStatus: data.providerStatus || null,
+        txHash: data.txHash || null,
+        message: data.message || null,
+        changedFields: changedFields,
+        providerData: data.providerData || null
+      });
+    } catch (error) {
+      logger.error(`Error recording ${eventType} event for refill ${refillRequestId}: ${error.message}`);
+    }
+  }
+
   /**
    * Get refill transaction by request ID
    * @param {string} refillRequestId - External request ID
@@ -162,36 +299,9 @@ class RefillTransactionService {
    * @returns {string} Internal status
    */
   mapProviderStatusToInternal(provider, providerStatus) {
-    const statusMaps = {
-      fireblocks: {
-        'SUBMITTED': 'PROCESSING',
-        'PENDING_AML_SCREENING': 'PROCESSING',
-        'PENDING_ENRICHMENT': 'PROCESSING',
-        'PENDING_AUTHORIZATION': 'PROCESSING',
-        'QUEUED': 'PROCESSING',
-        'PENDING_SIGNATURE': 'PROCESSING',
-        'PENDING_3RD_PARTY_MANUAL_APPROVAL': 'PROCESSING',
-        'PENDING_3RD_PARTY': 'PROCESSING',
-        'BROADCASTING': 'PROCESSING',
-        'CONFIRMING': 'PROCESSING',
-        'COMPLETED': 'COMPLETED',
-        'CANCELLING': 'PROCESSING',
-        'CANCELLED': 'FAILED',
-        'BLOCKED': 'FAILED',
-        'REJECTED': 'FAILED',
-        'FAILED': 'FAILED',
-      },
-      liminal: {
-        '1': 'PROCESSING',
-        '2': 'PROCESSING',
-        '4': 'COMPLETED',
-        '5': 'FAILED'
-      }
-    };
-
-    const statusMap = statusMaps[provider?.toLowerCase()];
-    if (statusMap && providerStatus) {
-      return statusMap[providerStatus] || 'PROCESSING';
+    const ProviderClass = providerRegistry.get(provider);
+    if (ProviderClass && providerStatus) {
+      return ProviderClass.mapStatus(providerStatus);
     }
     return 'PROCESSING';
   }
@@ -202,7 +312,7 @@ class RefillTransactionService {
    * @returns {boolean} True if status is final
    */
   isFinalStatus(status) {
-    const finalStatuses = ['COMPLETED', 'FAILED'];
+    const finalStatuses = ['COMPLETED', 'FAILED', 'CANCELLED'];
     return finalStatuses.includes(status?.toUpperCase());
   }
 
@@ -231,26 +341,20 @@ class RefillTransactionService {
 
       const transaction = transactionResult.data.transaction;
 
+      // Earlier attempts only exist for refills that were retried
+      const previousAttempts = transaction.attemptCount > 1
+        ? await databaseService.getRefillAttemptsByRequestId(refillRequestId)
+        : [];
+      const events = await databaseService.getRefillTransactionEventsByRequestId(refillRequestId);
+
       return {
         success: true,
         error: null,
         code: null,
         data: {
-          refillRequestId: refillRequestId,
-          status: transaction.status,
-          amountAtomic: transaction.amountAtomic,
-          amount: transaction.amount,
-          tokenSymbol: transaction.tokenSymbol,
-          chainName: transaction.chainName,
-          assetId: transaction.assetId,
-          providerStatus: transaction.providerStatus,
-          provider: transaction.provider,
-          providerTxId: transaction.providerTxId,
-          externalTxId: transaction.externalTxId,
-          txHash: transaction.txHash,
-          message: transaction.message,
-          createdAt: transaction.createdAt,
-          updatedAt: transaction.updatedAt
+          ...this.formatTransaction(transaction),
+          previousAttempts: previousAttempts.map(attempt => this.formatAttempt(attempt)),
+          timeline: (events || []).map(event => this.formatEvent(event))
         }
       };
     } catch (error) {
@@ -266,6 +370,264 @@ class RefillTransactionService {
     }
   }
 
+  /**
+   * List refill transactions with filtering, sorting and cursor pagination
+   * @param {Object} query - List query (snake_case, as received by the API)
+   *   - status {string|Array<string>}: one or more statuses (comma separated or array)
+   *   - provider, chain_name, token_symbol {string}: exact (case-insensitive for chain and token) matches
+   *   - asset_id {number}: asset ID
+   *   - created_from, created_to, updated_from, updated_to {string}: ISO 8601 date range bounds (inclusive)
+   *   - sort_by {string}: created_at (default) or updated_at
+   *   - sort_order {string}: desc (default) or asc
+   *   - limit {number}: page size (default 50, max 200)
+   *   - cursor {string}: nextCursor value from the previous page
+   * @returns {Promise<Object>} Standardized response with transactions and pagination details
+   */
+  async listRefillTransactions(query = {}) {
+    try {
+      const parsedQuery = this.parseListQuery(query);
+      if (!parsedQuery.success) {
+        return parsedQuery;
+      }
+
+      const { filters, sortBy, sortOrder, cursor, limit } = parsedQuery.data;
+      logger.info(`Listing refill transactions with filters: ${JSON.stringify(filters)}, sort: ${sortBy} ${sortOrder}, limit: ${limit}`);
+
+      // Fetch one extra row to know whether another page exists
+      const rows = await databaseService.listRefillTransactions({
+        filters,
+        sortBy,
+        sortOrder,
+        cursor,
+        limit: limit + 1
+      });
+
+      const hasMore = rows.length > limit;
+      const transactions = hasMore ? rows.slice(0, limit) : rows;
+      const lastTransaction = transactions[transactions.length - 1];
+
+      return {
+        success: true,
+        error: null,
+        code: null,
+        data: {
+          transactions: transactions.map(transaction => this.formatTransaction(transaction)),
+          pagination: {
+            limit,
+            hasMore,
+            nextCursor: hasMore ? this.encodeCursor(sortBy, sortOrder, lastTransaction) : null
+          }
+        }
+      };
+    } catch (error) {
+      logger.error(`Error listing refill transactions: ${error.message}`);
+      return {
+        success: false,
+        error: 'Failed to list refill transactions',
+        code: 'TRANSACTION_LIST_ERROR',
+        data: {
+          details: error.message
+        }
+      };
+    }
+  }
+
+  /**
+   * Validate and normalize a refill listing query
+   * @param {Object} query - List query (snake_case)
+   * @returns {Object} Standardized response with { filters, sortBy, sortOrder, cursor, limit } on success
+   */
+  parseListQuery(query) {
+    const invalidQuery = (error, details) => ({
+      success: false,
+      error,
+      code: 'INVALID_QUERY',
+      data: details
+    });
+
+    const filters = {};
+
+    if (query.status) {
+      const statuses = Array.isArray(query.status) ? query.status : String(query.status).split(',');
+      filters.status = statuses.map(status => status.trim().toUpperCase()).filter(Boolean);
+    }
+    if (query.provider) {
+      filters.provider = String(query.provider).toLowerCase();
+    }
+    if (query.chain_name) {
+      filters.chainName = String(query.chain_name);
+    }
+    if (query.token_symbol) {
+      filters.tokenSymbol = String(query.token_symbol);
+    }
+    if (query.asset_id !== undefined && query.asset_id !== '') {
+      const assetId = Number(query.asset_id);
+      if (!Number.isInteger(assetId) || assetId <= 0) {
+        return invalidQuery('asset_id must be a positive integer', { asset_id: query.asset_id });
+      }
+      filters.assetId = assetId;
+    }
+
+    for (const [param, filter] of [['created_from', 'createdFrom'], ['created_to', 'createdTo'], ['updated_from', 'updatedFrom'], ['updated_to', 'updatedTo']]) {
+      if (!query[param]) {
+        continue;
+      }
+      const date = new Date(query[param]);
+      if (isNaN(date.getTime())) {
+        return invalidQuery(`${param} must be a valid ISO 8601 date`, { [param]: query[param] });
+      }
+      filters[filter] = date;
+    }
+
+    const sortParam = query.sort_by || 'created_at';
+    const sortBy = LIST_SORT_FIELDS[sortParam];
+    if (!sortBy) {
+      return invalidQuery(`sort_by must be one of: ${Object.keys(LIST_SORT_FIELDS).join(', ')}`, { sort_by: query.sort_by });
+    }
+
+    const sortOrder = String(query.sort_order || 'desc').toUpperCase();
+    if (!['ASC', 'DESC'].includes(sortOrder)) {
+      return invalidQuery('sort_order must be asc or desc', { sort_order: query.sort_order });
+    }
+
+    let limit = DEFAULT_LIST_LIMIT;
+    if (query.limit !== undefined && query.limit !== '') {
+      limit = Number(query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+        return invalidQuery(`limit must be an integer between 1 and ${MAX_LIST_LIMIT}`, { limit: query.limit });
+      }
+    }
+
+    let cursor = null;
+    if (query.cursor) {
+      cursor = this.decodeCursor(query.cursor, sortBy, sortOrder);
+      if (!cursor) {
+        return invalidQuery('cursor is invalid or was issued for a different sort order', { cursor: query.cursor });
+      }
+    }
+
+    return {
+      success: true,
+      error: null,
+      code: null,
+      data: {
+        filters,
+        sortBy,
+        sortOrder,
+        cursor,
+        limit
+      }
+    };
+  }
+
+  /**
+   * Encode the position of a transaction as an opaque pagination cursor
+   * @param {string} sortBy - Sort attribute
+   * @param {string} sortOrder - Sort direction
+   * @param {Object} transaction - Last transaction of the current page
+   * @returns {string} Base64url encoded cursor
+   */
+  encodeCursor(sortBy, sortOrder, transaction) {
+    const value = transaction[sortBy] instanceof Date ? transaction[sortBy].toISOString() : transaction[sortBy];
+    const payload = {
+      sortBy,
+      sortOrder,
+      value,
+      refillRequestId: transaction.refillRequestId
+    };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+  }
+
+  /**
+   * Decode a pagination cursor
+   * @param {string} encodedCursor - Cursor from a previous response
+   * @param {string} sortBy - Sort attribute of the current request
+   * @param {string} sortOrder - Sort direction of the current request
+   * @returns {Object|null} { value, refillRequestId } or null if the cursor is invalid or does not match the sort
+   */
+  decodeCursor(encodedCursor, sortBy, sortOrder) {
+    try {
+      const payload = JSON.parse(Buffer.from(String(encodedCursor), 'base64url').toString('utf8'));
+      if (payload.sortBy !== sortBy || payload.sortOrder !== sortOrder || !payload.value || !payload.refillRequestId) {
+        return null;
+      }
+      return {
+        value: payload.value,
+        refillRequestId: payload.refillRequestId
+      };
+    } catch (error) {
+      logger.debug(`Failed to decode cursor: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Format a transaction record for API responses
+   * @param {Object} transaction - Transaction object from database
+   * @returns {Object} Transaction details
+   */
+  formatTransaction(transaction) {
+    return {
+      refillRequestId: transaction.refillRequestId,
+      status: transaction.status,
+      amountAtomic: transaction.amountAtomic,
+      amount: transaction.amount,
+      tokenSymbol: transaction.tokenSymbol,
+      chainName: transaction.chainName,
+      assetId: transaction.assetId,
+      providerStatus: transaction.providerStatus,
+      provider: transaction.provider,
+      providerTxId: transaction.providerTxId,
+      externalTxId: transaction.externalTxId,
+      initiatedBy: transaction.initiatedBy,
+      parentRefillRequestId: transaction.parentRefillRequestId || null,
+      clientId: transaction.clientId,
+      attemptCount: transaction.attemptCount,
+      feeParams: transaction.feeParams || null,
+      txHash: transaction.txHash,
+      message: transaction.message,
+      createdAt: transaction.createdAt,
+      updatedAt: transaction.updatedAt
+    };
+  }
+
+  /**
+   * Format a refill transaction event for the status timeline
+   * @param {Object} event - Event object from database
+   * @returns {Object} Event fields exposed by the API
+   */
+  formatEvent(event) {
+    return {
+      eventType: event.eventType,
+      status: event.status,
+      providerStatus: event.providerStatus,
+      txHash: event.txHash,
+      message: event.message,
+      changedFields: event.changedFields,
+      occurredAt: event.createdAt
+    };
+  }
+
+  /**
+   * Format an archived refill attempt for API responses
+   * @param {Object} attempt - Attempt object from database
+   * @returns {Object} Attempt fields exposed by the API
+   */
+  formatAttempt(attempt) {
+    return {
+      attempt: attempt.attempt,
+      provider: attempt.provider,
+      providerTxId: attempt.providerTxId,
+      externalTxId: attempt.externalTxId,
+      status: attempt.status,
+      providerStatus: attempt.providerStatus,
+      amountAtomic: attempt.amountAtomic,
+      txHash: attempt.txHash,
+      message: attempt.message,
+      archivedAt: attempt.createdAt
+    };
+  }
+
   /**
    * Check transaction status from provider and update database (used by cron monitor)
    * @param {Object} transaction - Transaction object from database
@@ -303,32 +665,8 @@ class RefillTransactionService {
       // Fetch latest status from provider
       let providerStatusResponse = null;
       try {
-        // Fetch status from provider based on provider type
-        if (providerName.toLowerCase() === 'fireblocks') {
-          providerStatusResponse = await provider.getTransactionById(providerTxId);
-        } else if (providerName.toLowerCase() === 'liminal') {
-          // Get asset info from transaction association (already loaded with transaction)
-          const asset = transaction.Asset;
-          if (!asset) {
-            logger.error(`Asset not found in transaction association for transaction: ${refillRequestId}`);
-            return {
-              success: false,
-              error: 'Asset data not available for status check',
-              code: 'ASSET_NOT_FOUND',
-              data: { refillRequestId }
-            };
-          }
-
-          // Construct token object for provider API calls
-          const tokenInfo = {
-            symbol: asset.symbol,
-            blockchainSymbol: asset.Blockchain?.symbol || transaction.tokenSymbol,
-            contractAddress: asset.contractAddress === 'native' ? null : asset.contractAddress,
-            decimalPlaces: asset.decimals,
-            walletConfig: asset.sweepWalletConfig || {}
-          };
-          providerStatusResponse = await provider.getTransactionById(providerTxId, externalTxId, tokenInfo);
-        } else {
+        // Status fetch is provider specific (e.g. Liminal looks transfers up through the asset's cold wallet)
+        if (!providerRegistry.has(providerName)) {
           logger.error(`Unknown provider type: ${providerName}`);
           return {
             success: false,
@@ -341,6 +679,8 @@ class RefillTransactionService {
           };
         }
 
+        providerStatusResponse = await provider.fetchTransactionStatus(transaction);
+
         logger.info(`Provider status response:`, JSON.stringify(providerStatusResponse, null, 2));
 
       } catch (error) {
@@ -362,69 +702,219 @@ class RefillTransactionService {
         };
       }
 
-      // Extract transaction details from provider response
-      const transactionDetails = this.extractTransactionDetails(providerName, providerStatusResponse);
-      const mappedStatus = this.mapProviderStatusToInternal(providerName, transactionDetails.status);
-
-      // Build update data - only include fields that changed
-      const { updateData, hasChanges } = refillUtils.buildTransactionUpdateData(
-        transaction,
-        transactionDetails,
-        mappedStatus
-      );
-
-      // Only update database if something actually changed
-      if (hasChanges) {
-        logger.info(`Updating transaction ${refillRequestId} in DB with changed fields`);
-        
-        const updateResult = await this.updateRefillTransaction(refillRequestId, updateData);
-        
-        if (!updateResult.success) {
-          logger.error(`Failed to update transaction: ${updateResult.error}`);
+      return await this.applyProviderUpdate(transaction, providerStatusResponse);
+    } catch (error) {
+      logger.error(`Error checking transaction status: ${error.message}`);
+      return {
+        success: false,
+        error: 'Failed to check transaction status',
+        code: 'STATUS_CHECK_ERROR',
+        data: {
+          details: error.message
         }
-        
+      };
+    }
+  }
+
+  /**
+   * Apply a provider transaction response to a refill (shared by the polling monitor and provider webhooks)
+   * @param {Object} transaction - Transaction object from database
+   * @param {Object} providerResponse - Transaction as returned by the provider
+   * @param {Object} [additionalUpdateData] - Fields to store along with any provider changes (e.g. lastProviderEventAt)
+   * @returns {Promise<Object>} Standardized response with transaction status
+   */
+  async applyProviderUpdate(transaction, providerResponse, additionalUpdateData = {}) {
+    const refillRequestId = transaction.refillRequestId;
+    const providerName = transaction.provider;
+    const currentStatus = transaction.status;
+    const providerTxId = transaction.providerTxId;
+    const externalTxId = transaction.externalTxId;
+
+    // Extract transaction details from provider response
+    const transactionDetails = this.extractTransactionDetails(providerName, providerResponse);
+    const mappedStatus = this.mapProviderStatusToInternal(providerName, transactionDetails.status);
+
+    // Build update data - only include fields that changed
+    const { updateData, hasChanges } = refillUtils.buildTransactionUpdateData(
+      transaction,
+      transactionDetails,
+      mappedStatus
+    );
+
+    // Only update database if something actually changed
+    if (hasChanges) {
+      logger.info(`Updating transaction ${refillRequestId} in DB with changed fields`);
+
+      // Webhooks and the polling monitor can race, and provider events can arrive out of order:
+      // only apply the response if the refill still has the status it was read with
+      const expectedState = { status: currentStatus };
+
+      // Status transitions are pushed to the requesting client
+      const updateResult = updateData.status
+        ? await this.updateRefillTransactionStatus(transaction, { ...updateData, ...additionalUpdateData }, {
+          status: updateData.status,
+          previousStatus: currentStatus,
+          providerStatus: updateData.providerStatus,
+          txHash: updateData.txHash,
+          message: updateData.message
+        }, expectedState)
+        : await this.updateRefillTransaction(refillRequestId, { ...updateData, ...additionalUpdateData }, expectedState);
+
+      if (updateResult.code === 'TRANSACTION_STATE_CHANGED') {
+        logger.info(`Ignoring stale ${providerName} update for refill ${refillRequestId}, status is no longer ${currentStatus}`);
+        return this.unchangedProviderUpdateResult(transaction);
+      }
+
+      if (!updateResult.success) {
+        logger.error(`Failed to update transaction: ${updateResult.error}`);
+      }
+      
+      return {
+        success: true,
+        error: null,
+        code: null,
+        data: {
+          refillRequestId: refillRequestId,
+          status: updateData.status || currentStatus,
+          provider: providerName,
+          providerTxId: providerTxId,
+          providerStatus: updateData.providerStatus || transaction.providerStatus,
+          txHash: updateData.txHash || transaction.txHash,
+          externalTxId: externalTxId,
+          message: updateData.message || transaction.message,
+          previousStatus: currentStatus,
+          updated: true
+        }
+      };
+    } else {
+      logger.debug(`No changes detected for transaction ${refillRequestId}`);
+
+      if (Object.keys(additionalUpdateData).length > 0) {
+        await this.updateRefillTransaction(refillRequestId, additionalUpdateData);
+      }
+
+      return this.unchangedProviderUpdateResult(transaction);
+    }
+  }
+
+  /**
+   * Build the applyProviderUpdate result for a refill that was left unchanged
+   * @param {Object} transaction - Transaction object from database
+   * @returns {Object} Standardized response with the stored transaction status
+   */
+  unchangedProviderUpdateResult(transaction) {
+    return {
+      success: true,
+      error: null,
+      code: null,
+      data: {
+        refillRequestId: transaction.refillRequestId,
+        status: transaction.status,
+        provider: transaction.provider,
+        providerTxId: transaction.providerTxId,
+        providerStatus: transaction.providerStatus,
+        txHash: transaction.txHash,
+        externalTxId: transaction.externalTxId,
+        message: transaction.message,
+        updated: false
+      }
+    };
+  }
+
+  /**
+   * Cancel an in-flight refill. Refills that were never submitted and force cancellations move to
+   * CANCELLED right away, which releases the asset lock. When the provider accepts the cancellation
+   * the refill stays PROCESSING until the provider reports the final status, since the transfer may
+   * still complete on-chain
+   * @param {string} refillRequestId - External refill request ID
+   * @param {Object} [options]
+   *   - force {boolean}: cancel locally even if the provider cannot cancel the transaction through its API
+   *     (e.g. after rejecting a Liminal transfer request in the Liminal console).
+   *   - reason {string}: optional reason stored in the transaction message.
+   * @returns {Promise<Object>} Standardized response with the cancelled transaction.
+   *   - data.cancelRequested {boolean}: true if the refill waits for the provider to confirm the cancellation.
+   */
+  async cancelRefillTransaction(refillRequestId, options = {}) {
+    try {
+      const force = options.force === true || options.force === 'true';
+
+      const transaction = await databaseService.getRefillTransactionByRequestId(refillRequestId);
+      if (!transaction) {
         return {
-          success: true,
-          error: null,
-          code: null,
+          success: false,
+          error: 'Transaction not found',
+          code: 'TRANSACTION_NOT_FOUND',
           data: {
-            refillRequestId: refillRequestId,
-            status: updateData.status || currentStatus,
-            provider: providerName,
-            providerTxId: providerTxId,
-            providerStatus: updateData.providerStatus || transaction.providerStatus,
-            txHash: updateData.txHash || transaction.txHash,
-            externalTxId: externalTxId,
-            message: updateData.message || transaction.message,
-            previousStatus: currentStatus,
-            updated: true
+            refillRequestId
           }
         };
-      } else {
-        logger.debug(`No changes detected for transaction ${refillRequestId}`);
+      }
+
+      if (!CANCELLABLE_STATUSES.includes(transaction.status)) {
+        logger.info(`Refill ${refillRequestId} cannot be cancelled in status ${transaction.status}`);
         return {
-          success: true,
-          error: null,
-          code: null,
+          success: false,
+          error: `Transaction in status ${transaction.status} cannot be cancelled`,
+          code: 'TRANSACTION_NOT_CANCELLABLE',
           data: {
-            refillRequestId: refillRequestId,
-            status: currentStatus,
-            provider: providerName,
-            providerTxId: providerTxId,
-            providerStatus: transaction.providerStatus,
-            txHash: transaction.txHash,
-            externalTxId: externalTxId,
-            message: transaction.message,
-            updated: false
+            refillRequestId,
+            status: transaction.status
           }
         };
       }
+
+      // Nothing to cancel at the provider if the transfer was never submitted
+      if (transaction.providerTxId) {
+        const cancelResult = await this.cancelAtProvider(transaction);
+        if (cancelResult.cancelled) {
+          return await this.recordCancellationRequest(transaction, options.reason);
+        }
+        if (!force) {
+          return {
+            success: false,
+            error: cancelResult.message,
+            code: cancelResult.code,
+            data: {
+              refillRequestId,
+              status: transaction.status,
+              provider: transaction.provider
+            }
+          };
+        }
+        logger.info(`Force cancelling refill ${refillRequestId} locally: ${cancelResult.message}`);
+      }
+
+      const message = options.reason ? `Cancelled manually: ${options.reason}` : 'Cancelled manually';
+      const updateResult = await this.updateRefillTransactionStatus(transaction, {
+        status: 'CANCELLED',
+        message: message
+      }, {
+        status: 'CANCELLED',
+        previousStatus: transaction.status,
+        message: message
+      });
+      if (!updateResult.success) {
+        return updateResult;
+      }
+
+      logger.info(`Refill ${refillRequestId} cancelled (previous status ${transaction.status})`);
+
+      return {
+        success: true,
+        error: null,
+        code: null,
+        data: {
+          transaction: { ...this.formatTransaction(transaction), status: 'CANCELLED', message: message },
+          previousStatus: transaction.status,
+          cancelRequested: false
+        }
+      };
     } catch (error) {
-      logger.error(`Error checking transaction status: ${error.message}`);
+      logger.error(`Error cancelling refill ${refillRequestId}: ${error.message}`);
       return {
         success: false,
-        error: 'Failed to check transaction status',
-        code: 'STATUS_CHECK_ERROR',
+        error: 'Failed to cancel refill transaction',
+        code: 'TRANSACTION_CANCEL_ERROR',
         data: {
           details: error.message
         }
@@ -432,6 +922,81 @@ class RefillTransactionService {
     }
   }
 
+  /**
+   * Record that the provider accepted the cancellation of a refill. The refill stays in flight with a
+   * "cancellation requested" message, and the transaction monitor moves it to the final status the
+   * provider reports (CANCELLED, or FAILED / COMPLETED if the transfer could not be stopped)
+   * @param {Object} transaction - Transaction object from database
+   * @param {string} [reason] - Optional reason stored in the transaction message
+   * @returns {Promise<Object>} Standardized response with the in-flight transaction
+   */
+  async recordCancellationRequest(transaction, reason) {
+    const refillRequestId = transaction.refillRequestId;
+    const message = reason ? `Cancellation requested: ${reason}` : 'Cancellation requested';
+    const updateData = { status: 'PROCESSING', message: message };
+
+    const updateResult = transaction.status === 'PROCESSING'
+      ? await this.updateRefillTransaction(refillRequestId, updateData)
+      : await this.updateRefillTransactionStatus(transaction, updateData, {
+        status: 'PROCESSING',
+        previousStatus: transaction.status,
+        message: message
+      });
+    if (!updateResult.success) {
+      return updateResult;
+    }
+
+    logger.info(`Cancellation of refill ${refillRequestId} accepted by ${transaction.provider}, waiting for the final status`);
+
+    return {
+      success: true,
+      error: null,
+      code: null,
+      data: {
+        transaction: { ...this.formatTransaction(transaction), status: 'PROCESSING', message: message },
+        previousStatus: transaction.status,
+        cancelRequested: true
+      }
+    };
+  }
+
+  /**
+   * Ask the provider to cancel the transaction of a refill
+   * @param {Object} transaction - Transaction object from database
+   * @returns {Promise<Object>} { cancelled, code, message }
+   */
+  async cancelAtProvider(transaction) {
+    await providerService.initialize();
+    const provider = providerService.getProviders().get(transaction.provider.toLowerCase());
+    if (!provider) {
+      logger.error(`Provider ${transaction.provider} not found in initialized providers`);
+      return {
+        cancelled: false,
+        code: 'PROVIDER_NOT_AVAILABLE',
+        message: `Provider ${transaction.provider} not available`
+      };
+    }
+
+    try {
+      const result = await provider.cancelTransaction(transaction.providerTxId);
+      if (result.cancelled) {
+        return { cancelled: true, code: null, message: result.message };
+      }
+      return {
+        cancelled: false,
+        code: result.supported === false ? 'CANCEL_NOT_SUPPORTED' : 'CANCEL_REJECTED',
+        message: result.message
+      };
+    } catch (error) {
+      logger.error(`Error cancelling refill ${transaction.refillRequestId} at ${transaction.provider}: ${error.message}`);
+      return {
+        cancelled: false,
+        code: 'CANCEL_REJECTED',
+        message: `Provider rejected the cancellation: ${error.message}`
+      };
+    }
+  }
+
   /**
    * Extract transaction details from provider response
    * @param {string} provider - Provider name
@@ -440,22 +1005,9 @@ class RefillTransactionService {
    */
   extractTransactionDetails(provider, providerResponse) {
     try {
-      if (provider === 'fireblocks') {
-        return {
-          providerTxId: providerResponse.id,
-          txHash: providerResponse.txHash,
-          status: providerResponse.status,
-          message: providerResponse.note || null,
-          providerData: providerResponse
-        };
-      } else if (provider === 'liminal') {
-        return {
-          providerTxId: providerResponse.identifier,
-          txHash: providerResponse.identifier,
-          status: providerResponse.status,
-          message: providerResponse.comment || null,
-          providerData: providerResponse
-        };
+      const ProviderClass = providerRegistry.get(provider);
+      if (ProviderClass) {
+        return ProviderClass.extractTransactionDetails(providerResponse);
       }
       
       return {
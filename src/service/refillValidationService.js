@@ -3,6 +3,14 @@ const logger = require('../middleware/logger')('refillValidationService');
 const databaseService = require('./chainDb');
 const refillUtils = require('./utils/utils');
 const providerService = require('./providerService');
+const providerRegistry = require('../providers/registry');
+const config = require('../config');
+
+// Urgency hints a refill request can carry; HIGH lets providers upgrade the transfer fee level
+const REFILL_URGENCIES = ['NORMAL', 'HIGH'];
+
+// refill_amount value (or an omitted refill_amount) that lets the service compute the amount from live balances
+const AUTO_REFILL_AMOUNT = 'auto';
 
 /**
  * Refill Request Validation Service
@@ -17,16 +25,25 @@ class RefillValidationService {
    * blockchain support, sweep wallet configuration, and balance-related rules.
    *
    * @param {Object} refillData - The refill request data.
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.gasTopUp] - Whether the refill is a gas top-up chained to a token refill. Gas top-ups are
+   *   needed below the token's gas reserve, so the cooldown, the trigger threshold and the target balance of the native
+   *   asset do not apply
    * @returns {Object} The validation result object.
    *   - success {boolean}: true if the refill request is valid, false otherwise.
    *   - error {string}: the error message if the refill request is not valid.
    *   - code {string}: the error code if the refill request is not valid.
    *   - data {Object}: the validated data if the refill request is valid.
    */
-  async validateRefillRequest(refillData) {
+  async validateRefillRequest(refillData, { gasTopUp = false } = {}) {
     try {
       logger.info(`Validating refill request for wallet: ${refillData.wallet_address}`);
 
+      const urgencyCheck = this.validateUrgency(refillData.urgency);
+      if (!urgencyCheck.success) {
+        return urgencyCheck;
+      }
+
       logger.info(`Validating chain details for ${refillData.chain_name}`);
       // Validate blockchain exists and is active
       const blockchain = await databaseService.getBlockchainByName(refillData.chain_name.toLowerCase());
@@ -55,11 +72,32 @@ class RefillValidationService {
         return pendingRefillCheck;
       }
 
-      logger.info(`Validating refill cooldown period for asset ${refillData.asset_symbol}`);
-      // Check if cooldown period has passed since last successful refill
-      const cooldownCheck = await this.validateCooldownPeriod(assetValidation.data.asset);
-      if (!cooldownCheck.success) {
-        return cooldownCheck;
+      if (!gasTopUp) {
+        logger.info(`Validating refill cooldown period for asset ${refillData.asset_symbol}`);
+        // Check if cooldown period has passed since last successful refill
+        const cooldownCheck = await this.validateCooldownPeriod(assetValidation.data.asset);
+        if (!cooldownCheck.success) {
+          return cooldownCheck;
+        }
+      }
+
+      // Computed amounts depend on live balances, their dust threshold and limits are checked once the amount is known
+      const autoAmount = this.isAutoRefillAmount(refillData.refill_amount);
+      let refillAmount = refillData.refill_amount;
+      if (!autoAmount) {
+        logger.info(`Validating dust threshold for asset ${refillData.asset_symbol}`);
+        const dustCheck = this.validateDustThreshold(assetValidation.data.asset, refillAmount, { autoAmount });
+        if (!dustCheck.success) {
+          return dustCheck;
+        }
+        refillAmount = dustCheck.data.refillAmount;
+
+        logger.info(`Validating refill limits for asset ${refillData.asset_symbol}`);
+        // Check per-asset single refill and rolling 24 hour volume limits
+        const limitsCheck = await this.validateRefillLimits(assetValidation.data.asset, refillAmount);
+        if (!limitsCheck.success) {
+          return limitsCheck;
+        }
       }
 
       logger.info(`Validating hot wallet address for ${refillData.wallet_address}`);
@@ -99,11 +137,35 @@ class RefillValidationService {
         };
       }
 
+      // Hot wallet balance the computed amount is based on, reused by the hot wallet check below
+      let hotWalletBalance = null;
+      if (autoAmount) {
+        logger.info(`Computing refill amount for ${refillData.asset_symbol}`);
+        const autoAmountResult = await this.computeAutoRefillAmount(assetValidation.data.asset, provider);
+        if (!autoAmountResult.success) {
+          return autoAmountResult;
+        }
+        refillAmount = autoAmountResult.data.refillAmount;
+        hotWalletBalance = autoAmountResult.data.hotWalletBalance;
+
+        logger.info(`Validating dust threshold for asset ${refillData.asset_symbol}`);
+        const dustCheck = this.validateDustThreshold(assetValidation.data.asset, refillAmount, { autoAmount });
+        if (!dustCheck.success) {
+          return dustCheck;
+        }
+
+        logger.info(`Validating refill limits for asset ${refillData.asset_symbol}`);
+        const limitsCheck = await this.validateRefillLimits(assetValidation.data.asset, refillAmount);
+        if (!limitsCheck.success) {
+          return limitsCheck;
+        }
+      }
+
       logger.info(`Validating cold wallet balance for ${refillData.asset_symbol}`);
       // Validate cold wallet has sufficient balance
       const coldWalletValidation = await this.validateColdWalletBalance(
         assetValidation.data.asset,
-        refillData.refill_amount,
+        refillAmount,
         provider
       );
       if (!coldWalletValidation.success) {
@@ -114,14 +176,22 @@ class RefillValidationService {
       // Check if hot wallet needs refill
       const hotWalletValidation = await this.validateHotWalletNeedsRefill(
         hotWalletAddressValidation.data.walletAddress,
-        refillData.refill_amount,
+        refillAmount,
         provider,
-        assetValidation.data.asset
+        assetValidation.data.asset,
+        { hotWalletBalance, gasTopUp }
       );
       if (!hotWalletValidation.success) {
         return hotWalletValidation;
       }
 
+      logger.info(`Validating hot wallet gas balance for ${refillData.asset_symbol}`);
+      // Contract token refills need native asset in the hot wallet to pay gas for later withdrawals
+      const gasValidation = await this.validateHotWalletGas(assetValidation.data.asset, blockchain, provider);
+      if (!gasValidation.success) {
+        return gasValidation;
+      }
+
       logger.info(`Refill request validation successful for wallet: ${refillData.wallet_address}`);
 
       return {
@@ -161,7 +231,12 @@ class RefillValidationService {
             hotWalletBalance: hotWalletValidation.data.currentBalance,
             hotWalletTargetBalance: hotWalletValidation.data.targetBalance,
             hotWalletTriggerThreshold: hotWalletValidation.data.triggerThreshold,
-            refillAmountAtomic: hotWalletValidation.data.refillAmountAtomic
+            refillAmount: refillAmount,
+            requestedRefillAmount: autoAmount ? null : refillData.refill_amount,
+            refillAmountAtomic: hotWalletValidation.data.refillAmountAtomic,
+            autoRefillAmount: autoAmount,
+            gasTopUp: gasValidation.data.gasTopUp,
+            urgency: urgencyCheck.data.urgency
           }
         }
       };
@@ -181,22 +256,23 @@ class RefillValidationService {
   /**
    * Validate required fields are present in the refill request data.
    * @param {Object} refillData - The refill request data to validate.
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.requireRequestId] - Whether refill_request_id is required (default: true, previews do not need one)
    * @returns {Object} The validation result object.
    *   - success {boolean}: true if all required fields are present, false otherwise.
    *   - error {string}: the error message if the required fields are not present.
    *   - code {string}: the error code if the required fields are not present.
    *   - data {Object}: the data if the required fields are present.
    */
-  validateRequiredFields(refillData) {
+  validateRequiredFields(refillData, { requireRequestId = true } = {}) {
     const requiredFields = [
       'refill_request_id',
       'wallet_address',
       'asset_symbol',
       'asset_address',
       'chain_name',
-      'refill_amount',
       'refill_sweep_wallet'
-    ];
+    ].filter(field => requireRequestId || field !== 'refill_request_id');
 
     const missingFields = requiredFields.filter(field => !refillData[field]);
 
@@ -210,6 +286,175 @@ class RefillValidationService {
     };
   }
 
+  /**
+   * Whether the refill amount is left to the service: refill_amount omitted or set to auto
+   * @param {string|number} [refillAmount] - Requested refill amount
+   * @returns {boolean} True if the amount is computed from live balances
+   */
+  isAutoRefillAmount(refillAmount) {
+    return refillAmount === undefined || refillAmount === null || refillAmount === '' ||
+      refillAmount.toString().toLowerCase() === AUTO_REFILL_AMOUNT;
+  }
+
+  /**
+   * Compute the refill amount that brings the hot wallet to its target balance (target minus live balance),
+   * capped by the cold wallet balance above the asset's minimum cold reserve
+   * @param {Object} asset - The asset data.
+   * @param {Object} provider - The provider instance.
+   * @returns {Promise<Object>} The result object.
+   *   - success {boolean}: true if a positive refill amount was computed, false otherwise.
+   *   - error {string}: the error message if no refill amount could be computed.
+   *   - code {string}: the error code if no refill amount could be computed.
+   *   - data {Object}: { refillAmount (human-readable), refillAmountAtomic, requiredAmountAtomic, cappedByColdWallet,
+   *     hotWalletBalance (the hot wallet balance read, as returned by getHotWalletBalance) }.
+   */
+  async computeAutoRefillAmount(asset, provider) {
+    try {
+      const targetBalance = new BigNumber(asset.refillTargetBalanceAtomic || 0);
+      if (!targetBalance.gt(0)) {
+        return {
+          success: false,
+          error: 'Asset has no refill target balance, refill_amount is required',
+          code: 'REFILL_TARGET_NOT_CONFIGURED',
+          data: {
+            assetSymbol: asset.symbol
+          }
+        };
+      }
+
+      const hotBalanceResult = await this.getHotWalletBalance(asset, provider);
+      if (!hotBalanceResult.success) {
+        return hotBalanceResult;
+      }
+
+      const currentBalance = hotBalanceResult.data.balance;
+      const requiredAmountAtomic = targetBalance.minus(currentBalance);
+      if (requiredAmountAtomic.lte(0)) {
+        return {
+          success: false,
+          error: 'Hot wallet already has sufficient balance',
+          code: 'SUFFICIENT_BALANCE',
+          data: {
+            current: currentBalance.toString(),
+            balanceBreakdown: hotBalanceResult.data.balanceBreakdown,
+            balanceComponents: hotBalanceResult.data.balanceComponents,
+            target: targetBalance.toString(),
+            checkedAt: new Date().toISOString()
+          }
+        };
+      }
+
+      const coldBalanceResult = await this.getColdWalletBalance(asset, provider);
+      if (!coldBalanceResult.success) {
+        return coldBalanceResult;
+      }
+
+      const coldBalance = coldBalanceResult.data.balance;
+      const minColdReserve = this.getMinColdReserve(asset);
+      const spendableColdBalance = BigNumber.max(coldBalance.minus(minColdReserve), 0);
+      const refillAmountAtomic = BigNumber.min(requiredAmountAtomic, spendableColdBalance);
+      if (refillAmountAtomic.lte(0) && coldBalance.gt(0) && minColdReserve.gt(0)) {
+        return {
+          success: false,
+          error: `Cold wallet balance is at its minimum reserve. Available: ${coldBalance.toString()}, Minimum reserve: ${minColdReserve.toString()}`,
+          code: 'COLD_RESERVE_BREACH',
+          data: {
+            availableBalance: coldBalance.toString(),
+            requiredAmount: requiredAmountAtomic.toString(),
+            minColdReserveAtomic: minColdReserve.toFixed(),
+            maxRefillAmountAtomic: '0',
+            balanceBreakdown: coldBalanceResult.data.balanceBreakdown,
+            balanceComponents: coldBalanceResult.data.balanceComponents,
+            coldWalletId: coldBalanceResult.data.coldWalletId,
+            provider: coldBalanceResult.data.providerName,
+            checkedAt: new Date().toISOString()
+          }
+        };
+      }
+
+      if (refillAmountAtomic.lte(0)) {
+        return {
+          success: false,
+          error: `Insufficient cold wallet balance. Available: ${coldBalance.toString()}, Required: ${requiredAmountAtomic.toString()}`,
+          code: 'INSUFFICIENT_BALANCE',
+          data: {
+            availableBalance: coldBalance.toString(),
+            requiredAmount: requiredAmountAtomic.toString(),
+            balanceBreakdown: coldBalanceResult.data.balanceBreakdown,
+            balanceComponents: coldBalanceResult.data.balanceComponents,
+            coldWalletId: coldBalanceResult.data.coldWalletId,
+            provider: coldBalanceResult.data.providerName,
+            checkedAt: new Date().toISOString()
+          }
+        };
+      }
+
+      const cappedByColdWallet = refillAmountAtomic.lt(requiredAmountAtomic);
+      if (cappedByColdWallet) {
+        logger.info(`Refill amount for ${asset.symbol} capped by cold wallet balance above its minimum reserve: ${refillAmountAtomic.toString()} of ${requiredAmountAtomic.toString()}`);
+      }
+
+      return {
+        success: true,
+        error: null,
+        code: null,
+        data: {
+          refillAmount: refillAmountAtomic.dividedBy(new BigNumber(10).pow(asset.decimals)).toFixed(),
+          refillAmountAtomic: refillAmountAtomic.toFixed(),
+          requiredAmountAtomic: requiredAmountAtomic.toFixed(),
+          cappedByColdWallet,
+          hotWalletBalance: hotBalanceResult.data
+        }
+      };
+    } catch (error) {
+      logger.error(`Error computing refill amount: ${error.message}`);
+      if (error.code === 'PROVIDER_UNAVAILABLE') {
+        return {
+          success: false,
+          error: error.message,
+          code: error.code,
+          data: error.details
+        };
+      }
+      return {
+        success: false,
+        error: 'Error fetching wallet balances to compute the refill amount',
+        code: 'BALANCE_VALIDATION_ERROR',
+        data: {
+          details: error.message
+        }
+      };
+    }
+  }
+
+  /**
+   * Validate the optional urgency hint of a refill request
+   * @param {string} [urgency] - Urgency hint: NORMAL (default) or HIGH, case-insensitive
+   * @returns {Object} The validation result object; data.urgency holds the normalized urgency
+   */
+  validateUrgency(urgency) {
+    const normalizedUrgency = urgency ? urgency.toString().toUpperCase() : 'NORMAL';
+    if (!REFILL_URGENCIES.includes(normalizedUrgency)) {
+      return {
+        success: false,
+        error: `Invalid urgency: ${urgency}. Expected one of ${REFILL_URGENCIES.join(', ')}`,
+        code: 'INVALID_URGENCY',
+        data: {
+          urgency: urgency
+        }
+      };
+    }
+
+    return {
+      success: true,
+      error: null,
+      code: null,
+      data: {
+        urgency: normalizedUrgency
+      }
+    };
+  }
+
   /**
    * Validate the hot wallet address and asset address
    * @param {Object} refillData - The refill request data.
@@ -382,6 +627,166 @@ class RefillValidationService {
     }
   }
 
+  /**
+   * Validate the refill amount against the asset's dust threshold (refillDustThresholdAtomic), below which
+   * a refill costs more in fees than it moves. Requested amounts below dust are rejected or, with the
+   * refillDustPolicy ROUND_UP, rounded up to the threshold; computed amounts below dust are always skipped.
+   * @param {Object} asset - Asset object with dust threshold configuration
+   * @param {string} refillAmount - Refill amount (human-readable)
+   * @param {Object} [options] - Validation options
+   * @param {boolean} [options.autoAmount] - Whether the amount was computed by the service
+   * @returns {Object} Validation result; data.refillAmount holds the amount to refill (human-readable)
+   */
+  validateDustThreshold(asset, refillAmount, { autoAmount = false } = {}) {
+    const dustThreshold = new BigNumber(asset.refillDustThresholdAtomic || 0);
+    const multiplier = new BigNumber(10).pow(asset.decimals);
+    const requestedAmountAtomic = new BigNumber(refillAmount).multipliedBy(multiplier);
+
+    // Non-positive amounts are rejected by the hot wallet check with INVALID_AMOUNT
+    if (!dustThreshold.gt(0) || !requestedAmountAtomic.gt(0) || requestedAmountAtomic.gte(dustThreshold)) {
+      return {
+        success: true,
+        error: null,
+        code: null,
+        data: {
+          refillAmount,
+          roundedUp: false
+        }
+      };
+    }
+
+    const dustPolicy = config.get('refillDustPolicy') || 'REJECT';
+    if (autoAmount || dustPolicy !== 'ROUND_UP') {
+      return {
+        success: false,
+        error: autoAmount
+          ? `Computed refill amount is below the dust threshold, refill skipped. Threshold: ${dustThreshold.toFixed()}, Computed: ${requestedAmountAtomic.toFixed()}`
+          : `Refill amount is below the dust threshold. Threshold: ${dustThreshold.toFixed()}, Requested: ${requestedAmountAtomic.toFixed()}`,
+        code: 'BELOW_DUST_THRESHOLD',
+        data: {
+          refillDustThresholdAtomic: dustThreshold.toFixed(),
+          requestedAmountAtomic: requestedAmountAtomic.toFixed(),
+          autoRefillAmount: autoAmount
+        }
+      };
+    }
+
+    logger.info(`Rounding refill amount for ${asset.symbol} up to the dust threshold: ${requestedAmountAtomic.toFixed()} -> ${dustThreshold.toFixed()}`);
+    return {
+      success: true,
+      error: null,
+      code: null,
+      data: {
+        refillAmount: dustThreshold.dividedBy(multiplier).toFixed(),
+        roundedUp: true
+      }
+    };
+  }
+
+  /**
+   * Validate the per-asset refill limits: maximum single refill amount, and maximum number
+   * and total amount of refills in the rolling 24 hour window. Limits that are not set are not enforced.
+   * @param {Object} asset - Asset object with limit configuration
+   * @param {string} refillAmount - Requested refill amount (human-readable)
+   * @returns {Object} Validation result; data carries the remaining allowance
+   */
+  async validateRefillLimits(asset, refillAmount) {
+    try {
+      const hasSingleLimit = asset.maxSingleRefillAmountAtomic !== null && asset.maxSingleRefillAmountAtomic !== undefined;
+      const hasCountLimit = asset.maxRefillsPerDay !== null && asset.maxRefillsPerDay !== undefined;
+      const hasAmountLimit = asset.maxDailyRefillAmountAtomic !== null && asset.maxDailyRefillAmountAtomic !== undefined;
+
+      // If no limits configured, allow refill
+      if (!hasSingleLimit && !hasCountLimit && !hasAmountLimit) {
+        return {
+          success: true,
+          error: null,
+          code: null,
+          data: null
+        };
+      }
+
+      const requestedAmountAtomic = new BigNumber(refillAmount).multipliedBy(new BigNumber(10).pow(asset.decimals));
+
+      if (hasSingleLimit && requestedAmountAtomic.gt(asset.maxSingleRefillAmountAtomic)) {
+        return {
+          success: false,
+          error: `Refill amount exceeds the single refill limit. Maximum: ${asset.maxSingleRefillAmountAtomic}, Requested: ${requestedAmountAtomic.toFixed()}`,
+          code: 'SINGLE_REFILL_LIMIT_EXCEEDED',
+          data: {
+            maxSingleRefillAmountAtomic: new BigNumber(asset.maxSingleRefillAmountAtomic).toFixed(),
+            requestedAmountAtomic: requestedAmountAtomic.toFixed()
+          }
+        };
+      }
+
+      if (!hasCountLimit && !hasAmountLimit) {
+        return {
+          success: true,
+          error: null,
+          code: null,
+          data: null
+        };
+      }
+
+      const windowStart = new Date(Date.now() - 24 * 60 * 60 * 1000);
+      const volume = await databaseService.getRefillVolumeByAssetId(asset.id, windowStart);
+      const refillCount = parseInt(volume?.refillCount || 0, 10);
+      const refilledAmountAtomic = new BigNumber(volume?.totalAmountAtomic || 0);
+
+      const allowance = {
+        windowStart: windowStart.toISOString(),
+        refillsInWindow: refillCount,
+        refilledAmountAtomic: refilledAmountAtomic.toFixed(),
+        requestedAmountAtomic: requestedAmountAtomic.toFixed()
+      };
+      if (hasCountLimit) {
+        allowance.maxRefillsPerDay = asset.maxRefillsPerDay;
+        allowance.remainingRefills = Math.max(asset.maxRefillsPerDay - refillCount, 0);
+      }
+      if (hasAmountLimit) {
+        const remainingAmountAtomic = BigNumber.max(new BigNumber(asset.maxDailyRefillAmountAtomic).minus(refilledAmountAtomic), 0);
+        allowance.maxDailyRefillAmountAtomic = new BigNumber(asset.maxDailyRefillAmountAtomic).toFixed();
+        allowance.remainingAmountAtomic = remainingAmountAtomic.toFixed();
+      }
+
+      if (hasCountLimit && refillCount >= asset.maxRefillsPerDay) {
+        return {
+          success: false,
+          error: `Daily refill count limit reached. Maximum ${asset.maxRefillsPerDay} refills per 24 hours.`,
+          code: 'DAILY_REFILL_COUNT_EXCEEDED',
+          data: allowance
+        };
+      }
+
+      if (hasAmountLimit && requestedAmountAtomic.gt(allowance.remainingAmountAtomic)) {
+        return {
+          success: false,
+          error: `Refill amount exceeds the daily refill amount limit. Remaining: ${allowance.remainingAmountAtomic}, Requested: ${requestedAmountAtomic.toFixed()}`,
+          code: 'DAILY_REFILL_AMOUNT_EXCEEDED',
+          data: allowance
+        };
+      }
+
+      return {
+        success: true,
+        error: null,
+        code: null,
+        data: allowance
+      };
+    } catch (error) {
+      logger.error(`Error checking refill limits: ${error.message}`);
+      return {
+        success: false,
+        error: 'Error checking refill limits',
+        code: 'REFILL_LIMIT_CHECK_ERROR',
+        data: {
+          details: error.message
+        }
+      };
+    }
+  }
+
   /**
    * Validate asset exists and is active
    * @param {string} assetSymbol - The symbol of the asset to validate.
@@ -485,7 +890,75 @@ class RefillValidationService {
   }
 
   /**
-   * Validate cold wallet has sufficient balance (real-time)
+   * Get the real-time cold wallet balance of an asset, counting the balance components configured for the cold wallet
+   * @param {Object} asset - The asset data.
+   * @param {Object} provider - The provider instance.
+   * @returns {Promise<Object>} The result object; data holds { coldWalletId, providerName, balance (BigNumber, atomic),
+   *   balanceBreakdown, balanceComponents }. Provider errors are thrown.
+   */
+  async getColdWalletBalance(asset, provider) {
+    const sweepWalletConfig = asset.sweepWalletConfig;
+
+    if (!sweepWalletConfig || !sweepWalletConfig.provider) {
+      return {
+        success: false,
+        error: 'No cold wallet configuration found for this asset',
+        code: 'NO_COLD_WALLET_CONFIGURED',
+        data: {
+          assetSymbol: asset.symbol
+        }
+      };
+    }
+
+    const providerName = sweepWalletConfig.provider;
+
+    // Configure token info based on provider using utility function
+    const walletConfigResult = refillUtils.getWalletConfig(providerName, sweepWalletConfig);
+    if (!walletConfigResult.success) {
+      return walletConfigResult;
+    }
+
+    const walletConfig = walletConfigResult.data.walletConfig;
+
+    // Extract cold wallet ID from the wallet config
+    const coldWalletId = providerRegistry.get(providerName).getColdWalletId(walletConfig);
+
+    const tokenInfo = {
+      symbol: asset.symbol,
+      blockchainSymbol: asset.Blockchain.symbol,
+      contractAddress: asset.contractAddress,
+      decimalPlaces: asset.decimals,
+      walletConfig: walletConfig
+    };
+
+    const balanceComponents = refillUtils.getBalanceComponents(sweepWalletConfig);
+    const balanceBreakdown = await provider.getTokenBalanceBreakdown(tokenInfo);
+
+    return {
+      success: true,
+      error: null,
+      code: null,
+      data: {
+        coldWalletId,
+        providerName,
+        balance: refillUtils.sumBalanceComponents(balanceBreakdown, balanceComponents),
+        balanceBreakdown,
+        balanceComponents
+      }
+    };
+  }
+
+  /**
+   * Get the minimum cold wallet balance of an asset that refills may not draw below
+   * @param {Object} asset - The asset data.
+   * @returns {BigNumber} Minimum cold reserve in atomic units (0 if not configured)
+   */
+  getMinColdReserve(asset) {
+    return new BigNumber(asset.minColdReserveAtomic || 0);
+  }
+
+  /**
+   * Validate cold wallet has sufficient balance (real-time) without drawing it below the minimum cold reserve
    * @param {Object} asset - The asset data.
    * @param {number} refillAmount - The amount to refill.
    * @param {Object} provider - The provider instance.
@@ -497,50 +970,13 @@ class RefillValidationService {
    */
   async validateColdWalletBalance(asset, refillAmount, provider) {
     try {
-      // Get cold wallet configuration from asset
-      const sweepWalletConfig = asset.sweepWalletConfig;
-
-      if (!sweepWalletConfig || !sweepWalletConfig.provider) {
-        return {
-          success: false,
-          error: 'No cold wallet configuration found for this asset',
-          code: 'NO_COLD_WALLET_CONFIGURED',
-          data: {
-            assetSymbol: asset.symbol
-          }
-        };
-      }
-
-      const providerName = sweepWalletConfig.provider;
-      let coldWalletId = null;
-      let walletConfig = null;
-
-      // Configure token info based on provider using utility function
-      const walletConfigResult = refillUtils.getWalletConfig(providerName, sweepWalletConfig);
-      if (!walletConfigResult.success) {
-        return walletConfigResult;
-      }
-
-      walletConfig = walletConfigResult.data.walletConfig;
-
-      // Extract cold wallet ID from the wallet config
-      if (providerName === 'liminal') {
-        coldWalletId = walletConfig.liminal.walletId;
-      } else if (providerName === 'fireblocks') {
-        coldWalletId = walletConfig.fireblocks.vaultId;
+      const coldBalanceResult = await this.getColdWalletBalance(asset, provider);
+      if (!coldBalanceResult.success) {
+        return coldBalanceResult;
       }
 
-      const tokenInfo = {
-        symbol: asset.symbol,
-        blockchainSymbol: asset.Blockchain.symbol,
-        contractAddress: asset.contractAddress,
-        decimalPlaces: asset.decimals,
-        walletConfig: walletConfig
-      };
-
-      // Get real-time balance from provider
-      const onChainBalance = await provider.getTokenBalance(tokenInfo);
-      const availableBalance = new BigNumber(onChainBalance);
+      const { coldWalletId, providerName, balanceBreakdown, balanceComponents } = coldBalanceResult.data;
+      const availableBalance = coldBalanceResult.data.balance;
       const refillAmountBigNumber = new BigNumber(refillAmount);
       const requiredAmount = refillAmountBigNumber.multipliedBy(new BigNumber(10).pow(asset.decimals));
 
@@ -552,6 +988,30 @@ class RefillValidationService {
           data: {
             availableBalance: availableBalance.toString(),
             requiredAmount: requiredAmount.toString(),
+            balanceBreakdown,
+            balanceComponents,
+            coldWalletId: coldWalletId,
+            provider: providerName,
+            checkedAt: new Date().toISOString()
+          }
+        };
+      }
+
+      // The refill may not draw the cold wallet below its minimum reserve
+      const minColdReserve = this.getMinColdReserve(asset);
+      if (availableBalance.minus(requiredAmount).lt(minColdReserve)) {
+        const maxRefillAmount = BigNumber.max(availableBalance.minus(minColdReserve), 0);
+        return {
+          success: false,
+          error: `Refill would draw the cold wallet below its minimum reserve. Available: ${availableBalance.toString()}, Required: ${requiredAmount.toString()}, Minimum reserve: ${minColdReserve.toString()}`,
+          code: 'COLD_RESERVE_BREACH',
+          data: {
+            availableBalance: availableBalance.toString(),
+            requiredAmount: requiredAmount.toString(),
+            minColdReserveAtomic: minColdReserve.toFixed(),
+            maxRefillAmountAtomic: maxRefillAmount.toFixed(),
+            balanceBreakdown,
+            balanceComponents,
             coldWalletId: coldWalletId,
             provider: providerName,
             checkedAt: new Date().toISOString()
@@ -566,12 +1026,22 @@ class RefillValidationService {
         data: {
           coldWalletId,
           availableBalance: availableBalance.toString(),
+          balanceBreakdown,
+          balanceComponents,
           provider: providerName,
           message: 'Cold wallet has sufficient balance'
         }
       };
     } catch (error) {
       logger.error(`Error validating cold wallet balance: ${error.message}`);
+      if (error.code === 'PROVIDER_UNAVAILABLE') {
+        return {
+          success: false,
+          error: error.message,
+          code: error.code,
+          data: error.details
+        };
+      }
       return {
         success: false,
         error: 'Error fetching cold wallet balance from blockchain',
@@ -583,19 +1053,80 @@ class RefillValidationService {
     }
   }
 
+  /**
+   * Get the real-time hot wallet balance of an asset, counting the balance components configured for the hot wallet
+   * @param {Object} asset - The asset data.
+   * @param {Object} provider - The provider instance of the refill.
+   * @returns {Promise<Object>} The result object; data holds { balance (BigNumber, atomic), balanceBreakdown,
+   *   balanceComponents }. Provider errors are thrown.
+   */
+  async getHotWalletBalance(asset, provider) {
+    const hotWalletConfig = asset.hotWalletConfig;
+    const providerName = hotWalletConfig.provider;
+
+    // Configure token info based on provider using utility function
+    const walletConfigResult = refillUtils.getWalletConfig(providerName, hotWalletConfig, true);
+    if (!walletConfigResult.success) {
+      return walletConfigResult;
+    }
+
+    const tokenInfo = {
+      symbol: asset.symbol,
+      blockchainSymbol: asset.Blockchain.symbol,
+      contractAddress: asset.contractAddress === 'native' ? null : asset.contractAddress,
+      decimalPlaces: asset.decimals,
+      walletConfig: walletConfigResult.data.walletConfig
+    };
+
+    // The hot wallet can be held by another provider than the cold wallet, e.g. a Fireblocks refill to a whitelisted external wallet
+    const balanceProvider = providerName === provider.constructor.getProviderName()
+      ? provider
+      : providerService.getProviders().get(providerName);
+    if (!balanceProvider) {
+      return {
+        success: false,
+        error: `Provider ${providerName} of the hot wallet is not available`,
+        code: 'NO_PROVIDER_AVAILABLE',
+        data: {
+          provider: providerName
+        }
+      };
+    }
+
+    // Pending incoming transfers can be counted so an unconfirmed refill does not trigger another one
+    const balanceComponents = refillUtils.getBalanceComponents(hotWalletConfig);
+    const balanceBreakdown = await balanceProvider.getTokenBalanceBreakdown(tokenInfo);
+
+    return {
+      success: true,
+      error: null,
+      code: null,
+      data: {
+        balance: refillUtils.sumBalanceComponents(balanceBreakdown, balanceComponents),
+        balanceBreakdown,
+        balanceComponents
+      }
+    };
+  }
+
   /**
    * Validate hot wallet needs refill (includes amount validation and real-time balance check)
    * @param {string} walletAddress - The address of the wallet to validate.
    * @param {number} refillAmount - The amount to refill.
    * @param {Object} provider - The provider instance.
    * @param {Object} asset - The asset data.
+   * @param {Object} [options] - Validation options
+   * @param {Object} [options.hotWalletBalance] - Hot wallet balance a computed refill amount is based on (see computeAutoRefillAmount).
+   *   It is used instead of reading the balance again, and the overfill check is skipped since the amount cannot exceed the target.
+   * @param {boolean} [options.gasTopUp] - Whether the refill is a gas top-up. Gas top-ups fill up to the token's gas reserve,
+   *   which can be above the native asset's target, so the trigger threshold and target balance checks are skipped
    * @returns {Object} The validation result object.
    *   - success {boolean}: true if the hot wallet needs refill, false otherwise.
    *   - error {string}: the error message if the hot wallet does not need refill.
    *   - code {string}: the error code if the hot wallet does not need refill.
    *   - data {Object}: the data if the hot wallet needs refill.
    */
-  async validateHotWalletNeedsRefill(walletAddress, refillAmount, provider, asset) {
+  async validateHotWalletNeedsRefill(walletAddress, refillAmount, provider, asset, { hotWalletBalance = null, gasTopUp = false } = {}) {
     try {
       // Get wallet details to validate it exists and get wallet info
       const wallet = await databaseService.getWalletByAddress(walletAddress);
@@ -641,40 +1172,30 @@ class RefillValidationService {
       const refillAmountAtomic = refillAmountBigNumber.multipliedBy(new BigNumber(10).pow(decimals));
 
       // Get real-time balance from on-chain using the provider SDK
-      const hotWalletConfig = asset.hotWalletConfig;
-      const providerName = hotWalletConfig.provider;
-
-      let walletConfig = null;
-
-      // Configure token info based on provider using utility function
-      const walletConfigResult = refillUtils.getWalletConfig(providerName, hotWalletConfig);
-      if (!walletConfigResult.success) {
-        return walletConfigResult;
+      let balanceData = hotWalletBalance;
+      if (!balanceData) {
+        const hotBalanceResult = await this.getHotWalletBalance(asset, provider);
+        if (!hotBalanceResult.success) {
+          return hotBalanceResult;
+        }
+        balanceData = hotBalanceResult.data;
       }
 
-      walletConfig = walletConfigResult.data.walletConfig;
-
-      const tokenInfo = {
-        symbol: asset.symbol,
-        blockchainSymbol: asset.Blockchain.symbol,
-        contractAddress: asset.contractAddress === 'native' ? null : asset.contractAddress,
-        decimalPlaces: asset.decimals,
-        walletConfig: walletConfig
-      };
-
-      const onChainBalance = await provider.getTokenBalance(tokenInfo);
-      const currentBalance = new BigNumber(onChainBalance);
+      const { balanceBreakdown, balanceComponents } = balanceData;
+      const currentBalance = balanceData.balance;
       const targetBalance = new BigNumber(asset.refillTargetBalanceAtomic || 0);
       const triggerThreshold = new BigNumber(asset.refillTriggerThresholdAtomic || 0);
 
       // Check if hot wallet already has sufficient balance
-      if (currentBalance.gte(targetBalance) && targetBalance.gt(0)) {
+      if (!gasTopUp && currentBalance.gte(targetBalance) && targetBalance.gt(0)) {
         return {
           success: false,
           error: 'Hot wallet already has sufficient balance',
           code: 'SUFFICIENT_BALANCE',
           data: {
             current: currentBalance.toString(),
+            balanceBreakdown,
+            balanceComponents,
             target: targetBalance.toString(),
             checkedAt: new Date().toISOString()
           }
@@ -682,13 +1203,15 @@ class RefillValidationService {
       }
 
       // Check if current balance is above trigger threshold
-      if (currentBalance.gte(triggerThreshold) && triggerThreshold.gt(0)) {
+      if (!gasTopUp && currentBalance.gte(triggerThreshold) && triggerThreshold.gt(0)) {
         return {
           success: false,
           error: 'Hot wallet balance is above trigger threshold',
           code: 'ABOVE_TRIGGER_THRESHOLD',
           data: {
             current: currentBalance.toString(),
+            balanceBreakdown,
+            balanceComponents,
             threshold: triggerThreshold.toString(),
             checkedAt: new Date().toISOString()
           }
@@ -697,7 +1220,7 @@ class RefillValidationService {
 
       // Check if refill would cause balance to exceed the target
       // (prevent overfilling when currentBalance + refillAmountAtomic > targetBalance)
-      if (refillAmountAtomic && targetBalance.gt(0)) {
+      if (!hotWalletBalance && !gasTopUp && targetBalance.gt(0)) {
         const projectedBalance = currentBalance.plus(refillAmountAtomic);
         if (projectedBalance.gt(targetBalance)) {
           return {
@@ -706,6 +1229,8 @@ class RefillValidationService {
             code: 'WILL_OVERFILL_TARGET',
             data: {
               current: currentBalance.toString(),
+              balanceBreakdown,
+              balanceComponents,
               refillAmount: refillAmountAtomic.toString(),
               projected: projectedBalance.toString(),
               target: targetBalance.toString(),
@@ -722,6 +1247,8 @@ class RefillValidationService {
         data: {
           wallet: wallet,
           currentBalance: currentBalance.toString(),
+          balanceBreakdown,
+          balanceComponents,
           targetBalance: targetBalance.toString(),
           triggerThreshold: triggerThreshold.toString(),
           refillAmountAtomic: refillAmountAtomic.toString(),
@@ -730,6 +1257,14 @@ class RefillValidationService {
       };
     } catch (error) {
       logger.error(`Error validating hot wallet refill need: ${error.message}`);
+      if (error.code === 'PROVIDER_UNAVAILABLE') {
+        return {
+          success: false,
+          error: error.message,
+          code: error.code,
+          data: error.details
+        };
+      }
       return {
         success: false,
         error: 'Error fetching hot wallet balance from blockchain',
@@ -740,6 +1275,158 @@ class RefillValidationService {
       };
     }
   }
+  /**
+   * Validate the hot wallet holds enough of the chain's native asset to pay gas for a contract token refill.
+   * Below the token's minGasReserveAtomic the refill is rejected or, with the hotWalletGasPolicy TOP_UP,
+   * passes with a native asset refill to chain to it (data.gasTopUp).
+   * @param {Object} asset - The token asset data.
+   * @param {Object} blockchain - The blockchain of the asset.
+   * @param {Object} provider - The provider instance of the refill.
+   * @returns {Promise<Object>} The validation result object; data.gasTopUp holds the native asset refill
+   *   { assetSymbol, assetAddress, walletAddress, refillSweepWallet, refillAmount, refillAmountAtomic, ... } or null.
+   */
+  async validateHotWalletGas(asset, blockchain, provider) {
+    const noTopUp = {
+      success: true,
+      error: null,
+      code: null,
+      data: {
+        gasTopUp: null
+      }
+    };
+
+    // Native asset refills pay their own gas
+    const isContractToken = asset.contractAddress && asset.contractAddress.toLowerCase() !== 'native';
+    if (!isContractToken || !asset.minGasReserveAtomic) {
+      return noTopUp;
+    }
+
+    try {
+      const minGasReserve = new BigNumber(asset.minGasReserveAtomic);
+      const nativeAsset = await databaseService.getAssetBySymbolAndBlockchain(blockchain.nativeAssetSymbol, blockchain.id);
+      if (!nativeAsset || nativeAsset.walletId !== asset.walletId) {
+        return {
+          success: false,
+          error: `Native asset ${blockchain.nativeAssetSymbol} is not configured for the hot wallet of ${asset.symbol}`,
+          code: 'NATIVE_ASSET_NOT_CONFIGURED',
+          data: {
+            assetSymbol: asset.symbol,
+            nativeAssetSymbol: blockchain.nativeAssetSymbol,
+            chainName: blockchain.name
+          }
+        };
+      }
+
+      const nativeBalanceResult = await this.getHotWalletBalance(nativeAsset, provider);
+      if (!nativeBalanceResult.success) {
+        return nativeBalanceResult;
+      }
+
+      const nativeBalance = nativeBalanceResult.data.balance;
+      if (nativeBalance.gte(minGasReserve)) {
+        return noTopUp;
+      }
+
+      const gasPolicy = config.get('hotWalletGasPolicy') || 'REJECT';
+      if (gasPolicy !== 'TOP_UP') {
+        return {
+          success: false,
+          error: `Hot wallet ${nativeAsset.symbol} balance is below the gas reserve of ${asset.symbol}. Balance: ${nativeBalance.toString()}, Reserve: ${minGasReserve.toFixed()}`,
+          code: 'HOT_WALLET_GAS_LOW',
+          data: {
+            nativeAssetSymbol: nativeAsset.symbol,
+            nativeBalanceAtomic: nativeBalance.toFixed(),
+            minGasReserveAtomic: minGasReserve.toFixed(),
+            walletAddress: nativeAsset.Wallet.address,
+            checkedAt: new Date().toISOString()
+          }
+        };
+      }
+
+      // Top up to the native asset's refill target, or at least to the gas reserve
+      const topUpBalance = BigNumber.max(new BigNumber(nativeAsset.refillTargetBalanceAtomic || 0), minGasReserve);
+      const topUpAmountAtomic = topUpBalance.minus(nativeBalance);
+      const gasTopUp = {
+        assetSymbol: nativeAsset.symbol,
+        assetAddress: nativeAsset.contractAddress,
+        walletAddress: nativeAsset.Wallet.address,
+        refillSweepWallet: nativeAsset.refillSweepWallet,
+        refillAmount: topUpAmountAtomic.dividedBy(new BigNumber(10).pow(nativeAsset.decimals)).toFixed(),
+        refillAmountAtomic: topUpAmountAtomic.toFixed(),
+        nativeBalanceAtomic: nativeBalance.toFixed(),
+        minGasReserveAtomic: minGasReserve.toFixed()
+      };
+
+      // Validate the top-up as the refill it is created as, so the token refill is rejected if it cannot be created
+      const topUpValidation = await this.validateRefillRequest(this.getGasTopUpRefillData(gasTopUp, blockchain), { gasTopUp: true });
+      if (!topUpValidation.success) {
+        logger.error(`Gas top-up of ${nativeAsset.symbol} for ${asset.symbol} cannot be created: ${topUpValidation.error} (${topUpValidation.code})`);
+        return {
+          success: false,
+          error: `Hot wallet ${nativeAsset.symbol} balance is below the gas reserve of ${asset.symbol} and the gas top-up cannot be created: ${topUpValidation.error}`,
+          code: 'HOT_WALLET_GAS_LOW',
+          data: {
+            nativeAssetSymbol: nativeAsset.symbol,
+            nativeBalanceAtomic: nativeBalance.toFixed(),
+            minGasReserveAtomic: minGasReserve.toFixed(),
+            walletAddress: nativeAsset.Wallet.address,
+            gasTopUp: {
+              refillAmountAtomic: gasTopUp.refillAmountAtomic,
+              code: topUpValidation.code,
+              error: topUpValidation.error
+            },
+            checkedAt: new Date().toISOString()
+          }
+        };
+      }
+
+      logger.info(`Hot wallet ${nativeAsset.symbol} balance below the gas reserve of ${asset.symbol}, chaining a top-up of ${topUpAmountAtomic.toFixed()}`);
+
+      return {
+        success: true,
+        error: null,
+        code: null,
+        data: {
+          gasTopUp
+        }
+      };
+    } catch (error) {
+      logger.error(`Error validating hot wallet gas balance: ${error.message}`);
+      if (error.code === 'PROVIDER_UNAVAILABLE') {
+        return {
+          success: false,
+          error: error.message,
+          code: error.code,
+          data: error.details
+        };
+      }
+      return {
+        success: false,
+        error: 'Error fetching hot wallet native asset balance',
+        code: 'BALANCE_VALIDATION_ERROR',
+        data: {
+          details: error.message
+        }
+      };
+    }
+  }
+
+  /**
+   * Build the refill request data of a gas top-up (without refill_request_id)
+   * @param {Object} gasTopUp - Gas top-up returned by validateHotWalletGas
+   * @param {Object} blockchain - The blockchain of the token refill.
+   * @returns {Object} Refill request data of the native asset refill
+   */
+  getGasTopUpRefillData(gasTopUp, blockchain) {
+    return {
+      wallet_address: gasTopUp.walletAddress,
+      asset_symbol: gasTopUp.assetSymbol,
+      asset_address: gasTopUp.assetAddress,
+      chain_name: blockchain.name,
+      refill_amount: gasTopUp.refillAmount,
+      refill_sweep_wallet: gasTopUp.refillSweepWallet
+    };
+  }
 }
 
 module.exports = new RefillValidationService();
\ No newline at end of file
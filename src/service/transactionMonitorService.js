@@ -94,6 +94,22 @@ class TransactionMonitorService {
   async checkAndUpdateTransaction(transaction) {
     try {
       const refillRequestId = transaction.refillRequestId;
+
+      // Refills kept up to date by provider webhooks are only polled as a fallback
+      if (!this.shouldPollTransaction(transaction)) {
+        logger.debug(`Skipping poll for ${refillRequestId}, provider webhook events are recent`);
+        return {
+          success: true,
+          error: null,
+          code: null,
+          data: {
+            refillRequestId: refillRequestId,
+            status: transaction.status,
+            updated: false,
+            skipped: true
+          }
+        };
+      }
       
       logger.debug(`Checking status for refill: ${refillRequestId}`);
 
@@ -120,6 +136,25 @@ class TransactionMonitorService {
     }
   }
 
+  /**
+   * Decide whether a transaction needs to be polled from its provider
+   * Fireblocks refills are polled only if webhooks are disabled or no event was received
+   * (since creation or the last event) within the configured fallback window
+   * @param {Object} transaction - Transaction object from database
+   * @returns {boolean} True if the provider should be polled
+   */
+  shouldPollTransaction(transaction) {
+    if (transaction.provider?.toLowerCase() !== 'fireblocks' || config.get('providers.fireblocks.webhookEnabled') !== true) {
+      return true;
+    }
+
+    const fallbackWindowInSeconds = config.get('providers.fireblocks.webhookPollingFallbackInSeconds') || 300;
+    const lastSignalAt = new Date(transaction.lastProviderEventAt || transaction.createdAt);
+    const secondsSinceLastSignal = (Date.now() - lastSignalAt.getTime()) / 1000;
+
+    return isNaN(secondsSinceLastSignal) || secondsSinceLastSignal >= fallbackWindowInSeconds;
+  }
+
   /**
    * Check for long-pending transactions and send grouped Slack alert
    * Uses results from the current monitoring cycle to avoid extra DB call
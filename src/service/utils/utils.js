@@ -1,47 +1,12 @@
 const logger = require("../../middleware/logger")("refillUtils");
-const config = require("../../config");
+const providerRegistry = require("../../providers/registry");
+const BigNumber = require("bignumber.js");
 
-class RefillUtils {
-  /**
-   * Get Liminal environment from config
-   * @returns {string} Environment (dev/prod) or 'dev' as default
-   */
-  getLiminalConfig() {
-    try {
-      const liminalConfig = config.get('providers.liminal');
-      if (liminalConfig && liminalConfig.env) {
-        logger.info(`Found Liminal environment from providers config: ${liminalConfig.env}`);
-        return liminalConfig.env;
-      }
-      
-      logger.debug('No Liminal environment found in config, using default: dev');
-      return 'dev';
-    } catch (error) {
-      logger.error(`Error getting Liminal environment from config: ${error.message}`);
-      return 'dev';
-    }
-  }
-
-  /**
-   * Get Fireblocks API URL from config
-   * @returns {string} API URL or default Fireblocks URL
-   */
-  getFireblocksConfig() {
-    try {
-      const fireblocksConfig = config.get('providers.fireblocks');
-      if (fireblocksConfig && fireblocksConfig.apiBaseUrl) {
-        logger.info(`Found Fireblocks API URL from providers config: ${fireblocksConfig.apiBaseUrl}`);
-        return fireblocksConfig.apiBaseUrl;
-      }
-      
-      logger.debug('No Fireblocks API URL found in config, using default: https://api.fireblocks.io');
-      return 'https://api.fireblocks.io';
-    } catch (error) {
-      logger.error(`Error getting Fireblocks API URL from config: ${error.message}`);
-      return 'https://api.fireblocks.io';
-    }
-  }
+// Provider balance components an asset can count towards its wallet balance checks
+const BALANCE_COMPONENTS = ['available', 'pending', 'locked'];
+const DEFAULT_BALANCE_COMPONENTS = ['available'];
 
+class RefillUtils {
   /**
    * Get cold wallet ID based on provider
    * @param {Object} validatedData - Validated refill data
@@ -50,16 +15,14 @@ class RefillUtils {
    */
   getColdWalletId(validatedData, provider) {
     const providerName = provider.constructor.getProviderName();
-    
-    if (providerName === 'liminal') {
-      return validatedData.asset.sweepWalletConfig.liminal.walletId;
-    } else if (providerName === 'fireblocks') {
-      return validatedData.asset.sweepWalletConfig.fireblocks.vaultId;
-    } else {
-      // For other providers, try to get from sweepWalletConfig
+    const ProviderClass = providerRegistry.get(providerName);
+    if (!ProviderClass) {
+      // For unregistered providers, try to get from sweepWalletConfig
       const sweepConfig = validatedData.asset.sweepWalletConfig;
       return sweepConfig[providerName]?.walletId || sweepConfig[providerName]?.vaultId;
     }
+
+    return ProviderClass.getColdWalletId(validatedData.asset.sweepWalletConfig);
   }
 
   /**
@@ -70,77 +33,60 @@ class RefillUtils {
    */
   getHotWalletId(validatedData, provider) {
     const providerName = provider.constructor.getProviderName();
-    
-    if (providerName === 'liminal') {
-      return validatedData.wallet.address; // Liminal uses wallet address
-    } else if (providerName === 'fireblocks') {
-      return validatedData.asset.hotWalletConfig.fireblocks.vaultId;
-    } else {
-      // For other providers, try to get from hotWalletConfig
+    const ProviderClass = providerRegistry.get(providerName);
+    if (!ProviderClass) {
+      // For unregistered providers, try to get from hotWalletConfig
       const hotWalletConfig = validatedData.asset.hotWalletConfig;
       return hotWalletConfig[providerName]?.vaultId || hotWalletConfig[providerName]?.walletId;
     }
+
+    return ProviderClass.getHotWalletId(validatedData.asset?.hotWalletConfig, validatedData.wallet);
+  }
+
+  /**
+   * Get the external transaction ID a refill attempt is sent to the provider with.
+   * Providers reject reused IDs, so every retry gets its own; providers may append their own suffix.
+   * @param {string} refillRequestId - External refill request ID
+   * @param {number} [attempt] - Attempt number
+   * @returns {string} External transaction ID
+   */
+  getExternalTxId(refillRequestId, attempt = 1) {
+    return attempt > 1 ? `${refillRequestId}_refill_${attempt}` : `${refillRequestId}_refill`;
+  }
+
+  /**
+   * Get the balance components counted for a wallet
+   * @param {Object} walletConfig - Sweep or hot wallet configuration of an asset
+   * @returns {string[]} Balance components (defaults to the available balance)
+   */
+  getBalanceComponents(walletConfig) {
+    return walletConfig?.balanceComponents || DEFAULT_BALANCE_COMPONENTS;
+  }
+
+  /**
+   * Sum the counted components of a provider balance breakdown
+   * @param {Object} breakdown - { available, pending, locked } in atomic units
+   * @param {string[]} components - Balance components to count
+   * @returns {BigNumber} Counted balance in atomic units
+   */
+  sumBalanceComponents(breakdown, components) {
+    return components.reduce((total, component) => total.plus(breakdown[component] || 0), new BigNumber(0));
   }
 
   /**
    * Get wallet configuration object based on provider and wallet configuration
    * @param {string} providerName - Provider name
    * @param {Object} walletConfig - Provider specific wallet configuration
+   * @param {boolean} [isHotWallet=false] - Validate the config as a hot wallet config (refill destination)
    * @returns {Object}
    *   - success {boolean}: true if the wallet configuration is valid, false otherwise.
    *   - error {string}: the error message if the wallet configuration is not valid.
    *   - code {string}: the error code if the wallet configuration is not valid.
    *   - data {Object}: the wallet configuration object if the wallet configuration is valid.
    */
-  getWalletConfig(providerName, walletConfig) {
-    if (providerName === 'liminal') {
-      if (!walletConfig.liminal || !walletConfig.liminal.walletId || !walletConfig.liminal.tokenSymbol || !walletConfig.liminal.version) {
-        return {
-          success: false,
-          error: 'Invalid cold wallet configuration found for this asset',
-          code: 'INVALID_LIMINAL_COLD_WALLET_CONFIGURATION',
-          data: null
-        };
-      }
-      
-      return {
-        success: true,
-        error: null,
-        code: null,
-        data: {
-          walletConfig: {
-            liminal: {
-              walletId: walletConfig.liminal.walletId,
-              version: walletConfig.liminal.version,
-              tokenSymbol: walletConfig.liminal.tokenSymbol
-            }
-          }
-        }
-      };
-    } else if (providerName === 'fireblocks') {
-      if (!walletConfig.fireblocks || !walletConfig.fireblocks.vaultId || !walletConfig.fireblocks.assetId) {
-        return {
-          success: false,
-          error: 'Invalid cold wallet configuration found for this asset',
-          code: 'INVALID_FIREBLOCKS_COLD_WALLET_CONFIGURATION',
-          data: null
-        };
-      }
-      
-      return {
-        success: true,
-        error: null,
-        code: null,
-        data: {
-          walletConfig: {
-            fireblocks: {
-              vaultId: walletConfig.fireblocks.vaultId,
-              assetId: walletConfig.fireblocks.assetId
-            }
-          }
-        }
-      };
-    } else {
+  getWalletConfig(providerName, walletConfig, isHotWallet = false) {
+    const ProviderClass = providerRegistry.get(providerName);
+    if (!ProviderClass) {
       return {
         success: false,
         error: `Unsupported provider: ${providerName}`,
@@ -148,6 +94,24 @@ class RefillUtils {
         data: null
       };
     }
+
+    const balanceComponents = walletConfig.balanceComponents;
+    if (balanceComponents !== undefined && (
+      !Array.isArray(balanceComponents) ||
+      balanceComponents.length === 0 ||
+      !balanceComponents.every(component => BALANCE_COMPONENTS.includes(component))
+    )) {
+      return {
+        success: false,
+        error: `Invalid balanceComponents: must be a non-empty list of ${BALANCE_COMPONENTS.join(', ')}`,
+        code: 'INVALID_BALANCE_COMPONENTS',
+        data: null
+      };
+    }
+
+    return isHotWallet
+      ? ProviderClass.validateHotWalletConfig(walletConfig)
+      : ProviderClass.validateWalletConfig(walletConfig);
   }
 
   /**
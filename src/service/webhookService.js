@@ -0,0 +1,174 @@
+const crypto = require('crypto');
+const logger = require('../middleware/logger')('webhookService');
+const config = require('../config');
+const databaseService = require('./chainDb');
+const refillTransactionService = require('./refillTransactionService');
+
+const FIREBLOCKS_STATUS_EVENT = 'TRANSACTION_STATUS_UPDATED';
+
+/**
+ * Webhook Service
+ * Applies transaction status events pushed by providers, so refills do not have to wait for the polling monitor
+ */
+class WebhookService {
+  constructor() {
+    this.logger = logger;
+  }
+
+  /**
+   * Handle a Fireblocks webhook event
+   * @param {string} rawBody - Raw request body exactly as received (the signature covers these bytes)
+   * @param {string} signature - Value of the fireblocks-signature header
+   * @returns {Promise<Object>} The webhook result object.
+   *   - success {boolean}: true if the event was accepted (applied or deliberately ignored), false otherwise.
+   *   - error {string}: the error message if the event was rejected.
+   *   - code {string}: the error code if the event was rejected.
+   *   - data {Object}: { processed, reason, refillRequestId, status }.
+   */
+  async handleFireblocksWebhook(rawBody, signature) {
+    try {
+      if (config.get('providers.fireblocks.webhookEnabled') !== true) {
+        return {
+          success: false,
+          error: 'Fireblocks webhooks are not enabled',
+          code: 'WEBHOOK_DISABLED',
+          data: null
+        };
+      }
+
+      const publicKey = config.get('providers.fireblocks.webhookPublicKey');
+      if (!publicKey) {
+        logger.error('Fireblocks webhook public key not configured');
+        return {
+          success: false,
+          error: 'Webhook verification not properly configured',
+          code: 'WEBHOOK_CONFIG_ERROR',
+          data: null
+        };
+      }
+
+      if (!this.verifyFireblocksSignature(rawBody, signature, publicKey)) {
+        logger.error('Fireblocks webhook signature verification failed');
+        return {
+          success: false,
+          error: 'Invalid webhook signature',
+          code: 'INVALID_SIGNATURE',
+          data: null
+        };
+      }
+
+      let event;
+      try {
+        event = JSON.parse(rawBody);
+      } catch (error) {
+        return {
+          success: false,
+          error: 'Webhook body is not valid JSON',
+          code: 'INVALID_PAYLOAD',
+          data: null
+        };
+      }
+
+      if (event.type !== FIREBLOCKS_STATUS_EVENT) {
+        logger.debug(`Ignoring Fireblocks webhook event of type ${event.type}`);
+        return this.acceptedResult(false, 'EVENT_TYPE_IGNORED');
+      }
+
+      const providerTransaction = event.data;
+      if (!providerTransaction || !providerTransaction.id || !providerTransaction.status) {
+        return {
+          success: false,
+          error: 'Webhook event is missing transaction data',
+          code: 'INVALID_PAYLOAD',
+          data: null
+        };
+      }
+
+      return await this.applyFireblocksTransactionEvent(providerTransaction);
+    } catch (error) {
+      logger.error(`Error handling Fireblocks webhook: ${error.message}`);
+      return {
+        success: false,
+        error: 'Failed to process webhook',
+        code: 'WEBHOOK_PROCESSING_ERROR',
+        data: {
+          details: error.message
+        }
+      };
+    }
+  }
+
+  /**
+   * Apply a Fireblocks transaction status event to the matching refill
+   * @param {Object} providerTransaction - Fireblocks transaction from the event data
+   * @returns {Promise<Object>} The webhook result object
+   */
+  async applyFireblocksTransactionEvent(providerTransaction) {
+    // The event can arrive before the provider transaction ID is stored, so the external ID is matched as well
+    const transaction = await databaseService.getRefillTransactionByProviderReference(
+      'fireblocks',
+      providerTransaction.id,
+      providerTransaction.externalTxId
+    );
+
+    if (!transaction) {
+      logger.info(`No refill found for Fireblocks transaction ${providerTransaction.id}, ignoring event`);
+      return this.acceptedResult(false, 'TRANSACTION_NOT_FOUND');
+    }
+
+    // Events are not guaranteed to arrive in order; never move a refill out of a final status
+    if (refillTransactionService.isFinalStatus(transaction.status)) {
+      logger.info(`Refill ${transaction.refillRequestId} already in final status ${transaction.status}, ignoring ${providerTransaction.status} event`);
+      return this.acceptedResult(false, 'FINAL_STATUS', transaction.refillRequestId, transaction.status);
+    }
+
+    const additionalUpdateData = { lastProviderEventAt: new Date() };
+    if (!transaction.providerTxId) {
+      additionalUpdateData.providerTxId = providerTransaction.id;
+    }
+
+    const result = await refillTransactionService.applyProviderUpdate(transaction, providerTransaction, additionalUpdateData);
+    logger.info(`Applied Fireblocks ${providerTransaction.status} event to refill ${transaction.refillRequestId}: status ${result.data.status}`);
+
+    return this.acceptedResult(true, null, transaction.refillRequestId, result.data.status);
+  }
+
+  /**
+   * Verify a Fireblocks webhook signature (base64 RSA-SHA512 over the raw body)
+   * @param {string} rawBody - Raw request body
+   * @param {string} signature - Base64 signature from the fireblocks-signature header
+   * @param {string} publicKey - Fireblocks webhook public key (PEM)
+   * @returns {boolean} True if the signature is valid
+   */
+  verifyFireblocksSignature(rawBody, signature, publicKey) {
+    if (!rawBody || !signature) {
+      return false;
+    }
+
+    try {
+      const verifier = crypto.createVerify('RSA-SHA512');
+      verifier.write(rawBody);
+      verifier.end();
+      return verifier.verify(publicKey, signature, 'base64');
+    } catch (error) {
+      logger.error(`Error verifying Fireblocks webhook signature: ${error.message}`);
+      return false;
+    }
+  }
+
+  acceptedResult(processed, reason, refillRequestId = null, status = null) {
+    return {
+      success: true,
+      error: null,
+      code: null,
+      data: {
+        processed,
+        reason,
+        refillRequestId,
+        status
+      }
+    };
+  }
+}
+
+module.exports = new WebhookService();
@@ -3,13 +3,13 @@ const logger = require('../middleware/logger')('SlackAlerts');
 const config = require("../config");
 const slackWebhookUrl = config.get("slackWebhookUrl");
 
-async function sendSlackAlert(alertMessage) {
+async function sendSlackAlert(alertMessage, webhookUrl = slackWebhookUrl) {
     const message = {
         text: alertMessage
     };
     const headers = { 'Content-Type': 'application/json' };
     try {
-        await axios.post(slackWebhookUrl, message, { headers });
+        await axios.post(webhookUrl, message, { headers });
     } catch (error) {
         logger.error(`Unable to send slack alert message: "${alertMessage}", error: ${error.message}`);
     }